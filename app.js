@@ -47,18 +47,138 @@ class LunarNexus {
             perigeeDistance: 356500, // km
             apogeeDistance: 406700, // km
             lunarRadius: 1737.4, // km
+            earthRadius: 6378.14, // km, equatorial
+            horizonRefraction: 34 / 60, // degrees of refraction at the apparent horizon
             j2000Epoch: 2451545.0, // Julian Day for J2000.0
-            newMoonEpoch: 2451550.1 // Known new moon reference
+            b1875Epoch: 2405889.258550475, // Julian Day for B1875.0, the epoch of the constellation boundaries
+            unixEpochJD: 2440587.5, // Julian Day for 1970-01-01T00:00:00Z
+            astronomicalUnit: 149597870.7, // km
+            principalPhaseWindow: 0.5 // days either side of an exact principal phase that carry its label
+        };
+
+        // Supermoon/micromoon rule: 'distance' uses fixed thresholds, 'nolle' the fraction of the orbit's perigee–apogee span
+        this.moonSizeDefinition = {
+            method: 'distance',
+            supermoonDistance: 360000, // km
+            micromoonDistance: 405000, // km
+            nolleFraction: 0.9
+        };
+
+        this.eclipseVisibilityLabels = {
+            full: 'Fully visible from your location',
+            partial: 'Partly visible from your location',
+            none: 'Not visible from your location'
+        };
+
+        // Observation planner goals, each scored by its own scorePlannerNight branch
+        this.plannerGoalLabels = {
+            surface: 'Lunar surface detail',
+            deepSky: 'Deep-sky darkness',
+            moonrise: 'Moonrise photography',
+            earthshine: 'Earthshine'
+        };
+
+        // Ephemeris table columns in display and export order
+        this.ephemerisColumns = [
+            { key: 'julianDay', label: 'JD' },
+            { key: 'utc', label: 'UTC' },
+            { key: 'local', label: 'Local time' },
+            { key: 'phase', label: 'Phase' },
+            { key: 'illumination', label: 'Illumination (%)' },
+            { key: 'distance', label: 'Distance (km)' },
+            { key: 'altitude', label: 'Altitude (°)' },
+            { key: 'azimuth', label: 'Azimuth (°)' },
+            { key: 'rightAscension', label: 'RA (h)' },
+            { key: 'declination', label: 'Dec (°)' },
+            { key: 'angularSize', label: 'Angular size (′)' },
+            { key: 'moonrise', label: 'Moonrise' },
+            { key: 'moonset', label: 'Moonset' }
+        ];
+
+        // Settings persisted in localStorage. Bump settingsVersion when their shape changes and add
+        // settingsMigrations[n], which turns version-n settings into version n + 1.
+        this.settingsStorageKey = 'lunarNexus.settings';
+        this.settingsVersion = 1;
+        this.settingsMigrations = {};
+        this.themes = ['cosmic', 'night-vision'];
+
+        // Traditional North American Full Moon names by the month of the Full Moon in the observer's time zone.
+        // The Harvest Moon (nearest the September equinox) and the Hunter's Moon after it take precedence.
+        this.fullMoonNames = [
+            'Wolf Moon', 'Snow Moon', 'Worm Moon', 'Pink Moon', 'Flower Moon', 'Strawberry Moon',
+            'Buck Moon', 'Sturgeon Moon', 'Corn Moon', "Hunter's Moon", 'Beaver Moon', 'Cold Moon'
+        ];
+
+        // Truncated ELP-2000/82 periodic terms (Meeus, Astronomical Algorithms, tables 47.A and 47.B)
+        // Longitude/distance rows: [D, M, M', F, Σl (1e-6°), Σr (1e-3 km)]
+        // Latitude rows: [D, M, M', F, Σb (1e-6°)]
+        this.lunarSeries = {
+            longitudeDistance: [
+                [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111],
+                [2, 0, 0, 0, 658314, -2955968], [0, 0, 2, 0, 213618, -569925],
+                [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+                [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138],
+                [2, 0, 1, 0, 53322, -170733], [2, -1, 0, 0, 45758, -204586],
+                [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+                [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321],
+                [0, 0, 1, 2, -12528, 0], [0, 0, 1, -2, 10980, 79661],
+                [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+                [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208],
+                [2, 1, 0, 0, -6766, 30824], [1, 0, -1, 0, -5163, -8379],
+                [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+                [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650],
+                [2, 0, -3, 0, 3665, 14403], [0, 1, -2, 0, -2689, -7003],
+                [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+                [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884],
+                [0, 1, 2, 0, -2120, 5751], [0, 2, 0, 0, -2069, 0],
+                [2, -2, -1, 0, 2048, -4950], [2, 0, 1, -2, -1773, 4130],
+                [2, 0, 0, 2, -1595, 0], [4, -1, -1, 0, 1215, -3958],
+                [0, 0, 2, 2, -1110, 0], [3, 0, -1, 0, -892, 3258],
+                [2, 1, 1, 0, -810, 2616], [4, -1, -2, 0, 759, -1897],
+                [0, 2, -1, 0, -713, -2117], [2, 2, -1, 0, -700, 2354],
+                [2, 1, -2, 0, 691, 0], [2, -1, 0, -2, 596, 0],
+                [4, 0, 1, 0, 549, -1423], [0, 0, 4, 0, 537, -1117],
+                [4, -1, 0, 0, 520, -1571], [1, 0, -2, 0, -487, -1739],
+                [2, 1, 0, -2, -399, 0], [0, 0, 2, -2, -381, -4421],
+                [1, 1, 1, 0, 351, 0], [3, 0, -2, 0, -340, 0],
+                [4, 0, -3, 0, 330, 0], [2, -1, 2, 0, 327, 0],
+                [0, 2, 1, 0, -323, 1165], [1, 1, -1, 0, 299, 0],
+                [2, 0, 3, 0, 294, 0], [2, 0, -1, -2, 0, 8752]
+            ],
+            latitude: [
+                [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693],
+                [2, 0, 0, -1, 173237], [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271],
+                [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198], [2, 0, 1, -1, 9266],
+                [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+                [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463],
+                [2, -1, 0, 1, 2211], [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870],
+                [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794], [0, 0, 0, 3, -1749],
+                [0, 1, -1, 1, -1565], [1, 0, 0, 1, -1491], [0, 1, 1, 1, -1475],
+                [0, 1, 1, -1, -1410], [0, 1, 0, -1, -1344], [1, 0, 0, -1, -1335],
+                [0, 0, 3, 1, 1107], [4, 0, 0, -1, 1021], [4, 0, -1, 1, 833],
+                [0, 0, 1, -3, 777], [4, 0, -2, 1, 671], [2, 0, 0, -3, 607],
+                [2, 0, 2, -1, 596], [2, -1, 1, -1, 491], [2, 0, -2, 1, -451],
+                [0, 0, 3, -1, 439], [2, 0, 2, 1, 422], [2, 0, -3, -1, 421],
+                [2, 1, -1, 1, -366], [2, 1, 0, 1, -351], [4, 0, 0, 1, 331],
+                [2, -1, 1, 1, 315], [2, -2, 0, -1, 302], [0, 0, 1, 3, -283],
+                [2, 1, 1, -1, -229], [1, 1, 0, -1, 223], [1, 1, 0, 1, 223],
+                [0, 1, -2, -1, -220], [2, 1, -1, -1, -220], [1, 0, 1, 1, -185],
+                [2, -1, -2, -1, 181], [0, 1, 2, 1, -177], [4, 0, -2, -1, 176],
+                [4, -1, -1, -1, 166], [1, 0, 1, -1, -164], [4, 0, 1, -1, 132],
+                [1, 0, -1, -1, -119], [4, -1, 0, -1, 115], [2, -2, 0, 1, 107]
+            ]
         };
 
         // Application state
         this.currentDate = new Date();
         this.selectedDate = new Date();
-        this.userLocation = { lat: 40.7128, lng: -74.0060, timezone: 'America/New_York' };
+        this.userLocation = { lat: 40.7128, lng: -74.0060, timezone: 'America/New_York', elevation: 10, horizon: [] }; // elevation in m
+        // horizon: the skyline as [azimuth, altitude] points in degrees, sorted by azimuth; empty for a flat horizon
         this.is3DMoonReady = false;
         this.animationFrameId = null;
         this.performanceMonitor = { fps: 60, lastTime: 0, frames: 0 };
         this.currentEducationTab = 'phases';
+        this.phaseCache = new Map();
 
         // 3D Moon system
         this.moonScene = null;
@@ -66,6 +186,58 @@ class LunarNexus {
         this.moonCamera = null;
         this.moonMesh = null;
         this.moonControls = null;
+        this.moonOrientationMode = 'true'; // 'true' follows libration, 'spin' is the decorative rotation
+        this.currentLibration = null;
+        this.nightTimeline = null;
+        this.forecastSettings = {
+            range: 7, // days, or 'fullMoon' for up to the next Full Moon
+            fields: { moonTimes: false, maxAltitude: false, constellation: false, quality: false }
+        };
+        this.forecastCards = new Map();
+        this.forecastMoonTimesCache = new Map();
+        this.forecastDetailsTimer = null;
+        this.calendarView = null; // { year, month } of the first month shown
+        this.calendarMonthCount = 1;
+        this.preferences = { units: 'metric', timeFormat: '12h', displayZone: 'site', theme: 'cosmic' };
+        this.savedSites = []; // { id, name, lat, lng, timezone, elevation, horizon }
+        this.activeSiteId = null;
+        this.savedLocation = null; // the location the user last chose, restored on the next visit
+        this.settingsWritable = true;
+        this.urlState = null; // serialized state last written to or read from the URL hash
+        this.urlStateTimer = null;
+        this.ephemeris = null; // { rows, site, start, end, stepMinutes } of the last generated table
+        this.ephemerisSort = { key: 'julianDay', ascending: true };
+        this.places = null; // gazetteer rows as objects, built on first use
+        this.placeResults = []; // matches currently listed under the place search
+        this.ephemerisRun = 0;
+        this.plan = null; // { goal, nights, site, results } of the last planner run, best night first
+        this.plannerRun = 0;
+        this.alignments = null; // { camera, sight, start, end, tolerance, focalLength, matches } of the last alignment search
+        this.alignmentRun = 0;
+        this.lunarFeatures = null;
+        this.showMoonLabels = false;
+        this.moonLabelElements = [];
+        this.highlightedFeature = null;
+
+        // Equirectangular surface maps (prime meridian at the centre, north up), finest level last.
+        // A level is used while the camera is no farther than maxCameraDistance from the moon.
+        this.moonTextureLevels = [
+            {
+                name: 'low',
+                maxCameraDistance: Infinity,
+                albedo: 'assets/textures/moon-albedo-1k.jpg',
+                elevation: 'assets/textures/moon-elevation-1k.jpg'
+            },
+            {
+                name: 'high',
+                maxCameraDistance: 5.5,
+                albedo: 'assets/textures/moon-albedo-4k.jpg',
+                elevation: 'assets/textures/moon-elevation-4k.jpg'
+            }
+        ];
+        this.moonTextureCache = new Map();
+        this.moonTextureLevel = null;
+        this.moonReliefScale = { bump: 0.04, displacement: 0.03 };
 
         // UI Elements
         this.elements = {};
@@ -77,14 +249,20 @@ class LunarNexus {
         console.log('🌙 Initializing Lunar Nexus Observatory...');
         
         this.cacheElements();
+        this.loadSettings();
         this.setupEventListeners();
-        this.initializeLocation();
         await this.initialize3DMoon();
+        this.applyUrlState(this.readUrlState());
+        this.initializeLocation();
         this.updateDisplay();
         this.generateForecast();
+        this.resetEphemerisRange();
+        this.resetAlignmentForm();
         this.populateEducationalContent();
         this.startPerformanceMonitoring();
         this.startRealTimeUpdates();
+        this.urlState = this.serializeUrlState();
+        history.replaceState({ urlState: this.urlState }, '');
         
         this.showToast('🚀 Lunar Nexus Observatory Online!', 'success');
         console.log('✨ Observatory initialization complete');
@@ -94,17 +272,36 @@ class LunarNexus {
         const elementIds = [
             'currentPhaseName', 'currentPhaseEmoji', 'currentPhaseDesc',
             'illuminationValue', 'illuminationProgress', 'distanceValue', 'distanceSubtext',
-            'lunarAge', 'nextPhaseName', 'nextPhaseTime',
+            'nextPerigee', 'nextApogee', 'moonSizeStatus', 'moonSizeDefinition',
+            'lunarAge', 'nextPhaseName', 'nextPhaseTime', 'nextPhaseCountdown',
             'moonriseTime', 'moonsetTime', 'moonAltitude', 'moonAzimuth', 
             'bestViewingTime', 'moonConstellation',
             'dateInput', 'todayBtn', 'prevDay', 'nextDay', 'prevWeek', 'nextWeek',
-            'forecastGrid', 'forecastContainer', 'expandForecast',
-            'latitudeInput', 'longitudeInput', 'detectLocationBtn', 'locationStatus',
+            'timeInput', 'timeSlider', 'timeSliderLabel', 'prevHour', 'nextHour',
+            'forecastGrid', 'forecastContainer', 'expandForecast', 'eclipseList',
+            'forecastTitle', 'forecastSubtitle', 'forecastRange',
+            'calendarGrid', 'calendarTitle', 'calendarPrev', 'calendarNext', 'calendarPrevYear', 'calendarNextYear', 'calendarMonthCount',
+            'latitudeInput', 'longitudeInput', 'elevationInput', 'detectLocationBtn', 'locationStatus',
+            'placeSearch', 'placeResults',
+            'siteSelect', 'siteName', 'saveSiteBtn', 'deleteSiteBtn', 'exportSitesBtn', 'importSitesBtn', 'importSitesFile',
+            'horizonCanvas', 'horizonInput', 'horizonSummary', 'applyHorizonBtn', 'clearHorizonBtn',
+            'exportHorizonBtn', 'importHorizonBtn', 'importHorizonFile',
+            'unitsSelect', 'timeFormatSelect', 'displayZoneSelect', 'themeSelect',
             'timeZone', 'localTime', 'locationInfo',
-            'helpBtn', 'helpModal', 'closeModal', 'shareBtn', 'shareModal', 'closeShareModal',
+            'helpBtn', 'helpModal', 'closeModal', 'shareBtn', 'shareModal', 'closeShareModal', 'calendarExportRange',
             'themeToggle', 'locationBtn',
             'moon3DContainer', 'moon3DCanvas', 'moonLoading',
-            'moonRotateBtn', 'moonZoomBtn', 'moonResetBtn',
+            'moonRotateBtn', 'moonZoomBtn', 'moonResetBtn', 'moonOrientationBtn',
+            'moonLibration', 'moonAxisAngle', 'moonPickInfo',
+            'moonLabelsBtn', 'moonLabels', 'featureSearch', 'featureNames', 'terminatorSummary', 'featuresContainer',
+            'sunAltitude', 'sunAzimuth', 'sunriseTime', 'sunsetTime', 'civilTwilight', 'nauticalTwilight',
+            'astronomicalTwilight', 'darkWindowTime', 'nightTimeline',
+            'ephemerisStart', 'ephemerisEnd', 'ephemerisStep', 'ephemerisStepUnit', 'ephemerisGenerate',
+            'ephemerisCsv', 'ephemerisJson', 'ephemerisStatus', 'ephemerisTable',
+            'plannerGoal', 'plannerNights', 'plannerGenerate', 'plannerStatus', 'plannerResults',
+            'alignCameraLat', 'alignCameraLng', 'alignCameraElevation', 'alignTargetLat', 'alignTargetLng', 'alignTargetElevation',
+            'alignStart', 'alignEnd', 'alignTolerance', 'alignFocalLength', 'alignUseSite', 'alignSearch',
+            'alignmentStatus', 'alignmentResults',
             'phasesShowcase', 'factsContainer', 'mythologyContainer', 'photographyContainer',
             'performanceIndicator', 'fpsCounter', 'toastContainer'
         ];
@@ -129,6 +326,24 @@ class LunarNexus {
             this.elements.dateInput.addEventListener('input', (e) => this.handleDateChange(e));
         }
         
+        if (this.elements.timeInput) {
+            this.elements.timeInput.addEventListener('change', (e) => this.handleTimeChange(e.target.value, true));
+        }
+
+        // Scrubbing updates the observatory live; the forecast is rebuilt once the slider is released
+        if (this.elements.timeSlider) {
+            this.elements.timeSlider.addEventListener('input', (e) => this.handleTimeSlider(e.target.value, false));
+            this.elements.timeSlider.addEventListener('change', (e) => this.handleTimeSlider(e.target.value, true));
+        }
+
+        if (this.elements.prevHour) {
+            this.elements.prevHour.addEventListener('click', () => this.navigateTime(-60));
+        }
+
+        if (this.elements.nextHour) {
+            this.elements.nextHour.addEventListener('click', () => this.navigateTime(60));
+        }
+
         if (this.elements.todayBtn) {
             this.elements.todayBtn.addEventListener('click', () => this.goToToday());
         }
@@ -157,6 +372,14 @@ class LunarNexus {
             });
         });
 
+        if (this.elements.moonSizeDefinition) {
+            this.elements.moonSizeDefinition.addEventListener('change', (e) => {
+                this.moonSizeDefinition.method = e.target.value;
+                this.updateDisplay();
+                this.generateForecast();
+            });
+        }
+
         // Location handling
         if (this.elements.latitudeInput) {
             this.elements.latitudeInput.addEventListener('input', () => this.updateLocation());
@@ -166,6 +389,20 @@ class LunarNexus {
             this.elements.longitudeInput.addEventListener('input', () => this.updateLocation());
         }
         
+        if (this.elements.elevationInput) {
+            this.elements.elevationInput.addEventListener('change', () => this.updateElevation());
+        }
+        if (this.elements.placeSearch) {
+            this.elements.placeSearch.addEventListener('input', () => this.renderPlaceResults());
+            this.elements.placeSearch.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && this.placeResults.length) {
+                    e.preventDefault();
+                    this.selectPlace(this.placeResults[0]);
+                } else if (e.key === 'Escape') {
+                    this.clearPlaceSearch();
+                }
+            });
+        }
         if (this.elements.detectLocationBtn) {
             this.elements.detectLocationBtn.addEventListener('click', () => this.detectLocation());
         }
@@ -175,6 +412,75 @@ class LunarNexus {
             this.elements.locationBtn.addEventListener('click', () => this.detectLocation());
         }
 
+        // Saved sites
+        if (this.elements.siteSelect) {
+            this.elements.siteSelect.addEventListener('change', (e) => this.selectSite(e.target.value));
+        }
+        if (this.elements.saveSiteBtn) {
+            this.elements.saveSiteBtn.addEventListener('click', () => this.saveCurrentSite());
+        }
+        if (this.elements.deleteSiteBtn) {
+            this.elements.deleteSiteBtn.addEventListener('click', () => this.deleteActiveSite());
+        }
+        if (this.elements.exportSitesBtn) {
+            this.elements.exportSitesBtn.addEventListener('click', () => this.exportSites());
+        }
+        if (this.elements.importSitesBtn && this.elements.importSitesFile) {
+            this.elements.importSitesBtn.addEventListener('click', () => this.elements.importSitesFile.click());
+            this.elements.importSitesFile.addEventListener('change', (e) => {
+                if (e.target.files[0]) this.importSites(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+
+        // Horizon profile
+        if (this.elements.horizonCanvas) {
+            this.elements.horizonCanvas.addEventListener('click', (e) => this.editHorizonPoint(e, false));
+            this.elements.horizonCanvas.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.editHorizonPoint(e, true);
+            });
+        }
+        if (this.elements.applyHorizonBtn) {
+            this.elements.applyHorizonBtn.addEventListener('click', () => this.applyHorizonText());
+        }
+        if (this.elements.clearHorizonBtn) {
+            this.elements.clearHorizonBtn.addEventListener('click', () => {
+                this.setHorizon([]);
+                this.showToast('Using a flat horizon', 'info');
+            });
+        }
+        if (this.elements.exportHorizonBtn) {
+            this.elements.exportHorizonBtn.addEventListener('click', () => this.exportHorizon());
+        }
+        if (this.elements.importHorizonBtn && this.elements.importHorizonFile) {
+            this.elements.importHorizonBtn.addEventListener('click', () => this.elements.importHorizonFile.click());
+            this.elements.importHorizonFile.addEventListener('change', (e) => {
+                if (e.target.files[0]) this.importHorizon(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+
+        // Preferences
+        if (this.elements.unitsSelect) {
+            this.elements.unitsSelect.addEventListener('change', (e) => this.setPreference('units', e.target.value));
+        }
+        if (this.elements.timeFormatSelect) {
+            this.elements.timeFormatSelect.addEventListener('change', (e) => this.setPreference('timeFormat', e.target.value));
+        }
+        if (this.elements.displayZoneSelect) {
+            this.elements.displayZoneSelect.addEventListener('change', (e) => this.setPreference('displayZone', e.target.value));
+        }
+        if (this.elements.themeSelect) {
+            this.elements.themeSelect.addEventListener('change', (e) => this.setPreference('theme', e.target.value));
+        }
+        if (this.elements.themeToggle) {
+            this.elements.themeToggle.addEventListener('click', () => {
+                const next = this.themes[(this.themes.indexOf(this.preferences.theme) + 1) % this.themes.length];
+                this.setPreference('theme', next);
+            });
+        }
+
         // Modal controls
         if (this.elements.helpBtn) {
             this.elements.helpBtn.addEventListener('click', (e) => {
@@ -217,6 +523,21 @@ class LunarNexus {
             this.elements.moonResetBtn.addEventListener('click', () => this.resetMoonView());
         }
 
+        if (this.elements.moonOrientationBtn) {
+            this.elements.moonOrientationBtn.addEventListener('click', () => this.toggleMoonOrientation());
+        }
+
+        if (this.elements.moonLabelsBtn) {
+            this.elements.moonLabelsBtn.addEventListener('click', () => this.toggleMoonLabels());
+        }
+
+        if (this.elements.featureSearch) {
+            this.elements.featureSearch.addEventListener('change', () => this.handleFeatureSearch());
+            this.elements.featureSearch.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.handleFeatureSearch();
+            });
+        }
+
         // Education tabs
         this.elements.eduTabs?.forEach(tab => {
             tab.addEventListener('click', (e) => {
@@ -230,10 +551,66 @@ class LunarNexus {
             this.elements.expandForecast.addEventListener('click', () => this.toggleForecastExpansion());
         }
 
+        // Forecast range and card content
+        if (this.elements.forecastRange) {
+            this.elements.forecastRange.addEventListener('change', (e) => this.setForecastRange(e.target.value));
+        }
+        document.querySelectorAll('[data-forecast-field]').forEach(input => {
+            input.addEventListener('change', () => this.setForecastField(input.dataset.forecastField, input.checked));
+        });
+
+        // Lunar calendar
+        if (this.elements.calendarPrev) {
+            this.elements.calendarPrev.addEventListener('click', () => this.shiftCalendar(-this.calendarMonthCount));
+        }
+        if (this.elements.calendarNext) {
+            this.elements.calendarNext.addEventListener('click', () => this.shiftCalendar(this.calendarMonthCount));
+        }
+        if (this.elements.calendarPrevYear) {
+            this.elements.calendarPrevYear.addEventListener('click', () => this.shiftCalendar(-12));
+        }
+        if (this.elements.calendarNextYear) {
+            this.elements.calendarNextYear.addEventListener('click', () => this.shiftCalendar(12));
+        }
+        if (this.elements.calendarMonthCount) {
+            this.elements.calendarMonthCount.addEventListener('change', (e) => this.setCalendarMonthCount(parseInt(e.target.value, 10)));
+        }
+
+        // Observation planner
+        if (this.elements.plannerGenerate) {
+            this.elements.plannerGenerate.addEventListener('click', () => this.handlePlanGenerate());
+        }
+
+        // Landmark alignment
+        if (this.elements.alignUseSite) {
+            this.elements.alignUseSite.addEventListener('click', () => this.useSiteAsCamera());
+        }
+        if (this.elements.alignSearch) {
+            this.elements.alignSearch.addEventListener('click', () => this.handleAlignmentSearch());
+        }
+
+        // Ephemeris table
+        if (this.elements.ephemerisGenerate) {
+            this.elements.ephemerisGenerate.addEventListener('click', () => this.handleEphemerisGenerate());
+        }
+        if (this.elements.ephemerisCsv) {
+            this.elements.ephemerisCsv.addEventListener('click', () => this.downloadEphemeris('csv'));
+        }
+        if (this.elements.ephemerisJson) {
+            this.elements.ephemerisJson.addEventListener('click', () => this.downloadEphemeris('json'));
+        }
+        if (this.elements.ephemerisTable) {
+            this.elements.ephemerisTable.addEventListener('click', (e) => {
+                const header = e.target.closest('th[data-key]');
+                if (header) this.sortEphemeris(header.dataset.key);
+            });
+        }
+
         // Share options
         const shareTwitter = document.getElementById('shareTwitter');
         const shareFacebook = document.getElementById('shareFacebook');
         const downloadScreenshot = document.getElementById('downloadScreenshot');
+        const downloadCalendar = document.getElementById('downloadCalendar');
         const copyLink = document.getElementById('copyLink');
         
         if (shareTwitter) {
@@ -247,6 +624,10 @@ class LunarNexus {
         if (downloadScreenshot) {
             downloadScreenshot.addEventListener('click', () => this.downloadScreenshot());
         }
+
+        if (downloadCalendar) {
+            downloadCalendar.addEventListener('click', () => this.downloadCalendar(downloadCalendar));
+        }
         
         if (copyLink) {
             copyLink.addEventListener('click', () => this.copyLink());
@@ -255,6 +636,9 @@ class LunarNexus {
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyboard(e));
 
+        // Back/forward through the views recorded in the URL
+        window.addEventListener('popstate', (e) => this.restoreUrlState(e.state));
+
         // Modal backdrop clicks
         if (this.elements.helpModal) {
             this.elements.helpModal.addEventListener('click', (e) => {
@@ -278,367 +662,3335 @@ class LunarNexus {
 
     // Advanced Astronomical Calculations
     calculateMoonPhase(date) {
+        const cacheKey = date.getTime();
+        if (this.phaseCache.has(cacheKey)) {
+            return this.phaseCache.get(cacheKey);
+        }
+
         const julianDay = this.dateToJulianDay(date);
-        const daysSinceNewMoon = (julianDay - this.astroConstants.newMoonEpoch) % this.astroConstants.synodicMonth;
-        
-        // Calculate illumination with enhanced precision
-        const phaseAngle = (daysSinceNewMoon / this.astroConstants.synodicMonth) * 2 * Math.PI;
-        let illumination = (1 - Math.cos(phaseAngle)) * 50;
-        
-        // Determine phase index with smooth transitions
-        let phaseIndex = Math.floor((daysSinceNewMoon / this.astroConstants.synodicMonth) * 8) % 8;
-        
-        // Calculate lunar distance with elliptical orbit
-        const anomaly = ((julianDay - this.astroConstants.j2000Epoch) / 365.25) * 2 * Math.PI;
-        const eccentricity = 0.0549; // Lunar orbit eccentricity
-        const distance = this.astroConstants.averageDistance * (1 - eccentricity * Math.cos(anomaly));
-        
-        // Calculate next phase timing
-        const daysToNextPhase = (this.astroConstants.synodicMonth / 8) - (daysSinceNewMoon % (this.astroConstants.synodicMonth / 8));
-        const nextPhaseIndex = (phaseIndex + 1) % 8;
-        
-        return {
+        const { moon, sun, elongation, phaseAngle, solarPhaseAngle, illuminatedFraction } = this.getIllumination(julianDay);
+
+        // Label from the exact principal phase instants rather than equal slices of the month
+        const synodicMonth = this.astroConstants.synodicMonth;
+        const principals = this.findPrincipalPhases(julianDay - synodicMonth - 1, julianDay + synodicMonth / 2);
+        const upcoming = principals.filter(p => p.julianDay > julianDay);
+        const previousNewMoon = principals.filter(p => p.index === 0 && p.julianDay <= julianDay).pop();
+        const phaseIndex = this.getPhaseIndex(julianDay, principals);
+
+        const nextPrincipal = upcoming[0].index === phaseIndex ? upcoming[1] : upcoming[0];
+        const nextPhaseIndex = nextPrincipal.index;
+        const daysToNextPhase = nextPrincipal.julianDay - julianDay;
+
+        const result = {
             phase: this.moonPhases[phaseIndex],
-            illumination: Math.max(0, Math.min(100, Math.round(illumination))),
-            age: Math.round(daysSinceNewMoon * 10) / 10,
-            distance: Math.round(distance),
+            illumination: Math.max(0, Math.min(100, Math.round(illuminatedFraction * 100))),
+            illuminatedFraction,
+            age: Math.round((julianDay - previousNewMoon.julianDay) * 10) / 10,
+            distance: Math.round(moon.distance),
             nextPhase: this.moonPhases[nextPhaseIndex],
             daysToNext: Math.round(daysToNextPhase * 10) / 10,
+            nextPhaseDate: nextPrincipal.date,
+            previousNewMoonDate: previousNewMoon.date,
             phaseAngle,
-            angularSize: this.calculateAngularSize(distance)
+            elongation,
+            solarPhaseAngle: solarPhaseAngle * 180 / Math.PI,
+            eclipticLongitude: moon.longitude,
+            eclipticLatitude: moon.latitude,
+            sunLongitude: sun.longitude,
+            julianDay,
+            angularSize: this.calculateAngularSize(moon.distance)
         };
-    }
 
-    calculateLunarPosition(date, lat, lng) {
-        const julianDay = this.dateToJulianDay(date);
-        const T = (julianDay - this.astroConstants.j2000Epoch) / 36525.0;
-        
-        // Lunar longitude calculation (simplified)
-        const L = 218.3164477 + 481267.88123421 * T;
-        const D = 297.8501921 + 445267.1114034 * T;
-        const M = 357.5291092 + 35999.0502909 * T;
-        const F = 93.2720950 + 483202.0175233 * T;
-        
-        // Convert to radians and normalize
-        const Lrad = (L % 360) * Math.PI / 180;
-        const latRad = lat * Math.PI / 180;
-        const lngRad = lng * Math.PI / 180;
-        
-        // Calculate local sidereal time
-        const GMST = 280.46061837 + 360.98564736629 * (julianDay - this.astroConstants.j2000Epoch);
-        const LST = ((GMST + lng) % 360) * Math.PI / 180;
-        
-        // Hour angle and altitude/azimuth calculation
-        const hourAngle = LST - Lrad;
-        const altitude = Math.asin(Math.sin(latRad) * Math.sin(Lrad) + 
-                                  Math.cos(latRad) * Math.cos(Lrad) * Math.cos(hourAngle));
-        const azimuth = Math.atan2(-Math.sin(hourAngle), 
-                                   Math.cos(latRad) * Math.tan(Lrad) - Math.sin(latRad) * Math.cos(hourAngle));
-        
-        return {
-            altitude: altitude * 180 / Math.PI,
-            azimuth: ((azimuth * 180 / Math.PI) + 360) % 360,
-            rightAscension: Lrad * 180 / Math.PI,
-            declination: Math.asin(Math.sin(Lrad)) * 180 / Math.PI
-        };
+        if (this.phaseCache.size >= 256) {
+            this.phaseCache.delete(this.phaseCache.keys().next().value);
+        }
+        this.phaseCache.set(cacheKey, result);
+        return result;
     }
 
-    calculateMoonTimes(date, lat, lng) {
-        // Enhanced moonrise/moonset calculation
-        const moonData = this.calculateMoonPhase(date);
-        const baseTime = 6 + (moonData.age / this.astroConstants.synodicMonth) * 24;
-        
-        // Adjust for geographic location
-        const timeZoneOffset = lng / 15;
-        const latitudeAdjustment = Math.sin(lat * Math.PI / 180) * 2;
-        const seasonalAdjustment = Math.sin((this.getDayOfYear(date) / 365) * 2 * Math.PI) * 0.5;
-        
-        let riseTime = baseTime - timeZoneOffset + latitudeAdjustment + seasonalAdjustment;
-        let setTime = riseTime + 12.4; // Average time moon is above horizon
-        
-        // Normalize times
-        riseTime = ((riseTime % 24) + 24) % 24;
-        setTime = ((setTime % 24) + 24) % 24;
-        
-        // Best viewing time (transit)
-        const bestViewing = (riseTime + setTime) / 2;
-        
+    // Elongation and illuminated fraction from the selenocentric phase angle (Meeus 48.2, 48.3)
+    getIllumination(julianDay) {
+        const moon = this.getLunarEphemeris(julianDay);
+        const sun = this.getSolarEphemeris(julianDay);
+
+        // Elongation of the Moon from the Sun measured along the ecliptic (0° new, 180° full)
+        const elongation = this.normalizeDegrees(moon.longitude - sun.longitude);
+        const phaseAngle = elongation * Math.PI / 180;
+
+        const cosPsi = Math.cos(moon.latitude * Math.PI / 180) * Math.cos(phaseAngle);
+        const psi = Math.acos(Math.max(-1, Math.min(1, cosPsi)));
+        const sunDistance = sun.distance * this.astroConstants.astronomicalUnit;
+        const solarPhaseAngle = Math.atan2(sunDistance * Math.sin(psi), moon.distance - sunDistance * Math.cos(psi));
+
         return {
-            rise: this.formatTime(riseTime),
-            set: this.formatTime(setTime),
-            bestViewing: this.formatTime(bestViewing % 24),
-            riseRaw: riseTime,
-            setRaw: setTime
+            moon,
+            sun,
+            elongation,
+            phaseAngle,
+            solarPhaseAngle,
+            illuminatedFraction: (1 + Math.cos(solarPhaseAngle)) / 2
         };
     }
 
-    // 3D Moon Rendering System
-    async initialize3DMoon() {
-        if (!this.elements.moon3DCanvas || !window.THREE) {
-            console.warn('⚠️ Three.js or canvas not available');
-            if (this.elements.moonLoading) {
-                this.elements.moonLoading.innerHTML = '<div class="loading-text">3D Moon Unavailable</div>';
-            }
-            return;
+    // Index into moonPhases for an instant, given principal phases that bracket it: a principal
+    // phase's label within principalPhaseWindow of its exact instant, the phase after it otherwise
+    getPhaseIndex(julianDay, principals) {
+        const window = this.astroConstants.principalPhaseWindow;
+        const previousPrincipal = principals.filter(p => p.julianDay <= julianDay).pop();
+        const nextPrincipal = principals.find(p => p.julianDay > julianDay);
+
+        if (julianDay - previousPrincipal.julianDay <= window) {
+            return previousPrincipal.index;
         }
+        if (nextPrincipal.julianDay - julianDay <= window) {
+            return nextPrincipal.index;
+        }
+        return previousPrincipal.index + 1;
+    }
 
-        try {
-            // Scene setup
-            this.moonScene = new THREE.Scene();
-            this.moonCamera = new THREE.PerspectiveCamera(45, 1, 0.1, 1000);
-            this.moonRenderer = new THREE.WebGLRenderer({ 
-                canvas: this.elements.moon3DCanvas, 
-                antialias: true,
-                alpha: true
-            });
-            
-            this.moonRenderer.setSize(350, 350);
-            this.moonRenderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-            this.moonRenderer.shadowMap.enabled = true;
-            this.moonRenderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    // Exact instants of New, First Quarter, Full and Last Quarter moons between two dates
+    getPrincipalPhases(startDate, endDate) {
+        return this.findPrincipalPhases(this.dateToJulianDay(startDate), this.dateToJulianDay(endDate));
+    }
 
-            // Create moon geometry with high detail
-            const moonGeometry = new THREE.SphereGeometry(2, 64, 64);
-            
-            // Advanced moon material with realistic texturing
-            const moonMaterial = new THREE.MeshPhongMaterial({
-                color: 0xffffff,
-                shininess: 5,
-                transparent: true
-            });
+    // Next principal phase strictly after the given date
+    getNextPrincipalPhase(date) {
+        const julianDay = this.dateToJulianDay(date);
+        return this.findPrincipalPhases(julianDay, julianDay + this.astroConstants.synodicMonth / 2)
+            .find(p => p.julianDay > julianDay);
+    }
 
-            // Create procedural moon surface texture
-            const canvas = document.createElement('canvas');
-            canvas.width = 512;
-            canvas.height = 512;
-            const ctx = canvas.getContext('2d');
-            
-            // Base moon color
-            const gradient = ctx.createRadialGradient(256, 256, 0, 256, 256, 256);
-            gradient.addColorStop(0, '#f8f8ff');
-            gradient.addColorStop(0.7, '#e8e8e8');
-            gradient.addColorStop(1, '#d0d0d0');
-            ctx.fillStyle = gradient;
-            ctx.fillRect(0, 0, 512, 512);
-            
-            // Add craters and surface features
-            this.addMoonCraters(ctx);
-            
-            const texture = new THREE.CanvasTexture(canvas);
-            moonMaterial.map = texture;
+    findPrincipalPhases(startJD, endJD) {
+        const synodicMonth = this.astroConstants.synodicMonth;
+        const elongation = this.getMoonElongation(startJD);
+        let quarter = Math.floor(elongation / 90);
+        let instant = this.findPhaseInstant(startJD - ((elongation - quarter * 90) / 360) * synodicMonth, quarter * 90);
+        const phases = [];
 
-            // Create moon mesh
-            this.moonMesh = new THREE.Mesh(moonGeometry, moonMaterial);
-            this.moonMesh.castShadow = true;
-            this.moonMesh.receiveShadow = true;
-            this.moonScene.add(this.moonMesh);
+        while (instant <= endJD) {
+            if (instant >= startJD) {
+                const index = (quarter % 4) * 2;
+                phases.push({
+                    index,
+                    phase: this.moonPhases[index],
+                    name: this.moonPhases[index].name,
+                    julianDay: instant,
+                    date: this.julianDateToDate(instant)
+                });
+            }
+            quarter++;
+            instant = this.findPhaseInstant(instant + synodicMonth / 4, (quarter % 4) * 90);
+        }
 
-            // Lighting setup
-            const ambientLight = new THREE.AmbientLight(0x404040, 0.3);
-            this.moonScene.add(ambientLight);
+        return phases;
+    }
 
-            const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-            directionalLight.position.set(5, 5, 5);
-            directionalLight.castShadow = true;
-            directionalLight.shadow.mapSize.width = 2048;
-            directionalLight.shadow.mapSize.height = 2048;
-            this.moonScene.add(directionalLight);
+    // Perigees and apogees between two dates, refined to the minute
+    getLunarApsides(startDate, endDate) {
+        return this.findLunarApsides(this.dateToJulianDay(startDate), this.dateToJulianDay(endDate));
+    }
 
-            // Camera positioning
-            this.moonCamera.position.set(0, 0, 8);
-            this.moonCamera.lookAt(0, 0, 0);
+    // Next perigee and apogee strictly after the given date
+    getNextApsides(date) {
+        const julianDay = this.dateToJulianDay(date);
+        const apsides = this.findLunarApsides(julianDay, julianDay + 32);
+        return {
+            perigee: apsides.find(a => a.type === 'perigee'),
+            apogee: apsides.find(a => a.type === 'apogee')
+        };
+    }
 
-            // Hide loading indicator
-            if (this.elements.moonLoading) {
-                this.elements.moonLoading.style.display = 'none';
-            }
+    findLunarApsides(startJD, endJD) {
+        const distanceAt = (jd) => this.getLunarEphemeris(jd).distance;
+        const step = 0.5;
+        const apsides = [];
 
-            this.is3DMoonReady = true;
-            this.animate3DMoon();
-            
-            console.log('✨ 3D Moon rendering initialized');
-        } catch (error) {
-            console.error('❌ Failed to initialize 3D moon:', error);
-            this.showToast('3D Moon rendering unavailable', 'error');
-            if (this.elements.moonLoading) {
-                this.elements.moonLoading.innerHTML = '<div class="loading-text">3D Moon Failed to Load</div>';
+        let previous = distanceAt(startJD - step);
+        let current = distanceAt(startJD);
+        for (let jd = startJD; jd <= endJD; jd += step) {
+            const next = distanceAt(jd + step);
+            let type = null;
+            if (current <= previous && current < next) type = 'perigee';
+            if (current >= previous && current > next) type = 'apogee';
+
+            if (type) {
+                const sign = type === 'perigee' ? 1 : -1;
+                const instant = this.findMinimum((t) => sign * distanceAt(t), jd - step, jd + step);
+                if (instant >= startJD && instant <= endJD) {
+                    apsides.push({
+                        type,
+                        julianDay: instant,
+                        date: this.julianDateToDate(instant),
+                        distance: Math.round(distanceAt(instant))
+                    });
+                }
             }
+
+            previous = current;
+            current = next;
         }
+
+        return apsides;
     }
 
-    addMoonCraters(ctx) {
-        // Add realistic crater patterns
-        const craters = [
-            { x: 150, y: 120, radius: 25, depth: 0.3 },
-            { x: 350, y: 200, radius: 35, depth: 0.4 },
-            { x: 200, y: 350, radius: 20, depth: 0.2 },
-            { x: 400, y: 100, radius: 15, depth: 0.25 },
-            { x: 100, y: 300, radius: 30, depth: 0.35 }
-        ];
+    // Classify a New or Full Moon as 'supermoon', 'micromoon' or null under moonSizeDefinition
+    classifyMoonSize(principalPhase) {
+        if (principalPhase.index !== 0 && principalPhase.index !== 4) return null;
 
-        craters.forEach(crater => {
-            const gradient = ctx.createRadialGradient(
-                crater.x, crater.y, 0,
-                crater.x, crater.y, crater.radius
-            );
-            gradient.addColorStop(0, `rgba(100, 100, 100, ${crater.depth})`);
-            gradient.addColorStop(0.8, `rgba(120, 120, 120, ${crater.depth * 0.5})`);
-            gradient.addColorStop(1, 'transparent');
-            
-            ctx.fillStyle = gradient;
-            ctx.beginPath();
-            ctx.arc(crater.x, crater.y, crater.radius, 0, Math.PI * 2);
-            ctx.fill();
-        });
+        const definition = this.moonSizeDefinition;
+        const distance = this.getLunarEphemeris(principalPhase.julianDay).distance;
 
-        // Add smaller surface details
-        for (let i = 0; i < 50; i++) {
-            const x = Math.random() * 512;
-            const y = Math.random() * 512;
-            const radius = Math.random() * 8 + 2;
-            const alpha = Math.random() * 0.2 + 0.1;
-            
-            ctx.fillStyle = `rgba(80, 80, 80, ${alpha})`;
-            ctx.beginPath();
-            ctx.arc(x, y, radius, 0, Math.PI * 2);
-            ctx.fill();
+        if (definition.method === 'nolle') {
+            // Extremes of the orbit around this syzygy
+            const apsides = this.findLunarApsides(principalPhase.julianDay - 15, principalPhase.julianDay + 15);
+            const perigees = apsides.filter(a => a.type === 'perigee').map(a => a.distance);
+            const apogees = apsides.filter(a => a.type === 'apogee').map(a => a.distance);
+            if (!perigees.length || !apogees.length) return null;
+
+            const perigee = Math.min(...perigees);
+            const apogee = Math.max(...apogees);
+            const margin = (1 - definition.nolleFraction) * (apogee - perigee);
+            if (distance <= perigee + margin) return 'supermoon';
+            if (distance >= apogee - margin) return 'micromoon';
+            return null;
         }
-    }
 
-    animate3DMoon() {
-        if (!this.is3DMoonReady) return;
+        if (distance <= definition.supermoonDistance) return 'supermoon';
+        if (distance >= definition.micromoonDistance) return 'micromoon';
+        return null;
+    }
 
-        const animate = () => {
-            this.animationFrameId = requestAnimationFrame(animate);
-            
-            // Update moon phase shadow
-            const moonData = this.calculateMoonPhase(this.selectedDate);
-            const shadowRotation = (moonData.phaseAngle / (2 * Math.PI)) * Math.PI * 2;
-            
-            // Rotate moon slowly
-            this.moonMesh.rotation.y += 0.005;
-            
-            // Update lighting based on phase
-            const lights = this.moonScene.children.filter(child => child.type === 'DirectionalLight');
-            if (lights.length > 0) {
-                const light = lights[0];
-                light.position.x = Math.cos(shadowRotation) * 5;
-                light.position.z = Math.sin(shadowRotation) * 5;
-            }
-            
-            this.moonRenderer.render(this.moonScene, this.moonCamera);
-            this.updatePerformanceMonitor();
+    // Full Moons between two Julian Days with their traditional names; a second Full Moon
+    // in one calendar month of the observer's time zone is a Blue Moon
+    findNamedFullMoons(startJD, endJD) {
+        const synodicMonth = this.astroConstants.synodicMonth;
+        const timeZone = this.userLocation.timezone;
+        // Neighbours beyond the range settle the Harvest Moon and Blue Moons at its edges
+        const fullMoons = this.findPrincipalPhases(startJD - 1.5 * synodicMonth, endJD + 1.5 * synodicMonth)
+            .filter(phase => phase.index === 4);
+        const equinoxDistance = fullMoons.map(phase => Math.abs(this.getSolarEphemeris(phase.julianDay).longitude - 180));
+        const isHarvest = (i) => i >= 0 && equinoxDistance[i] < 90 &&
+            equinoxDistance[i] < (i > 0 ? equinoxDistance[i - 1] : Infinity) &&
+            equinoxDistance[i] <= (i < fullMoons.length - 1 ? equinoxDistance[i + 1] : Infinity);
+        const localMonth = (date) => {
+            const local = new Date(date.getTime() + this.getTimeZoneOffset(date, timeZone) * 60000);
+            return local.getUTCFullYear() * 12 + local.getUTCMonth();
         };
-        
-        animate();
+
+        return fullMoons.map((phase, i) => {
+            const month = localMonth(phase.date);
+            const blueMoon = i > 0 && localMonth(fullMoons[i - 1].date) === month;
+            let fullMoonName = blueMoon ? 'Blue Moon' : this.fullMoonNames[month % 12];
+            if (isHarvest(i)) fullMoonName = 'Harvest Moon';
+            if (isHarvest(i - 1)) fullMoonName = "Hunter's Moon";
+            return { ...phase, fullMoonName, blueMoon };
+        }).filter(phase => phase.julianDay >= startJD && phase.julianDay <= endJD);
     }
 
-    // User Interface Management
-    updateDisplay() {
-        const moonData = this.calculateMoonPhase(this.selectedDate);
-        const moonTimes = this.calculateMoonTimes(this.selectedDate, this.userLocation.lat, this.userLocation.lng);
-        const lunarPosition = this.calculateLunarPosition(this.selectedDate, this.userLocation.lat, this.userLocation.lng);
+    // Geocentric apparent ecliptic coordinates of the Moon for a UT Julian Day (Meeus chapter 47)
+    getLunarEphemeris(julianDay) {
+        const jde = julianDay + this.getDeltaT(julianDay) / 86400;
+        const T = (jde - this.astroConstants.j2000Epoch) / 36525.0;
+        const toRad = Math.PI / 180;
 
-        // Update phase information
-        if (this.elements.currentPhaseName) {
-            this.elements.currentPhaseName.textContent = moonData.phase.name;
-        }
-        if (this.elements.currentPhaseEmoji) {
-            this.elements.currentPhaseEmoji.textContent = moonData.phase.emoji;
-        }
-        if (this.elements.currentPhaseDesc) {
-            this.elements.currentPhaseDesc.textContent = moonData.phase.description;
-        }
+        const Lp = this.normalizeDegrees(218.3164477 + 481267.88123421 * T - 0.0015786 * T * T + T * T * T / 538841 - T * T * T * T / 65194000);
+        const D = this.normalizeDegrees(297.8501921 + 445267.1114034 * T - 0.0018819 * T * T + T * T * T / 545868 - T * T * T * T / 113065000);
+        const M = this.normalizeDegrees(357.5291092 + 35999.0502909 * T - 0.0001536 * T * T + T * T * T / 24490000);
+        const Mp = this.normalizeDegrees(134.9633964 + 477198.8675055 * T + 0.0087414 * T * T + T * T * T / 69699 - T * T * T * T / 14712000);
+        const F = this.normalizeDegrees(93.2720950 + 483202.0175233 * T - 0.0036539 * T * T - T * T * T / 3526000 + T * T * T * T / 863310000);
+        const A1 = this.normalizeDegrees(119.75 + 131.849 * T);
+        const A2 = this.normalizeDegrees(53.09 + 479264.290 * T);
+        const A3 = this.normalizeDegrees(313.45 + 481266.484 * T);
+        const E = 1 - 0.002516 * T - 0.0000074 * T * T;
 
-        // Update data cards with smooth animations
-        this.updateDataCard('illuminationValue', `${moonData.illumination}%`);
-        this.updateProgressBar('illuminationProgress', moonData.illumination);
-        this.updateDataCard('distanceValue', `${moonData.distance.toLocaleString()}`);
-        this.updateDataCard('distanceSubtext', 'km from Earth');
-        this.updateDataCard('lunarAge', `${moonData.age} days`);
-        this.updateDataCard('nextPhaseName', moonData.nextPhase.name);
-        this.updateDataCard('nextPhaseTime', `in ${moonData.daysToNext} days`);
+        // Terms involving the Sun's anomaly are damped by the decreasing eccentricity of Earth's orbit
+        const eccentricityFactor = (m) => Math.abs(m) === 2 ? E * E : Math.abs(m) === 1 ? E : 1;
 
-        // Update astronomical data
-        this.updateDataCard('moonriseTime', moonTimes.rise);
-        this.updateDataCard('moonsetTime', moonTimes.set);
-        this.updateDataCard('bestViewingTime', moonTimes.bestViewing);
-        this.updateDataCard('moonAltitude', `${Math.round(lunarPosition.altitude)}°`);
+        let sumL = 0;
+        let sumR = 0;
+        this.lunarSeries.longitudeDistance.forEach(([d, m, mp, f, l, r]) => {
+            const arg = (d * D + m * M + mp * Mp + f * F) * toRad;
+            const factor = eccentricityFactor(m);
+            sumL += l * factor * Math.sin(arg);
+            sumR += r * factor * Math.cos(arg);
+        });
+
+        let sumB = 0;
+        this.lunarSeries.latitude.forEach(([d, m, mp, f, b]) => {
+            sumB += b * eccentricityFactor(m) * Math.sin((d * D + m * M + mp * Mp + f * F) * toRad);
+        });
+
+        sumL += 3958 * Math.sin(A1 * toRad) + 1962 * Math.sin((Lp - F) * toRad) + 318 * Math.sin(A2 * toRad);
+        sumB += -2235 * Math.sin(Lp * toRad) + 382 * Math.sin(A3 * toRad) +
+                175 * Math.sin((A1 - F) * toRad) + 175 * Math.sin((A1 + F) * toRad) +
+                127 * Math.sin((Lp - Mp) * toRad) - 115 * Math.sin((Lp + Mp) * toRad);
+
+        const nutation = this.getNutation(T);
+
+        return {
+            longitude: this.normalizeDegrees(Lp + sumL / 1000000 + nutation.longitude),
+            latitude: sumB / 1000000,
+            distance: 385000.56 + sumR / 1000, // km
+            meanElongation: D,
+            sunAnomaly: M,
+            moonAnomaly: Mp,
+            argumentOfLatitude: F,
+            T
+        };
+    }
+
+    // Geocentric apparent ecliptic longitude and distance of the Sun (Meeus chapter 25, low accuracy)
+    getSolarEphemeris(julianDay) {
+        const jde = julianDay + this.getDeltaT(julianDay) / 86400;
+        const T = (jde - this.astroConstants.j2000Epoch) / 36525.0;
+        const toRad = Math.PI / 180;
+
+        const L0 = this.normalizeDegrees(280.46646 + 36000.76983 * T + 0.0003032 * T * T);
+        const M = this.normalizeDegrees(357.52911 + 35999.05029 * T - 0.0001537 * T * T);
+        const e = 0.016708634 - 0.000042037 * T - 0.0000001267 * T * T;
+        const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * Math.sin(M * toRad) +
+                  (0.019993 - 0.000101 * T) * Math.sin(2 * M * toRad) +
+                  0.000289 * Math.sin(3 * M * toRad);
+        const trueLongitude = L0 + C;
+        const trueAnomaly = M + C;
+        const omega = 125.04 - 1934.136 * T;
+
+        return {
+            longitude: this.normalizeDegrees(trueLongitude - 0.00569 - 0.00478 * Math.sin(omega * toRad)),
+            distance: 1.000001018 * (1 - e * e) / (1 + e * Math.cos(trueAnomaly * toRad)), // AU
+            meanAnomaly: M,
+            T
+        };
+    }
+
+    // Principal terms of the nutation in longitude and obliquity, in degrees (Meeus chapter 22)
+    getNutation(T) {
+        const toRad = Math.PI / 180;
+        const omega = (125.04452 - 1934.136261 * T) * toRad;
+        const L = (280.4665 + 36000.7698 * T) * toRad;
+        const Lp = (218.3165 + 481267.8813 * T) * toRad;
+
+        return {
+            longitude: (-17.20 * Math.sin(omega) - 1.32 * Math.sin(2 * L) - 0.23 * Math.sin(2 * Lp) + 0.21 * Math.sin(2 * omega)) / 3600,
+            obliquity: (9.20 * Math.cos(omega) + 0.57 * Math.cos(2 * L) + 0.10 * Math.cos(2 * Lp) - 0.09 * Math.cos(2 * omega)) / 3600
+        };
+    }
+
+    // Difference between Terrestrial Time and Universal Time in seconds (Espenak & Meeus polynomials)
+    getDeltaT(julianDay) {
+        const year = 2000 + (julianDay - this.astroConstants.j2000Epoch) / 365.25;
+        const t = year - 2000;
+
+        if (year >= 1986 && year < 2005) {
+            return 63.86 + 0.3345 * t - 0.060374 * t * t + 0.0017275 * t ** 3 + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+        }
+        if (year >= 2005 && year < 2050) {
+            return 62.92 + 0.32217 * t + 0.005589 * t * t;
+        }
+        if (year >= 2050 && year < 2150) {
+            const u = (year - 1820) / 100;
+            return -20 + 32 * u * u - 0.5628 * (2150 - year);
+        }
+        if (year >= 1961 && year < 1986) {
+            const s = year - 1975;
+            return 45.45 + 1.067 * s - s * s / 260 - s ** 3 / 718;
+        }
+        const u = (year - 1820) / 100;
+        return -20 + 32 * u * u;
+    }
+
+    // Moon-Sun elongation in degrees [0, 360) for a UT Julian Day
+    getMoonElongation(julianDay) {
+        return this.normalizeDegrees(this.getLunarEphemeris(julianDay).longitude - this.getSolarEphemeris(julianDay).longitude);
+    }
+
+    // Refine the UT Julian Day at which the elongation equals targetAngle, starting near guessJD
+    findPhaseInstant(guessJD, targetAngle) {
+        const meanRate = 360 / this.astroConstants.synodicMonth; // degrees per day
+        let jd = guessJD;
+
+        for (let i = 0; i < 8; i++) {
+            let delta = targetAngle - this.getMoonElongation(jd);
+            delta = ((delta + 540) % 360) - 180;
+            jd += delta / meanRate;
+            if (Math.abs(delta) < 1e-5) break;
+        }
+
+        return jd;
+    }
+
+    calculateLunarPosition(date, lat, lng, elevation = 0) {
+        return this.getLunarPositionAt(this.dateToJulianDay(date), lat, lng, elevation);
+    }
+
+    // Ecliptic → geocentric equatorial → topocentric equatorial (Meeus chapter 40) → horizontal with refraction
+    getLunarPositionAt(julianDay, lat, lng, elevation = 0) {
+        const toRad = Math.PI / 180;
+        const moon = this.getLunarEphemeris(julianDay);
+        const obliquity = this.getTrueObliquity(moon.T);
+        const geocentric = this.eclipticToEquatorial(moon.longitude, moon.latitude, obliquity);
+
+        // Observer's geocentric position on the reference ellipsoid
+        const phi = lat * toRad;
+        const u = Math.atan(0.99664719 * Math.tan(phi));
+        const heightRatio = elevation / (this.astroConstants.earthRadius * 1000);
+        const rhoSinPhi = 0.99664719 * Math.sin(u) + heightRatio * Math.sin(phi);
+        const rhoCosPhi = Math.cos(u) + heightRatio * Math.cos(phi);
+
+        const sinParallax = this.astroConstants.earthRadius / moon.distance;
+        const localSiderealTime = this.getSiderealTime(julianDay) + lng;
+        const H = this.normalizeDegrees(localSiderealTime - geocentric.rightAscension) * toRad;
+        const delta = geocentric.declination * toRad;
+
+        const deltaAlpha = Math.atan2(-rhoCosPhi * sinParallax * Math.sin(H),
+                                      Math.cos(delta) - rhoCosPhi * sinParallax * Math.cos(H));
+        const topocentricDeclination = Math.atan2((Math.sin(delta) - rhoSinPhi * sinParallax) * Math.cos(deltaAlpha),
+                                                  Math.cos(delta) - rhoCosPhi * sinParallax * Math.cos(H));
+        const topocentricRA = this.normalizeDegrees(geocentric.rightAscension + deltaAlpha / toRad);
+
+        const horizontal = this.equatorialToHorizontal(topocentricRA, topocentricDeclination / toRad, julianDay, lat, lng);
+        const hourAngle = horizontal.hourAngle * toRad;
+        const parallacticAngle = Math.atan2(Math.sin(hourAngle),
+                                            Math.tan(phi) * Math.cos(topocentricDeclination) - Math.sin(topocentricDeclination) * Math.cos(hourAngle));
+
+        return {
+            altitude: horizontal.altitude + this.calculateRefraction(horizontal.altitude),
+            azimuth: horizontal.azimuth,
+            geometricAltitude: horizontal.altitude,
+            rightAscension: topocentricRA,
+            declination: topocentricDeclination / toRad,
+            geocentricRightAscension: geocentric.rightAscension,
+            geocentricDeclination: geocentric.declination,
+            hourAngle: horizontal.hourAngle,
+            parallacticAngle: parallacticAngle / toRad,
+            horizontalParallax: Math.asin(sinParallax) / toRad,
+            semiDiameter: Math.asin(this.astroConstants.lunarRadius / moon.distance) / toRad,
+            distance: moon.distance,
+            eclipticLongitude: moon.longitude,
+            eclipticLatitude: moon.latitude,
+            obliquity,
+            julianDay
+        };
+    }
+
+    // Atmospheric refraction in degrees for a true (airless) altitude, standard conditions (Sæmundsson)
+    calculateRefraction(altitude) {
+        if (altitude < -2) return 0;
+        const h = Math.max(altitude, -1.9);
+        return 1.02 / Math.tan((h + 10.3 / (h + 5.11)) * Math.PI / 180) / 60;
+    }
+
+    // Rise, set and upper transit found by stepping the Moon's topocentric altitude through the observer's local day.
+    // Elevation enters only through parallax: a site's height above sea level says nothing about how far its
+    // horizon is depressed, so there is no dip correction. With a horizon profile
+    // (see getHorizonAltitude) the times it clears and drops behind the local skyline are found as well, and
+    // best viewing only counts the Moon while it is in sight
+    calculateMoonTimes(date, lat, lng, elevation = 0, horizonProfile = []) {
+        const timeZone = this.userLocation.timezone;
+        const dayStart = this.getLocalDayStart(date, timeZone);
+        const dayEnd = this.getLocalDayStart(new Date(dayStart.getTime() + 36 * 3600000), timeZone);
+        const startJD = this.dateToJulianDay(dayStart);
+        const endJD = this.dateToJulianDay(dayEnd);
+        const step = 10 / 1440; // 10 minute samples
+
+        // Height of the upper limb above the apparent horizon, corrected for parallax and refraction
+        const horizon = this.astroConstants.horizonRefraction;
+        const heightOf = (position) => position.geometricAltitude + position.semiDiameter + horizon;
+        const limbHeight = (jd) => heightOf(this.getLunarPositionAt(jd, lat, lng, elevation));
+        const refine = (fn, a, b, fa) => {
+            for (let i = 0; i < 20; i++) {
+                const mid = (a + b) / 2;
+                const fm = fn(mid);
+                if ((fm > 0) === (fa > 0)) {
+                    a = mid;
+                    fa = fm;
+                } else {
+                    b = mid;
+                }
+            }
+            return (a + b) / 2;
+        };
+        const hourAngle = (jd) => this.getLunarPositionAt(jd, lat, lng, elevation).hourAngle;
+
+        // Height of the upper limb above the local skyline, which is in apparent (refracted) altitude
+        const hasProfile = horizonProfile.length > 0;
+        const clearanceOf = (position) => position.altitude + position.semiDiameter - this.getHorizonAltitude(position.azimuth, horizonProfile);
+        const limbClearance = (jd) => clearanceOf(this.getLunarPositionAt(jd, lat, lng, elevation));
+        const inSight = (height, clearance) => height > 0 && (!hasProfile || clearance > 0);
+
+        let riseJD = null;
+        let setJD = null;
+        let clearRiseJD = null;
+        let clearSetJD = null;
+        let transitJD = null;
+        // One position per sample serves the horizon, skyline and meridian tests
+        const startPosition = this.getLunarPositionAt(startJD, lat, lng, elevation);
+        let previousJD = startJD;
+        let previousHeight = heightOf(startPosition);
+        let previousClearance = hasProfile ? clearanceOf(startPosition) : previousHeight;
+        let maxHeight = previousHeight;
+        let maxVisibleHeight = inSight(previousHeight, previousClearance) ? previousHeight : -Infinity;
+        let maxVisibleJD = startJD;
+        let previousHourAngle = startPosition.hourAngle;
+
+        while (previousJD < endJD) {
+            const jd = Math.min(previousJD + step, endJD);
+            const position = this.getLunarPositionAt(jd, lat, lng, elevation);
+            const height = heightOf(position);
+            const clearance = hasProfile ? clearanceOf(position) : height;
+            const currentHourAngle = position.hourAngle;
+            maxHeight = Math.max(maxHeight, height);
+            if (inSight(height, clearance) && height > maxVisibleHeight) {
+                maxVisibleHeight = height;
+                maxVisibleJD = jd;
+            }
+
+            if (riseJD === null && previousHeight <= 0 && height > 0) {
+                riseJD = refine(limbHeight, previousJD, jd, previousHeight);
+            }
+            if (setJD === null && previousHeight > 0 && height <= 0) {
+                setJD = refine(limbHeight, previousJD, jd, previousHeight);
+            }
+            if (hasProfile && clearRiseJD === null && previousClearance <= 0 && clearance > 0) {
+                clearRiseJD = refine(limbClearance, previousJD, jd, previousClearance);
+            }
+            if (hasProfile && clearSetJD === null && previousClearance > 0 && clearance <= 0) {
+                clearSetJD = refine(limbClearance, previousJD, jd, previousClearance);
+            }
+            if (transitJD === null && previousHourAngle < 0 && currentHourAngle >= 0 && currentHourAngle - previousHourAngle < 180) {
+                transitJD = refine(hourAngle, previousJD, jd, previousHourAngle);
+            }
+
+            previousJD = jd;
+            previousHeight = height;
+            previousClearance = clearance;
+            previousHourAngle = currentHourAngle;
+        }
+
+        const noCrossing = riseJD === null && setJD === null;
+        const alwaysUp = noCrossing && maxHeight > 0;
+        const neverRises = noCrossing && maxHeight <= 0;
+        const toLocalHours = (jd) => jd === null ? null : this.getLocalClockHours(this.julianDateToDate(jd), timeZone);
+        const transitPosition = transitJD === null ? null : this.getLunarPositionAt(transitJD, lat, lng, elevation);
+        const transitAltitude = transitPosition ? transitPosition.geometricAltitude : null;
+        const transitVisible = transitPosition !== null && inSight(heightOf(transitPosition), hasProfile ? clearanceOf(transitPosition) : 1);
+
+        // Upper transit when the Moon is in sight then, otherwise the highest point at which it is in sight
+        const bestViewingJD = transitVisible ? transitJD : (maxVisibleHeight > -Infinity ? maxVisibleJD : null);
+        const bestViewingAltitude = bestViewingJD === null ? null : this.getLunarPositionAt(bestViewingJD, lat, lng, elevation).altitude;
+
+        const riseRaw = toLocalHours(riseJD);
+        const setRaw = toLocalHours(setJD);
+        const transitRaw = toLocalHours(transitJD);
+
+        // The day is the site's; the clock shown is the display zone's
+        const clockText = (jd, fallback) => this.formatClockTime(jd === null ? null : this.julianDateToDate(jd), fallback);
+        let riseText = clockText(riseJD, 'No moonrise');
+        let setText = clockText(setJD, 'No moonset');
+        if (alwaysUp) {
+            riseText = setText = 'Always up';
+        } else if (neverRises) {
+            riseText = setText = 'Never rises';
+        }
+        let clearRiseText = null;
+        let clearSetText = null;
+        if (hasProfile) {
+            const hidden = maxVisibleHeight === -Infinity;
+            clearRiseText = hidden ? 'Stays hidden' : clockText(clearRiseJD, 'Already clear');
+            clearSetText = hidden ? 'Stays hidden' : clockText(clearSetJD, 'Stays clear');
+        }
+
+        return {
+            rise: riseText,
+            set: setText,
+            clearRise: clearRiseText,
+            clearSet: clearSetText,
+            bestViewing: clockText(bestViewingJD, 'Not visible'),
+            riseRaw,
+            setRaw,
+            transitRaw,
+            riseTime: riseJD === null ? null : this.julianDateToDate(riseJD),
+            setTime: setJD === null ? null : this.julianDateToDate(setJD),
+            clearRiseTime: clearRiseJD === null ? null : this.julianDateToDate(clearRiseJD),
+            clearSetTime: clearSetJD === null ? null : this.julianDateToDate(clearSetJD),
+            transitTime: transitJD === null ? null : this.julianDateToDate(transitJD),
+            bestViewingTime: bestViewingJD === null ? null : this.julianDateToDate(bestViewingJD),
+            bestViewingAltitude,
+            transitAltitude,
+            hasRise: riseJD !== null,
+            hasSet: setJD !== null,
+            hasTransit: transitJD !== null,
+            alwaysUp,
+            neverRises
+        };
+    }
+
+    // Sunrise and sunset (upper limb on the apparent horizon) and the civil, nautical and
+    // astronomical twilight limits (centre 6°, 12° and 18° below) during the observer's local day.
+    calculateSunTimes(date, lat, lng) {
+        const timeZone = this.userLocation.timezone;
+        const dayStart = this.getLocalDayStart(date, timeZone);
+        const dayEnd = this.getLocalDayStart(new Date(dayStart.getTime() + 36 * 3600000), timeZone);
+        const startJD = this.dateToJulianDay(dayStart);
+        const endJD = this.dateToJulianDay(dayEnd);
+        const step = 10 / 1440; // 10 minute samples
+
+        const horizon = this.astroConstants.horizonRefraction;
+        const heights = {
+            sun: (sun) => sun.geometricAltitude + sun.semiDiameter + horizon,
+            civil: (sun) => sun.geometricAltitude + 6,
+            nautical: (sun) => sun.geometricAltitude + 12,
+            astronomical: (sun) => sun.geometricAltitude + 18
+        };
+        const crossings = {};
+        Object.keys(heights).forEach(key => {
+            crossings[key] = { rise: null, set: null };
+        });
+
+        let previousJD = startJD;
+        let previous = this.getSolarPositionAt(startJD, lat, lng);
+        let noonJD = startJD;
+        let noonAltitude = previous.geometricAltitude;
+        let lowestAltitude = previous.geometricAltitude;
+
+        while (previousJD < endJD) {
+            const jd = Math.min(previousJD + step, endJD);
+            const sun = this.getSolarPositionAt(jd, lat, lng);
+            if (sun.geometricAltitude > noonAltitude) {
+                noonAltitude = sun.geometricAltitude;
+                noonJD = jd;
+            }
+            lowestAltitude = Math.min(lowestAltitude, sun.geometricAltitude);
+
+            Object.entries(heights).forEach(([key, height]) => {
+                const before = height(previous);
+                const after = height(sun);
+                const heightAt = (t) => height(this.getSolarPositionAt(t, lat, lng));
+                if (crossings[key].rise === null && before <= 0 && after > 0) {
+                    crossings[key].rise = this.findRoot(heightAt, previousJD, jd, 20);
+                }
+                if (crossings[key].set === null && before > 0 && after <= 0) {
+                    crossings[key].set = this.findRoot(heightAt, previousJD, jd, 20);
+                }
+            });
+
+            previousJD = jd;
+            previous = sun;
+        }
+
+        // Highest point between the samples either side of the best one
+        noonJD = this.findMinimum((t) => -this.getSolarPositionAt(t, lat, lng).geometricAltitude, noonJD - step, noonJD + step, 20);
+
+        const toDate = (jd) => jd === null ? null : this.julianDateToDate(jd);
+        const noCrossing = crossings.sun.rise === null && crossings.sun.set === null;
+
+        return {
+            sunrise: toDate(crossings.sun.rise),
+            sunset: toDate(crossings.sun.set),
+            civilDawn: toDate(crossings.civil.rise),
+            civilDusk: toDate(crossings.civil.set),
+            nauticalDawn: toDate(crossings.nautical.rise),
+            nauticalDusk: toDate(crossings.nautical.set),
+            astronomicalDawn: toDate(crossings.astronomical.rise),
+            astronomicalDusk: toDate(crossings.astronomical.set),
+            solarNoon: toDate(noonJD),
+            noonAltitude,
+            lowestAltitude,
+            alwaysUp: noCrossing && lowestAltitude > -horizon,
+            neverRises: noCrossing && noonAltitude <= -horizon
+        };
+    }
+
+    // Sky state and Moon visibility over the noon-to-noon night containing the given instant,
+    // sampled every five minutes with each change refined by bisection. A Moon above the horizon
+    // but behind the site's skyline is 'hidden'. Dark windows are astronomical night with the Moon
+    // below the horizon, since a hidden Moon still lights the sky.
+    calculateNightTimeline(date, lat, lng, elevation = 0, horizonProfile = []) {
+        const timeZone = this.userLocation.timezone;
+        const dayStart = this.getLocalDayStart(new Date(date.getTime() - 12 * 3600000), timeZone);
+        const nextDayStart = this.getLocalDayStart(new Date(dayStart.getTime() + 36 * 3600000), timeZone);
+        const startJD = this.dateToJulianDay(dayStart) + 0.5;
+        const endJD = this.dateToJulianDay(nextDayStart) + 0.5;
+        const step = 5 / 1440;
+        const horizon = this.astroConstants.horizonRefraction;
+
+        const skyState = (jd) => {
+            const sun = this.getSolarPositionAt(jd, lat, lng);
+            if (sun.geometricAltitude + sun.semiDiameter + horizon > 0) return 'day';
+            if (sun.geometricAltitude > -6) return 'civil';
+            if (sun.geometricAltitude > -12) return 'nautical';
+            if (sun.geometricAltitude > -18) return 'astronomical';
+            return 'dark';
+        };
+        const moonState = (jd) => {
+            const moon = this.getLunarPositionAt(jd, lat, lng, elevation);
+            if (moon.geometricAltitude + moon.semiDiameter + horizon <= 0) return 'down';
+            const clearance = moon.altitude + moon.semiDiameter - this.getHorizonAltitude(moon.azimuth, horizonProfile);
+            return horizonProfile.length && clearance <= 0 ? 'hidden' : 'up';
+        };
+
+        const track = (classify) => {
+            const segments = [];
+            let state = classify(startJD);
+            let segmentStart = startJD;
+            let previousJD = startJD;
+
+            while (previousJD < endJD) {
+                const jd = Math.min(previousJD + step, endJD);
+                const next = classify(jd);
+                if (next !== state) {
+                    let low = previousJD;
+                    let high = jd;
+                    for (let i = 0; i < 10; i++) {
+                        const mid = (low + high) / 2;
+                        if (classify(mid) === state) low = mid; else high = mid;
+                    }
+                    segments.push({ state, start: segmentStart, end: high });
+                    segmentStart = high;
+                    state = next;
+                }
+                previousJD = jd;
+            }
+            segments.push({ state, start: segmentStart, end: endJD });
+            return segments;
+        };
+
+        const sky = track(skyState);
+        const moon = track(moonState);
+
+        const darkWindows = [];
+        sky.filter(segment => segment.state === 'dark').forEach(dark => {
+            moon.filter(segment => segment.state === 'down').forEach(down => {
+                const start = Math.max(dark.start, down.start);
+                const end = Math.min(dark.end, down.end);
+                if (end > start) darkWindows.push({ start, end });
+            });
+        });
+
+        const toSegment = (segment) => ({
+            ...segment,
+            start: this.julianDateToDate(segment.start),
+            end: this.julianDateToDate(segment.end),
+            startFraction: (segment.start - startJD) / (endJD - startJD),
+            endFraction: (segment.end - startJD) / (endJD - startJD)
+        });
+
+        return {
+            start: this.julianDateToDate(startJD),
+            end: this.julianDateToDate(endJD),
+            sky: sky.map(toSegment),
+            moon: moon.map(toSegment),
+            darkWindows: darkWindows.map(toSegment),
+            darkDuration: darkWindows.reduce((total, window) => total + (window.end - window.start) * 86400000, 0)
+        };
+    }
+
+    // Mean obliquity of the ecliptic plus nutation in obliquity, in degrees (Meeus 22.2)
+    getTrueObliquity(T) {
+        const meanObliquity = 23.439291111 - 0.013004167 * T - 0.00000016389 * T * T + 0.0000005036 * T * T * T;
+        return meanObliquity + this.getNutation(T).obliquity;
+    }
+
+    eclipticToEquatorial(longitude, latitude, obliquity) {
+        const toRad = Math.PI / 180;
+        const lambda = longitude * toRad;
+        const beta = latitude * toRad;
+        const epsilon = obliquity * toRad;
+
+        const rightAscension = Math.atan2(
+            Math.sin(lambda) * Math.cos(epsilon) - Math.tan(beta) * Math.sin(epsilon),
+            Math.cos(lambda)
+        );
+        const declination = Math.asin(
+            Math.sin(beta) * Math.cos(epsilon) + Math.cos(beta) * Math.sin(epsilon) * Math.sin(lambda)
+        );
+
+        return {
+            rightAscension: this.normalizeDegrees(rightAscension / toRad),
+            declination: declination / toRad
+        };
+    }
+
+    // Greenwich apparent sidereal time in degrees (Meeus 12.4 with the equation of the equinoxes)
+    getSiderealTime(julianDay) {
+        const T = (julianDay - this.astroConstants.j2000Epoch) / 36525.0;
+        const meanSiderealTime = 280.46061837 + 360.98564736629 * (julianDay - this.astroConstants.j2000Epoch) +
+                                 0.000387933 * T * T - T * T * T / 38710000;
+        const nutation = this.getNutation(T);
+        const obliquity = this.getTrueObliquity(T) * Math.PI / 180;
+        return this.normalizeDegrees(meanSiderealTime + nutation.longitude * Math.cos(obliquity));
+    }
+
+    // Geometric altitude/azimuth (azimuth from north through east) and hour angle in (-180°, 180°]
+    equatorialToHorizontal(rightAscension, declination, julianDay, lat, lng) {
+        const toRad = Math.PI / 180;
+        const localSiderealTime = this.getSiderealTime(julianDay) + lng;
+        let hourAngle = this.normalizeDegrees(localSiderealTime - rightAscension);
+        if (hourAngle > 180) hourAngle -= 360;
+
+        const H = hourAngle * toRad;
+        const phi = lat * toRad;
+        const delta = declination * toRad;
+
+        const altitude = Math.asin(Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.cos(H));
+        const azimuth = Math.atan2(-Math.cos(delta) * Math.sin(H),
+                                   Math.sin(delta) * Math.cos(phi) - Math.cos(delta) * Math.sin(phi) * Math.cos(H));
+
+        return {
+            altitude: altitude / toRad,
+            azimuth: this.normalizeDegrees(azimuth / toRad),
+            hourAngle
+        };
+    }
+
+    // Optical libration in longitude and latitude and position angle of the axis (Meeus chapter 53)
+    calculateLibration(date) {
+        const toRad = Math.PI / 180;
+        const julianDay = this.dateToJulianDay(date);
+        const moon = this.getLunarEphemeris(julianDay);
+        const T = moon.T;
+        const inclination = 1.54242 * toRad; // lunar equator to ecliptic
+        const nutation = this.getNutation(T);
+        const obliquity = this.getTrueObliquity(T) * toRad;
+
+        const node = this.getLunarAscendingNode(T);
+        const { longitude, latitude: latitudeDeg } = this.getSelenographicPoint(moon.longitude, moon.latitude, moon, nutation);
+        const latitude = latitudeDeg * toRad;
+
+        // Position angle of the rotation axis, measured from celestial north through east
+        const V = (node + nutation.longitude) * toRad;
+        const X = Math.sin(inclination) * Math.sin(V);
+        const Y = Math.sin(inclination) * Math.cos(V) * Math.cos(obliquity) - Math.cos(inclination) * Math.sin(obliquity);
+        const omega = Math.atan2(X, Y);
+        const alpha = this.eclipticToEquatorial(moon.longitude, moon.latitude, obliquity / toRad).rightAscension * toRad;
+        const positionAngle = Math.asin(Math.sqrt(X * X + Y * Y) * Math.cos(alpha - omega) / Math.cos(latitude));
+
+        return {
+            longitude,
+            latitude: latitude / toRad,
+            positionAngle: positionAngle / toRad
+        };
+    }
+
+    // Selenographic point under the Sun (Meeus chapter 53). The colongitude is the selenographic
+    // longitude of the morning terminator, measured eastward from 0° at First Quarter.
+    calculateSubsolarPoint(date) {
+        const julianDay = this.dateToJulianDay(date);
+        const moon = this.getLunarEphemeris(julianDay);
+        const sun = this.getSolarEphemeris(julianDay);
+        const nutation = this.getNutation(moon.T);
+        const toRad = Math.PI / 180;
+
+        // Heliocentric direction of the Moon, corrected from the geocentric Sun by the Moon's offset
+        const ratio = moon.distance / (sun.distance * this.astroConstants.astronomicalUnit);
+        const longitude = sun.longitude + 180 + ratio / toRad * Math.cos(moon.latitude * toRad) * Math.sin((sun.longitude - moon.longitude) * toRad);
+        const latitude = ratio * moon.latitude;
+
+        const point = this.getSelenographicPoint(longitude, latitude, moon, nutation);
+        return {
+            longitude: point.longitude,
+            latitude: point.latitude,
+            colongitude: this.normalizeDegrees(90 - point.longitude)
+        };
+    }
+
+    // Selenographic longitude/latitude of the point facing a direction given in apparent ecliptic
+    // coordinates, ignoring physical libration (Meeus 53.1)
+    getSelenographicPoint(eclipticLongitude, eclipticLatitude, moon, nutation) {
+        const toRad = Math.PI / 180;
+        const inclination = 1.54242 * toRad; // lunar equator to ecliptic
+        const W = (eclipticLongitude - nutation.longitude - this.getLunarAscendingNode(moon.T)) * toRad;
+        const beta = eclipticLatitude * toRad;
+
+        const A = Math.atan2(Math.sin(W) * Math.cos(beta) * Math.cos(inclination) - Math.sin(beta) * Math.sin(inclination),
+                             Math.cos(W) * Math.cos(beta));
+        let longitude = this.normalizeDegrees(A / toRad - moon.argumentOfLatitude);
+        if (longitude > 180) longitude -= 360;
+        const latitude = Math.asin(-Math.sin(W) * Math.cos(beta) * Math.sin(inclination) - Math.sin(beta) * Math.cos(inclination));
+
+        return { longitude, latitude: latitude / toRad };
+    }
+
+    // Mean longitude of the Moon's ascending node in degrees (Meeus 47.7)
+    getLunarAscendingNode(T) {
+        return this.normalizeDegrees(125.0445479 - 1934.1362891 * T + 0.0020754 * T * T + T * T * T / 467441 - T * T * T * T / 60616000);
+    }
+
+    // Illuminated fraction, phase angle and bright-limb position angle (Meeus 48.5), both against celestial
+    // north and against the observer's zenith via the parallactic angle
+    calculateMoonDiscGeometry(date, lunarPosition = null) {
+        const toRad = Math.PI / 180;
+        const moonData = this.calculateMoonPhase(date);
+        const position = lunarPosition || this.calculateLunarPosition(date, this.userLocation.lat, this.userLocation.lng, this.userLocation.elevation);
+        const sun = this.getSolarPositionAt(position.julianDay, this.userLocation.lat, this.userLocation.lng);
+
+        const alpha = position.geocentricRightAscension * toRad;
+        const delta = position.geocentricDeclination * toRad;
+        const sunAlpha = sun.rightAscension * toRad;
+        const sunDelta = sun.declination * toRad;
+        const brightLimbAngle = this.normalizeDegrees(Math.atan2(
+            Math.cos(sunDelta) * Math.sin(sunAlpha - alpha),
+            Math.sin(sunDelta) * Math.cos(delta) - Math.cos(sunDelta) * Math.sin(delta) * Math.cos(sunAlpha - alpha)
+        ) / toRad);
+
+        return {
+            illuminatedFraction: moonData.illuminatedFraction,
+            phaseAngle: moonData.solarPhaseAngle,
+            brightLimbAngle,
+            parallacticAngle: position.parallacticAngle,
+            skyBrightLimbAngle: this.normalizeDegrees(brightLimbAngle - position.parallacticAngle)
+        };
+    }
+
+    // Apparent position of the Sun for an observer; altitude includes refraction
+    getSolarPositionAt(julianDay, lat, lng) {
+        const sun = this.getSolarEphemeris(julianDay);
+        const equatorial = this.eclipticToEquatorial(sun.longitude, 0, this.getTrueObliquity(sun.T));
+        const horizontal = this.equatorialToHorizontal(equatorial.rightAscension, equatorial.declination, julianDay, lat, lng);
+
+        return {
+            altitude: horizontal.altitude + this.calculateRefraction(horizontal.altitude),
+            azimuth: horizontal.azimuth,
+            geometricAltitude: horizontal.altitude,
+            hourAngle: horizontal.hourAngle,
+            rightAscension: equatorial.rightAscension,
+            declination: equatorial.declination,
+            eclipticLongitude: sun.longitude,
+            distance: sun.distance,
+            semiDiameter: 959.63 / 3600 / sun.distance
+        };
+    }
+
+    // Eclipse Prediction
+    getEclipses(startDate, endDate) {
+        return this.findEclipses(this.dateToJulianDay(startDate), this.dateToJulianDay(endDate),
+                                 this.userLocation.lat, this.userLocation.lng, this.userLocation.horizon);
+    }
+
+    // Full moons are tested for lunar eclipses and new moons for solar eclipses; visibility is judged
+    // against the horizon profile when one is given
+    findEclipses(startJD, endJD, lat, lng, horizonProfile = []) {
+        const eclipses = [];
+
+        this.findPrincipalPhases(startJD - 0.5, endJD + 0.5).forEach(phase => {
+            // Eclipses need the Moon close to a node: |β| is below ~1.6° at any eclipse
+            const moon = this.getLunarEphemeris(phase.julianDay);
+            if (Math.abs(moon.latitude) > 1.6) return;
+
+            let eclipse = null;
+            if (phase.index === 4) eclipse = this.calculateLunarEclipse(phase.julianDay, lat, lng, horizonProfile);
+            if (phase.index === 0) eclipse = this.calculateSolarEclipse(phase.julianDay, lat, lng, horizonProfile);
+            if (eclipse && eclipse.julianDay >= startJD && eclipse.julianDay <= endJD) {
+                eclipses.push(eclipse);
+            }
+        });
+
+        return eclipses;
+    }
+
+    // Geometry of the Moon against Earth's shadow cones, in degrees (Danjon's 1.02 enlargement)
+    getEarthShadow(julianDay) {
+        const toRad = Math.PI / 180;
+        const moon = this.getLunarEphemeris(julianDay);
+        const sun = this.getSolarEphemeris(julianDay);
+
+        const moonParallax = Math.asin(this.astroConstants.earthRadius / moon.distance) / toRad;
+        const sunParallax = 8.794 / 3600 / sun.distance;
+        const sunSemiDiameter = 959.63 / 3600 / sun.distance;
+        const cosSeparation = Math.cos(moon.latitude * toRad) * Math.cos((moon.longitude - sun.longitude - 180) * toRad);
+
+        return {
+            separation: Math.acos(Math.max(-1, Math.min(1, cosSeparation))) / toRad,
+            umbra: 1.02 * (moonParallax + sunParallax - sunSemiDiameter),
+            penumbra: 1.02 * (moonParallax + sunParallax + sunSemiDiameter),
+            moonSemiDiameter: Math.asin(this.astroConstants.lunarRadius / moon.distance) / toRad
+        };
+    }
+
+    calculateLunarEclipse(fullMoonJD, lat, lng, horizonProfile = []) {
+        const greatestJD = this.findMinimum((jd) => this.getEarthShadow(jd).separation, fullMoonJD - 0.25, fullMoonJD + 0.25);
+        const greatest = this.getEarthShadow(greatestJD);
+        const penumbralMagnitude = (greatest.penumbra + greatest.moonSemiDiameter - greatest.separation) / (2 * greatest.moonSemiDiameter);
+        const umbralMagnitude = (greatest.umbra + greatest.moonSemiDiameter - greatest.separation) / (2 * greatest.moonSemiDiameter);
+        if (penumbralMagnitude <= 0) return null;
+
+        // Contacts where the Moon's limb meets a shadow edge: P1/P4 penumbra, U1/U4 umbra, U2/U3 totality
+        const contactPair = (radius) => {
+            const fn = (jd) => {
+                const shadow = this.getEarthShadow(jd);
+                return shadow.separation - radius(shadow);
+            };
+            if (fn(greatestJD) >= 0) return [null, null];
+            return [this.findRoot(fn, greatestJD - 0.25, greatestJD), this.findRoot(fn, greatestJD, greatestJD + 0.25)];
+        };
+        const [p1, p4] = contactPair(s => s.penumbra + s.moonSemiDiameter);
+        const [u1, u4] = contactPair(s => s.umbra + s.moonSemiDiameter);
+        const [u2, u3] = contactPair(s => s.umbra - s.moonSemiDiameter);
+
+        const type = umbralMagnitude >= 1 ? 'total' : umbralMagnitude > 0 ? 'partial' : 'penumbral';
+        const contacts = [
+            ['P1', 'Penumbral begins', p1], ['U1', 'Partial begins', u1], ['U2', 'Totality begins', u2],
+            ['Greatest', 'Greatest eclipse', greatestJD],
+            ['U3', 'Totality ends', u3], ['U4', 'Partial ends', u4], ['P4', 'Penumbral ends', p4]
+        ].filter(([, , jd]) => jd !== null).map(([key, label, jd]) => ({ key, label, julianDay: jd, date: this.julianDateToDate(jd) }));
+
+        // Visible wherever the Moon's upper limb is above the horizon, and clear of the skyline, during the eclipse
+        const moonUp = (jd) => {
+            const position = this.getLunarPositionAt(jd, lat, lng);
+            return position.geometricAltitude + position.semiDiameter + this.astroConstants.horizonRefraction > 0 &&
+                (!horizonProfile.length || position.altitude + position.semiDiameter > this.getHorizonAltitude(position.azimuth, horizonProfile));
+        };
+
+        return {
+            kind: 'lunar',
+            type,
+            name: `${type.charAt(0).toUpperCase() + type.slice(1)} Lunar Eclipse`,
+            julianDay: greatestJD,
+            date: this.julianDateToDate(greatestJD),
+            magnitude: type === 'penumbral' ? penumbralMagnitude : umbralMagnitude,
+            penumbralMagnitude,
+            umbralMagnitude,
+            contacts,
+            visibility: this.getEclipseVisibility(p1, p4, moonUp)
+        };
+    }
+
+    // Geocentric Sun and Moon positions in ecliptic rectangular coordinates (km)
+    getSunMoonVectors(julianDay) {
+        const toRad = Math.PI / 180;
+        const toVector = (longitude, latitude, distance) => [
+            distance * Math.cos(latitude * toRad) * Math.cos(longitude * toRad),
+            distance * Math.cos(latitude * toRad) * Math.sin(longitude * toRad),
+            distance * Math.sin(latitude * toRad)
+        ];
+        const moon = this.getLunarEphemeris(julianDay);
+        const sun = this.getSolarEphemeris(julianDay);
+
+        return {
+            moon: toVector(moon.longitude, moon.latitude, moon.distance),
+            sun: toVector(sun.longitude, 0, sun.distance * this.astroConstants.astronomicalUnit)
+        };
+    }
+
+    // Moon's shadow axis against the Earth: axis distance from Earth's centre and cone radii there (km)
+    getMoonShadow(julianDay) {
+        const { moon, sun } = this.getSunMoonVectors(julianDay);
+        const axis = moon.map((m, i) => m - sun[i]);
+        const sunMoonDistance = Math.hypot(...axis);
+        const unit = axis.map(a => a / sunMoonDistance);
+
+        // Distance from the Moon along the axis to the plane through Earth's centre
+        const along = -moon.reduce((sum, m, i) => sum + m * unit[i], 0);
+        const closest = moon.map((m, i) => m + along * unit[i]);
+        const sunRadius = 696000;
+        const moonRadius = this.astroConstants.lunarRadius;
+        const umbraVertex = sunMoonDistance * moonRadius / (sunRadius - moonRadius);
+        const penumbraVertex = sunMoonDistance * moonRadius / (sunRadius + moonRadius);
+
+        return {
+            axisDistance: Math.hypot(...closest),
+            along,
+            umbraRadius: moonRadius * (1 - along / umbraVertex), // negative: antumbra
+            penumbraRadius: moonRadius * (1 + along / penumbraVertex),
+            umbraVertex,
+            sunMoonDistance
+        };
+    }
+
+    calculateSolarEclipse(newMoonJD, lat, lng, horizonProfile = []) {
+        const earthRadius = this.astroConstants.earthRadius;
+        const greatestJD = this.findMinimum((jd) => this.getMoonShadow(jd).axisDistance, newMoonJD - 0.25, newMoonJD + 0.25);
+        const shadow = this.getMoonShadow(greatestJD);
+        if (shadow.axisDistance >= earthRadius + shadow.penumbraRadius) return null;
+
+        let type = 'partial';
+        let magnitude = (earthRadius + shadow.penumbraRadius - shadow.axisDistance) / (shadow.penumbraRadius + shadow.umbraRadius);
+        if (shadow.axisDistance < earthRadius + Math.abs(shadow.umbraRadius)) {
+            // The umbra shortens by the depth of Earth's surface below the fundamental plane
+            const depth = Math.sqrt(Math.max(0, earthRadius * earthRadius - shadow.axisDistance * shadow.axisDistance));
+            const surfaceUmbra = this.astroConstants.lunarRadius * (1 - (shadow.along - depth) / shadow.umbraVertex);
+            if (shadow.umbraRadius > 0) {
+                type = 'total';
+            } else {
+                type = surfaceUmbra > 0 ? 'hybrid' : 'annular';
+            }
+            // Ratio of apparent diameters seen from the surface point on the shadow axis
+            const moonDistance = shadow.along - depth;
+            magnitude = (this.astroConstants.lunarRadius / moonDistance) / (696000 / (shadow.sunMoonDistance + moonDistance));
+        }
+
+        // First and last contact of the penumbra with the Earth
+        const penumbraContact = (jd) => {
+            const s = this.getMoonShadow(jd);
+            return s.axisDistance - (earthRadius + s.penumbraRadius);
+        };
+        const contacts = [
+            ['P1', 'Eclipse begins on Earth', this.findRoot(penumbraContact, greatestJD - 0.25, greatestJD)],
+            ['Greatest', 'Greatest eclipse', greatestJD],
+            ['P4', 'Eclipse ends on Earth', this.findRoot(penumbraContact, greatestJD, greatestJD + 0.25)]
+        ].filter(([, , jd]) => jd !== null).map(([key, label, jd]) => ({ key, label, julianDay: jd, date: this.julianDateToDate(jd) }));
+
+        const local = this.calculateLocalSolarEclipse(greatestJD, lat, lng, horizonProfile);
+
+        return {
+            kind: 'solar',
+            type,
+            name: `${type.charAt(0).toUpperCase() + type.slice(1)} Solar Eclipse`,
+            julianDay: greatestJD,
+            date: this.julianDateToDate(greatestJD),
+            magnitude,
+            gamma: shadow.axisDistance / earthRadius,
+            contacts,
+            local,
+            visibility: local ? local.visibility : 'none'
+        };
+    }
+
+    // Local circumstances from the topocentric separation of the Sun's and Moon's discs
+    calculateLocalSolarEclipse(greatestJD, lat, lng, horizonProfile = []) {
+        const toRad = Math.PI / 180;
+        const discs = (jd) => {
+            const moon = this.getLunarPositionAt(jd, lat, lng);
+            const sun = this.getSolarPositionAt(jd, lat, lng);
+            return {
+                separation: this.angularSeparation(moon.rightAscension, moon.declination, sun.rightAscension, sun.declination),
+                moonSemiDiameter: moon.semiDiameter * (1 + Math.sin(moon.geometricAltitude * toRad) * Math.sin(moon.horizontalParallax * toRad)),
+                sunSemiDiameter: sun.semiDiameter,
+                sunAltitude: sun.altitude
+            };
+        };
+
+        const maximumJD = this.findMinimum((jd) => discs(jd).separation, greatestJD - 0.2, greatestJD + 0.2);
+        const maximum = discs(maximumJD);
+        const outerContact = (jd) => {
+            const d = discs(jd);
+            return d.separation - (d.moonSemiDiameter + d.sunSemiDiameter);
+        };
+        if (outerContact(maximumJD) >= 0) return null;
+
+        const innerContact = (jd) => {
+            const d = discs(jd);
+            return d.separation - Math.abs(d.moonSemiDiameter - d.sunSemiDiameter);
+        };
+        const c1 = this.findRoot(outerContact, maximumJD - 0.2, maximumJD);
+        const c4 = this.findRoot(outerContact, maximumJD, maximumJD + 0.2);
+        const central = innerContact(maximumJD) < 0;
+        const c2 = central ? this.findRoot(innerContact, maximumJD - 0.1, maximumJD) : null;
+        const c3 = central ? this.findRoot(innerContact, maximumJD, maximumJD + 0.1) : null;
+
+        let type = 'partial';
+        if (central) type = maximum.moonSemiDiameter > maximum.sunSemiDiameter ? 'total' : 'annular';
+
+        const contacts = [
+            ['C1', 'Partial begins', c1], ['C2', type === 'total' ? 'Totality begins' : 'Annularity begins', c2],
+            ['Maximum', 'Maximum eclipse', maximumJD],
+            ['C3', type === 'total' ? 'Totality ends' : 'Annularity ends', c3], ['C4', 'Partial ends', c4]
+        ].filter(([, , jd]) => jd !== null).map(([key, label, jd]) => ({ key, label, julianDay: jd, date: this.julianDateToDate(jd) }));
+
+        const sunUp = (jd) => {
+            const sun = this.getSolarPositionAt(jd, lat, lng);
+            return sun.geometricAltitude + sun.semiDiameter + this.astroConstants.horizonRefraction > 0 &&
+                (!horizonProfile.length || sun.altitude + sun.semiDiameter > this.getHorizonAltitude(sun.azimuth, horizonProfile));
+        };
+
+        return {
+            type,
+            magnitude: (maximum.sunSemiDiameter + maximum.moonSemiDiameter - maximum.separation) / (2 * maximum.sunSemiDiameter),
+            maximumDate: this.julianDateToDate(maximumJD),
+            sunAltitude: maximum.sunAltitude,
+            contacts,
+            visibility: this.getEclipseVisibility(c1, c4, sunUp)
+        };
+    }
+
+    // 'full', 'partial' or 'none' depending on how much of [startJD, endJD] satisfies isUp
+    getEclipseVisibility(startJD, endJD, isUp) {
+        if (startJD === null || endJD === null) return 'none';
+
+        const samples = 24;
+        let upCount = 0;
+        for (let i = 0; i <= samples; i++) {
+            if (isUp(startJD + (endJD - startJD) * i / samples)) upCount++;
+        }
+
+        if (upCount === samples + 1) return 'full';
+        return upCount > 0 ? 'partial' : 'none';
+    }
+
+    // 3D Moon Rendering System
+    async initialize3DMoon() {
+        if (!this.elements.moon3DCanvas || !window.THREE) {
+            console.warn('⚠️ Three.js or canvas not available');
+            if (this.elements.moonLoading) {
+                this.elements.moonLoading.innerHTML = '<div class="loading-text">3D Moon Unavailable</div>';
+            }
+            return;
+        }
+
+        try {
+            // Scene setup
+            this.moonScene = new THREE.Scene();
+            this.moonCamera = new THREE.PerspectiveCamera(45, 1, 0.1, 1000);
+            this.moonRenderer = new THREE.WebGLRenderer({ 
+                canvas: this.elements.moon3DCanvas, 
+                antialias: true,
+                alpha: true
+            });
+            
+            this.moonRenderer.setSize(350, 350);
+            this.moonRenderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+            this.moonRenderer.shadowMap.enabled = true;
+            this.moonRenderer.shadowMap.type = THREE.PCFSoftShadowMap;
+
+            // Create moon geometry with enough vertices for the displacement map
+            const moonGeometry = new THREE.SphereGeometry(2, 256, 128);
+
+            // Advanced moon material with realistic texturing
+            const moonMaterial = new THREE.MeshPhongMaterial({
+                color: 0xffffff,
+                shininess: 5,
+                transparent: true
+            });
+
+            // Procedural surface until (or unless) the bundled maps load
+            this.proceduralMoonTexture = this.createProceduralMoonTexture();
+            moonMaterial.map = this.proceduralMoonTexture;
+
+            // Create moon mesh
+            this.moonMesh = new THREE.Mesh(moonGeometry, moonMaterial);
+            this.moonMesh.castShadow = true;
+            this.moonMesh.receiveShadow = true;
+            this.moonScene.add(this.moonMesh);
+
+            // Lighting setup
+            const ambientLight = new THREE.AmbientLight(0x404040, 0.3);
+            this.moonScene.add(ambientLight);
+
+            const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+            directionalLight.position.set(5, 5, 5);
+            directionalLight.castShadow = true;
+            directionalLight.shadow.mapSize.width = 2048;
+            directionalLight.shadow.mapSize.height = 2048;
+            this.moonScene.add(directionalLight);
+
+            // Camera positioning
+            this.moonCamera.position.set(0, 0, 8);
+            this.moonCamera.lookAt(0, 0, 0);
+            this.moonControls = this.createMoonControls();
+
+            // Hide loading indicator
+            if (this.elements.moonLoading) {
+                this.elements.moonLoading.style.display = 'none';
+            }
+
+            this.is3DMoonReady = true;
+            this.updateMoonTextureLevel();
+            this.animate3DMoon();
+            
+            console.log('✨ 3D Moon rendering initialized');
+        } catch (error) {
+            console.error('❌ Failed to initialize 3D moon:', error);
+            this.showToast('3D Moon rendering unavailable', 'error');
+            if (this.elements.moonLoading) {
+                this.elements.moonLoading.innerHTML = '<div class="loading-text">3D Moon Failed to Load</div>';
+            }
+        }
+    }
+
+    // Equirectangular fallback surface used when the bundled maps are missing.
+    createProceduralMoonTexture() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 1024;
+        canvas.height = 512;
+        const ctx = canvas.getContext('2d');
+
+        // Base highland tone
+        ctx.fillStyle = '#d6d6d6';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Add maria, craters and surface features
+        this.addMoonCraters(ctx, canvas.width, canvas.height);
+
+        return new THREE.CanvasTexture(canvas);
+    }
+
+    // Paints features at their selenographic positions, so the procedural map is the same on
+    // every load and lines up with libration, picking and the feature catalogue.
+    addMoonCraters(ctx, width, height) {
+        // Maria: [longitude, latitude, angular radius] in degrees
+        const maria = [
+            [-57.0, 18.0, 22.0],  // Oceanus Procellarum
+            [-15.6, 32.8, 17.0],  // Mare Imbrium
+            [17.5, 28.0, 10.0],   // Mare Serenitatis
+            [31.4, 8.5, 11.5],    // Mare Tranquillitatis
+            [59.1, 17.0, 7.5],    // Mare Crisium
+            [51.3, -7.8, 9.5],    // Mare Fecunditatis
+            [35.5, -15.2, 5.5],   // Mare Nectaris
+            [-16.6, -21.3, 10.5], // Mare Nubium
+            [-38.6, -24.4, 6.5],  // Mare Humorum
+            [-23.1, -10.0, 5.0],  // Mare Cognitum
+            [-30.9, 7.5, 7.5],    // Mare Insularum
+            [3.6, 13.3, 4.0],     // Mare Vaporum
+            [-20.0, 56.0, 6.0],   // Mare Frigoris (west)
+            [10.0, 56.0, 6.0],    // Mare Frigoris (east)
+            [-92.8, -19.4, 5.0],  // Mare Orientale
+            [86.1, 13.3, 4.0],    // Mare Marginis
+            [87.5, 1.3, 5.0],     // Mare Smythii
+            [93.0, -38.9, 8.5],   // Mare Australe
+            [147.9, 27.3, 4.5]    // Mare Moscoviense
+        ];
+        maria.forEach(([lon, lat, radius]) => {
+            this.paintSurfaceSpot(ctx, width, height, lon, lat, radius, [
+                [0, 'rgba(105, 105, 110, 0.85)'],
+                [0.75, 'rgba(115, 115, 120, 0.6)'],
+                [1, 'rgba(130, 130, 135, 0)']
+            ]);
+        });
+
+        // Major craters: [longitude, latitude, angular radius, young ray crater]
+        const craters = [
+            [-11.4, -43.3, 1.4, true],   // Tycho
+            [-20.1, 9.6, 1.5, true],     // Copernicus
+            [-38.0, 8.1, 0.5, true],     // Kepler
+            [-47.4, 23.7, 0.7, true],    // Aristarchus
+            [-9.4, 51.6, 1.7, false],    // Plato
+            [-68.6, -5.2, 2.9, false],   // Grimaldi
+            [-14.4, -58.4, 3.8, false],  // Clavius
+            [-1.9, -9.3, 2.5, false],    // Ptolemaeus
+            [61.0, -8.9, 2.1, false],    // Langrenus
+            [26.4, -11.4, 1.6, false]    // Theophilus
+        ];
+
+        // Seeded so the small craters and ray streaks land in the same places on every load
+        const random = this.createSeededRandom(1737);
+
+        craters.forEach(([lon, lat, radius, rayed]) => {
+            if (rayed) {
+                this.paintCraterRays(ctx, width, height, lon, lat, radius, random);
+            }
+            this.paintCrater(ctx, width, height, lon, lat, radius, rayed ? 0.9 : 0.5);
+        });
+
+        // Add smaller surface details, spread evenly over the sphere
+        for (let i = 0; i < 400; i++) {
+            const lon = random() * 360 - 180;
+            const lat = Math.asin(random() * 2 - 1) * 180 / Math.PI;
+            const radius = random() * 1.2 + 0.3;
+            this.paintCrater(ctx, width, height, lon, lat, radius, random() * 0.3 + 0.2);
+        }
+    }
+
+    paintCrater(ctx, width, height, lon, lat, radius, contrast) {
+        this.paintSurfaceSpot(ctx, width, height, lon, lat, radius, [
+            [0, `rgba(150, 150, 150, ${contrast * 0.5})`],
+            [0.7, `rgba(90, 90, 90, ${contrast * 0.6})`],
+            [0.85, `rgba(245, 245, 245, ${contrast * 0.5})`],
+            [1, 'rgba(245, 245, 245, 0)']
+        ]);
+    }
+
+    paintCraterRays(ctx, width, height, lon, lat, radius, random) {
+        const rayCount = 12;
+        for (let i = 0; i < rayCount; i++) {
+            const bearing = (i / rayCount + random() * 0.05) * Math.PI * 2;
+            const length = radius * (6 + random() * 10);
+            const endLat = lat + length * Math.cos(bearing);
+            const endLon = lon + length * Math.sin(bearing) / Math.max(Math.cos(lat * Math.PI / 180), 0.2);
+            const start = this.selenographicToTexture(lon, lat, width, height);
+            const end = this.selenographicToTexture(endLon, endLat, width, height);
+            // Skip rays that would wrap across the map edge
+            if (Math.abs(end.x - start.x) > width / 2) continue;
+
+            const gradient = ctx.createLinearGradient(start.x, start.y, end.x, end.y);
+            gradient.addColorStop(0, 'rgba(250, 250, 250, 0.45)');
+            gradient.addColorStop(1, 'rgba(250, 250, 250, 0)');
+            ctx.strokeStyle = gradient;
+            ctx.lineWidth = 1 + random() * 2;
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+            ctx.stroke();
+        }
+    }
+
+    // Radial gradient around a selenographic point, stretched in longitude by 1/cos(latitude)
+    // as the equirectangular projection does, and repeated across the map's ±180° seam.
+    paintSurfaceSpot(ctx, width, height, lon, lat, radius, stops) {
+        const centre = this.selenographicToTexture(lon, lat, width, height);
+        const ry = radius / 180 * height;
+        const stretch = 1 / Math.max(Math.cos(lat * Math.PI / 180), 0.1);
+
+        [-width, 0, width].forEach(offset => {
+            const x = centre.x + offset;
+            if (x + ry * stretch < 0 || x - ry * stretch > width) return;
+
+            ctx.save();
+            ctx.translate(x, centre.y);
+            ctx.scale(stretch, 1);
+            const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, ry);
+            stops.forEach(([offsetStop, color]) => gradient.addColorStop(offsetStop, color));
+            ctx.fillStyle = gradient;
+            ctx.beginPath();
+            ctx.arc(0, 0, ry, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+        });
+    }
+
+    // Equirectangular pixel for a selenographic longitude/latitude: longitude 0 at the
+    // horizontal centre (u = 0.5, the mesh's +x axis), north at the top.
+    selenographicToTexture(lon, lat, width, height) {
+        return {
+            x: this.normalizeDegrees(lon + 180) / 360 * width,
+            y: (90 - lat) / 180 * height
+        };
+    }
+
+    // Small deterministic PRNG (mulberry32) returning values in [0, 1).
+    createSeededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Pick the finest texture level the camera is close enough for and swap it in once loaded.
+    // Missing assets leave the previous level (ultimately the procedural map) in place.
+    updateMoonTextureLevel() {
+        if (!this.moonMesh || !this.moonCamera) return;
+
+        const distance = this.moonCamera.position.distanceTo(this.moonMesh.position);
+        const level = this.moonTextureLevels
+            .filter(candidate => distance <= candidate.maxCameraDistance)
+            .pop();
+        if (!level || level === this.moonTextureLevel) return;
+        this.moonTextureLevel = level;
+
+        this.loadMoonTextureLevel(level).then(maps => {
+            // The camera may have moved on to another level while this one loaded
+            if (this.moonTextureLevel !== level || !maps.albedo) return;
+
+            const material = this.moonMesh.material;
+            material.map = maps.albedo;
+            material.bumpMap = maps.elevation;
+            material.bumpScale = maps.elevation ? this.moonReliefScale.bump : 1;
+            material.displacementMap = maps.elevation;
+            material.displacementScale = maps.elevation ? this.moonReliefScale.displacement : 1;
+            // Centre the relief on the mean radius (mid-grey) instead of only raising it
+            material.displacementBias = maps.elevation ? -this.moonReliefScale.displacement / 2 : 0;
+            material.needsUpdate = true;
+        });
+    }
+
+    loadMoonTextureLevel(level) {
+        if (!this.moonTextureCache.has(level.name)) {
+            const loading = Promise.all([
+                this.loadMoonTexture(level.albedo),
+                this.loadMoonTexture(level.elevation)
+            ]).then(([albedo, elevation]) => ({ albedo, elevation }));
+            this.moonTextureCache.set(level.name, loading);
+        }
+        return this.moonTextureCache.get(level.name);
+    }
+
+    // Resolves to null rather than rejecting, so a missing file just keeps the fallback.
+    loadMoonTexture(url) {
+        return new Promise(resolve => {
+            new THREE.TextureLoader().load(
+                url,
+                texture => {
+                    texture.anisotropy = this.moonRenderer.capabilities.getMaxAnisotropy();
+                    resolve(texture);
+                },
+                undefined,
+                () => {
+                    console.warn(`⚠️ Moon texture not available: ${url}`);
+                    resolve(null);
+                }
+            );
+        });
+    }
+
+    animate3DMoon() {
+        if (!this.is3DMoonReady) return;
+
+        const animate = () => {
+            this.animationFrameId = requestAnimationFrame(animate);
+            
+            if (this.moonOrientationMode === 'true' && this.currentLibration) {
+                this.applyLibrationOrientation(this.currentLibration);
+            } else {
+                // Rotate moon slowly
+                this.moonMesh.rotation.y += 0.005;
+            }
+            
+            this.updateMoonControls();
+            this.updateMoonLabels();
+
+            // Swap surface detail as the camera zooms
+            this.updateMoonTextureLevel();
+
+            // Light the moon from the true Sun direction
+            const lights = this.moonScene.children.filter(child => child.type === 'DirectionalLight');
+            if (lights.length > 0 && this.currentDiscGeometry) {
+                const direction = this.getSunDirectionInView(this.currentDiscGeometry);
+                lights[0].position.set(direction.x * 5, direction.y * 5, direction.z * 5);
+            }
+            
+            this.moonRenderer.render(this.moonScene, this.moonCamera);
+            this.updatePerformanceMonitor();
+        };
+        
+        animate();
+    }
+
+    // Orbit/zoom/pan rig with inertia. The camera moves around the moon rather than the mesh
+    // turning, so the libration orientation and the Sun-direction lighting stay physically true.
+    createMoonControls() {
+        const canvas = this.elements.moon3DCanvas;
+        const controls = {
+            target: new THREE.Vector3(0, 0, 0),
+            azimuth: 0,   // radians about the view's vertical axis
+            elevation: 0, // radians above the view's equator
+            distance: this.moonCamera.position.length(),
+            velocity: { azimuth: 0, elevation: 0, zoom: 0 },
+            limits: { minDistance: 2.6, maxDistance: 14, maxElevation: Math.PI / 2 - 0.05, maxPan: 2 },
+            damping: 0.9,
+            pointers: new Map(),
+            pinchDistance: null,
+            panning: false,
+            dragged: false,
+            lastMoveTime: 0,
+            focus: null // { azimuth, elevation, distance } being eased toward after a feature search
+        };
+        controls.home = { azimuth: 0, elevation: 0, distance: controls.distance };
+
+        canvas.tabIndex = 0;
+        canvas.style.touchAction = 'none';
+
+        canvas.addEventListener('pointerdown', (e) => {
+            canvas.setPointerCapture(e.pointerId);
+            controls.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY });
+            controls.velocity.azimuth = 0;
+            controls.velocity.elevation = 0;
+            controls.panning = e.button === 2 || e.shiftKey;
+            controls.dragged = controls.pointers.size > 1;
+            controls.pinchDistance = null;
+            controls.focus = null;
+            this.elements.moon3DContainer?.classList.add('dragging');
+        });
+
+        canvas.addEventListener('pointermove', (e) => {
+            const pointer = controls.pointers.get(e.pointerId);
+            if (!pointer) return;
+
+            const dx = e.clientX - pointer.x;
+            const dy = e.clientY - pointer.y;
+            pointer.x = e.clientX;
+            pointer.y = e.clientY;
+            if (Math.hypot(e.clientX - pointer.startX, e.clientY - pointer.startY) > 4) {
+                controls.dragged = true;
+            }
+
+            if (controls.pointers.size === 2) {
+                // Pinch: zoom by the change in finger spacing
+                const [a, b] = [...controls.pointers.values()];
+                const spacing = Math.hypot(a.x - b.x, a.y - b.y);
+                if (controls.pinchDistance) {
+                    this.zoomMoonCamera(controls.pinchDistance / spacing);
+                }
+                controls.pinchDistance = spacing;
+            } else if (controls.panning) {
+                this.panMoonCamera(dx, dy);
+            } else {
+                controls.velocity.azimuth = -dx * 0.008;
+                controls.velocity.elevation = dy * 0.008;
+                this.orbitMoonCamera(controls.velocity.azimuth, controls.velocity.elevation);
+                controls.lastMoveTime = performance.now();
+            }
+        });
+
+        const endPointer = (e) => {
+            if (!controls.pointers.has(e.pointerId)) return;
+            controls.pointers.delete(e.pointerId);
+            controls.pinchDistance = null;
+
+            if (controls.pointers.size === 0) {
+                this.elements.moon3DContainer?.classList.remove('dragging');
+                this.scheduleUrlState();
+                // A release after holding still should not fling the moon
+                if (performance.now() - controls.lastMoveTime > 100) {
+                    controls.velocity.azimuth = 0;
+                    controls.velocity.elevation = 0;
+                }
+                if (!controls.dragged && e.type === 'pointerup') {
+                    this.pickMoonSurface(e.clientX, e.clientY);
+                }
+            }
+        };
+        canvas.addEventListener('pointerup', endPointer);
+        canvas.addEventListener('pointercancel', endPointer);
+        canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+        canvas.addEventListener('dblclick', () => this.resetMoonView());
+
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            controls.focus = null;
+            controls.velocity.zoom += Math.sign(e.deltaY) * 0.02;
+            this.scheduleUrlState();
+        }, { passive: false });
+
+        // Keyboard equivalents while the canvas has focus; kept from the page-wide date shortcuts
+        canvas.addEventListener('keydown', (e) => {
+            const step = 0.08;
+            const handled = {
+                ArrowLeft: () => e.shiftKey ? this.panMoonCamera(-20, 0) : this.orbitMoonCamera(step, 0),
+                ArrowRight: () => e.shiftKey ? this.panMoonCamera(20, 0) : this.orbitMoonCamera(-step, 0),
+                ArrowUp: () => e.shiftKey ? this.panMoonCamera(0, -20) : this.orbitMoonCamera(0, -step),
+                ArrowDown: () => e.shiftKey ? this.panMoonCamera(0, 20) : this.orbitMoonCamera(0, step),
+                '+': () => this.zoomMoonCamera(0.9),
+                '=': () => this.zoomMoonCamera(0.9),
+                '-': () => this.zoomMoonCamera(1 / 0.9),
+                '0': () => this.resetMoonView(),
+                Enter: () => {
+                    const rect = canvas.getBoundingClientRect();
+                    this.pickMoonSurface(rect.left + rect.width / 2, rect.top + rect.height / 2);
+                }
+            }[e.key];
+
+            if (handled) {
+                controls.focus = null;
+                handled();
+                this.scheduleUrlState();
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        });
+
+        return controls;
+    }
+
+    orbitMoonCamera(deltaAzimuth, deltaElevation) {
+        const controls = this.moonControls;
+        if (!controls) return;
+        controls.azimuth += deltaAzimuth;
+        controls.elevation = Math.max(-controls.limits.maxElevation,
+            Math.min(controls.limits.maxElevation, controls.elevation + deltaElevation));
+    }
+
+    zoomMoonCamera(factor) {
+        const controls = this.moonControls;
+        if (!controls) return;
+        controls.distance = Math.max(controls.limits.minDistance,
+            Math.min(controls.limits.maxDistance, controls.distance * factor));
+    }
+
+    // Shift the orbit target in the screen plane by a pointer offset in pixels
+    panMoonCamera(dx, dy) {
+        const controls = this.moonControls;
+        if (!controls) return;
+        const scale = controls.distance * 0.002;
+        const right = new THREE.Vector3().setFromMatrixColumn(this.moonCamera.matrix, 0);
+        const up = new THREE.Vector3().setFromMatrixColumn(this.moonCamera.matrix, 1);
+        controls.target.addScaledVector(right, -dx * scale).addScaledVector(up, dy * scale);
+        controls.target.clampLength(0, controls.limits.maxPan);
+    }
+
+    // Advance inertia and place the camera; called once per animation frame
+    updateMoonControls() {
+        const controls = this.moonControls;
+        if (!controls) return;
+
+        const { velocity } = controls;
+        if (controls.focus) {
+            // Ease toward a searched feature, taking the short way round
+            const focus = controls.focus;
+            const deltaAzimuth = ((focus.azimuth - controls.azimuth + 3 * Math.PI) % (2 * Math.PI)) - Math.PI;
+            controls.azimuth += deltaAzimuth * 0.12;
+            controls.elevation += (focus.elevation - controls.elevation) * 0.12;
+            controls.distance += (focus.distance - controls.distance) * 0.12;
+            if (Math.abs(deltaAzimuth) < 1e-3 && Math.abs(focus.elevation - controls.elevation) < 1e-3) {
+                controls.focus = null;
+            }
+        } else if (controls.pointers.size === 0) {
+            this.orbitMoonCamera(velocity.azimuth, velocity.elevation);
+            velocity.azimuth *= controls.damping;
+            velocity.elevation *= controls.damping;
+        }
+        if (velocity.zoom !== 0) {
+            this.zoomMoonCamera(Math.exp(velocity.zoom));
+            velocity.zoom *= controls.damping;
+            if (Math.abs(velocity.zoom) < 1e-4) velocity.zoom = 0;
+        }
+
+        const horizontal = controls.distance * Math.cos(controls.elevation);
+        this.moonCamera.position.set(
+            controls.target.x + horizontal * Math.sin(controls.azimuth),
+            controls.target.y + controls.distance * Math.sin(controls.elevation),
+            controls.target.z + horizontal * Math.cos(controls.azimuth)
+        );
+        this.moonCamera.lookAt(controls.target);
+    }
+
+    // Raycast a point on the canvas onto the sphere and report the selenographic spot under it
+    pickMoonSurface(clientX, clientY) {
+        if (!this.moonMesh || !this.moonCamera) return null;
+
+        const rect = this.elements.moon3DCanvas.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, this.moonCamera);
+        const hit = raycaster.intersectObject(this.moonMesh)[0];
+
+        if (!hit) {
+            this.updateMoonPickInfo(null);
+            return null;
+        }
+
+        // Mesh frame: north pole on +y, prime meridian on +x, east longitudes toward -z
+        const local = this.moonMesh.worldToLocal(hit.point.clone()).normalize();
+        const latitude = Math.asin(local.y) * 180 / Math.PI;
+        const longitude = Math.atan2(-local.z, local.x) * 180 / Math.PI;
+
+        const spot = this.describeLunarSpot(latitude, longitude, this.selectedDate);
+        this.updateMoonPickInfo(spot);
+        return spot;
+    }
+
+    // Sunlight and nearest named feature for a selenographic latitude/longitude at a given instant
+    describeLunarSpot(latitude, longitude, date) {
+        const subsolar = this.calculateSubsolarPoint(date);
+        const sunAltitude = 90 - this.angularSeparation(longitude, latitude, subsolar.longitude, subsolar.latitude);
+
+        return {
+            latitude,
+            longitude,
+            sunAltitude,
+            lit: sunAltitude > 0,
+            nearestFeature: this.findNearestLunarFeature(latitude, longitude)
+        };
+    }
+
+    // Catalog rows from data/lunar-features.js as objects, built once
+    getLunarFeatures() {
+        if (!this.lunarFeatures) {
+            const rows = window.LunarData?.lunarFeatures || [];
+            this.lunarFeatures = rows.map(([name, type, latitude, longitude, diameter]) => ({
+                name, type, latitude, longitude, diameter
+            }));
+        }
+        return this.lunarFeatures;
+    }
+
+    // Relief features on the Earth-facing side with the Sun low in their sky, where long shadows
+    // show them best. Sunrise means the morning terminator has just passed, sunset that the evening
+    // one is approaching.
+    getTerminatorFeatures(date, limit = 8) {
+        const subsolar = this.calculateSubsolarPoint(date);
+        const libration = this.calculateLibration(date);
+        const maxSunAltitude = 12; // degrees
+        const idealSunAltitude = 5;
+        const reliefTypes = ['crater', 'montes', 'mons', 'vallis', 'rupes', 'sinus'];
+
+        return this.getLunarFeatures()
+            .filter(feature => reliefTypes.includes(feature.type))
+            .filter(feature => this.angularSeparation(feature.longitude, feature.latitude, libration.longitude, libration.latitude) < 80)
+            .map(feature => {
+                const sunAltitude = 90 - this.angularSeparation(feature.longitude, feature.latitude, subsolar.longitude, subsolar.latitude);
+                const sunEast = this.normalizeDegrees(subsolar.longitude - feature.longitude) < 180;
+                return { ...feature, sunAltitude, lighting: sunEast ? 'sunrise' : 'sunset' };
+            })
+            .filter(feature => feature.sunAltitude > 0 && feature.sunAltitude <= maxSunAltitude)
+            .sort((a, b) => Math.abs(a.sunAltitude - idealSunAltitude) - Math.abs(b.sunAltitude - idealSunAltitude))
+            .slice(0, limit);
+    }
+
+    findNearestLunarFeature(latitude, longitude) {
+        let nearest = null;
+        this.getLunarFeatures().forEach(({ name, type, latitude: featureLatitude, longitude: featureLongitude, diameter }) => {
+            const separation = this.angularSeparation(longitude, latitude, featureLongitude, featureLatitude);
+            const distance = separation * Math.PI / 180 * this.astroConstants.lunarRadius;
+            // Rank by distance in feature radii, so a crater inside a mare wins near its own centre
+            const relativeDistance = distance / Math.max(diameter / 2, 5);
+            if (!nearest || relativeDistance < nearest.relativeDistance) {
+                nearest = {
+                    name, type, diameter, distance, relativeDistance,
+                    latitude: featureLatitude,
+                    longitude: featureLongitude,
+                    edgeDistance: Math.max(0, distance - diameter / 2)
+                };
+            }
+        });
+        return nearest;
+    }
+
+    updateMoonPickInfo(spot) {
+        if (!this.elements.moonPickInfo) return;
+
+        if (!spot) {
+            this.elements.moonPickInfo.textContent = 'Off the lunar disc';
+            return;
+        }
+
+        const formatCoordinate = (value, positive, negative) => `${Math.abs(value).toFixed(1)}°${value >= 0 ? positive : negative}`;
+        const feature = spot.nearestFeature;
+        let featureText = '';
+        if (feature) {
+            featureText = feature.edgeDistance === 0
+                ? ` · ${feature.name}`
+                : ` · ${this.formatDistance(feature.edgeDistance)} from ${feature.name}`;
+        }
+
+        this.elements.moonPickInfo.textContent =
+            `${formatCoordinate(spot.latitude, 'N', 'S')} ${formatCoordinate(spot.longitude, 'E', 'W')} · ` +
+            `${spot.lit ? `Sunlit (Sun ${spot.sunAltitude.toFixed(0)}° up)` : 'In darkness'}${featureText}`;
+    }
+
+    // Feature labels: HTML overlay positioned each frame from the mesh, hidden on the far side
+    toggleMoonLabels() {
+        this.showMoonLabels = !this.showMoonLabels;
+        if (this.showMoonLabels && this.moonLabelElements.length === 0) {
+            this.createMoonLabels();
+        }
+        if (this.elements.moonLabels) {
+            this.elements.moonLabels.classList.toggle('visible', this.showMoonLabels);
+        }
+        if (this.elements.moonLabelsBtn) {
+            this.elements.moonLabelsBtn.setAttribute('aria-pressed', String(this.showMoonLabels));
+        }
+        this.showToast(this.showMoonLabels ? 'Feature labels shown' : 'Feature labels hidden', 'info');
+    }
+
+    createMoonLabels() {
+        if (!this.elements.moonLabels) return;
+
+        this.elements.moonLabels.innerHTML = '';
+        this.moonLabelElements = this.getLunarFeatures().map(feature => {
+            const label = document.createElement('div');
+            label.className = `moon-label moon-label--${feature.type.replace(' ', '-')}`;
+            label.textContent = feature.name;
+            this.elements.moonLabels.appendChild(label);
+            return { feature, label };
+        });
+    }
+
+    updateMoonLabels() {
+        if (!this.showMoonLabels || !this.moonMesh || !this.moonControls) return;
+
+        // Fewer, larger features when zoomed out
+        const distance = this.moonControls.distance;
+        const minDiameter = distance > 6 ? 250 : distance > 4 ? 80 : 0;
+        const toCamera = new THREE.Vector3();
+
+        this.moonLabelElements.forEach(({ feature, label }) => {
+            const highlighted = this.highlightedFeature === feature.name;
+            const point = this.moonMesh.localToWorld(this.selenographicToVector(feature.latitude, feature.longitude, 2));
+            const normal = point.clone().sub(this.moonMesh.position).normalize();
+            toCamera.copy(this.moonCamera.position).sub(point).normalize();
+
+            const facing = normal.dot(toCamera) > 0.15;
+            if (!facing || (feature.diameter < minDiameter && !highlighted)) {
+                label.style.display = 'none';
+                return;
+            }
+
+            const projected = point.project(this.moonCamera);
+            label.style.display = '';
+            label.style.left = `${(projected.x + 1) * 50}%`;
+            label.style.top = `${(1 - projected.y) * 50}%`;
+            label.classList.toggle('highlighted', highlighted);
+        });
+    }
+
+    // Point on the mesh (radius in scene units) for a selenographic latitude/longitude
+    selenographicToVector(latitude, longitude, radius = 1) {
+        const toRad = Math.PI / 180;
+        return new THREE.Vector3(
+            radius * Math.cos(latitude * toRad) * Math.cos(longitude * toRad),
+            radius * Math.sin(latitude * toRad),
+            -radius * Math.cos(latitude * toRad) * Math.sin(longitude * toRad)
+        );
+    }
+
+    populateFeatureSearch() {
+        if (!this.elements.featureNames) return;
+
+        this.elements.featureNames.innerHTML = '';
+        this.getLunarFeatures().forEach(feature => {
+            const option = document.createElement('option');
+            option.value = feature.name;
+            this.elements.featureNames.appendChild(option);
+        });
+    }
+
+    handleFeatureSearch() {
+        const query = this.elements.featureSearch?.value.trim().toLowerCase();
+        if (!query) return;
+
+        const features = this.getLunarFeatures();
+        const feature = features.find(candidate => candidate.name.toLowerCase() === query) ||
+            features.find(candidate => candidate.name.toLowerCase().startsWith(query)) ||
+            features.find(candidate => candidate.name.toLowerCase().includes(query));
+
+        if (feature) {
+            this.focusLunarFeature(feature);
+        } else {
+            this.showToast(`No feature named "${this.elements.featureSearch.value.trim()}"`, 'error');
+        }
+    }
+
+    // Orbit the camera until the feature faces the viewer, and label it
+    focusLunarFeature(feature) {
+        if (!this.moonMesh || !this.moonControls) {
+            this.showToast('3D Moon not available', 'error');
+            return;
+        }
+
+        // A spinning mesh would carry the feature away again
+        if (this.moonOrientationMode !== 'true') {
+            this.toggleMoonOrientation();
+        }
+        if (this.currentLibration) {
+            this.applyLibrationOrientation(this.currentLibration);
+        }
+        this.moonMesh.updateMatrixWorld();
+
+        const direction = this.moonMesh.localToWorld(this.selenographicToVector(feature.latitude, feature.longitude))
+            .sub(this.moonMesh.position)
+            .normalize();
+        const controls = this.moonControls;
+        controls.target.set(0, 0, 0);
+        controls.velocity = { azimuth: 0, elevation: 0, zoom: 0 };
+        controls.focus = {
+            azimuth: Math.atan2(direction.x, direction.z),
+            elevation: Math.max(-controls.limits.maxElevation, Math.min(controls.limits.maxElevation, Math.asin(direction.y))),
+            distance: feature.diameter < 200 ? 5 : controls.distance
+        };
+
+        this.highlightedFeature = feature.name;
+        if (!this.showMoonLabels) {
+            this.toggleMoonLabels();
+        }
+        this.updateMoonPickInfo(this.describeLunarSpot(feature.latitude, feature.longitude, this.selectedDate));
+        this.scheduleUrlState();
+        this.showToast(`Centering ${feature.name}`, 'success');
+    }
+
+    updateTerminatorFeatures() {
+        if (!this.elements.featuresContainer) return;
+
+        const subsolar = this.calculateSubsolarPoint(this.selectedDate);
+        const features = this.getTerminatorFeatures(this.selectedDate);
+
+        if (this.elements.terminatorSummary) {
+            // The morning terminator lies at longitude -colongitude, the evening one opposite it
+            const sunrise = this.normalizeDegrees(180 - subsolar.colongitude) - 180;
+            const sunset = this.normalizeDegrees(sunrise) - 180;
+            const formatLongitude = (value) => `${Math.abs(value).toFixed(1)}°${value >= 0 ? 'E' : 'W'}`;
+            this.elements.terminatorSummary.textContent =
+                `Sun's colongitude ${subsolar.colongitude.toFixed(1)}° · sunrise line at ${formatLongitude(sunrise)}, sunset line at ${formatLongitude(sunset)}`;
+        }
+
+        this.elements.featuresContainer.innerHTML = '';
+        if (features.length === 0) {
+            this.elements.featuresContainer.innerHTML = '<div class="feature-empty">No major relief features sit near the terminator on the visible side right now.</div>';
+            return;
+        }
+
+        features.forEach(feature => {
+            const card = document.createElement('button');
+            card.type = 'button';
+            card.className = 'feature-card';
+            card.innerHTML = `
+                <div class="feature-name">${feature.name}</div>
+                <div class="feature-meta">${feature.type} · ${this.formatDistance(feature.diameter)}</div>
+                <div class="feature-lighting">${feature.lighting === 'sunrise' ? '🌅 Sunrise' : '🌇 Sunset'} · Sun ${feature.sunAltitude.toFixed(1)}° up</div>
+            `;
+            card.addEventListener('click', () => {
+                this.focusLunarFeature(feature);
+                this.elements.moon3DContainer?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            });
+            this.elements.featuresContainer.appendChild(card);
+        });
+    }
+
+    // Turn the sub-Earth point (l, b) toward the camera and tilt the axis by its position angle.
+    // The texture's prime meridian sits on +x, so longitude 0 needs a -90° turn to face +z.
+    applyLibrationOrientation(libration) {
+        const toRad = Math.PI / 180;
+        const skyRotation = this.currentDiscGeometry ? this.currentDiscGeometry.parallacticAngle : 0;
+        this.moonMesh.rotation.order = 'ZXY';
+        this.moonMesh.rotation.set(
+            libration.latitude * toRad,
+            -Math.PI / 2 - libration.longitude * toRad,
+            (libration.positionAngle - skyRotation) * toRad
+        );
+    }
+
+    // Unit vector toward the Sun in view space: camera on +z, observer's zenith up, east to the left.
+    // The Sun sits at the phase angle from the line of sight, toward the bright limb.
+    getSunDirectionInView(geometry) {
+        const toRad = Math.PI / 180;
+        const phaseAngle = geometry.phaseAngle * toRad;
+        const limbAngle = geometry.skyBrightLimbAngle * toRad;
+        return {
+            x: -Math.sin(phaseAngle) * Math.sin(limbAngle),
+            y: Math.sin(phaseAngle) * Math.cos(limbAngle),
+            z: Math.cos(phaseAngle)
+        };
+    }
+
+    // User Interface Management
+    updateDisplay() {
+        const moonData = this.calculateMoonPhase(this.selectedDate);
+        const { lat, lng, elevation, horizon } = this.userLocation;
+        const moonTimes = this.calculateMoonTimes(this.selectedDate, lat, lng, elevation, horizon);
+        const lunarPosition = this.calculateLunarPosition(this.selectedDate, lat, lng, elevation);
+
+        // Update phase information
+        if (this.elements.currentPhaseName) {
+            this.elements.currentPhaseName.textContent = moonData.phase.name;
+        }
+        if (this.elements.currentPhaseEmoji) {
+            this.elements.currentPhaseEmoji.textContent = moonData.phase.emoji;
+        }
+        if (this.elements.currentPhaseDesc) {
+            this.elements.currentPhaseDesc.textContent = moonData.phase.description;
+        }
+
+        // Update data cards with smooth animations
+        this.updateDataCard('illuminationValue', `${moonData.illumination}%`);
+        this.updateProgressBar('illuminationProgress', moonData.illumination);
+        const distance = this.convertDistance(moonData.distance);
+        this.updateDataCard('distanceValue', `${Math.round(distance.value).toLocaleString()}`);
+        this.updateDataCard('distanceSubtext', `${distance.unit} from Earth`);
+        this.updateApsidesDisplay();
+        this.updateDataCard('lunarAge', `${moonData.age} days`);
+        this.updateDataCard('nextPhaseName', moonData.nextPhase.name);
+        this.updateDataCard('nextPhaseTime', this.formatEventDateTime(moonData.nextPhaseDate));
+        this.nextPhaseDate = moonData.nextPhaseDate;
+        this.updatePhaseCountdown();
+
+        // Update astronomical data
+        // With a skyline, when the Moon clears it and drops behind it follow the astronomical times
+        this.updateDataCard('moonriseTime', moonTimes.clearRise === null ? moonTimes.rise
+            : `${moonTimes.rise} · ${moonTimes.clearRiseTime ? `clears ${moonTimes.clearRise}` : moonTimes.clearRise.toLowerCase()}`);
+        this.updateDataCard('moonsetTime', moonTimes.clearSet === null ? moonTimes.set
+            : `${moonTimes.set} · ${moonTimes.clearSetTime ? `hidden ${moonTimes.clearSet}` : moonTimes.clearSet.toLowerCase()}`);
+        this.updateDataCard('bestViewingTime', moonTimes.bestViewing);
+        this.updateDataCard('moonAltitude', `${Math.round(lunarPosition.altitude)}°`);
         this.updateDataCard('moonAzimuth', `${Math.round(lunarPosition.azimuth)}°`);
-        this.updateDataCard('moonConstellation', this.getConstellation(this.selectedDate));
+        const constellation = this.getConstellation(lunarPosition.rightAscension, lunarPosition.declination, lunarPosition.julianDay);
+        this.updateDataCard('moonConstellation', constellation.name);
+
+        this.currentDiscGeometry = this.calculateMoonDiscGeometry(this.selectedDate, lunarPosition);
+        this.currentLibration = this.calculateLibration(this.selectedDate);
+        const signed = (value) => `${value >= 0 ? '+' : '−'}${Math.abs(value).toFixed(2)}°`;
+        this.updateDataCard('moonLibration', `${signed(this.currentLibration.longitude)} / ${signed(this.currentLibration.latitude)}`);
+        this.updateDataCard('moonAxisAngle', `${this.currentLibration.positionAngle.toFixed(1)}°`);
+        this.updateTerminatorFeatures();
+        this.updateNightSection();
+        this.renderHorizonEditor();
+        this.updateCalendar();
+        this.updateEclipseSection();
+
+        // Update date and time inputs
+        if (this.elements.dateInput) {
+            this.elements.dateInput.value = this.formatDateForInput(this.selectedDate);
+        }
+        this.updateTimeControls();
+        this.scheduleUrlState();
+
+        console.log(`🌙 Display updated for ${this.formatDate(this.selectedDate)}`);
+    }
+
+    updateTimeControls() {
+        const minutes = Math.floor(this.getZonedDate(this.selectedDate, this.getDisplayTimeZone()).minutes);
+        if (this.elements.timeInput) {
+            this.elements.timeInput.value = this.formatTimeForInput(this.selectedDate);
+        }
+        if (this.elements.timeSlider) {
+            this.elements.timeSlider.value = minutes;
+        }
+        if (this.elements.timeSliderLabel) {
+            this.elements.timeSliderLabel.textContent = this.formatTime(minutes / 60);
+        }
+    }
+
+    updateDataCard(elementId, value) {
+        const element = this.elements[elementId];
+        if (element && element.textContent !== value) {
+            element.style.transform = 'scale(1.05)';
+            element.style.transition = 'transform 0.2s ease';
+            
+            setTimeout(() => {
+                element.textContent = value;
+                element.style.transform = 'scale(1)';
+            }, 100);
+        }
+    }
+
+    updateApsidesDisplay() {
+        const apsides = this.getNextApsides(this.selectedDate);
+        if (apsides.perigee) {
+            this.updateDataCard('nextPerigee', `Perigee ${this.formatEventDateTime(apsides.perigee.date)} · ${this.formatDistance(apsides.perigee.distance)}`);
+        }
+        if (apsides.apogee) {
+            this.updateDataCard('nextApogee', `Apogee ${this.formatEventDateTime(apsides.apogee.date)} · ${this.formatDistance(apsides.apogee.distance)}`);
+        }
+
+        // Size class of the next Full Moon
+        const julianDay = this.dateToJulianDay(this.selectedDate);
+        const window = this.astroConstants.principalPhaseWindow;
+        const fullMoon = this.findPrincipalPhases(julianDay - window, julianDay + this.astroConstants.synodicMonth)
+            .find(p => p.index === 4);
+        if (fullMoon) {
+            const size = this.classifyMoonSize(fullMoon);
+            const label = size === 'supermoon' ? 'Supermoon' : size === 'micromoon' ? 'Micromoon' : 'Regular size';
+            this.updateDataCard('moonSizeStatus', `Full Moon ${this.formatShortDate(fullMoon.date)}: ${label}`);
+        }
+    }
+
+    updatePhaseCountdown() {
+        if (!this.elements.nextPhaseCountdown || !this.nextPhaseDate) return;
+
+        const remaining = this.nextPhaseDate - new Date();
+        const label = remaining >= 0
+            ? `in ${this.formatCountdown(remaining)}`
+            : `${this.formatCountdown(-remaining)} ago`;
+        this.elements.nextPhaseCountdown.textContent = label;
+    }
+
+    updateProgressBar(elementId, percentage) {
+        const element = this.elements[elementId];
+        if (element) {
+            element.style.width = `${percentage}%`;
+        }
+    }
+
+    generateForecast() {
+        if (!this.elements.forecastGrid) return;
+
+        const days = this.getForecastDayCount();
+        this.updateForecastHeader(days);
+
+        // Cards are reused across calls, keyed by instant; a site or content change rebuilds them
+        const { fields } = this.forecastSettings;
+        const settingsKey = `${this.userLocation.lat}|${this.userLocation.lng}|${this.userLocation.timezone}|${this.userLocation.elevation}|` +
+            `${this.getHorizonKey(this.userLocation.horizon)}|` +
+            `${this.preferences.units}|${this.preferences.timeFormat}|${this.getDisplayTimeZone()}|${this.moonSizeDefinition.method}|` +
+            Object.keys(fields).filter(field => fields[field]).join(',');
+        if (this.forecastCardsKey !== settingsKey) {
+            this.forecastCardsKey = settingsKey;
+            this.forecastCards = new Map();
+        }
+
+        // Events over the whole range are solved once and matched to cards afterwards
+        const window = this.astroConstants.principalPhaseWindow;
+        const synodicMonth = this.astroConstants.synodicMonth;
+        const startJD = this.dateToJulianDay(this.selectedDate) + 1 - window;
+        const endJD = startJD + days;
+        const principals = this.findPrincipalPhases(startJD - synodicMonth / 2, endJD + synodicMonth / 2);
+        const apsides = this.findLunarApsides(startJD, endJD);
+        const eclipses = this.findEclipses(startJD, endJD, this.userLocation.lat, this.userLocation.lng);
+
+        const cards = new Map();
+        for (let i = 1; i <= days; i++) {
+            const forecastDate = this.addDays(this.selectedDate, i);
+            const key = forecastDate.getTime();
+
+            let card = this.forecastCards.get(key);
+            if (!card) {
+                const julianDay = this.dateToJulianDay(forecastDate);
+                const moonData = {
+                    phase: this.moonPhases[this.getPhaseIndex(julianDay, principals)],
+                    illumination: Math.round(this.getIllumination(julianDay).illuminatedFraction * 100)
+                };
+                const badges = this.getForecastBadges(forecastDate, principals, apsides, eclipses);
+                card = this.createForecastCard(forecastDate, moonData, i, badges);
+
+                // Stagger animations of new cards only
+                setTimeout(() => {
+                    card.style.animation = 'fadeInUp 0.6s ease-out both';
+                }, Math.min(i, 14) * 50);
+            }
+            cards.set(key, card);
+        }
+
+        this.forecastCards = cards;
+        this.elements.forecastGrid.replaceChildren(...cards.values());
+        this.scheduleForecastDetails();
+    }
+
+    // Number of daily cards: a fixed range, or up to the card nearest the next Full Moon
+    getForecastDayCount() {
+        const range = this.forecastSettings.range;
+        if (range !== 'fullMoon') return range;
+
+        const julianDay = this.dateToJulianDay(this.selectedDate);
+        const window = this.astroConstants.principalPhaseWindow;
+        const fullMoon = this.findPrincipalPhases(julianDay, julianDay + this.astroConstants.synodicMonth + 1)
+            .find(phase => phase.index === 4 && phase.julianDay > julianDay + window);
+        return Math.max(1, Math.round(fullMoon.julianDay - julianDay));
+    }
+
+    updateForecastHeader(days) {
+        if (this.elements.forecastTitle) {
+            this.elements.forecastTitle.textContent = this.forecastSettings.range === 'fullMoon'
+                ? `Lunar Forecast to Full Moon (${days} ${days === 1 ? 'day' : 'days'})`
+                : `${days}-Day Lunar Forecast`;
+        }
+        if (this.elements.forecastSubtitle) {
+            this.elements.forecastSubtitle.textContent = `Each day at ${this.formatClockTime(this.selectedDate)}`;
+        }
+    }
+
+    setForecastRange(value) {
+        this.forecastSettings.range = value === 'fullMoon' ? value : parseInt(value, 10);
+        this.saveSettings();
+        this.generateForecast();
+    }
+
+    setForecastField(field, enabled) {
+        this.forecastSettings.fields[field] = enabled;
+        this.saveSettings();
+        this.generateForecast();
+    }
+
+    // Rise/set and the other optional details cost a full-day search each, so cards get them one
+    // at a time between frames instead of blocking the page for long ranges
+    scheduleForecastDetails() {
+        clearTimeout(this.forecastDetailsTimer);
+        const pending = [...this.forecastCards.entries()].filter(([, card]) => card.dataset.detailsPending);
+
+        const next = () => {
+            const entry = pending.shift();
+            if (!entry) return;
+            const [key, card] = entry;
+            if (this.forecastCards.get(key) === card) {
+                this.fillForecastDetails(card, new Date(key));
+            }
+            this.forecastDetailsTimer = setTimeout(next, 0);
+        };
+        this.forecastDetailsTimer = setTimeout(next, 0);
+    }
+
+    fillForecastDetails(card, date) {
+        const { fields } = this.forecastSettings;
+        const { lat, lng } = this.userLocation;
+        const rows = [];
+
+        const moonTimes = (fields.moonTimes || fields.maxAltitude || fields.quality) ? this.getForecastMoonTimes(date) : null;
+        if (fields.moonTimes) {
+            rows.push(`<div class="forecast-detail">↑ ${moonTimes.rise} · ↓ ${moonTimes.set}</div>`);
+        }
+        if (fields.maxAltitude) {
+            const altitude = moonTimes.bestViewingAltitude;
+            rows.push(`<div class="forecast-detail">Max altitude ${altitude === null ? '—' : `${Math.round(altitude)}°`}</div>`);
+        }
+        if (fields.constellation) {
+            const position = this.calculateLunarPosition(date, lat, lng);
+            const constellation = this.getConstellation(position.rightAscension, position.declination, position.julianDay);
+            rows.push(`<div class="forecast-detail">In ${constellation.name}</div>`);
+        }
+        if (fields.quality) {
+            const score = this.calculateViewingQuality(moonTimes);
+            const level = score >= 70 ? 'good' : score >= 40 ? 'fair' : 'poor';
+            rows.push(`<div class="forecast-detail forecast-quality forecast-quality--${level}">Viewing ${score}/100</div>`);
+        }
+
+        const details = card.querySelector('.forecast-details');
+        if (details) details.innerHTML = rows.join('');
+        delete card.dataset.detailsPending;
+    }
+
+    // Moon times per local day and site; the forecast reuses them as the range slides
+    getForecastMoonTimes(date) {
+        const { lat, lng, timezone, elevation, horizon } = this.userLocation;
+        const key = `${this.getLocalDayStart(date, timezone).getTime()}|${lat}|${lng}|${elevation}|${this.getHorizonKey(horizon)}`;
+        if (!this.forecastMoonTimesCache.has(key)) {
+            if (this.forecastMoonTimesCache.size >= 128) {
+                this.forecastMoonTimesCache.delete(this.forecastMoonTimesCache.keys().next().value);
+            }
+            this.forecastMoonTimesCache.set(key, this.calculateMoonTimes(date, lat, lng, elevation, horizon));
+        }
+        return this.forecastMoonTimesCache.get(key);
+    }
+
+    // 0–100 for looking at the Moon itself: its altitude at best viewing, how dark the sky is then,
+    // and terminator relief (least at New and Full, most around the quarters)
+    calculateViewingQuality(moonTimes) {
+        if (!moonTimes.bestViewingTime || moonTimes.bestViewingAltitude <= 0) return 0;
+
+        const julianDay = this.dateToJulianDay(moonTimes.bestViewingTime);
+        const sun = this.getSolarPositionAt(julianDay, this.userLocation.lat, this.userLocation.lng);
+        const { illuminatedFraction } = this.getIllumination(julianDay);
+
+        const altitudeFactor = Math.sin(moonTimes.bestViewingAltitude * Math.PI / 180);
+        const skyFactor = sun.altitude < -6 ? 1 : sun.altitude < 0 ? 0.7 : 0.35;
+        const reliefFactor = 0.4 + 0.6 * Math.sin(Math.PI * illuminatedFraction);
+        return Math.round(100 * altitudeFactor * skyFactor * reliefFactor);
+    }
+
+    // Jump the whole view to an instant, as forecast cards and calendar days do
+    selectDate(date) {
+        this.selectedDate = new Date(date);
+        this.updateDisplay();
+        this.generateForecast();
+    }
+
+    // Badges for events within the principal phase window either side of a forecast instant
+    getForecastBadges(date, principals, apsides, eclipses = []) {
+        const julianDay = this.dateToJulianDay(date);
+        const window = this.astroConstants.principalPhaseWindow;
+        const inWindow = (event) => Math.abs(event.julianDay - julianDay) <= window;
+        const badges = [];
+
+        principals.filter(inWindow).forEach(phase => {
+            const size = this.classifyMoonSize(phase);
+            if (size === 'supermoon') badges.push({ type: 'supermoon', label: 'Supermoon' });
+            if (size === 'micromoon') badges.push({ type: 'micromoon', label: 'Micromoon' });
+        });
+
+        eclipses.filter(inWindow).forEach(eclipse => {
+            badges.push({
+                type: 'eclipse',
+                label: `${eclipse.kind === 'lunar' ? '🌘' : '🌞'} ${eclipse.type} ${eclipse.kind} eclipse`
+            });
+        });
+
+        apsides.filter(inWindow).forEach(apsis => {
+            const distance = this.convertDistance(apsis.distance);
+            badges.push({
+                type: apsis.type,
+                label: `${apsis.type === 'perigee' ? 'Perigee' : 'Apogee'} ${Math.round(distance.value / 1000)}k ${distance.unit}`
+            });
+        });
+
+        return badges;
+    }
+
+    createForecastCard(date, moonData, index, badges = []) {
+        const card = document.createElement('div');
+        card.className = 'forecast-card';
+        const badgeMarkup = badges.length
+            ? `<div class="forecast-badges">${badges.map(b => `<span class="forecast-badge forecast-badge--${b.type}">${b.label}</span>`).join('')}</div>`
+            : '';
+        const hasDetails = Object.values(this.forecastSettings.fields).some(Boolean);
+        card.innerHTML = `
+            <div class="forecast-date">${this.formatShortDate(date)}</div>
+            <div class="forecast-moon">${moonData.phase.emoji}</div>
+            <div class="forecast-phase">${moonData.phase.name}</div>
+            <div class="forecast-illumination">${moonData.illumination}% illuminated</div>
+            ${hasDetails ? '<div class="forecast-details"><div class="forecast-detail">…</div></div>' : ''}
+            ${badgeMarkup}
+        `;
+        if (hasDetails) {
+            card.dataset.detailsPending = 'true';
+        }
+
+        card.addEventListener('click', () => {
+            this.selectDate(date);
+            
+            // Visual feedback
+            document.querySelectorAll('.forecast-card').forEach(c => c.classList.remove('selected'));
+            card.classList.add('selected');
+            
+            this.showToast(`Viewing ${moonData.phase.name} for ${this.formatShortDate(date)}`, 'success');
+        });
 
-        // Update date input
-        if (this.elements.dateInput) {
-            this.elements.dateInput.value = this.formatDateForInput(this.selectedDate);
+        return card;
+    }
+
+    // Sun position and twilight for the selected day and the night timeline around the selected time,
+    // recomputed only when the day, night or site changes
+    updateNightSection() {
+        const { lat, lng, timezone, elevation, horizon } = this.userLocation;
+        const sun = this.getSolarPositionAt(this.dateToJulianDay(this.selectedDate), lat, lng);
+        this.updateDataCard('sunAltitude', `${Math.round(sun.altitude)}°`);
+        this.updateDataCard('sunAzimuth', `${Math.round(sun.azimuth)}°`);
+
+        const dayStart = this.getLocalDayStart(this.selectedDate, timezone);
+        const nightStart = this.getLocalDayStart(new Date(this.selectedDate.getTime() - 12 * 3600000), timezone);
+        const cacheKey = `${dayStart.getTime()}|${nightStart.getTime()}|${lat}|${lng}|${timezone}|${elevation}|${this.getHorizonKey(horizon)}`;
+        if (this.nightSectionKey !== cacheKey) {
+            this.nightSectionKey = cacheKey;
+
+            const sunTimes = this.calculateSunTimes(this.selectedDate, lat, lng);
+            let sunrise = this.formatClockTime(sunTimes.sunrise, 'No sunrise');
+            let sunset = this.formatClockTime(sunTimes.sunset, 'No sunset');
+            if (sunTimes.alwaysUp) {
+                sunrise = sunset = 'Midnight sun';
+            } else if (sunTimes.neverRises) {
+                sunrise = sunset = 'Polar night';
+            }
+            this.updateDataCard('sunriseTime', sunrise);
+            this.updateDataCard('sunsetTime', sunset);
+            this.updateDataCard('civilTwilight', this.formatTwilight(sunTimes, 'civil', 6));
+            this.updateDataCard('nauticalTwilight', this.formatTwilight(sunTimes, 'nautical', 12));
+            this.updateDataCard('astronomicalTwilight', this.formatTwilight(sunTimes, 'astronomical', 18));
+
+            this.nightTimeline = this.calculateNightTimeline(this.selectedDate, lat, lng, elevation, horizon);
+            const windows = this.nightTimeline.darkWindows;
+            this.updateDataCard('darkWindowTime', windows.length === 0
+                ? 'None tonight'
+                : `${windows.map(window => `${this.formatClockTime(window.start)} – ${this.formatClockTime(window.end)}`).join(', ')} (${this.formatDuration(this.nightTimeline.darkDuration)})`);
+            this.renderNightTimeline(this.nightTimeline);
         }
 
-        console.log(`🌙 Display updated for ${this.formatDate(this.selectedDate)}`);
+        this.updateNightMarker();
     }
 
-    updateDataCard(elementId, value) {
-        const element = this.elements[elementId];
-        if (element && element.textContent !== value) {
-            element.style.transform = 'scale(1.05)';
-            element.style.transition = 'transform 0.2s ease';
-            
-            setTimeout(() => {
-                element.textContent = value;
-                element.style.transform = 'scale(1)';
-            }, 100);
+    // Dawn / dusk pair for a twilight limit, or which side of it the Sun stays on all day
+    formatTwilight(sunTimes, key, depth) {
+        const dawn = sunTimes[`${key}Dawn`];
+        const dusk = sunTimes[`${key}Dusk`];
+        if (!dawn && !dusk) {
+            return sunTimes.noonAltitude < -depth ? `Sun below −${depth}° all day` : `Sun never −${depth}°`;
         }
+        return `${this.formatClockTime(dawn)} / ${this.formatClockTime(dusk)}`;
     }
 
-    updateProgressBar(elementId, percentage) {
-        const element = this.elements[elementId];
-        if (element) {
-            element.style.width = `${percentage}%`;
+    renderNightTimeline(timeline) {
+        const container = this.elements.nightTimeline;
+        if (!container) return;
+
+        const skyLabels = {
+            day: 'Daylight',
+            civil: 'Civil twilight',
+            nautical: 'Nautical twilight',
+            astronomical: 'Astronomical twilight',
+            dark: 'Dark sky'
+        };
+        const band = (className, segments, label) => {
+            const track = document.createElement('div');
+            track.className = `night-track ${className}`;
+            segments.forEach(segment => {
+                const element = document.createElement('div');
+                element.className = `night-segment night-swatch--${segment.state || 'window'}`;
+                element.style.left = `${segment.startFraction * 100}%`;
+                element.style.width = `${(segment.endFraction - segment.startFraction) * 100}%`;
+                element.title = `${label(segment)} ${this.formatClockTime(segment.start)} – ${this.formatClockTime(segment.end)}`;
+                track.appendChild(element);
+            });
+            return track;
+        };
+
+        container.innerHTML = '';
+        container.appendChild(band('night-track--sky', timeline.sky, segment => skyLabels[segment.state]));
+        container.appendChild(band('night-track--moon',
+            timeline.moon.filter(segment => segment.state !== 'down')
+                .map(segment => ({ ...segment, state: segment.state === 'up' ? 'moon' : 'moon-hidden' })),
+            segment => segment.state === 'moon' ? 'Moon up' : 'Moon behind the skyline'));
+        container.appendChild(band('night-track--window', timeline.darkWindows, () => 'Moon-free dark'));
+
+        // Clock labels every three hours from local noon
+        const ticks = document.createElement('div');
+        ticks.className = 'night-ticks';
+        const span = timeline.end - timeline.start;
+        for (let offset = 0; offset <= span; offset += 3 * 3600000) {
+            const tick = document.createElement('span');
+            tick.className = 'night-tick';
+            tick.style.left = `${offset / span * 100}%`;
+            tick.textContent = this.formatClockTime(new Date(timeline.start.getTime() + offset));
+            ticks.appendChild(tick);
+        }
+        container.appendChild(ticks);
+
+        const marker = document.createElement('div');
+        marker.className = 'night-marker';
+        container.appendChild(marker);
+        container.setAttribute('aria-label', `Night of ${this.formatShortDate(timeline.start)}: ` +
+            `moon-free darkness ${timeline.darkWindows.length ? this.formatDuration(timeline.darkDuration) : 'none'}`);
+    }
+
+    // Selected time on the timeline
+    updateNightMarker() {
+        const marker = this.elements.nightTimeline?.querySelector('.night-marker');
+        if (!marker || !this.nightTimeline) return;
+
+        const { start, end } = this.nightTimeline;
+        const fraction = (this.selectedDate - start) / (end - start);
+        marker.style.display = fraction >= 0 && fraction <= 1 ? '' : 'none';
+        marker.style.left = `${fraction * 100}%`;
+    }
+
+    // Lunar Calendar
+    // Months from calendarView on, re-rendered only when the months shown, the site or the supermoon definition change
+    updateCalendar() {
+        if (!this.elements.calendarGrid) return;
+
+        // Follow the selected day when it moves to a month that is not on screen
+        const timeZone = this.getDisplayTimeZone();
+        const selectedKey = this.formatDateForInput(this.selectedDate);
+        const { year: selectedYear, month: selectedMonthIndex } = this.getZonedDate(this.selectedDate, timeZone);
+        const selectedMonth = { year: selectedYear, month: selectedMonthIndex };
+        if (!this.calendarView) {
+            this.calendarView = selectedMonth;
+        } else if (selectedKey !== this.calendarSelectedKey) {
+            const offset = (selectedMonth.year - this.calendarView.year) * 12 + selectedMonth.month - this.calendarView.month;
+            if (offset < 0 || offset >= this.calendarMonthCount) {
+                this.calendarView = selectedMonth;
+            }
+        }
+        this.calendarSelectedKey = selectedKey;
+
+        const { year, month } = this.calendarView;
+        const cacheKey = `${year}-${month}|${this.calendarMonthCount}|${this.userLocation.lat}|${this.userLocation.lng}|${timeZone}|${this.moonSizeDefinition.method}`;
+        if (this.calendarKey !== cacheKey) {
+            this.calendarKey = cacheKey;
+            this.renderCalendar();
+        }
+
+        this.elements.calendarGrid.querySelectorAll('.calendar-day').forEach(cell => {
+            cell.classList.toggle('selected', cell.dataset.date === selectedKey);
+        });
+    }
+
+    renderCalendar() {
+        const { year, month } = this.calendarView;
+        const count = this.calendarMonthCount;
+        const timeZone = this.getDisplayTimeZone();
+        const first = this.getZonedMidnight(year, month, 1, timeZone);
+        const last = this.getZonedMidnight(year, month + count, 1, timeZone);
+        const startJD = this.dateToJulianDay(first);
+        const endJD = this.dateToJulianDay(last);
+        const synodicMonth = this.astroConstants.synodicMonth;
+
+        // Events over the whole range are solved once and filed under the local day they fall on
+        const principals = this.findPrincipalPhases(startJD - synodicMonth, endJD + synodicMonth / 2);
+        const markersByDay = new Map();
+        const addMarker = (date, marker) => {
+            const key = this.formatDateForInput(date);
+            if (!markersByDay.has(key)) markersByDay.set(key, []);
+            markersByDay.get(key).push(marker);
+        };
+        const clock = (date) => this.formatClockTime(date);
+
+        principals.filter(p => p.julianDay >= startJD && p.julianDay < endJD).forEach(phase => {
+            addMarker(phase.date, { type: 'phase', label: `${phase.phase.emoji} ${clock(phase.date)}`, title: `${phase.name} at ${clock(phase.date)}` });
+            const size = this.classifyMoonSize(phase);
+            if (size === 'supermoon') addMarker(phase.date, { type: 'supermoon', label: 'Supermoon' });
+            if (size === 'micromoon') addMarker(phase.date, { type: 'micromoon', label: 'Micromoon' });
+        });
+        this.findLunarApsides(startJD, endJD).forEach(apsis => {
+            const name = apsis.type === 'perigee' ? 'Perigee' : 'Apogee';
+            addMarker(apsis.date, {
+                type: apsis.type,
+                label: name,
+                title: `${name} ${this.formatDistance(apsis.distance)} at ${clock(apsis.date)}`
+            });
+        });
+        this.findEclipses(startJD, endJD, this.userLocation.lat, this.userLocation.lng).forEach(eclipse => {
+            addMarker(eclipse.date, {
+                type: 'eclipse',
+                label: `${eclipse.kind === 'lunar' ? '🌘' : '🌞'} Eclipse`,
+                title: `${eclipse.type} ${eclipse.kind} eclipse at ${clock(eclipse.date)}`
+            });
+        });
+
+        if (this.elements.calendarTitle) {
+            const firstName = this.formatMonthName(year, month);
+            this.elements.calendarTitle.textContent = count === 1 ? firstName : `${firstName} – ${this.formatMonthName(year, month + count - 1)}`;
+        }
+
+        this.elements.calendarGrid.innerHTML = '';
+        this.elements.calendarGrid.classList.toggle('calendar-grid--multi', count > 1);
+        for (let i = 0; i < count; i++) {
+            this.elements.calendarGrid.appendChild(this.createCalendarMonth(year, month + i, principals, markersByDay));
+        }
+    }
+
+    // One month (from 0, may run past December) of the display zone's calendar
+    createCalendarMonth(year, month, principals, markersByDay) {
+        const timeZone = this.getDisplayTimeZone();
+        const monthElement = document.createElement('div');
+        monthElement.className = 'calendar-month';
+        monthElement.innerHTML = `
+            <div class="calendar-month-title">${this.formatMonthName(year, month)}</div>
+            <div class="calendar-weekdays">${['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(d => `<span>${d}</span>`).join('')}</div>
+        `;
+
+        const days = document.createElement('div');
+        days.className = 'calendar-days';
+        for (let i = 0; i < new Date(Date.UTC(year, month, 1)).getUTCDay(); i++) {
+            days.appendChild(document.createElement('span'));
+        }
+
+        const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        for (let day = 1; day <= daysInMonth; day++) {
+            // Phase and illumination at local noon
+            const noon = this.getZonedTime(year, month, day, 12 * 60, timeZone);
+            const julianDay = this.dateToJulianDay(noon);
+            const phase = this.moonPhases[this.getPhaseIndex(julianDay, principals)];
+            const illumination = Math.round(this.getIllumination(julianDay).illuminatedFraction * 100);
+            const key = this.formatDateForInput(noon);
+            const markers = markersByDay.get(key) || [];
+
+            const cell = document.createElement('button');
+            cell.type = 'button';
+            cell.className = 'calendar-day';
+            cell.dataset.date = key;
+            cell.classList.toggle('calendar-day--principal', markers.some(m => m.type === 'phase'));
+            cell.title = `${this.formatShortDate(noon)}: ${phase.name}, ${illumination}% illuminated`;
+            cell.innerHTML = `
+                <span class="calendar-day-number">${day}</span>
+                <span class="calendar-day-moon">${phase.emoji}</span>
+                <span class="calendar-day-illumination">${illumination}%</span>
+                ${markers.length ? `<span class="calendar-day-markers">${markers.map(m =>
+                    `<span class="forecast-badge forecast-badge--${m.type}" title="${m.title || m.label}">${m.label}</span>`).join('')}</span>` : ''}
+            `;
+
+            cell.addEventListener('click', () => {
+                // Same day at the currently selected time of day
+                const date = this.getZonedTime(year, month, day, this.getZonedDate(this.selectedDate, timeZone).minutes, timeZone);
+                this.selectDate(date);
+                this.showToast(`Viewing ${phase.name} for ${this.formatShortDate(date)}`, 'success');
+            });
+            days.appendChild(cell);
+        }
+
+        monthElement.appendChild(days);
+        return monthElement;
+    }
+
+    shiftCalendar(months) {
+        if (!this.calendarView) return;
+        const target = new Date(this.calendarView.year, this.calendarView.month + months, 1);
+        this.calendarView = { year: target.getFullYear(), month: target.getMonth() };
+        this.updateCalendar();
+    }
+
+    setCalendarMonthCount(count) {
+        this.calendarMonthCount = count;
+        this.updateCalendar();
+    }
+
+    // Upcoming eclipses over the two years after the selected day, recomputed only when the day or site changes
+    updateEclipseSection() {
+        if (!this.elements.eclipseList) return;
+
+        const start = this.getLocalDayStart(this.selectedDate, this.userLocation.timezone);
+        const cacheKey = `${start.getTime()}|${this.userLocation.lat}|${this.userLocation.lng}|${this.userLocation.timezone}|` +
+            this.getHorizonKey(this.userLocation.horizon);
+        if (this.eclipseSectionKey === cacheKey) return;
+        this.eclipseSectionKey = cacheKey;
+
+        const end = new Date(start);
+        end.setFullYear(end.getFullYear() + 2);
+        const eclipses = this.getEclipses(start, end);
+
+        this.elements.eclipseList.innerHTML = '';
+        if (!eclipses.length) {
+            this.elements.eclipseList.innerHTML = '<div class="eclipse-empty">No eclipses in the next two years</div>';
+            return;
+        }
+
+        eclipses.forEach(eclipse => {
+            this.elements.eclipseList.appendChild(this.createEclipseCard(eclipse));
+        });
+    }
+
+    createEclipseCard(eclipse) {
+        const contacts = (eclipse.local ? eclipse.local.contacts : eclipse.contacts)
+            .map(c => `<li><span>${c.label}</span><span>${this.formatEventDateTime(c.date)}</span></li>`)
+            .join('');
+        const localSummary = eclipse.local
+            ? `<div class="eclipse-detail">Local ${eclipse.local.type} eclipse · magnitude ${eclipse.local.magnitude.toFixed(3)}</div>`
+            : '';
+
+        const card = document.createElement('div');
+        card.className = `eclipse-card eclipse-card--${eclipse.kind}`;
+        card.innerHTML = `
+            <div class="eclipse-title">${eclipse.kind === 'lunar' ? '🌘' : '🌞'} ${eclipse.name}</div>
+            <div class="eclipse-date">${this.formatEventDateTime(eclipse.date)}</div>
+            <div class="eclipse-detail">Magnitude ${eclipse.magnitude.toFixed(3)}</div>
+            ${localSummary}
+            <ul class="eclipse-contacts">${contacts}</ul>
+            <div class="eclipse-visibility eclipse-visibility--${eclipse.visibility}">${this.eclipseVisibilityLabels[eclipse.visibility]}</div>
+        `;
+
+        card.addEventListener('click', () => {
+            this.selectedDate = new Date(eclipse.date);
+            this.updateDisplay();
+            this.generateForecast();
+            this.showToast(`Viewing ${eclipse.name} of ${this.formatShortDate(eclipse.date)}`, 'success');
+        });
+
+        return card;
+    }
+
+    // Ephemeris Table
+    handleEphemerisGenerate() {
+        const { timezone } = this.userLocation;
+        const parseDay = (value) => {
+            const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+            return match ? this.getZonedMidnight(+match[1], +match[2] - 1, +match[3], timezone) : null;
+        };
+        const start = parseDay(this.elements.ephemerisStart?.value);
+        const lastDay = parseDay(this.elements.ephemerisEnd?.value);
+        const step = parseFloat(this.elements.ephemerisStep?.value);
+        const unitMinutes = { minutes: 1, hours: 60, days: 1440 }[this.elements.ephemerisStepUnit?.value] || 1440;
+
+        if (!start || !lastDay || lastDay < start) {
+            this.showToast('Choose a start date on or before the end date', 'error');
+            return;
+        }
+        if (!(step > 0)) {
+            this.showToast('The step must be greater than zero', 'error');
+            return;
+        }
+
+        // The end date is included up to its last step before the following midnight
+        const end = this.getLocalDayStart(new Date(lastDay.getTime() + 36 * 3600000), timezone);
+        this.generateEphemeris(start, end, step * unitMinutes).catch(error => {
+            this.showToast(error.message, 'error');
+            console.error('Ephemeris error:', error);
+        });
+    }
+
+    // Fill the start and end inputs with the selected day and the month after it
+    resetEphemerisRange() {
+        const { timezone } = this.userLocation;
+        const toInput = (date) => this.formatLocalISO(date, timezone).slice(0, 10);
+        if (this.elements.ephemerisStart) this.elements.ephemerisStart.value = toInput(this.selectedDate);
+        if (this.elements.ephemerisEnd) {
+            this.elements.ephemerisEnd.value = toInput(new Date(this.selectedDate.getTime() + 30 * 86400000));
+        }
+    }
+
+    // Rows from start (inclusive) to end (exclusive) every stepMinutes. Phase labels come from principal
+    // phases solved once for the range, and rise/set from one calculateMoonTimes per local day; the work
+    // yields to the page regularly and a newer run supersedes this one.
+    async generateEphemeris(start, end, stepMinutes) {
+        const maxRows = 10000;
+        const rowCount = Math.ceil((end - start) / (stepMinutes * 60000));
+        if (rowCount > maxRows) {
+            throw new Error(`That range needs ${rowCount.toLocaleString('en-US')} rows; the limit is ${maxRows.toLocaleString('en-US')}`);
+        }
+
+        const run = ++this.ephemerisRun;
+        const { lat, lng, timezone, elevation } = this.userLocation;
+        const synodicMonth = this.astroConstants.synodicMonth;
+        const startJD = this.dateToJulianDay(start);
+        const principals = this.findPrincipalPhases(startJD - synodicMonth - 1, this.dateToJulianDay(end) + synodicMonth / 2);
+        const moonTimesByDay = new Map();
+        const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+        const rows = [];
+        let lastYield = Date.now();
+
+        if (this.elements.ephemerisCsv) this.elements.ephemerisCsv.disabled = true;
+        if (this.elements.ephemerisJson) this.elements.ephemerisJson.disabled = true;
+
+        // Downloads stay off while rows are computed; afterwards they follow whatever ephemeris is
+        // shown, unless a newer run has taken the buttons over
+        try {
+            for (let i = 0; i < rowCount; i++) {
+                const date = new Date(start.getTime() + i * stepMinutes * 60000);
+                const julianDay = this.dateToJulianDay(date);
+                const { moon, illuminatedFraction } = this.getIllumination(julianDay);
+                const position = this.calculateLunarPosition(date, lat, lng, elevation);
+
+                const dayKey = this.getLocalDayStart(date, timezone).getTime();
+                if (!moonTimesByDay.has(dayKey)) moonTimesByDay.set(dayKey, this.calculateMoonTimes(date, lat, lng, elevation));
+                const moonTimes = moonTimesByDay.get(dayKey);
+
+                rows.push({
+                    julianDay: round(julianDay, 6),
+                    utc: date.toISOString().replace('.000', ''),
+                    local: this.formatLocalISO(date, timezone),
+                    phase: this.moonPhases[this.getPhaseIndex(julianDay, principals)].name,
+                    illumination: round(illuminatedFraction * 100, 2),
+                    distance: Math.round(moon.distance),
+                    altitude: round(position.altitude, 2),
+                    azimuth: round(position.azimuth, 2),
+                    rightAscension: round(position.rightAscension / 15, 4),
+                    declination: round(position.declination, 3),
+                    angularSize: round(this.calculateAngularSize(moon.distance) / 60, 2),
+                    moonrise: moonTimes.riseTime ? this.formatLocalISO(moonTimes.riseTime, timezone) : null,
+                    moonset: moonTimes.setTime ? this.formatLocalISO(moonTimes.setTime, timezone) : null
+                });
+
+                if (Date.now() - lastYield > 50) {
+                    if (this.elements.ephemerisStatus) {
+                        this.elements.ephemerisStatus.textContent = `Computing… ${rows.length.toLocaleString('en-US')} of ${rowCount.toLocaleString('en-US')} rows`;
+                    }
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    if (run !== this.ephemerisRun) return null;
+                    lastYield = Date.now();
+                }
+            }
+
+            this.ephemeris = { rows, site: { lat, lng, timezone, elevation }, start, end, stepMinutes };
+            this.renderEphemeris();
+            return this.ephemeris;
+        } finally {
+            if (run === this.ephemerisRun) {
+                if (this.elements.ephemerisCsv) this.elements.ephemerisCsv.disabled = !this.ephemeris;
+                if (this.elements.ephemerisJson) this.elements.ephemerisJson.disabled = !this.ephemeris;
+            }
+        }
+    }
+
+    sortEphemeris(key) {
+        if (!this.ephemeris) return;
+        const sort = this.ephemerisSort;
+        this.ephemerisSort = { key, ascending: sort.key === key ? !sort.ascending : true };
+        this.renderEphemeris();
+    }
+
+    // Rows in the current sort order; empty values go last either way
+    getSortedEphemerisRows() {
+        const { key, ascending } = this.ephemerisSort;
+        const direction = ascending ? 1 : -1;
+        return [...this.ephemeris.rows].sort((a, b) => {
+            if (a[key] === b[key]) return a.julianDay - b.julianDay;
+            if (a[key] === null) return 1;
+            if (b[key] === null) return -1;
+            return (a[key] < b[key] ? -1 : 1) * direction;
+        });
+    }
+
+    renderEphemeris() {
+        if (!this.elements.ephemerisTable || !this.ephemeris) return;
+
+        const { rows, site, start, end, stepMinutes } = this.ephemeris;
+        const { key, ascending } = this.ephemerisSort;
+        const header = this.ephemerisColumns.map(column => {
+            const sorted = column.key === key;
+            const ariaSort = sorted ? (ascending ? 'ascending' : 'descending') : 'none';
+            return `<th data-key="${column.key}" aria-sort="${ariaSort}" class="${sorted ? 'sorted' : ''}">${column.label}${sorted ? (ascending ? ' ▲' : ' ▼') : ''}</th>`;
+        }).join('');
+        const body = this.getSortedEphemerisRows().map(row =>
+            `<tr>${this.ephemerisColumns.map(column => `<td>${row[column.key] ?? '—'}</td>`).join('')}</tr>`
+        ).join('');
+
+        this.elements.ephemerisTable.innerHTML = `<thead><tr>${header}</tr></thead><tbody>${body}</tbody>`;
+        if (this.elements.ephemerisStatus) {
+            const day = (date) => this.formatLocalISO(date, site.timezone).slice(0, 10);
+            this.elements.ephemerisStatus.textContent =
+                `${rows.length.toLocaleString('en-US')} rows · ${day(start)} – ${day(new Date(end.getTime() - 1))} · ` +
+                `every ${this.formatStep(stepMinutes)} · ${site.lat.toFixed(2)}°, ${site.lng.toFixed(2)}°, ${site.elevation} m (${site.timezone})`;
+        }
+    }
+
+    formatStep(minutes) {
+        if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'}`;
+        if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+
+    downloadEphemeris(format) {
+        if (!this.ephemeris) return;
+
+        const rows = this.getSortedEphemerisRows();
+        let content;
+        if (format === 'json') {
+            const { site, start, end, stepMinutes } = this.ephemeris;
+            content = JSON.stringify({
+                site,
+                start: start.toISOString(),
+                end: end.toISOString(),
+                stepMinutes,
+                columns: this.ephemerisColumns,
+                rows
+            }, null, 2);
+        } else {
+            const escape = (value) => {
+                const text = value === null ? '' : String(value);
+                return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            content = [this.ephemerisColumns.map(column => escape(column.label)).join(',')]
+                .concat(rows.map(row => this.ephemerisColumns.map(column => escape(row[column.key])).join(',')))
+                .join('\r\n') + '\r\n';
+        }
+
+        const type = format === 'json' ? 'application/json' : 'text/csv;charset=utf-8';
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `lunar-nexus-ephemeris-${this.formatDateForFile(this.ephemeris.start)}.${format}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        this.showToast(`Ephemeris downloaded as ${format.toUpperCase()}`, 'success');
+    }
+
+    // Observation Planner
+    handlePlanGenerate() {
+        const goal = this.elements.plannerGoal?.value || 'surface';
+        const nights = parseInt(this.elements.plannerNights?.value, 10) || 14;
+        this.generatePlan(goal, nights).catch(error => {
+            this.showToast(error.message, 'error');
+            console.error('Planner error:', error);
+        });
+    }
+
+    // Scores each night from the selected day's for one goal and ranks them. A night runs from local
+    // noon to noon, the same span as the night timeline; work yields to the page between nights and a
+    // newer run supersedes this one.
+    async generatePlan(goal, nightCount) {
+        if (!this.plannerGoalLabels[goal]) throw new Error(`Unknown planner goal ${goal}`);
+
+        const run = ++this.plannerRun;
+        const { lat, lng, timezone, elevation, horizon } = this.userLocation;
+        const firstDay = this.getLocalDayStart(this.selectedDate, timezone);
+        const results = [];
+        let lastYield = Date.now();
+
+        for (let i = 0; i < nightCount; i++) {
+            // Midday of each local day, so daylight saving changes cannot skip or repeat one
+            const midday = new Date(firstDay.getTime() + (i * 24 + 12) * 3600000);
+            const night = this.describePlannerNight(midday, lat, lng, elevation, horizon);
+            results.push({ ...this.scorePlannerNight(goal, night), date: night.date, phase: night.phase });
+
+            if (Date.now() - lastYield > 50) {
+                if (this.elements.plannerStatus) {
+                    this.elements.plannerStatus.textContent = `Scoring… ${i + 1} of ${nightCount} nights`;
+                }
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (run !== this.plannerRun) return null;
+                lastYield = Date.now();
+            }
+        }
+
+        results.sort((a, b) => b.score - a.score || a.date - b.date);
+        this.plan = { goal, nights: nightCount, site: { lat, lng, timezone, elevation }, results };
+        this.renderPlan();
+        return this.plan;
+    }
+
+    // Everything the goal scorers share for one night: the night timeline, the day's moon times, the
+    // phase at local midnight and ten-minute samples of the Sun and Moon from noon to noon
+    describePlannerNight(midday, lat, lng, elevation, horizon) {
+        const timeline = this.calculateNightTimeline(new Date(midday.getTime() + 6 * 3600000), lat, lng, elevation, horizon);
+        const moonTimes = this.calculateMoonTimes(midday, lat, lng, elevation, horizon);
+        const midnight = new Date((timeline.start.getTime() + timeline.end.getTime()) / 2);
+
+        const samples = [];
+        for (let time = timeline.start.getTime(); time <= timeline.end.getTime(); time += 10 * 60000) {
+            const julianDay = this.dateToJulianDay(new Date(time));
+            const moon = this.getLunarPositionAt(julianDay, lat, lng, elevation);
+            samples.push({
+                date: new Date(time),
+                sunAltitude: this.getSolarPositionAt(julianDay, lat, lng).geometricAltitude,
+                moon,
+                inSight: moon.altitude > 0 && moon.altitude > this.getHorizonAltitude(moon.azimuth, horizon)
+            });
+        }
+
+        return { date: this.getLocalDayStart(midday, this.userLocation.timezone), timeline, moonTimes, samples, horizon, phase: this.calculateMoonPhase(midnight) };
+    }
+
+    // { score 0–100, time worth jumping to or null, reasons } for one night
+    scorePlannerNight(goal, night) {
+        switch (goal) {
+            case 'deepSky': return this.scoreDeepSkyNight(night);
+            case 'moonrise': return this.scoreMoonriseNight(night);
+            case 'earthshine': return this.scoreEarthshineNight(night);
+            default: return this.scoreSurfaceNight(night);
+        }
+    }
+
+    // Surface detail wants the Moon high in a dark sky (less air to look through) and a phase that
+    // puts the terminator's long shadows on the near side, most of all around the quarters
+    scoreSurfaceNight(night) {
+        const candidates = night.samples.filter(sample => sample.inSight && sample.sunAltitude < -6);
+        if (!candidates.length) {
+            return { score: 0, time: null, reasons: ['The Moon is not in sight after dusk or before dawn'] };
+        }
+
+        const best = candidates.reduce((highest, sample) => sample.moon.altitude > highest.moon.altitude ? sample : highest);
+        const { illuminatedFraction } = this.getIllumination(best.moon.julianDay);
+        const features = this.getTerminatorFeatures(best.date, 3);
+        const hours = candidates.length / 6;
+
+        const altitudeFactor = Math.sin(best.moon.altitude * Math.PI / 180);
+        const reliefFactor = Math.sin(Math.PI * illuminatedFraction);
+        const durationFactor = Math.min(1, hours / 4);
+        const featureFactor = features.length ? 1 : 0.5;
+        const score = Math.round(100 * featureFactor * (0.4 * altitudeFactor + 0.4 * reliefFactor + 0.2 * durationFactor));
+
+        const illumination = Math.round(illuminatedFraction * 100);
+        const reasons = [`Highest in a dark sky at ${this.formatClockTime(best.date)}, ${Math.round(best.moon.altitude)}° up`];
+        if (best.moon.altitude < 20) reasons.push('Low in the sky, so expect a soft, shimmering view');
+        if (illuminatedFraction > 0.9) {
+            reasons.push(`${illumination}% lit: near Full Moon the Sun is high everywhere and shadows are short`);
+        } else if (reliefFactor > 0.8) {
+            reasons.push(`${illumination}% lit: the terminator crosses the middle of the disc`);
+        } else {
+            reasons.push(`${illumination}% lit: the terminator is near the limb`);
+        }
+        reasons.push(features.length
+            ? `On the terminator: ${features.map(feature => feature.name).join(', ')}`
+            : 'No major relief features on the terminator');
+        reasons.push(`In sight for ${this.formatDuration(hours * 3600000)} between dusk and dawn`);
+        return { score, time: best.date, reasons };
+    }
+
+    // Deep-sky work wants astronomical darkness with the Moon below the horizon: mostly the share of
+    // the dark hours that are moon-free, and a little for how long that is outright
+    scoreDeepSkyNight(night) {
+        const { timeline } = night;
+        const darkTotal = timeline.sky
+            .filter(segment => segment.state === 'dark')
+            .reduce((total, segment) => total + (segment.end - segment.start), 0);
+        if (!darkTotal) {
+            return { score: 0, time: null, reasons: ['No astronomical darkness: the Sun stays within 18° of the horizon'] };
+        }
+
+        const moonFree = timeline.darkDuration;
+        const score = Math.round(100 * (0.7 * moonFree / darkTotal + 0.3 * Math.min(1, moonFree / (6 * 3600000))));
+        const longest = timeline.darkWindows.reduce((best, window) => !best || window.end - window.start > best.end - best.start ? window : best, null);
+
+        const reasons = [moonFree
+            ? `${this.formatDuration(moonFree)} of moon-free darkness: ${timeline.darkWindows.map(window => `${this.formatClockTime(window.start)} – ${this.formatClockTime(window.end)}`).join(', ')}`
+            : 'The Moon is up for all of astronomical darkness'];
+        reasons.push(`Astronomical darkness lasts ${this.formatDuration(darkTotal)}`);
+        if (moonFree < darkTotal - 60000) {
+            reasons.push(`The ${night.phase.illumination}% lit Moon is up for ${this.formatDuration(darkTotal - moonFree)} of it`);
+        }
+        return { score, time: longest ? longest.start : null, reasons };
+    }
+
+    // Moonrise photography wants the Moon to appear over the skyline in golden hour (the Sun from 6°
+    // above to 4° below the horizon), a low skyline in that direction and a disc bright enough to show
+    // against the twilight, which a crescent under about 30% lit is not
+    scoreMoonriseNight(night) {
+        const { moonTimes, horizon } = night;
+        if (!moonTimes.riseTime) {
+            return { score: 0, time: null, reasons: ['No moonrise on this day'] };
+        }
+
+        const { lat, lng, elevation } = this.userLocation;
+        const riseJD = this.dateToJulianDay(moonTimes.riseTime);
+        const riseAzimuth = this.getLunarPositionAt(riseJD, lat, lng, elevation).azimuth;
+        // With a profile the shot is when the Moon clears the skyline, not when it rises behind it. The
+        // Moon drifts south or north while it climbs, so the skyline it clears is the one at that moment's
+        // bearing; when it never clears, the rise bearing is all there is to report
+        const appears = horizon.length ? moonTimes.clearRiseTime : moonTimes.riseTime;
+        const skylineAzimuth = appears ? this.getLunarPositionAt(this.dateToJulianDay(appears), lat, lng, elevation).azimuth : riseAzimuth;
+        const skyline = this.getHorizonAltitude(skylineAzimuth, horizon);
+        const sunAltitude = this.getSolarPositionAt(this.dateToJulianDay(appears || moonTimes.riseTime), lat, lng).altitude;
+        const { illuminatedFraction } = this.getIllumination(riseJD);
+
+        const goldenFactor = sunAltitude > 6 ? Math.max(0, 1 - (sunAltitude - 6) / 10)
+            : sunAltitude < -4 ? Math.max(0, 1 - (-4 - sunAltitude) / 8) : 1;
+        const clearFactor = appears ? Math.max(0, 1 - skyline / 10) : 0;
+        const brightnessFactor = Math.min(1, illuminatedFraction / 0.3);
+        const score = Math.round(100 * goldenFactor * brightnessFactor * (0.6 + 0.2 * illuminatedFraction + 0.2 * clearFactor));
+
+        const reasons = [`Rises at ${this.formatClockTime(moonTimes.riseTime)}, bearing ${this.formatBearing(riseAzimuth)}`];
+        if (!horizon.length) {
+            reasons.push('Flat horizon assumed; add a horizon profile for this site to check the view');
+        } else if (!appears) {
+            reasons.push(`Does not clear the ${skyline.toFixed(1)}° skyline in that direction before the day ends`);
+        } else if (skyline > 0.5) {
+            reasons.push(`Clears the ${skyline.toFixed(1)}° skyline at ${this.formatClockTime(appears)}`);
+        } else {
+            reasons.push('Open horizon in that direction');
+        }
+        if (goldenFactor === 1) {
+            reasons.push(`Sun ${Math.abs(Math.round(sunAltitude))}° ${sunAltitude >= 0 ? 'up' : 'down'}: golden hour`);
+        } else if (sunAltitude > 6) {
+            reasons.push(`Sun ${Math.round(sunAltitude)}° up: the sky is still bright`);
+        } else {
+            reasons.push(`Sun ${Math.round(-sunAltitude)}° down: the landscape is already dark`);
+        }
+        reasons.push(`${Math.round(illuminatedFraction * 100)}% lit${brightnessFactor < 1 ? ': too faint to stand out in twilight' : ''}`);
+        return { score, time: appears || moonTimes.riseTime, reasons };
+    }
+
+    // Earthshine shows best on a crescent from about 5% to 15% lit, well up in a dark sky
+    scoreEarthshineNight(night) {
+        const candidates = night.samples.filter(sample => sample.inSight && sample.sunAltitude < -6);
+        if (!candidates.length) {
+            return { score: 0, time: null, reasons: ['The Moon is not in sight after dusk or before dawn'] };
+        }
+
+        const viewOf = (sample) => Math.min(1, sample.moon.altitude / 25) * (sample.sunAltitude < -12 ? 1 : 0.7);
+        const best = candidates.reduce((top, sample) => viewOf(sample) > viewOf(top) ? sample : top);
+        // The night's midnight phase, the same snapshot the plan card shows
+        const { phase, illuminatedFraction, illumination } = night.phase;
+        const phaseFactor = Math.max(0, Math.min(1, (illuminatedFraction - 0.02) / 0.03, 1 - (illuminatedFraction - 0.15) / 0.25));
+        const score = Math.round(100 * phaseFactor * viewOf(best));
+
+        const reasons = [];
+        if (illuminatedFraction < 0.02) {
+            reasons.push(`${phase.name}, ${illumination}% lit: too close to New Moon`);
+        } else if (illuminatedFraction > 0.4) {
+            reasons.push(`${phase.name}, ${illumination}% lit: the lit part drowns out earthshine`);
+        } else if (illuminatedFraction > 0.15) {
+            reasons.push(`${phase.name}, ${illumination}% lit: earthshine fades as the crescent grows`);
+        } else {
+            reasons.push(`${phase.name}, ${illumination}% lit: a thin crescent with a bright earthlit side`);
+        }
+        reasons.push(`${Math.round(best.moon.altitude)}° up at ${this.formatClockTime(best.date)} in ${best.sunAltitude < -12 ? 'a dark sky' : 'nautical twilight'}`);
+        if (best.moon.altitude < 10) reasons.push('Low in the sky, so find a clear view toward the horizon');
+        return { score, time: best.date, reasons };
+    }
+
+    renderPlan() {
+        if (!this.elements.plannerResults || !this.plan) return;
+
+        const { goal, nights, site, results } = this.plan;
+        this.elements.plannerResults.innerHTML = '';
+        results.forEach((result, index) => this.elements.plannerResults.appendChild(this.createPlanCard(result, index + 1)));
+        if (this.elements.plannerStatus) {
+            const viable = results.filter(result => result.score > 0).length;
+            this.elements.plannerStatus.textContent =
+                `${this.plannerGoalLabels[goal]} · ${viable} of ${nights} nights viable · ` +
+                `${site.lat.toFixed(2)}°, ${site.lng.toFixed(2)}°, ${site.elevation} m (${site.timezone})`;
+        }
+    }
+
+    createPlanCard(result, rank) {
+        const level = result.score >= 70 ? 'good' : result.score >= 40 ? 'fair' : 'poor';
+        const card = document.createElement('div');
+        card.className = `planner-card planner-card--${level}`;
+        card.innerHTML = `
+            <div class="planner-rank">#${rank}</div>
+            <div class="planner-body">
+                <div class="planner-title">
+                    <span>Night of ${this.formatShortDate(new Date(result.date.getTime() + 12 * 3600000))}</span>
+                    <span class="planner-score">${result.score}/100</span>
+                </div>
+                <div class="planner-meta">${result.phase.phase.emoji} ${result.phase.phase.name} · ${result.phase.illumination}%${result.time ? ` · best ${this.formatClockTime(result.time)}` : ''}</div>
+                <ul class="planner-reasons">${result.reasons.map(reason => `<li>${reason}</li>`).join('')}</ul>
+                <div class="planner-tip">📸 ${result.phase.phase.photography}</div>
+            </div>
+        `;
+
+        card.addEventListener('click', () => {
+            this.selectDate(result.time || new Date(result.date.getTime() + 22 * 3600000));
+            this.showToast(`Viewing the night of ${this.formatShortDate(new Date(result.date.getTime() + 12 * 3600000))}`, 'success');
+        });
+        return card;
+    }
+
+    // Landmark Alignment
+    // Camera at the observing site and a month from the selected day; the target is left as typed
+    resetAlignmentForm() {
+        const toInput = (date) => this.formatLocalISO(date, this.userLocation.timezone).slice(0, 10);
+        this.useSiteAsCamera();
+        if (this.elements.alignStart) this.elements.alignStart.value = toInput(this.selectedDate);
+        if (this.elements.alignEnd) this.elements.alignEnd.value = toInput(new Date(this.selectedDate.getTime() + 30 * 86400000));
+    }
+
+    useSiteAsCamera() {
+        const { lat, lng, elevation } = this.userLocation;
+        if (this.elements.alignCameraLat) this.elements.alignCameraLat.value = lat;
+        if (this.elements.alignCameraLng) this.elements.alignCameraLng.value = lng;
+        if (this.elements.alignCameraElevation) this.elements.alignCameraElevation.value = elevation;
+    }
+
+    handleAlignmentSearch() {
+        const number = (id) => parseFloat(this.elements[id]?.value);
+        const point = (prefix) => ({ lat: number(`${prefix}Lat`), lng: number(`${prefix}Lng`), elevation: number(`${prefix}Elevation`) });
+        const valid = ({ lat, lng, elevation }) => lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180 && elevation >= -500 && elevation <= 9000;
+        const camera = point('alignCamera');
+        const target = point('alignTarget');
+        if (!valid(camera) || !valid(target)) {
+            this.showToast('Enter the latitude, longitude and elevation of both the camera and the target', 'error');
+            return;
+        }
+
+        const { timezone } = this.userLocation;
+        const parseDay = (value) => {
+            const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+            return match ? this.getZonedMidnight(+match[1], +match[2] - 1, +match[3], timezone) : null;
+        };
+        const start = parseDay(this.elements.alignStart?.value);
+        const lastDay = parseDay(this.elements.alignEnd?.value);
+        if (!start || !lastDay || lastDay < start) {
+            this.showToast('Choose a start date on or before the end date', 'error');
+            return;
+        }
+
+        const tolerance = number('alignTolerance');
+        const focalLength = number('alignFocalLength');
+        if (!(tolerance > 0 && tolerance <= 5)) {
+            this.showToast('Tolerance must be more than 0° and at most 5°', 'error');
+            return;
+        }
+        if (!(focalLength >= 8 && focalLength <= 5000)) {
+            this.showToast('Focal length must be between 8 and 5000 mm', 'error');
+            return;
+        }
+
+        const end = this.getLocalDayStart(new Date(lastDay.getTime() + 36 * 3600000), timezone);
+        this.searchAlignments({ camera, target, start, end, tolerance, focalLength }).catch(error => {
+            this.showToast(error.message, 'error');
+            console.error('Alignment search error:', error);
+        });
+    }
+
+    // Bearing and apparent altitude of a target seen from a camera, each { lat, lng, elevation } with
+    // elevation in m: the great-circle bearing, and the elevation angle less the drop of the curved
+    // Earth, which standard terrestrial refraction (k = 0.13) partly makes up. Distance is in m
+    getLineOfSight(camera, target) {
+        const toRad = Math.PI / 180;
+        const earthRadius = this.astroConstants.earthRadius * 1000;
+        const phi1 = camera.lat * toRad;
+        const phi2 = target.lat * toRad;
+        const deltaLambda = (target.lng - camera.lng) * toRad;
+        const azimuth = this.normalizeDegrees(Math.atan2(Math.sin(deltaLambda) * Math.cos(phi2),
+            Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda)) / toRad);
+        const distance = this.angularSeparation(camera.lng, camera.lat, target.lng, target.lat) * toRad * earthRadius;
+        const altitude = (Math.atan2(target.elevation - camera.elevation, distance) - distance * (1 - 0.13) / (2 * earthRadius)) / toRad;
+        return { azimuth, altitude, distance };
+    }
+
+    // Times from start to end when the Moon's centre passes within tolerance degrees of the line of
+    // sight to the target. The Moon's bearing is sampled every twenty minutes; around each crossing of
+    // the target's bearing the closest approach is refined and kept if it is close enough
+    async searchAlignments({ camera, target, start, end, tolerance, focalLength }) {
+        const maxDays = 366;
+        if ((end - start) / 86400000 > maxDays + 1) {
+            throw new Error(`Search up to ${maxDays} days at a time`);
+        }
+        const sight = this.getLineOfSight(camera, target);
+        if (sight.distance < 10) {
+            throw new Error('The camera and the target are less than 10 m apart');
+        }
+
+        const run = ++this.alignmentRun;
+        const step = 20 / 1440;
+        const startJD = this.dateToJulianDay(start);
+        const endJD = this.dateToJulianDay(end);
+        const moonAt = (jd) => this.getLunarPositionAt(jd, camera.lat, camera.lng, camera.elevation);
+        const bearingOffset = (moon) => ((moon.azimuth - sight.azimuth) % 360 + 540) % 360 - 180;
+        const separation = (jd) => {
+            const moon = moonAt(jd);
+            return this.angularSeparation(moon.azimuth, moon.altitude, sight.azimuth, sight.altitude);
+        };
+        const matches = [];
+        let lastYield = Date.now();
+
+        if (this.elements.alignSearch) this.elements.alignSearch.disabled = true;
+        try {
+            let previousJD = startJD;
+            let previous = moonAt(startJD);
+            while (previousJD < endJD && matches.length < 200) {
+                const jd = Math.min(previousJD + step, endJD);
+                const moon = moonAt(jd);
+                const before = bearingOffset(previous);
+                const after = bearingOffset(moon);
+
+                // A crossing of the target's bearing (not the opposite one) near the target's altitude;
+                // the Moon climbs or sinks at most about 5° in a step
+                const crosses = (before <= 0) !== (after <= 0) && Math.abs(before) < 90 && Math.abs(after) < 90;
+                const near = Math.min(Math.abs(previous.altitude - sight.altitude), Math.abs(moon.altitude - sight.altitude)) < tolerance + 5;
+                if (crosses && near) {
+                    const bestJD = this.findMinimum(separation, previousJD - step, jd + step, 30);
+                    if (separation(bestJD) <= tolerance) {
+                        matches.push(this.describeAlignment(bestJD, camera, sight, tolerance, focalLength));
+                    }
+                }
+
+                previousJD = jd;
+                previous = moon;
+
+                if (Date.now() - lastYield > 50) {
+                    if (this.elements.alignmentStatus) {
+                        this.elements.alignmentStatus.textContent = `Searching… ${this.formatShortDate(this.julianDateToDate(jd))}`;
+                    }
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    if (run !== this.alignmentRun) return null;
+                    lastYield = Date.now();
+                }
+            }
+
+            this.alignments = { camera, sight, start, end, tolerance, focalLength, matches };
+            this.renderAlignments();
+            return this.alignments;
+        } finally {
+            // A newer search owns the button once it has started
+            if (run === this.alignmentRun && this.elements.alignSearch) this.elements.alignSearch.disabled = false;
         }
     }
 
-    generateForecast() {
-        if (!this.elements.forecastGrid) return;
+    // Everything shown for one alignment: when the Moon's centre is within tolerance of the target,
+    // where it is, its phase, and how big it is on the sensor and against the landmark
+    describeAlignment(julianDay, camera, sight, tolerance, focalLength) {
+        const moonAt = (jd) => this.getLunarPositionAt(jd, camera.lat, camera.lng, camera.elevation);
+        const separation = (jd) => {
+            const moon = moonAt(jd);
+            return this.angularSeparation(moon.azimuth, moon.altitude, sight.azimuth, sight.altitude) - tolerance;
+        };
+        const moon = moonAt(julianDay);
+        const date = this.julianDateToDate(julianDay);
+        const windowStart = this.findRoot(separation, julianDay - 1 / 24, julianDay);
+        const windowEnd = this.findRoot(separation, julianDay, julianDay + 1 / 24);
+        const semiDiameter = moon.semiDiameter * Math.PI / 180;
+
+        return {
+            date,
+            separation: separation(julianDay) + tolerance,
+            altitudeOffset: moon.altitude - sight.altitude,
+            altitude: moon.altitude,
+            azimuth: moon.azimuth,
+            sunAltitude: this.getSolarPositionAt(julianDay, camera.lat, camera.lng).altitude,
+            phase: this.calculateMoonPhase(date),
+            diameter: 2 * moon.semiDiameter,
+            imageSize: 2 * focalLength * Math.tan(semiDiameter), // mm on the sensor
+            spanAtTarget: 2 * sight.distance * Math.tan(semiDiameter), // m across at the landmark
+            windowStart: windowStart === null ? null : this.julianDateToDate(windowStart),
+            windowEnd: windowEnd === null ? null : this.julianDateToDate(windowEnd)
+        };
+    }
+
+    renderAlignments() {
+        if (!this.elements.alignmentResults || !this.alignments) return;
 
-        this.elements.forecastGrid.innerHTML = '';
+        const { sight, focalLength, matches } = this.alignments;
+        this.elements.alignmentResults.innerHTML = '';
+        if (!matches.length) {
+            this.elements.alignmentResults.innerHTML = '<div class="alignment-empty">The Moon does not pass behind the target in this range. Try a longer range or a wider tolerance.</div>';
+        }
+        matches.forEach(match => this.elements.alignmentResults.appendChild(this.createAlignmentCard(match, focalLength)));
 
-        for (let i = 1; i <= 7; i++) {
-            const forecastDate = new Date(this.selectedDate);
-            forecastDate.setDate(forecastDate.getDate() + i);
-            
-            const moonData = this.calculateMoonPhase(forecastDate);
-            const card = this.createForecastCard(forecastDate, moonData, i);
-            
-            // Add to grid immediately but with animation
-            this.elements.forecastGrid.appendChild(card);
-            
-            // Stagger animations
-            setTimeout(() => {
-                card.style.animation = 'fadeInUp 0.6s ease-out both';
-            }, i * 50);
+        if (this.elements.alignmentStatus) {
+            const distance = sight.distance >= 1000 ? this.formatDistance(sight.distance / 1000) : `${Math.round(sight.distance)} m`;
+            this.elements.alignmentStatus.textContent =
+                `${matches.length} alignment${matches.length === 1 ? '' : 's'} · target ${distance} away, ` +
+                `bearing ${this.formatBearing(sight.azimuth)}, ${sight.altitude.toFixed(2)}° ${sight.altitude >= 0 ? 'up' : 'down'}`;
         }
     }
 
-    createForecastCard(date, moonData, index) {
+    createAlignmentCard(match, focalLength) {
+        const offset = Math.abs(match.altitudeOffset) < 0.01 ? 'on the target'
+            : `${Math.abs(match.altitudeOffset).toFixed(2)}° ${match.altitudeOffset > 0 ? 'above' : 'below'} the target`;
+        const window = match.windowStart && match.windowEnd
+            ? ` · within tolerance ${this.formatClockTime(match.windowStart)} – ${this.formatClockTime(match.windowEnd)}`
+            : '';
+        const sun = `Sun ${Math.abs(Math.round(match.sunAltitude))}° ${match.sunAltitude >= 0 ? 'up' : 'down'}`;
+        // Full-frame sensors are 36 mm wide
+        const size = `${match.diameter.toFixed(2)}° across: ${match.imageSize.toFixed(1)} mm at ${focalLength} mm, ${Math.round(match.imageSize / 36 * 100)}% of a full-frame width`;
+        const span = match.spanAtTarget >= 1000 ? this.formatDistance(match.spanAtTarget / 1000) : `${Math.round(match.spanAtTarget)} m`;
+
         const card = document.createElement('div');
-        card.className = 'forecast-card';
+        card.className = 'alignment-card';
         card.innerHTML = `
-            <div class="forecast-date">${this.formatShortDate(date)}</div>
-            <div class="forecast-moon">${moonData.phase.emoji}</div>
-            <div class="forecast-phase">${moonData.phase.name}</div>
-            <div class="forecast-illumination">${moonData.illumination}% illuminated</div>
+            <div class="alignment-when">${this.formatEventDateTime(match.date)}</div>
+            <div class="alignment-phase">${match.phase.phase.emoji} ${match.phase.phase.name} · ${match.phase.illumination}% lit</div>
+            <div class="alignment-detail">Centre ${offset}${window}</div>
+            <div class="alignment-detail">${match.altitude.toFixed(1)}° up, bearing ${this.formatBearing(match.azimuth)} · ${sun}</div>
+            <div class="alignment-detail">${size} · ${span} wide at the target</div>
         `;
 
         card.addEventListener('click', () => {
-            this.selectedDate = new Date(date);
-            this.updateDisplay();
-            this.generateForecast();
-            
-            // Visual feedback
-            document.querySelectorAll('.forecast-card').forEach(c => c.classList.remove('selected'));
-            card.classList.add('selected');
-            
-            this.showToast(`Viewing ${moonData.phase.name} for ${this.formatShortDate(date)}`, 'success');
+            this.selectDate(match.date);
+            this.showToast(`Viewing the alignment of ${this.formatShortDate(match.date)}`, 'success');
         });
-
         return card;
     }
 
@@ -648,6 +4000,7 @@ class LunarNexus {
         this.populateFacts();
         this.populateMythology();
         this.populatePhotography();
+        this.populateFeatureSearch();
     }
 
     populatePhases() {
@@ -788,8 +4141,11 @@ class LunarNexus {
 
     // Navigation and Interaction
     handleDateChange(event) {
-        const newDate = new Date(event.target.value + 'T12:00:00');
-        if (!isNaN(newDate.getTime())) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(event.target.value);
+        if (match) {
+            const timeZone = this.getDisplayTimeZone();
+            const { minutes } = this.getZonedDate(this.selectedDate, timeZone);
+            const newDate = this.getZonedTime(+match[1], +match[2] - 1, +match[3], minutes, timeZone);
             this.selectedDate = newDate;
             this.updateDisplay();
             this.generateForecast();
@@ -797,8 +4153,46 @@ class LunarNexus {
         }
     }
 
+    handleTimeChange(value, announce) {
+        const [hours, minutes] = value.split(':').map(v => parseInt(v, 10));
+        if (isNaN(hours) || isNaN(minutes)) return;
+
+        this.setTimeOfDay(hours * 60 + minutes, announce);
+    }
+
+    handleTimeSlider(value, commit) {
+        const minutes = parseInt(value, 10);
+        if (isNaN(minutes)) return;
+
+        this.setTimeOfDay(minutes, commit);
+    }
+
+    setTimeOfDay(minutes, commit) {
+        const timeZone = this.getDisplayTimeZone();
+        const { year, month, day } = this.getZonedDate(this.selectedDate, timeZone);
+        this.selectedDate = this.getZonedTime(year, month, day, minutes, timeZone);
+        this.updateDisplay();
+
+        if (commit) {
+            this.generateForecast();
+            this.showToast(`Time set to ${this.formatTime(minutes / 60)}`, 'success');
+        }
+    }
+
+    navigateTime(offsetMinutes) {
+        this.selectedDate = new Date(this.selectedDate.getTime() + offsetMinutes * 60000);
+        this.updateDisplay();
+        this.generateForecast();
+
+        const direction = offsetMinutes > 0 ? 'forward' : 'backward';
+        const amount = Math.abs(offsetMinutes) >= 60
+            ? `${Math.abs(offsetMinutes) / 60} hour${Math.abs(offsetMinutes) > 60 ? 's' : ''}`
+            : `${Math.abs(offsetMinutes)} minutes`;
+        this.showToast(`Stepped ${amount} ${direction}`, 'success');
+    }
+
     navigateDay(offset) {
-        this.selectedDate.setDate(this.selectedDate.getDate() + offset);
+        this.selectedDate = this.addDays(this.selectedDate, offset);
         this.updateDisplay();
         this.generateForecast();
         
@@ -807,85 +4201,790 @@ class LunarNexus {
         this.showToast(`Navigated ${days} day${days > 1 ? 's' : ''} ${direction}`, 'success');
     }
 
-    goToToday() {
-        this.selectedDate = new Date();
-        this.updateDisplay();
-        this.generateForecast();
-        this.showToast('Returned to today', 'success');
+    goToToday() {
+        this.selectedDate = new Date();
+        this.updateDisplay();
+        this.generateForecast();
+        this.showToast('Returned to today', 'success');
+    }
+
+    // Location Management
+    initializeLocation() {
+        if (this.elements.latitudeInput) {
+            this.elements.latitudeInput.value = this.userLocation.lat;
+        }
+        if (this.elements.longitudeInput) {
+            this.elements.longitudeInput.value = this.userLocation.lng;
+        }
+        if (this.elements.elevationInput) {
+            this.elements.elevationInput.value = this.userLocation.elevation;
+        }
+        this.updateLocationDisplay();
+    }
+
+    updateLocation() {
+        const lat = parseFloat(this.elements.latitudeInput?.value);
+        const lng = parseFloat(this.elements.longitudeInput?.value);
+
+        if (!isNaN(lat) && !isNaN(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180) {
+            this.setLocation({ lat, lng });
+            if (this.elements.elevationInput) this.elements.elevationInput.value = this.userLocation.elevation;
+            this.generateForecast();
+            this.showToast(`Location updated: ${lat.toFixed(2)}°, ${lng.toFixed(2)}° (${this.userLocation.timezone})`, 'success');
+        }
+    }
+
+    // A typed elevation replaces the gazetteer's for the current coordinates
+    updateElevation() {
+        const elevation = parseFloat(this.elements.elevationInput?.value);
+        if (isNaN(elevation) || elevation < -500 || elevation > 9000) {
+            this.showToast('Elevation must be between -500 and 9000 m', 'error');
+            this.elements.elevationInput.value = this.userLocation.elevation;
+            return;
+        }
+
+        this.setLocation({ ...this.userLocation, elevation });
+        this.generateForecast();
+        this.showToast(`Elevation set to ${elevation.toLocaleString('en-US')} m`, 'success');
+    }
+
+    async detectLocation() {
+        if (!navigator.geolocation) {
+            this.showToast('Geolocation not supported', 'error');
+            return;
+        }
+
+        this.showToast('Detecting location...', 'info');
+
+        try {
+            const position = await new Promise((resolve, reject) => {
+                navigator.geolocation.getCurrentPosition(resolve, reject, {
+                    enableHighAccuracy: true,
+                    timeout: 10000,
+                    maximumAge: 300000
+                });
+            });
+
+            this.setLocation({
+                lat: Math.round(position.coords.latitude * 10000) / 10000,
+                lng: Math.round(position.coords.longitude * 10000) / 10000
+            });
+            this.initializeLocation();
+            this.generateForecast();
+            const place = this.describeLocation(this.userLocation.lat, this.userLocation.lng);
+            this.showToast(place ? `Location detected: ${place}` : 'Location detected successfully!', 'success');
+        } catch (error) {
+            this.showToast('Location detection failed', 'error');
+            console.error('Geolocation error:', error);
+        }
+    }
+
+    // Move the observer and remember the choice for the next visit; a saved site at the same
+    // coordinates becomes the active one. Zone and elevation default to the bundled data's, and the
+    // skyline to that site's, or a flat horizon anywhere else
+    setLocation({ lat, lng, timezone = this.resolveTimeZone(lat, lng), elevation = this.lookupElevation(lat, lng),
+        horizon = this.findSiteHorizon(lat, lng) }) {
+        Object.assign(this.userLocation, { lat, lng, timezone, elevation, horizon });
+        this.savedLocation = { lat, lng, timezone, elevation, horizon };
+        const site = this.savedSites.find(s => s.lat === lat && s.lng === lng);
+        this.activeSiteId = site ? site.id : null;
+        this.renderSiteSelect();
+        this.saveSettings();
+        this.updateDisplay();
+        this.updateLocationDisplay();
+    }
+
+    findSiteHorizon(lat, lng) {
+        return this.savedSites.find(s => s.lat === lat && s.lng === lng)?.horizon || [];
+    }
+
+    // Gazetteer
+    getPlaces() {
+        if (!this.places) {
+            const rows = window.LunarData?.places || [];
+            this.places = rows.map(([name, type, region, lat, lng, elevation]) => ({
+                name, type, region, lat, lng, elevation,
+                key: this.normalizePlaceName(name),
+                regionKey: ` ${this.normalizePlaceName(region)}`
+            }));
+        }
+        return this.places;
+    }
+
+    // Lower case without accents or punctuation, so "São Paulo" and "sao-paulo" compare equal
+    normalizePlaceName(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+
+    // Places best matching a query such as "kitt peak" or "portland, or". Exact names come first,
+    // then prefixes, word prefixes, substrings and finally names within a typo or two; ties keep
+    // the gazetteer's order, which lists observatories and parks before cities by population
+    searchPlaces(query, limit = 8) {
+        const [namePart, ...regionParts] = query.split(',');
+        const name = this.normalizePlaceName(namePart);
+        const region = this.normalizePlaceName(regionParts.join(' '));
+        if (!name) return [];
+
+        const candidates = this.getPlaces().map((place, order) => ({ place, order }))
+            .filter(({ place }) => !region || place.regionKey.includes(` ${region}`));
+        const matches = [];
+        candidates.forEach(({ place, order }) => {
+            const tier = place.key === name ? 0
+                : place.key.startsWith(name) ? 1
+                : place.key.includes(` ${name}`) ? 2
+                : place.key.includes(name) ? 3 : null;
+            if (tier !== null) matches.push({ place, tier, distance: 0, order });
+        });
+
+        // Typos are only worth the edit distances when the plain matches run short
+        const typos = name.length < 4 ? 0 : name.length < 8 ? 1 : 2;
+        if (matches.length < limit && typos) {
+            candidates.forEach(({ place, order }) => {
+                if (place.key.includes(name)) return;
+                const distance = this.prefixEditDistance(name, place.key, typos);
+                if (distance <= typos) matches.push({ place, tier: 4, distance, order });
+            });
+        }
+
+        return matches
+            .sort((a, b) => a.tier - b.tier || a.distance - b.distance || a.order - b.order)
+            .slice(0, limit)
+            .map(match => match.place);
+    }
+
+    // Fewest insertions, deletions, substitutions and adjacent swaps (optimal string alignment) turning
+    // the query into the start of text, allowing for one letter dropped or doubled at the end. Gives
+    // up with Infinity once every alignment needs more than maxDistance edits
+    prefixEditDistance(query, text, maxDistance) {
+        const columns = Math.min(text.length, query.length + 1);
+        let before = null;
+        let previous = Array.from({ length: columns + 1 }, (_, j) => j);
+        for (let i = 1; i <= query.length; i++) {
+            const current = [i];
+            let rowMinimum = i;
+            for (let j = 1; j <= columns; j++) {
+                const cost = query[i - 1] === text[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (before && j > 1 && query[i - 1] === text[j - 2] && query[i - 2] === text[j - 1]) {
+                    current[j] = Math.min(current[j], before[j - 2] + 1);
+                }
+                rowMinimum = Math.min(rowMinimum, current[j]);
+            }
+            if (rowMinimum > maxDistance) return Infinity;
+            before = previous;
+            previous = current;
+        }
+        return Math.min(...previous.slice(Math.max(0, query.length - 1)));
+    }
+
+    // Closest gazetteer place and its great-circle distance in km, or null without the data
+    findNearestPlace(lat, lng) {
+        let nearest = null;
+        this.getPlaces().forEach(place => {
+            const distance = this.angularSeparation(lng, lat, place.lng, place.lat) * Math.PI / 180 * this.astroConstants.earthRadius;
+            if (!nearest || distance < nearest.distance) nearest = { place, distance };
+        });
+        return nearest;
+    }
+
+    // Label for coordinates from the nearest place within 50 km, e.g. "Boulder, CO, US" or
+    // "12 km from Boulder, CO, US", or null out in the wilds
+    describeLocation(lat, lng) {
+        const nearest = this.findNearestPlace(lat, lng);
+        if (!nearest || nearest.distance > 50) return null;
+
+        const label = `${nearest.place.name}, ${nearest.place.region}`;
+        if (nearest.distance < 2) return label;
+        const distance = this.convertDistance(nearest.distance);
+        return `${Math.round(distance.value)} ${distance.unit} from ${label}`;
+    }
+
+    // Elevation in m of a gazetteer place within 10 km, close enough to stand in for the site's; 0 otherwise
+    lookupElevation(lat, lng) {
+        const nearest = this.findNearestPlace(lat, lng);
+        return nearest && nearest.distance <= 10 && nearest.place.elevation !== null ? nearest.place.elevation : 0;
+    }
+
+    renderPlaceResults() {
+        const list = this.elements.placeResults;
+        if (!list) return;
+
+        this.placeResults = this.searchPlaces(this.elements.placeSearch?.value || '');
+        const icons = { city: '🏙️', observatory: '🔭', 'dark-sky': '🌌' };
+        list.replaceChildren(...this.placeResults.map(place => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'place-result';
+            button.textContent = `${icons[place.type] || '📍'} ${place.name}, ${place.region}`;
+            if (place.elevation !== null) {
+                const elevation = document.createElement('span');
+                elevation.className = 'place-result-elevation';
+                elevation.textContent = `${place.elevation.toLocaleString('en-US')} m`;
+                button.appendChild(elevation);
+            }
+            button.addEventListener('click', () => this.selectPlace(place));
+            item.appendChild(button);
+            return item;
+        }));
+        list.hidden = !this.placeResults.length;
+    }
+
+    clearPlaceSearch() {
+        if (this.elements.placeSearch) this.elements.placeSearch.value = '';
+        this.renderPlaceResults();
+    }
+
+    selectPlace(place) {
+        this.setLocation({ lat: place.lat, lng: place.lng, elevation: place.elevation ?? 0 });
+        this.clearPlaceSearch();
+        this.initializeLocation();
+        this.generateForecast();
+        this.showToast(`Observing from ${place.name}, ${place.region}`, 'success');
+    }
+
+    // Horizon Profile
+    // Apparent altitude of the site's skyline at an azimuth, interpolated linearly around the circle
+    // between the profile's points; 0 for a flat horizon
+    getHorizonAltitude(azimuth, horizon) {
+        if (!horizon.length) return 0;
+        if (horizon.length === 1) return horizon[0][1];
+
+        const az = this.normalizeDegrees(azimuth);
+        const index = horizon.findIndex(([pointAzimuth]) => pointAzimuth > az);
+        // Before the first point or after the last the span wraps through north
+        const after = horizon[index === -1 ? 0 : index];
+        const before = horizon[index <= 0 ? horizon.length - 1 : index - 1];
+        const span = this.normalizeDegrees(after[0] - before[0]) || 360;
+        return before[1] + (after[1] - before[1]) * this.normalizeDegrees(az - before[0]) / span;
+    }
+
+    // Points with an azimuth and an altitude from -5° to 90°, rounded to 0.1°, sorted with one
+    // per azimuth (the last given wins); anything unusable gives a flat horizon
+    normalizeHorizon(points) {
+        if (!Array.isArray(points)) return [];
+        const byAzimuth = new Map();
+        points.forEach(point => {
+            if (!Array.isArray(point)) return;
+            const azimuth = parseFloat(point[0]);
+            const altitude = parseFloat(point[1]);
+            if (!isFinite(azimuth) || !(altitude >= -5 && altitude <= 90)) return;
+            byAzimuth.set(Math.round(this.normalizeDegrees(azimuth) * 10) / 10 % 360, Math.round(altitude * 10) / 10);
+        });
+        return [...byAzimuth].sort((a, b) => a[0] - b[0]).slice(0, 720);
+    }
+
+    getHorizonKey(horizon) {
+        return horizon.map(point => point.join(':')).join(',');
+    }
+
+    // One azimuth, altitude pair per line, separated by commas, semicolons, tabs or spaces.
+    // Blank lines, # comments and a header line are skipped; anything else malformed is an error
+    parseHorizonText(text) {
+        const points = [];
+        text.split(/\r?\n/).forEach((line, index) => {
+            const content = line.replace(/#.*/, '').trim();
+            if (!content) return;
+            const fields = content.split(/\s*[,;\t]\s*|\s+/);
+            const values = fields.map(Number);
+            if (fields.length === 2 && values.every(isFinite)) {
+                if (!(values[1] >= -5 && values[1] <= 90)) {
+                    throw new Error(`Line ${index + 1}: altitude must be between -5° and 90°`);
+                }
+                points.push(values);
+            } else if (points.length || fields.some(field => /^[-+.\d]/.test(field))) {
+                throw new Error(`Line ${index + 1}: expected an azimuth and an altitude`);
+            }
+        });
+        return this.normalizeHorizon(points);
+    }
+
+    formatHorizonCsv(horizon) {
+        return ['azimuth,altitude', ...horizon.map(([azimuth, altitude]) => `${azimuth},${altitude}`)].join('\n');
+    }
+
+    // Replace the current site's skyline; it is remembered with the location and with the active saved site
+    setHorizon(horizon) {
+        this.userLocation.horizon = horizon;
+        const { lat, lng, timezone, elevation } = this.userLocation;
+        this.savedLocation = { lat, lng, timezone, elevation, horizon };
+        const site = this.savedSites.find(s => s.id === this.activeSiteId);
+        if (site) site.horizon = horizon;
+        this.saveSettings();
+        this.updateDisplay();
+        this.generateForecast();
+    }
+
+    applyHorizonText() {
+        try {
+            const horizon = this.parseHorizonText(this.elements.horizonInput?.value || '');
+            this.setHorizon(horizon);
+            this.showToast(horizon.length ? `Horizon profile set from ${horizon.length} point${horizon.length === 1 ? '' : 's'}` : 'Using a flat horizon', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async importHorizon(file) {
+        try {
+            const horizon = this.parseHorizonText(await file.text());
+            if (!horizon.length) {
+                this.showToast('No horizon points in that file', 'error');
+                return;
+            }
+            this.setHorizon(horizon);
+            this.showToast(`Imported ${horizon.length} horizon point${horizon.length === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            this.showToast(`Could not read that horizon file: ${error.message}`, 'error');
+            console.error('Horizon import error:', error);
+        }
+    }
+
+    exportHorizon() {
+        const { horizon } = this.userLocation;
+        if (!horizon.length) {
+            this.showToast('The horizon is flat; add points before exporting', 'info');
+            return;
+        }
+
+        const site = this.savedSites.find(s => s.id === this.activeSiteId);
+        const name = site ? site.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') : '';
+        const url = URL.createObjectURL(new Blob([`${this.formatHorizonCsv(horizon)}\n`], { type: 'text/csv' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `lunar-nexus-horizon${name ? `-${name}` : ''}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        this.showToast(`Exported ${horizon.length} horizon point${horizon.length === 1 ? '' : 's'}`, 'success');
+    }
+
+    // Polar plot with north up and east to the right as seen from below: the rim is the astronomical
+    // horizon and the centre the zenith, so a point at altitude h sits (1 - h/90) of the way out
+    getHorizonEditorGeometry(canvas) {
+        const center = canvas.width / 2;
+        return { center, radius: center - 18 };
+    }
+
+    // A click sets the skyline's altitude at the clicked azimuth, moving any point within 3°;
+    // a right-click removes the nearest point within 10°
+    editHorizonPoint(event, remove) {
+        const canvas = this.elements.horizonCanvas;
+        const rect = canvas.getBoundingClientRect();
+        const { center, radius } = this.getHorizonEditorGeometry(canvas);
+        const dx = (event.clientX - rect.left) * canvas.width / rect.width - center;
+        const dy = center - (event.clientY - rect.top) * canvas.height / rect.height;
+        const distance = Math.hypot(dx, dy);
+        if (distance > radius + 12) return;
+
+        const azimuth = Math.round(this.normalizeDegrees(Math.atan2(dx, dy) * 180 / Math.PI)) % 360;
+        const altitude = Math.round(Math.max(0, 90 * (1 - distance / radius)) * 2) / 2;
+        const gap = (point) => Math.abs(((point[0] - azimuth) % 360 + 540) % 360 - 180);
+        const nearest = this.userLocation.horizon.reduce((best, point) => !best || gap(point) < gap(best) ? point : best, null);
+
+        let horizon = this.userLocation.horizon;
+        if (remove) {
+            if (!nearest || gap(nearest) > 10) return;
+            horizon = horizon.filter(point => point !== nearest);
+        } else {
+            if (nearest && gap(nearest) <= 3) horizon = horizon.filter(point => point !== nearest);
+            horizon = this.normalizeHorizon([...horizon, [azimuth, altitude]]);
+        }
+        this.setHorizon(horizon);
+    }
+
+    // Draws the skyline, its points and the Moon's path over the selected day, and fills the text
+    // form; the path is recomputed only when the day or site changes
+    renderHorizonEditor() {
+        const { lat, lng, timezone, elevation, horizon } = this.userLocation;
+        const toRad = Math.PI / 180;
+
+        if (this.elements.horizonInput && this.horizonEditorProfile !== horizon) {
+            this.horizonEditorProfile = horizon;
+            this.elements.horizonInput.value = horizon.length ? this.formatHorizonCsv(horizon) : '';
+        }
+        if (this.elements.horizonSummary) {
+            const highest = horizon.reduce((best, point) => !best || point[1] > best[1] ? point : best, null);
+            this.elements.horizonSummary.textContent = highest
+                ? `${horizon.length} point${horizon.length === 1 ? '' : 's'} · highest ${highest[1]}° at azimuth ${highest[0]}°`
+                : 'Flat horizon';
+        }
+
+        const canvas = this.elements.horizonCanvas;
+        if (!canvas) return;
+        const ctx = canvas.getContext('2d');
+        const { center, radius } = this.getHorizonEditorGeometry(canvas);
+        const toPoint = (azimuth, altitude) => {
+            const distance = radius * (1 - Math.max(0, Math.min(90, altitude)) / 90);
+            return [center + distance * Math.sin(azimuth * toRad), center - distance * Math.cos(azimuth * toRad)];
+        };
+
+        const dayStart = this.getLocalDayStart(this.selectedDate, timezone);
+        const pathKey = `${dayStart.getTime()}|${lat}|${lng}|${elevation}`;
+        if (this.horizonMoonPathKey !== pathKey) {
+            this.horizonMoonPathKey = pathKey;
+            this.horizonMoonPath = [];
+            const startJD = this.dateToJulianDay(dayStart);
+            for (let minutes = 0; minutes <= 24 * 60; minutes += 10) {
+                const position = this.getLunarPositionAt(startJD + minutes / 1440, lat, lng, elevation);
+                this.horizonMoonPath.push(position.altitude > 0 ? [position.azimuth, position.altitude] : null);
+            }
+        }
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = 'rgba(20, 20, 40, 0.6)';
+        ctx.beginPath();
+        ctx.arc(center, center, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Altitude rings every 30° and the cardinal directions
+        ctx.strokeStyle = 'rgba(200, 200, 230, 0.2)';
+        ctx.lineWidth = 1;
+        [0, 30, 60].forEach(altitude => {
+            ctx.beginPath();
+            ctx.arc(center, center, radius * (1 - altitude / 90), 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        ctx.fillStyle = '#b0b0c8';
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        [['N', 0], ['E', 90], ['S', 180], ['W', 270]].forEach(([label, azimuth]) => {
+            ctx.fillText(label, center + (radius + 10) * Math.sin(azimuth * toRad), center - (radius + 10) * Math.cos(azimuth * toRad));
+        });
+
+        // Everything between the rim and the skyline is blocked
+        if (horizon.length) {
+            ctx.beginPath();
+            ctx.arc(center, center, radius, 0, Math.PI * 2);
+            for (let azimuth = 0; azimuth <= 360; azimuth++) {
+                const [x, y] = toPoint(azimuth, this.getHorizonAltitude(azimuth, horizon));
+                if (azimuth === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+            }
+            ctx.fillStyle = 'rgba(60, 90, 60, 0.55)';
+            ctx.fill('evenodd');
+
+            ctx.fillStyle = '#8bc34a';
+            horizon.forEach(([azimuth, altitude]) => {
+                const [x, y] = toPoint(azimuth, altitude);
+                ctx.beginPath();
+                ctx.arc(x, y, 3, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+
+        // The Moon's path while above the astronomical horizon, and where it is at the selected time
+        ctx.strokeStyle = '#e0e0e8';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let drawing = false;
+        this.horizonMoonPath.forEach(point => {
+            if (!point) {
+                drawing = false;
+                return;
+            }
+            const [x, y] = toPoint(point[0], point[1]);
+            if (drawing) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+            drawing = true;
+        });
+        ctx.stroke();
+
+        const moon = this.calculateLunarPosition(this.selectedDate, lat, lng, elevation);
+        if (moon.altitude > 0) {
+            const [x, y] = toPoint(moon.azimuth, moon.altitude);
+            ctx.fillStyle = moon.altitude > this.getHorizonAltitude(moon.azimuth, horizon) ? '#ffffff' : '#707080';
+            ctx.beginPath();
+            ctx.arc(x, y, 6, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    // Saved Sites
+    renderSiteSelect() {
+        const select = this.elements.siteSelect;
+        if (!select) return;
+
+        select.replaceChildren(new Option('Unsaved location', ''), ...this.savedSites.map(site => new Option(site.name, site.id)));
+        select.value = this.activeSiteId || '';
+
+        const site = this.savedSites.find(s => s.id === this.activeSiteId);
+        if (this.elements.siteName && site) this.elements.siteName.value = site.name;
+        if (this.elements.deleteSiteBtn) this.elements.deleteSiteBtn.disabled = !site;
+    }
+
+    selectSite(id) {
+        const site = this.savedSites.find(s => s.id === id);
+        if (!site) {
+            this.activeSiteId = null;
+            this.renderSiteSelect();
+            this.saveSettings();
+            return;
+        }
+
+        this.setLocation(site);
+        this.activeSiteId = site.id;
+        this.renderSiteSelect();
+        this.saveSettings();
+        this.initializeLocation();
+        this.generateForecast();
+        this.showToast(`Observing from ${site.name}`, 'success');
+    }
+
+    // Save the current location under the typed name, updating a site of the same name
+    saveCurrentSite() {
+        const name = (this.elements.siteName?.value || '').trim();
+        if (!name) {
+            this.showToast('Give the site a name first', 'error');
+            return;
+        }
+
+        const { lat, lng, timezone, elevation, horizon } = this.userLocation;
+        let site = this.savedSites.find(s => s.name.toLowerCase() === name.toLowerCase());
+        if (site) {
+            Object.assign(site, { name, lat, lng, timezone, elevation, horizon });
+        } else {
+            site = { id: this.createSiteId(), name, lat, lng, timezone, elevation, horizon };
+            this.savedSites.push(site);
+        }
+
+        this.activeSiteId = site.id;
+        this.savedLocation = { lat, lng, timezone, elevation, horizon };
+        this.renderSiteSelect();
+        this.saveSettings();
+        this.showToast(`Saved ${name}`, 'success');
+    }
+
+    deleteActiveSite() {
+        const site = this.savedSites.find(s => s.id === this.activeSiteId);
+        if (!site) return;
+
+        this.savedSites = this.savedSites.filter(s => s !== site);
+        this.activeSiteId = null;
+        if (this.elements.siteName) this.elements.siteName.value = '';
+        this.renderSiteSelect();
+        this.saveSettings();
+        this.showToast(`Removed ${site.name}`, 'info');
+    }
+
+    createSiteId() {
+        return `site-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    exportSites() {
+        const content = JSON.stringify({
+            version: this.settingsVersion,
+            sites: this.savedSites.map(({ name, lat, lng, timezone, elevation, horizon }) => ({ name, lat, lng, timezone, elevation, horizon }))
+        }, null, 2);
+
+        const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'lunar-nexus-sites.json';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        this.showToast(`Exported ${this.savedSites.length} site${this.savedSites.length === 1 ? '' : 's'}`, 'success');
+    }
+
+    // Merge sites from an exported file (or a bare array of sites); same-named sites are replaced
+    async importSites(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const sites = (Array.isArray(data) ? data : data.sites || []).map(site => this.normalizeSite(site)).filter(Boolean);
+            if (!sites.length) {
+                this.showToast('No valid sites in that file', 'error');
+                return;
+            }
+
+            sites.forEach(imported => {
+                const existing = this.savedSites.find(s => s.name.toLowerCase() === imported.name.toLowerCase());
+                if (existing) {
+                    Object.assign(existing, { ...imported, id: existing.id });
+                } else {
+                    this.savedSites.push(imported);
+                }
+            });
+            const active = this.savedSites.find(s => s.lat === this.userLocation.lat && s.lng === this.userLocation.lng);
+            this.activeSiteId = active ? active.id : null;
+            this.renderSiteSelect();
+            this.saveSettings();
+            this.showToast(`Imported ${sites.length} site${sites.length === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            this.showToast('Could not read that sites file', 'error');
+            console.error('Site import error:', error);
+        }
+    }
+
+    // A site with a name and valid coordinates, or null; a missing or unknown time zone, and a
+    // missing elevation, come from the bundled data; an unusable horizon profile becomes a flat one
+    normalizeSite(site) {
+        if (!site || typeof site.name !== 'string' || !site.name.trim()) return null;
+        const lat = Number(site.lat);
+        const lng = Number(site.lng);
+        const elevation = parseFloat(site.elevation);
+        if (!(lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180)) return null;
+
+        return {
+            id: typeof site.id === 'string' ? site.id : this.createSiteId(),
+            name: site.name.trim().slice(0, 60),
+            lat,
+            lng,
+            timezone: this.isValidTimeZone(site.timezone) ? site.timezone : this.resolveTimeZone(lat, lng),
+            elevation: elevation >= -500 && elevation <= 9000 ? elevation : this.lookupElevation(lat, lng),
+            horizon: this.normalizeHorizon(site.horizon)
+        };
+    }
+
+    isValidTimeZone(timeZone) {
+        if (typeof timeZone !== 'string' || !timeZone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
     }
 
-    // Location Management
-    initializeLocation() {
-        if (this.elements.latitudeInput) {
-            this.elements.latitudeInput.value = this.userLocation.lat;
+    // Settings Persistence
+    loadSettings() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(this.settingsStorageKey));
+        } catch (error) {
+            console.warn('⚠️ Stored settings unreadable, using defaults:', error);
         }
-        if (this.elements.longitudeInput) {
-            this.elements.longitudeInput.value = this.userLocation.lng;
+
+        if (stored && stored.version > this.settingsVersion) {
+            // Written by a newer release; leave it alone rather than downgrade it
+            console.warn(`⚠️ Settings version ${stored.version} is newer than this release supports`);
+            this.settingsWritable = false;
+            stored = null;
         }
-        this.updateLocationDisplay();
-    }
+        const settings = stored ? this.migrateSettings(stored) : null;
+        if (settings) this.applySettings(settings);
 
-    updateLocation() {
-        const lat = parseFloat(this.elements.latitudeInput?.value);
-        const lng = parseFloat(this.elements.longitudeInput?.value);
+        this.renderSiteSelect();
+        this.applyTheme();
+        if (this.elements.unitsSelect) this.elements.unitsSelect.value = this.preferences.units;
+        if (this.elements.timeFormatSelect) this.elements.timeFormatSelect.value = this.preferences.timeFormat;
+        if (this.elements.displayZoneSelect) this.elements.displayZoneSelect.value = this.preferences.displayZone;
+        if (this.elements.themeSelect) this.elements.themeSelect.value = this.preferences.theme;
+        if (this.elements.forecastRange) this.elements.forecastRange.value = String(this.forecastSettings.range);
+        document.querySelectorAll('[data-forecast-field]').forEach(input => {
+            input.checked = !!this.forecastSettings.fields[input.dataset.forecastField];
+        });
+    }
 
-        if (!isNaN(lat) && !isNaN(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180) {
-            this.userLocation.lat = lat;
-            this.userLocation.lng = lng;
-            this.updateDisplay();
-            this.updateLocationDisplay();
-            this.showToast(`Location updated: ${lat.toFixed(2)}°, ${lng.toFixed(2)}°`, 'success');
+    migrateSettings(stored) {
+        let settings = stored;
+        while (settings.version < this.settingsVersion) {
+            const migrate = this.settingsMigrations[settings.version];
+            if (!migrate) {
+                console.warn(`⚠️ No migration from settings version ${settings.version}, using defaults`);
+                return null;
+            }
+            settings = { ...migrate(settings), version: settings.version + 1 };
         }
+        return settings;
     }
 
-    async detectLocation() {
-        if (!navigator.geolocation) {
-            this.showToast('Geolocation not supported', 'error');
-            return;
+    // Take each stored value that is still valid, keeping the default otherwise
+    applySettings(settings) {
+        const location = this.normalizeSite({ ...settings.location, name: 'location' });
+        if (location) {
+            const { lat, lng, timezone, elevation, horizon } = location;
+            Object.assign(this.userLocation, { lat, lng, timezone, elevation, horizon });
+            this.savedLocation = { lat, lng, timezone, elevation, horizon };
         }
 
-        this.showToast('Detecting location...', 'info');
+        const preferences = settings.preferences || {};
+        if (['metric', 'imperial'].includes(preferences.units)) this.preferences.units = preferences.units;
+        if (['12h', '24h'].includes(preferences.timeFormat)) this.preferences.timeFormat = preferences.timeFormat;
+        if (['site', 'utc', 'browser'].includes(preferences.displayZone)) this.preferences.displayZone = preferences.displayZone;
+        if (this.themes.includes(preferences.theme)) this.preferences.theme = preferences.theme;
 
-        try {
-            const position = await new Promise((resolve, reject) => {
-                navigator.geolocation.getCurrentPosition(resolve, reject, {
-                    enableHighAccuracy: true,
-                    timeout: 10000,
-                    maximumAge: 300000
-                });
-            });
+        const forecast = settings.forecast || {};
+        if ([7, 14, 30, 60, 'fullMoon'].includes(forecast.range)) this.forecastSettings.range = forecast.range;
+        Object.keys(this.forecastSettings.fields).forEach(field => {
+            if (typeof forecast.fields?.[field] === 'boolean') this.forecastSettings.fields[field] = forecast.fields[field];
+        });
 
-            this.userLocation.lat = Math.round(position.coords.latitude * 10000) / 10000;
-            this.userLocation.lng = Math.round(position.coords.longitude * 10000) / 10000;
-            
-            if (this.elements.latitudeInput) this.elements.latitudeInput.value = this.userLocation.lat;
-            if (this.elements.longitudeInput) this.elements.longitudeInput.value = this.userLocation.lng;
-            
-            this.updateDisplay();
-            this.updateLocationDisplay();
-            this.showToast('Location detected successfully!', 'success');
+        this.savedSites = (Array.isArray(settings.sites) ? settings.sites : []).map(site => this.normalizeSite(site)).filter(Boolean);
+        this.activeSiteId = this.savedSites.some(s => s.id === settings.activeSiteId) ? settings.activeSiteId : null;
+    }
+
+    saveSettings() {
+        if (!this.settingsWritable) return;
+
+        const settings = {
+            version: this.settingsVersion,
+            location: this.savedLocation,
+            preferences: { ...this.preferences },
+            forecast: { range: this.forecastSettings.range, fields: { ...this.forecastSettings.fields } },
+            sites: this.savedSites,
+            activeSiteId: this.activeSiteId
+        };
+        try {
+            localStorage.setItem(this.settingsStorageKey, JSON.stringify(settings));
         } catch (error) {
-            this.showToast('Location detection failed', 'error');
-            console.error('Geolocation error:', error);
+            console.warn('⚠️ Settings could not be saved:', error);
+        }
+    }
+
+    setPreference(key, value) {
+        if (this.preferences[key] === value) return;
+        this.preferences[key] = value;
+        this.saveSettings();
+
+        if (key === 'theme') {
+            this.applyTheme();
+            if (this.elements.themeSelect) this.elements.themeSelect.value = value;
+            this.showToast(value === 'night-vision' ? 'Night vision theme: red light only' : 'Cosmic theme', 'info');
+            return;
         }
+
+        // Units, clock format and display zone are baked into rendered text, so cached sections are redrawn
+        this.forecastMoonTimesCache.clear();
+        this.calendarKey = null;
+        this.nightSectionKey = null;
+        this.eclipseSectionKey = null;
+        this.updateDisplay();
+        this.generateForecast();
+        this.updateLocalTime();
+    }
+
+    applyTheme() {
+        document.documentElement.dataset.theme = this.preferences.theme;
     }
 
     updateLocationDisplay() {
         if (this.elements.locationStatus) {
             const statusText = this.elements.locationStatus.querySelector('.status-text');
             if (statusText) {
-                statusText.textContent = `${this.userLocation.lat.toFixed(2)}°, ${this.userLocation.lng.toFixed(2)}°`;
+                const { lat, lng } = this.userLocation;
+                const coordinates = `${lat.toFixed(2)}°, ${lng.toFixed(2)}°`;
+                const place = this.describeLocation(lat, lng);
+                statusText.textContent = place ? `${place} · ${coordinates}` : coordinates;
             }
         }
 
+        if (this.elements.timeZone) {
+            this.elements.timeZone.textContent = this.formatTimeZone(this.userLocation.timezone, new Date());
+        }
+
         if (this.elements.localTime) {
             this.updateLocalTime();
         }
     }
 
+    // Current wall-clock time at the site
     updateLocalTime() {
         const now = new Date();
         const timeString = now.toLocaleTimeString([], {
+            timeZone: this.userLocation.timezone,
+            hourCycle: this.preferences.timeFormat === '24h' ? 'h23' : 'h12',
             hour: '2-digit',
             minute: '2-digit',
             second: '2-digit'
@@ -923,6 +5022,9 @@ class LunarNexus {
     // 3D Moon Controls
     rotateMoon() {
         if (this.moonMesh) {
+            if (this.moonOrientationMode === 'true') {
+                this.toggleMoonOrientation();
+            }
             this.moonMesh.rotation.y += Math.PI / 4;
             this.showToast('Moon rotated 45°', 'success');
         } else {
@@ -930,21 +5032,44 @@ class LunarNexus {
         }
     }
 
+    toggleMoonOrientation(announce = true) {
+        this.moonOrientationMode = this.moonOrientationMode === 'true' ? 'spin' : 'true';
+        const trueOrientation = this.moonOrientationMode === 'true';
+
+        if (!trueOrientation && this.moonMesh) {
+            this.moonMesh.rotation.order = 'XYZ';
+            this.moonMesh.rotation.set(0, this.moonMesh.rotation.y, 0);
+        }
+        if (this.elements.moonOrientationBtn) {
+            this.elements.moonOrientationBtn.textContent = trueOrientation ? '🧭 True View' : '🌀 Spin';
+        }
+
+        this.scheduleUrlState();
+        if (announce) {
+            this.showToast(trueOrientation ? 'Showing true lunar orientation' : 'Decorative spin enabled', 'info');
+        }
+    }
+
     zoomMoon() {
-        if (this.moonCamera) {
-            const currentZ = this.moonCamera.position.z;
-            const newZ = currentZ > 6 ? 8 : 5;
-            this.moonCamera.position.z = newZ;
-            this.showToast(`Zoom ${newZ < currentZ ? 'in' : 'out'}`, 'success');
+        if (this.moonControls) {
+            const currentDistance = this.moonControls.distance;
+            this.moonControls.velocity.zoom = 0;
+            this.moonControls.distance = currentDistance > 6 ? 5 : 8;
+            this.showToast(`Zoom ${this.moonControls.distance < currentDistance ? 'in' : 'out'}`, 'success');
         } else {
             this.showToast('3D Moon not available', 'error');
         }
     }
 
     resetMoonView() {
-        if (this.moonCamera && this.moonMesh) {
-            this.moonCamera.position.set(0, 0, 8);
+        if (this.moonControls && this.moonMesh) {
+            const controls = this.moonControls;
+            Object.assign(controls, controls.home);
+            controls.target.set(0, 0, 0);
+            controls.velocity = { azimuth: 0, elevation: 0, zoom: 0 };
+            controls.focus = null;
             this.moonMesh.rotation.set(0, 0, 0);
+            this.scheduleUrlState();
             this.showToast('3D Moon view reset', 'success');
         } else {
             this.showToast('3D Moon not available', 'error');
@@ -952,7 +5077,7 @@ class LunarNexus {
     }
 
     // Education Tab Management
-    switchEducationTab(tabId) {
+    switchEducationTab(tabId, announce = true) {
         if (!tabId) return;
         
         this.currentEducationTab = tabId;
@@ -975,7 +5100,8 @@ class LunarNexus {
             }
         });
         
-        this.showToast(`Switched to ${tabId} tab`, 'info');
+        this.scheduleUrlState();
+        if (announce) this.showToast(`Switched to ${tabId} tab`, 'info');
     }
 
     toggleForecastExpansion() {
@@ -996,7 +5122,7 @@ class LunarNexus {
     shareOnTwitter() {
         const moonData = this.calculateMoonPhase(this.selectedDate);
         const text = `🌙 Currently viewing ${moonData.phase.name} (${moonData.illumination}% illuminated) on the Lunar Nexus Observatory! ✨ #MoonPhase #Astronomy #Space`;
-        const url = window.location.href;
+        const url = this.getShareUrl();
         const twitterUrl = `https://twitter.com/intent/tweet?text=${encodeURIComponent(text)}&url=${encodeURIComponent(url)}`;
         
         window.open(twitterUrl, '_blank', 'width=600,height=400');
@@ -1005,7 +5131,7 @@ class LunarNexus {
     }
 
     shareOnFacebook() {
-        const url = window.location.href;
+        const url = this.getShareUrl();
         const facebookUrl = `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(url)}`;
         
         window.open(facebookUrl, '_blank', 'width=600,height=400');
@@ -1042,22 +5168,8 @@ class LunarNexus {
                 ctx.fill();
             }
 
-            // Draw moon
-            ctx.beginPath();
-            ctx.arc(600, 300, 120, 0, Math.PI * 2);
-            const moonGradient = ctx.createRadialGradient(550, 250, 0, 600, 300, 120);
-            moonGradient.addColorStop(0, '#f8f8ff');
-            moonGradient.addColorStop(1, '#d0d0d0');
-            ctx.fillStyle = moonGradient;
-            ctx.fill();
-
-            // Add phase shadow
-            if (moonData.illumination < 100) {
-                ctx.beginPath();
-                ctx.arc(600, 300, 120, 0, Math.PI * 2);
-                ctx.fillStyle = `rgba(44, 44, 84, ${1 - moonData.illumination / 100})`;
-                ctx.fill();
-            }
+            // Draw moon with the same Sun geometry as the 3D view
+            this.drawMoonPhaseDisc(ctx, 600, 300, 120, this.calculateMoonDiscGeometry(this.selectedDate));
 
             // Add text
             ctx.fillStyle = '#64b5f6';
@@ -1093,8 +5205,204 @@ class LunarNexus {
         }
     }
 
+    async downloadCalendar(button) {
+        if (button) button.disabled = true;
+        try {
+            const days = parseInt(this.elements.calendarExportRange?.value, 10) || 90;
+            const start = this.getLocalDayStart(this.selectedDate, this.userLocation.timezone);
+            this.showToast('Preparing calendar...', 'info');
+            const ics = await this.generateICalendar(start, days);
+
+            const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+            const a = document.createElement('a');
+            a.href = url;
+            // Named for the site's calendar day the export starts on, not the UTC date of its midnight
+            a.download = `lunar-nexus-${this.formatDateForFile(start, this.userLocation.timezone)}-${days}d.ics`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            this.showToast('Calendar downloaded!', 'success');
+            this.hideModal('shareModal');
+        } catch (error) {
+            this.showToast('Calendar export failed', 'error');
+            console.error('Calendar export error:', error);
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    // RFC 5545 calendar of lunar events over a number of days. Times are written in UTC and clients show
+    // them in their own zone; UIDs name the event itself (lunation, anomalistic month, site and local day)
+    // rather than its computed instant, so re-importing an export updates events instead of duplicating them.
+    async generateICalendar(startDate, days) {
+        const { lat, lng, timezone, elevation, horizon } = this.userLocation;
+        const startJD = this.dateToJulianDay(startDate);
+        const endJD = startJD + days;
+        const synodicMonth = this.astroConstants.synodicMonth;
+        const lunation = (julianDay, fraction) => Math.round((julianDay - 2451550.09766) / synodicMonth - fraction);
+        const site = `${lat.toFixed(4)}_${lng.toFixed(4)}`;
+        const siteName = `${lat.toFixed(2)}°, ${lng.toFixed(2)}°`;
+        const events = [];
+
+        const fullMoons = this.findNamedFullMoons(startJD, endJD);
+        this.findPrincipalPhases(startJD, endJD).forEach(phase => {
+            const fullMoon = fullMoons.find(f => Math.abs(f.julianDay - phase.julianDay) < 1e-6);
+            const size = this.classifyMoonSize(phase);
+            const sizeLabel = size === 'supermoon' ? ' (Supermoon)' : size === 'micromoon' ? ' (Micromoon)' : '';
+            const distance = Math.round(this.getLunarEphemeris(phase.julianDay).distance);
+            events.push({
+                uid: `phase-${phase.index}-${lunation(phase.julianDay, phase.index / 8)}`,
+                start: phase.date,
+                summary: `${phase.phase.emoji} ${phase.name}${fullMoon ? ` – ${fullMoon.fullMoonName}` : ''}${sizeLabel}`,
+                description: `${phase.name} at ${this.formatEventDateTime(phase.date)}.\nDistance ${distance.toLocaleString('en-US')} km.`,
+                categories: fullMoon ? 'Moon phase,Full Moon' : 'Moon phase'
+            });
+        });
+
+        this.findLunarApsides(startJD, endJD).forEach(apsis => {
+            const anomalistic = Math.round((apsis.julianDay - 2451534.6698) / 27.55454989 - (apsis.type === 'apogee' ? 0.5 : 0));
+            const label = apsis.type === 'perigee' ? 'Perigee' : 'Apogee';
+            events.push({
+                uid: `${apsis.type}-${anomalistic}`,
+                start: apsis.date,
+                summary: `🌙 Lunar ${label} (${apsis.distance.toLocaleString('en-US')} km)`,
+                description: `${label} at ${this.formatEventDateTime(apsis.date)}.\nEarth–Moon distance ${apsis.distance.toLocaleString('en-US')} km.`,
+                categories: 'Moon distance'
+            });
+        });
+
+        this.findEclipses(startJD, endJD, lat, lng, horizon).forEach(eclipse => {
+            // A solar eclipse seen from the site spans its local contacts
+            const contactList = eclipse.local ? eclipse.local.contacts : eclipse.contacts;
+            const contacts = contactList.map(c => `${c.label}: ${this.formatEventDateTime(c.date)}`).join('\n');
+            events.push({
+                uid: `eclipse-${eclipse.kind}-${lunation(eclipse.julianDay, eclipse.kind === 'lunar' ? 0.5 : 0)}`,
+                start: contactList[0].date,
+                end: contactList[contactList.length - 1].date,
+                summary: `${eclipse.kind === 'lunar' ? '🌘' : '🌞'} ${eclipse.name}`,
+                description: `Magnitude ${eclipse.magnitude.toFixed(3)}. ${this.eclipseVisibilityLabels[eclipse.visibility]} (${siteName}).\n${contacts}`,
+                categories: 'Eclipse',
+                geo: true
+            });
+        });
+
+        // Rise and set belong to the site; each local day takes about as long as a forecast card's details,
+        // so the work yields to the page every few days
+        const endTime = startDate.getTime() + days * 86400000;
+        let day = this.getLocalDayStart(startDate, timezone);
+        for (let count = 1; day.getTime() < endTime; count++) {
+            const moonTimes = this.calculateMoonTimes(day, lat, lng, elevation);
+            const localDay = this.formatICalDateTime(new Date(day.getTime() + this.getTimeZoneOffset(day, timezone) * 60000)).slice(0, 8);
+            [['rise', 'Moonrise', moonTimes.riseTime], ['set', 'Moonset', moonTimes.setTime]].forEach(([key, label, time]) => {
+                if (!time || time.getTime() < startDate.getTime() || time.getTime() >= endTime) return;
+                const julianDay = this.dateToJulianDay(time);
+                const azimuth = Math.round(this.getLunarPositionAt(julianDay, lat, lng, elevation).azimuth);
+                const illumination = Math.round(this.getIllumination(julianDay).illuminatedFraction * 100);
+                events.push({
+                    uid: `moon${key}-${localDay}-${site}`,
+                    start: time,
+                    summary: `${key === 'rise' ? '↑' : '↓'} ${label} (${illumination}%)`,
+                    description: `${label} at ${this.formatEventDateTime(time)}, azimuth ${azimuth}°, ${illumination}% illuminated.`,
+                    categories: 'Moonrise and moonset',
+                    geo: true
+                });
+            });
+            day = this.getLocalDayStart(new Date(day.getTime() + 36 * 3600000), timezone);
+            if (count % 7 === 0) await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        events.sort((a, b) => a.start - b.start);
+
+        const stamp = this.formatICalDateTime(new Date());
+        const escape = (text) => text.replace(/[\\;,]/g, match => `\\${match}`).replace(/\n/g, '\\n');
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Lunar Nexus Observatory//Lunar Events//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escape(`Lunar events – ${siteName}`)}`,
+            `X-WR-TIMEZONE:${timezone}`
+        ];
+        events.forEach(event => {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${event.uid}@lunar-nexus`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${this.formatICalDateTime(event.start)}`,
+                ...(event.end ? [`DTEND:${this.formatICalDateTime(event.end)}`] : []),
+                `SUMMARY:${escape(event.summary)}`,
+                `DESCRIPTION:${escape(event.description)}`,
+                `CATEGORIES:${event.categories}`,
+                ...(event.geo ? [`GEO:${lat.toFixed(6)};${lng.toFixed(6)}`, `LOCATION:${escape(siteName)}`] : []),
+                'TRANSP:TRANSPARENT',
+                'END:VEVENT'
+            );
+        });
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => this.foldICalLine(line)).join('\r\n') + '\r\n';
+    }
+
+    // UTC date-time form, e.g. 20261019T071530Z
+    formatICalDateTime(date) {
+        return date.toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+    }
+
+    // Content lines longer than 75 octets continue on lines starting with a space (RFC 5545 §3.1)
+    foldICalLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let octets = 0;
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            if (octets + size > (parts.length ? 74 : 75)) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    // Night side as a dim disc, then the lit region bounded by the bright limb and the terminator ellipse
+    drawMoonPhaseDisc(ctx, cx, cy, radius, geometry) {
+        const toRad = Math.PI / 180;
+        const cosPhase = Math.cos(geometry.phaseAngle * toRad);
+        const limbAngle = geometry.skyBrightLimbAngle * toRad;
+
+        ctx.save();
+        ctx.translate(cx, cy);
+
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(44, 44, 84, 0.9)';
+        ctx.fill();
+
+        // Rotate so +x points at the bright limb (position angles run from up toward the left on screen)
+        ctx.rotate(Math.atan2(-Math.cos(limbAngle), -Math.sin(limbAngle)));
+
+        const moonGradient = ctx.createRadialGradient(radius * 0.3, -radius * 0.3, 0, 0, 0, radius);
+        moonGradient.addColorStop(0, '#f8f8ff');
+        moonGradient.addColorStop(1, '#d0d0d0');
+
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, -Math.PI / 2, Math.PI / 2, false);
+        ctx.ellipse(0, 0, radius * Math.abs(cosPhase), radius, 0, Math.PI / 2, -Math.PI / 2, cosPhase < 0);
+        ctx.closePath();
+        ctx.fillStyle = moonGradient;
+        ctx.fill();
+
+        ctx.restore();
+    }
+
     copyLink() {
-        const url = window.location.href;
+        const url = this.getShareUrl();
         if (navigator.clipboard) {
             navigator.clipboard.writeText(url).then(() => {
                 this.showToast('Link copied to clipboard!', 'success');
@@ -1119,6 +5427,152 @@ class LunarNexus {
         }
     }
 
+    // URL State
+    // The hash records the instant, site, education tab and 3D view, e.g.
+    // #date=2026-10-19T18:30Z&lat=40.7128&lng=-74.006&tz=America/New_York&tab=facts&camera=30,10,5
+    serializeUrlState() {
+        const params = new URLSearchParams();
+        params.set('date', this.selectedDate.toISOString().slice(0, 16) + 'Z');
+        params.set('lat', String(this.userLocation.lat));
+        params.set('lng', String(this.userLocation.lng));
+        params.set('tz', this.userLocation.timezone);
+        params.set('elev', String(this.userLocation.elevation));
+        if (this.currentEducationTab !== 'phases') params.set('tab', this.currentEducationTab);
+
+        const controls = this.moonControls;
+        if (controls) {
+            const toDegrees = (radians) => Math.round(radians * 1800 / Math.PI) / 10;
+            const azimuth = toDegrees(Math.atan2(Math.sin(controls.azimuth), Math.cos(controls.azimuth)));
+            const camera = [azimuth, toDegrees(controls.elevation), Math.round(controls.distance * 100) / 100];
+            const { x, y, z } = controls.target;
+            if (x || y || z) camera.push(...[x, y, z].map(v => Math.round(v * 100) / 100));
+            const home = controls.home;
+            if (camera.length > 3 || azimuth !== toDegrees(home.azimuth) || camera[1] !== toDegrees(home.elevation) ||
+                camera[2] !== Math.round(home.distance * 100) / 100) {
+                params.set('camera', camera.join(','));
+            }
+        }
+        if (this.moonOrientationMode !== 'true') params.set('view', this.moonOrientationMode);
+
+        // ':', '/' and ',' are legal in a fragment and keep links readable
+        return params.toString().replace(/%3A/g, ':').replace(/%2F/g, '/').replace(/%2C/g, ',');
+    }
+
+    readUrlState() {
+        return new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    }
+
+    // Apply whatever valid state a link carries; anything missing or malformed keeps its current value
+    applyUrlState(params) {
+        const date = new Date(params.get('date'));
+        if (params.has('date') && !isNaN(date.getTime())) this.selectedDate = date;
+
+        const lat = parseFloat(params.get('lat'));
+        const lng = parseFloat(params.get('lng'));
+        const hasSite = lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+        if (hasSite) {
+            const elevation = parseFloat(params.get('elev'));
+            // The skyline is not part of the link; a saved site's applies, or the current one if the site is unchanged
+            if (lat !== this.userLocation.lat || lng !== this.userLocation.lng) this.userLocation.horizon = this.findSiteHorizon(lat, lng);
+            this.userLocation.lat = lat;
+            this.userLocation.lng = lng;
+            this.userLocation.elevation = elevation >= -500 && elevation <= 9000 ? elevation : this.lookupElevation(lat, lng);
+            // The active saved site follows the link's coordinates, as it does in setLocation
+            const site = this.savedSites.find(s => s.lat === lat && s.lng === lng);
+            this.activeSiteId = site ? site.id : null;
+            this.renderSiteSelect();
+        }
+        // A link without a zone, or with one this browser does not know, takes the site's own
+        const timeZone = params.get('tz');
+        if (this.isValidTimeZone(timeZone)) {
+            this.userLocation.timezone = timeZone;
+        } else {
+            if (timeZone) console.warn(`⚠️ Ignoring unknown time zone ${timeZone}`);
+            if (hasSite) this.userLocation.timezone = this.resolveTimeZone(lat, lng);
+        }
+
+        const tab = params.get('tab') || 'phases';
+        if (tab !== this.currentEducationTab && [...(this.elements.eduTabs || [])].some(t => t.dataset.tab === tab)) {
+            this.switchEducationTab(tab, false);
+        }
+
+        const controls = this.moonControls;
+        if (controls) {
+            const camera = (params.get('camera') || '').split(',').map(parseFloat);
+            const home = controls.home;
+            const [azimuth, elevation, distance, x = 0, y = 0, z = 0] = camera.length >= 3 && camera.every(isFinite)
+                ? [camera[0] * Math.PI / 180, camera[1] * Math.PI / 180, ...camera.slice(2)]
+                : [home.azimuth, home.elevation, home.distance];
+            controls.azimuth = azimuth;
+            controls.elevation = Math.max(-controls.limits.maxElevation, Math.min(controls.limits.maxElevation, elevation));
+            controls.distance = Math.max(controls.limits.minDistance, Math.min(controls.limits.maxDistance, distance));
+            controls.target.set(x, y, z).clampLength(0, controls.limits.maxPan);
+            controls.velocity = { azimuth: 0, elevation: 0, zoom: 0 };
+            controls.focus = null;
+        }
+        if ((params.get('view') === 'spin') !== (this.moonOrientationMode === 'spin')) {
+            this.toggleMoonOrientation(false);
+        }
+    }
+
+    // Back/forward: show the recorded view without recording it again. Entries carry their state, which
+    // also covers the first entry of a visit that opened without a hash.
+    restoreUrlState(entry) {
+        clearTimeout(this.urlStateTimer);
+        this.urlStateTimer = null;
+        this.applyUrlState(entry?.urlState ? new URLSearchParams(entry.urlState) : this.readUrlState());
+        this.initializeLocation();
+        this.updateDisplay();
+        this.generateForecast();
+        clearTimeout(this.urlStateTimer);
+        this.urlStateTimer = null;
+        this.urlState = this.serializeUrlState();
+    }
+
+    // Record the view once changes settle: a new history entry when the date, site or tab changed,
+    // an in-place update when only the 3D view moved, so back/forward steps through navigation
+    scheduleUrlState() {
+        if (this.urlState === null) return;
+        clearTimeout(this.urlStateTimer);
+        this.urlStateTimer = setTimeout(() => this.writeUrlState(), 400);
+    }
+
+    // A page opened without a hash keeps it until something changes, so reloading it still shows now
+    writeUrlState(force = false) {
+        clearTimeout(this.urlStateTimer);
+        this.urlStateTimer = null;
+
+        const controls = this.moonControls;
+        const moving = controls && (controls.focus || controls.pointers.size > 0 ||
+            Math.abs(controls.velocity.azimuth) + Math.abs(controls.velocity.elevation) + Math.abs(controls.velocity.zoom) > 1e-4);
+        if (moving && !force) {
+            this.scheduleUrlState();
+            return;
+        }
+
+        const state = this.serializeUrlState();
+        if (window.location.hash === `#${state}` || (state === this.urlState && !force)) {
+            this.urlState = state;
+            return;
+        }
+
+        const withoutView = (value) => {
+            const params = new URLSearchParams(value);
+            params.delete('camera');
+            params.delete('view');
+            return params.toString();
+        };
+        const navigated = withoutView(state) !== withoutView(this.urlState);
+        this.urlState = state;
+        history[navigated ? 'pushState' : 'replaceState']({ urlState: state }, '', `#${state}`);
+    }
+
+    // Link to exactly what is on screen, writing any pending change first
+    getShareUrl() {
+        if (this.urlState !== null) this.writeUrlState(true);
+        return window.location.href;
+    }
+
     // Performance Monitoring
     startPerformanceMonitoring() {
         this.performanceMonitor.lastTime = performance.now();
@@ -1159,23 +5613,28 @@ class LunarNexus {
             
             // Update display if viewing current day
             const today = new Date();
-            if (this.selectedDate.toDateString() === today.toDateString()) {
+            if (this.formatDateForInput(this.selectedDate) === this.formatDateForInput(today)) {
                 this.updateDisplay();
             }
         }, 60000);
         
-        // Update local time every second
+        // Update local time and the phase countdown every second
         setInterval(() => {
             this.updateLocalTime();
+            this.updatePhaseCountdown();
         }, 1000);
     }
 
     // Keyboard Navigation
     handleKeyboard(event) {
+        // Escape closes modals from anywhere; arrow keys and typing are left to form fields
+        if (event.key === 'Escape') {
+            this.hideAllModals();
+            return;
+        }
+        if (event.target.closest?.('input, textarea, select')) return;
+
         switch (event.key) {
-            case 'Escape':
-                this.hideAllModals();
-                break;
             case '?':
             case 'h':
                 if (!document.querySelector('.modal:not(.hidden)')) {
@@ -1190,6 +5649,14 @@ class LunarNexus {
                 this.navigateDay(1);
                 event.preventDefault();
                 break;
+            case 'ArrowUp':
+                this.navigateTime(event.shiftKey ? 10 : 60);
+                event.preventDefault();
+                break;
+            case 'ArrowDown':
+                this.navigateTime(event.shiftKey ? -10 : -60);
+                event.preventDefault();
+                break;
             case ' ':
                 this.goToToday();
                 event.preventDefault();
@@ -1204,17 +5671,175 @@ class LunarNexus {
     }
 
     // Utility Functions
+    // Fractional Julian Day (UT) of an instant, keeping hours, minutes and seconds
     dateToJulianDay(date) {
-        const year = date.getFullYear();
-        const month = date.getMonth() + 1;
-        const day = date.getDate();
-        
-        let a = Math.floor((14 - month) / 12);
-        let y = year + 4800 - a;
-        let m = month + 12 * a - 3;
-        
-        return day + Math.floor((153 * m + 2) / 5) + 365 * y + 
-               Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+        return date.getTime() / 86400000 + this.astroConstants.unixEpochJD;
+    }
+
+    julianDateToDate(julianDay) {
+        return new Date(Math.round((julianDay - this.astroConstants.unixEpochJD) * 86400000));
+    }
+
+    // Minutes east of UTC observed in a time zone at the given instant
+    getTimeZoneOffset(date, timeZone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(date);
+        const value = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+        const asUTC = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+        return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    }
+
+    // IANA zone at a point from the bundled boundary quadtree (tz-lookup), or null without the data.
+    // Offsets and daylight saving are left to Intl, so the table only has to know the zone names
+    lookupTimeZone(lat, lng) {
+        const data = window.LunarData?.timeZones;
+        if (!data || !(lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180)) return null;
+        if (lat >= 90) return 'Etc/GMT';
+
+        const { tree, zones } = data;
+        const leafStart = 3136 - zones.length;
+        const read = (index) => 56 * tree.charCodeAt(index) + tree.charCodeAt(index + 1) - 1995;
+
+        let x = 48 * (180 + lng) / 360.00000000000006;
+        let y = 24 * (90 - lat) / 180.00000000000003;
+        let column = Math.floor(x);
+        let row = Math.floor(y);
+        let block = -1;
+        let node = read(96 * row + 2 * column);
+
+        // Descend into quadrants until the node names a zone instead of a child block
+        while (node < leafStart) {
+            block += node + 1;
+            x = (2 * (x - column)) % 2;
+            y = (2 * (y - row)) % 2;
+            column = Math.floor(x);
+            row = Math.floor(y);
+            node = read(2304 + 8 * block + 4 * row + 2 * column);
+        }
+        return zones[node - leafStart] ?? null;
+    }
+
+    // Zone for a site, falling back to the nautical zone of its longitude (Etc signs are inverted)
+    resolveTimeZone(lat, lng) {
+        const zone = this.lookupTimeZone(lat, lng);
+        if (this.isValidTimeZone(zone)) return zone;
+
+        const hours = Math.round(lng / 15);
+        return hours === 0 ? 'UTC' : `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
+    }
+
+    // Zone that dates and clock times are shown in: the site's by default, or UTC or the browser's
+    getDisplayTimeZone() {
+        if (this.preferences.displayZone === 'utc') return 'UTC';
+        if (this.preferences.displayZone === 'browser') return Intl.DateTimeFormat().resolvedOptions().timeZone;
+        return this.userLocation.timezone;
+    }
+
+    // Calendar date (month from 0), weekday and minutes past midnight of an instant in a time zone
+    getZonedDate(date, timeZone) {
+        const localMs = date.getTime() + this.getTimeZoneOffset(date, timeZone) * 60000;
+        const local = new Date(localMs);
+        const year = local.getUTCFullYear();
+        const month = local.getUTCMonth();
+        const day = local.getUTCDate();
+        return { year, month, day, weekday: local.getUTCDay(), minutes: (localMs - Date.UTC(year, month, day)) / 60000 };
+    }
+
+    // Instant of local midnight, in the given time zone, on the calendar day containing date
+    getLocalDayStart(date, timeZone) {
+        const { year, month, day } = this.getZonedDate(date, timeZone);
+        return this.getZonedMidnight(year, month, day, timeZone);
+    }
+
+    // Instant of midnight starting a calendar date (month from 0) in a time zone
+    getZonedMidnight(year, month, day, timeZone) {
+        return this.getZonedTime(year, month, day, 0, timeZone);
+    }
+
+    // Instant of a wall-clock time, in minutes past midnight, on a calendar date in a time zone.
+    // Days and months past their range roll over as in Date.UTC
+    getZonedTime(year, month, day, minutes, timeZone) {
+        const wallClock = Date.UTC(year, month, day) + minutes * 60000;
+        const firstGuess = wallClock - this.getTimeZoneOffset(new Date(wallClock), timeZone) * 60000;
+        return new Date(wallClock - this.getTimeZoneOffset(new Date(firstGuess), timeZone) * 60000);
+    }
+
+    // Same wall-clock time a number of days away, on the display zone's calendar
+    addDays(date, days) {
+        const timeZone = this.getDisplayTimeZone();
+        const { year, month, day, minutes } = this.getZonedDate(date, timeZone);
+        return this.getZonedTime(year, month, day + days, minutes, timeZone);
+    }
+
+    // Wall-clock hours [0, 24) of an instant in a time zone
+    getLocalClockHours(date, timeZone) {
+        const localMs = date.getTime() + this.getTimeZoneOffset(date, timeZone) * 60000;
+        return (((localMs % 86400000) + 86400000) % 86400000) / 3600000;
+    }
+
+    // Golden-section search for the minimum of a unimodal function on [a, b]
+    findMinimum(fn, a, b, iterations = 40) {
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let c = b - ratio * (b - a);
+        let d = a + ratio * (b - a);
+        let fc = fn(c);
+        let fd = fn(d);
+
+        for (let i = 0; i < iterations; i++) {
+            if (fc < fd) {
+                b = d;
+                d = c;
+                fd = fc;
+                c = b - ratio * (b - a);
+                fc = fn(c);
+            } else {
+                a = c;
+                c = d;
+                fc = fd;
+                d = a + ratio * (b - a);
+                fd = fn(d);
+            }
+        }
+
+        return (a + b) / 2;
+    }
+
+    // Bisection for a sign change of fn on [a, b]; null when the ends share a sign
+    findRoot(fn, a, b, iterations = 30) {
+        let fa = fn(a);
+        if ((fa > 0) === (fn(b) > 0)) return null;
+
+        for (let i = 0; i < iterations; i++) {
+            const mid = (a + b) / 2;
+            const fm = fn(mid);
+            if ((fm > 0) === (fa > 0)) {
+                a = mid;
+                fa = fm;
+            } else {
+                b = mid;
+            }
+        }
+
+        return (a + b) / 2;
+    }
+
+    angularSeparation(ra1, dec1, ra2, dec2) {
+        const toRad = Math.PI / 180;
+        const cosine = Math.sin(dec1 * toRad) * Math.sin(dec2 * toRad) +
+                       Math.cos(dec1 * toRad) * Math.cos(dec2 * toRad) * Math.cos((ra1 - ra2) * toRad);
+        return Math.acos(Math.max(-1, Math.min(1, cosine))) / toRad;
+    }
+
+    normalizeDegrees(angle) {
+        return ((angle % 360) + 360) % 360;
     }
 
     calculateAngularSize(distance) {
@@ -1222,35 +5847,128 @@ class LunarNexus {
         return 2 * Math.atan(lunarRadius / distance) * 180 / Math.PI * 3600; // arcseconds
     }
 
-    getDayOfYear(date) {
-        const start = new Date(date.getFullYear(), 0, 0);
-        const diff = date - start;
-        return Math.floor(diff / (1000 * 60 * 60 * 24));
+    // Constellation containing an equatorial position of date, from the IAU boundaries (Roman 1987)
+    getConstellation(rightAscension, declination, julianDay) {
+        const boundaries = window.LunarData?.constellationBoundaries;
+        const names = window.LunarData?.constellationNames;
+        if (!boundaries || !names) {
+            return { abbreviation: null, name: 'Unknown' };
+        }
+
+        const b1875 = this.precessEquatorial(rightAscension, declination, julianDay, this.astroConstants.b1875Epoch);
+        const raHours = b1875.rightAscension / 15;
+        const row = boundaries.find(([raLow, raHigh, decLow]) =>
+            b1875.declination >= decLow && raHours >= raLow && raHours < raHigh
+        );
+
+        return row
+            ? { abbreviation: row[3], name: names[row[3]] }
+            : { abbreviation: null, name: 'Unknown' };
     }
 
-    getConstellation(date) {
-        const constellations = [
-            'Capricornus', 'Aquarius', 'Pisces', 'Aries', 'Taurus', 'Gemini',
-            'Cancer', 'Leo', 'Virgo', 'Libra', 'Scorpius', 'Sagittarius'
-        ];
-        const month = date.getMonth();
-        return constellations[month];
+    // Rigorous precession of RA/Dec between two epochs given as Julian Days (Meeus 21.2–21.4)
+    precessEquatorial(rightAscension, declination, fromJD, toJD) {
+        const toRad = Math.PI / 180;
+        const T = (fromJD - this.astroConstants.j2000Epoch) / 36525;
+        const t = (toJD - fromJD) / 36525;
+        const arcsec = toRad / 3600;
+
+        const zeta = ((2306.2181 + 1.39656 * T - 0.000139 * T * T) * t + (0.30188 - 0.000344 * T) * t * t + 0.017998 * t * t * t) * arcsec;
+        const z = ((2306.2181 + 1.39656 * T - 0.000139 * T * T) * t + (1.09468 + 0.000066 * T) * t * t + 0.018203 * t * t * t) * arcsec;
+        const theta = ((2004.3109 - 0.85330 * T - 0.000217 * T * T) * t - (0.42665 + 0.000217 * T) * t * t - 0.041833 * t * t * t) * arcsec;
+
+        const alpha0 = rightAscension * toRad;
+        const delta0 = declination * toRad;
+        const A = Math.cos(delta0) * Math.sin(alpha0 + zeta);
+        const B = Math.cos(theta) * Math.cos(delta0) * Math.cos(alpha0 + zeta) - Math.sin(theta) * Math.sin(delta0);
+        const C = Math.sin(theta) * Math.cos(delta0) * Math.cos(alpha0 + zeta) + Math.cos(theta) * Math.sin(delta0);
+
+        return {
+            rightAscension: this.normalizeDegrees((Math.atan2(A, B) + z) / toRad),
+            declination: Math.asin(C) / toRad
+        };
     }
 
     formatTime(hours) {
         const h = Math.floor(hours);
         const m = Math.floor((hours - h) * 60);
+        if (this.preferences.timeFormat === '24h') {
+            return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}`;
+        }
         const period = h >= 12 ? 'PM' : 'AM';
         const displayHour = h === 0 ? 12 : h > 12 ? h - 12 : h;
         return `${displayHour}:${m.toString().padStart(2, '0')} ${period}`;
     }
 
+    // Date and time of an event in the display zone, e.g. "Thu, Oct 17, 7:26 AM EDT"
+    formatEventDateTime(date) {
+        return date.toLocaleString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+            hourCycle: this.preferences.timeFormat === '24h' ? 'h23' : 'h12',
+            timeZone: this.getDisplayTimeZone(),
+            timeZoneName: 'short'
+        });
+    }
+
+    // Distance in the preferred units, e.g. "384,400 km" or "238,855 mi"
+    formatDistance(kilometers) {
+        const { value, unit } = this.convertDistance(kilometers);
+        return `${Math.round(value).toLocaleString()} ${unit}`;
+    }
+
+    convertDistance(kilometers) {
+        return this.preferences.units === 'imperial'
+            ? { value: kilometers * 0.621371, unit: 'mi' }
+            : { value: kilometers, unit: 'km' };
+    }
+
+    // Clock time of an instant in the display zone
+    formatClockTime(date, fallback = '—') {
+        return date ? this.formatTime(this.getLocalClockHours(date, this.getDisplayTimeZone())) : fallback;
+    }
+
+    // ISO 8601 wall-clock time with the zone's UTC offset, e.g. 2026-10-19T07:26:00-04:00
+    formatLocalISO(date, timeZone) {
+        const offset = this.getTimeZoneOffset(date, timeZone);
+        const local = new Date(date.getTime() + offset * 60000).toISOString().slice(0, 19);
+        const sign = offset < 0 ? '-' : '+';
+        const pad = (n) => Math.floor(n).toString().padStart(2, '0');
+        return `${local}${sign}${pad(Math.abs(offset) / 60)}:${pad(Math.abs(offset) % 60)}`;
+    }
+
+    // Compass bearing with its 16-point name, e.g. "78° (ENE)"
+    formatBearing(azimuth) {
+        const points = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+        const bearing = Math.round(this.normalizeDegrees(azimuth)) % 360;
+        return `${bearing}° (${points[Math.round(bearing / 22.5) % 16]})`;
+    }
+
+    formatDuration(milliseconds) {
+        const totalMinutes = Math.round(milliseconds / 60000);
+        return `${Math.floor(totalMinutes / 60)}h ${(totalMinutes % 60).toString().padStart(2, '0')}m`;
+    }
+
+    formatCountdown(milliseconds) {
+        const totalSeconds = Math.floor(milliseconds / 1000);
+        const days = Math.floor(totalSeconds / 86400);
+        const hours = Math.floor((totalSeconds % 86400) / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const pad = (n) => n.toString().padStart(2, '0');
+        return `${days}d ${pad(hours)}h ${pad(minutes)}m ${pad(seconds)}s`;
+    }
+
     formatDate(date) {
         return date.toLocaleDateString('en-US', {
             weekday: 'long',
             year: 'numeric',
             month: 'long',
-            day: 'numeric'
+            day: 'numeric',
+            timeZone: this.getDisplayTimeZone()
         });
     }
 
@@ -1258,16 +5976,44 @@ class LunarNexus {
         return date.toLocaleDateString('en-US', {
             weekday: 'short',
             month: 'short',
-            day: 'numeric'
+            day: 'numeric',
+            timeZone: this.getDisplayTimeZone()
         });
     }
 
+    // Zone name with its abbreviation and UTC offset at an instant, e.g. "America/New_York (EDT, UTC−4)"
+    formatTimeZone(timeZone, date) {
+        const offset = this.getTimeZoneOffset(date, timeZone);
+        const hours = Math.floor(Math.abs(offset) / 60);
+        const minutes = Math.abs(offset) % 60;
+        const utc = offset === 0 ? 'UTC' : `UTC${offset < 0 ? '−' : '+'}${hours}${minutes ? `:${minutes.toString().padStart(2, '0')}` : ''}`;
+        if (timeZone === utc) return utc;
+        const abbreviation = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+            .formatToParts(date).find(part => part.type === 'timeZoneName')?.value;
+        return abbreviation && abbreviation !== utc && !abbreviation.startsWith('GMT') ? `${timeZone} (${abbreviation}, ${utc})` : `${timeZone} (${utc})`;
+    }
+
+    // Calendar date and clock time in the display zone, as date and time inputs take them
     formatDateForInput(date) {
-        return date.toISOString().split('T')[0];
+        const { year, month, day } = this.getZonedDate(date, this.getDisplayTimeZone());
+        return `${year}-${(month + 1).toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+    }
+
+    formatTimeForInput(date) {
+        const minutes = Math.floor(this.getZonedDate(date, this.getDisplayTimeZone()).minutes);
+        return `${Math.floor(minutes / 60).toString().padStart(2, '0')}:${(minutes % 60).toString().padStart(2, '0')}`;
+    }
+
+    // Month (from 0, may run past December) and year, e.g. "October 2026"
+    formatMonthName(year, month) {
+        return new Date(Date.UTC(year, month, 1)).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
     }
 
-    formatDateForFile(date) {
-        return date.toISOString().split('T')[0];
+    // ISO calendar date for file names; in UTC unless a zone is given
+    formatDateForFile(date, timeZone = null) {
+        if (!timeZone) return date.toISOString().split('T')[0];
+        const { year, month, day } = this.getZonedDate(date, timeZone);
+        return `${year}-${(month + 1).toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
     }
 
     handleResize() {
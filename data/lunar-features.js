@@ -0,0 +1,100 @@
+// Named lunar surface features from the IAU Gazetteer of Planetary Nomenclature, plus the
+// crewed and robotic landing sites. Each row is [name, type, latitude (°), longitude (°),
+// diameter or length (km)] in selenographic coordinates, longitude positive east.
+
+window.LunarData = window.LunarData || {};
+
+window.LunarData.lunarFeatures = [
+    ['Oceanus Procellarum', 'oceanus', 18.4, -57.4, 2568],
+    ['Mare Imbrium', 'mare', 32.8, -15.6, 1146],
+    ['Mare Serenitatis', 'mare', 27.3, 18.4, 674],
+    ['Mare Tranquillitatis', 'mare', 8.5, 31.4, 873],
+    ['Mare Crisium', 'mare', 17.0, 59.1, 556],
+    ['Mare Fecunditatis', 'mare', -7.8, 51.3, 909],
+    ['Mare Nectaris', 'mare', -15.2, 35.5, 333],
+    ['Mare Nubium', 'mare', -21.3, -16.6, 715],
+    ['Mare Humorum', 'mare', -24.4, -38.6, 389],
+    ['Mare Cognitum', 'mare', -10.0, -23.1, 376],
+    ['Mare Insularum', 'mare', 7.5, -30.9, 513],
+    ['Mare Vaporum', 'mare', 13.3, 3.6, 245],
+    ['Mare Frigoris', 'mare', 56.0, 1.4, 1596],
+    ['Mare Orientale', 'mare', -19.4, -92.8, 294],
+    ['Mare Marginis', 'mare', 13.3, 86.1, 420],
+    ['Mare Smythii', 'mare', 1.3, 87.5, 373],
+    ['Mare Australe', 'mare', -38.9, 93.0, 603],
+    ['Mare Humboldtianum', 'mare', 56.8, 81.5, 273],
+    ['Mare Spumans', 'mare', 1.1, 65.1, 139],
+    ['Mare Undarum', 'mare', 6.8, 68.4, 243],
+    ['Mare Moscoviense', 'mare', 27.3, 147.9, 276],
+    ['Sinus Iridum', 'sinus', 44.1, -31.5, 236],
+    ['Sinus Medii', 'sinus', 2.4, 1.7, 335],
+    ['Sinus Roris', 'sinus', 54.0, -56.6, 202],
+    ['Sinus Aestuum', 'sinus', 10.9, -8.8, 290],
+    ['Lacus Somniorum', 'lacus', 38.0, 29.2, 384],
+    ['Palus Putredinis', 'palus', 26.5, 0.4, 161],
+    ['Palus Epidemiarum', 'palus', -32.0, -28.2, 286],
+    ['Tycho', 'crater', -43.3, -11.4, 85],
+    ['Copernicus', 'crater', 9.6, -20.1, 96],
+    ['Kepler', 'crater', 8.1, -38.0, 31],
+    ['Aristarchus', 'crater', 23.7, -47.4, 40],
+    ['Plato', 'crater', 51.6, -9.4, 101],
+    ['Grimaldi', 'crater', -5.2, -68.6, 173],
+    ['Riccioli', 'crater', -3.0, -74.6, 146],
+    ['Hevelius', 'crater', 2.2, -67.6, 115],
+    ['Byrgius', 'crater', -24.7, -65.3, 87],
+    ['Schickard', 'crater', -44.4, -54.6, 227],
+    ['Gassendi', 'crater', -17.6, -40.1, 110],
+    ['Bullialdus', 'crater', -20.7, -22.2, 61],
+    ['Reinhold', 'crater', 3.3, -22.8, 42],
+    ['Pythagoras', 'crater', 63.5, -63.0, 142],
+    ['Clavius', 'crater', -58.4, -14.4, 231],
+    ['Longomontanus', 'crater', -49.6, -21.8, 145],
+    ['Maginus', 'crater', -50.0, -6.2, 163],
+    ['Pitatus', 'crater', -29.9, -13.5, 106],
+    ['Walter', 'crater', -33.1, 0.7, 132],
+    ['Ptolemaeus', 'crater', -9.3, -1.9, 153],
+    ['Alphonsus', 'crater', -13.4, -2.8, 108],
+    ['Arzachel', 'crater', -18.2, -1.9, 97],
+    ['Albategnius', 'crater', -11.3, 4.0, 131],
+    ['Hipparchus', 'crater', -5.1, 5.2, 138],
+    ['Eratosthenes', 'crater', 14.5, -11.3, 58],
+    ['Timocharis', 'crater', 26.7, -13.1, 33],
+    ['Archimedes', 'crater', 29.7, -4.0, 81],
+    ['Manilius', 'crater', 14.5, 9.1, 38],
+    ['Menelaus', 'crater', 16.3, 16.0, 26],
+    ['Aristoteles', 'crater', 50.2, 17.4, 88],
+    ['Eudoxus', 'crater', 44.3, 16.3, 67],
+    ['Posidonius', 'crater', 31.9, 29.9, 95],
+    ['Atlas', 'crater', 46.7, 44.4, 87],
+    ['Hercules', 'crater', 46.7, 39.1, 69],
+    ['Endymion', 'crater', 53.6, 57.0, 123],
+    ['Cleomedes', 'crater', 27.6, 55.5, 125],
+    ['Proclus', 'crater', 16.1, 46.8, 27],
+    ['Messier', 'crater', -1.9, 47.6, 11],
+    ['Theophilus', 'crater', -11.4, 26.4, 99],
+    ['Cyrillus', 'crater', -13.2, 24.0, 98],
+    ['Catharina', 'crater', -18.1, 23.6, 99],
+    ['Stevinus', 'crater', -32.5, 54.2, 74],
+    ['Janssen', 'crater', -44.9, 41.0, 190],
+    ['Langrenus', 'crater', -8.9, 61.0, 132],
+    ['Petavius', 'crater', -25.3, 60.4, 184],
+    ['Humboldt', 'crater', -27.0, 80.9, 207],
+    ['Tsiolkovskiy', 'crater', -20.4, 129.1, 185],
+    ['Montes Apenninus', 'montes', 18.9, -3.7, 401],
+    ['Montes Alpes', 'montes', 48.4, -0.6, 281],
+    ['Montes Caucasus', 'montes', 38.4, 10.0, 445],
+    ['Montes Jura', 'montes', 47.1, -34.0, 422],
+    ['Mons Pico', 'mons', 45.7, -8.9, 25],
+    ['Mons Piton', 'mons', 40.6, -1.1, 25],
+    ['Vallis Alpes', 'vallis', 48.5, 3.2, 166],
+    ['Vallis Schröteri', 'vallis', 26.2, -50.8, 168],
+    ['Rupes Recta', 'rupes', -21.8, -7.8, 134],
+    ['Apollo 11', 'landing site', 0.674, 23.473, 0],
+    ['Apollo 12', 'landing site', -3.012, -23.422, 0],
+    ['Apollo 14', 'landing site', -3.645, -17.471, 0],
+    ['Apollo 15', 'landing site', 26.132, 3.634, 0],
+    ['Apollo 16', 'landing site', -8.973, 15.500, 0],
+    ['Apollo 17', 'landing site', 20.191, 30.772, 0],
+    ['Luna 9', 'landing site', 7.08, -64.37, 0],
+    ["Chang'e 3", 'landing site', 44.12, -19.51, 0]
+];
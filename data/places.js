@@ -0,0 +1,4487 @@
+// Offline gazetteer for the location search: observatories, dark-sky parks and reserves, and every
+// city of 100,000 people or more plus national capitals from the GeoNames cities1000 table
+// (geonames.org, CC BY 3.0), largest first. Each row is [name, type, region (country code, with the
+// state for the US), latitude (°), longitude (°), elevation (m) or null]. Parks and reserves give a
+// representative viewing spot.
+
+window.LunarData = window.LunarData || {};
+
+window.LunarData.places = [
+    ['Mauna Kea Observatories', 'observatory', 'HI, US', 19.8207, -155.4681, 4205],
+    ['Haleakalā Observatory', 'observatory', 'HI, US', 20.7083, -156.2571, 3052],
+    ['Kitt Peak National Observatory', 'observatory', 'AZ, US', 31.9583, -111.5967, 2096],
+    ['Mount Graham International Observatory', 'observatory', 'AZ, US', 32.7016, -109.8719, 3191],
+    ['Mount Lemmon Observatory', 'observatory', 'AZ, US', 32.442, -110.789, 2791],
+    ['Lowell Observatory', 'observatory', 'AZ, US', 35.2029, -111.6646, 2210],
+    ['Palomar Observatory', 'observatory', 'CA, US', 33.3563, -116.865, 1712],
+    ['Mount Wilson Observatory', 'observatory', 'CA, US', 34.2256, -118.0573, 1742],
+    ['Lick Observatory', 'observatory', 'CA, US', 37.3414, -121.6429, 1283],
+    ['Griffith Observatory', 'observatory', 'CA, US', 34.1184, -118.3004, 345],
+    ['McDonald Observatory', 'observatory', 'TX, US', 30.6714, -104.0225, 2070],
+    ['Apache Point Observatory', 'observatory', 'NM, US', 32.7803, -105.8203, 2788],
+    ['Very Large Array', 'observatory', 'NM, US', 34.0784, -107.6184, 2124],
+    ['Yerkes Observatory', 'observatory', 'WI, US', 42.5703, -88.5564, 334],
+    ['Green Bank Observatory', 'observatory', 'WV, US', 38.4331, -79.8398, 807],
+    ['Arecibo Observatory', 'observatory', 'PR', 18.3442, -66.7528, 497],
+    ['San Pedro Mártir National Observatory', 'observatory', 'MX', 31.0439, -115.4636, 2830],
+    ['Paranal Observatory', 'observatory', 'CL', -24.6275, -70.4044, 2635],
+    ['La Silla Observatory', 'observatory', 'CL', -29.2567, -70.73, 2400],
+    ['Las Campanas Observatory', 'observatory', 'CL', -29.0146, -70.6926, 2380],
+    ['Cerro Tololo Inter-American Observatory', 'observatory', 'CL', -30.169, -70.8063, 2207],
+    ['Vera C. Rubin Observatory', 'observatory', 'CL', -30.2446, -70.7494, 2663],
+    ['ALMA Chajnantor Plateau', 'observatory', 'CL', -23.0193, -67.7532, 5058],
+    ['Roque de los Muchachos Observatory', 'observatory', 'ES', 28.7606, -17.8814, 2396],
+    ['Teide Observatory', 'observatory', 'ES', 28.3004, -16.5097, 2390],
+    ['Calar Alto Observatory', 'observatory', 'ES', 37.2236, -2.5463, 2168],
+    ['Pic du Midi Observatory', 'observatory', 'FR', 42.9364, 0.1425, 2877],
+    ['Haute-Provence Observatory', 'observatory', 'FR', 43.9317, 5.7133, 650],
+    ['Paris Observatory', 'observatory', 'FR', 48.8363, 2.3364, 67],
+    ['Royal Observatory Greenwich', 'observatory', 'GB', 51.4769, -0.0005, 46],
+    ['Jodrell Bank Observatory', 'observatory', 'GB', 53.2369, -2.3075, 77],
+    ['Kielder Observatory', 'observatory', 'GB', 55.2319, -2.6164, 370],
+    ['Sphinx Observatory', 'observatory', 'CH', 46.5475, 7.9853, 3571],
+    ['Ondřejov Observatory', 'observatory', 'CZ', 49.91, 14.7808, 528],
+    ['Skinakas Observatory', 'observatory', 'GR', 35.212, 24.899, 1750],
+    ['Special Astrophysical Observatory', 'observatory', 'RU', 43.6468, 41.4405, 2070],
+    ['Byurakan Observatory', 'observatory', 'AM', 40.33, 44.2738, 1405],
+    ['South African Astronomical Observatory', 'observatory', 'ZA', -32.3783, 20.8117, 1798],
+    ['Indian Astronomical Observatory', 'observatory', 'IN', 32.7794, 78.9642, 4500],
+    ['Devasthal Observatory', 'observatory', 'IN', 29.3608, 79.6846, 2450],
+    ['Xinglong Observatory', 'observatory', 'CN', 40.3958, 117.5775, 960],
+    ['Purple Mountain Observatory', 'observatory', 'CN', 32.0664, 118.8219, 267],
+    ['Nobeyama Radio Observatory', 'observatory', 'JP', 35.9442, 138.4725, 1350],
+    ['Siding Spring Observatory', 'observatory', 'AU', -31.2733, 149.0617, 1165],
+    ['Parkes Observatory', 'observatory', 'AU', -32.9983, 148.2636, 324],
+    ['Mount Stromlo Observatory', 'observatory', 'AU', -35.3208, 149.0083, 767],
+    ['Mount John Observatory', 'observatory', 'NZ', -43.9856, 170.465, 1029],
+    ['Cherry Springs State Park', 'dark-sky', 'PA, US', 41.6628, -77.8164, 700],
+    ['Headlands International Dark Sky Park', 'dark-sky', 'MI, US', 45.7775, -84.7819, 180],
+    ['Big Bend National Park', 'dark-sky', 'TX, US', 29.2498, -103.2502, 1140],
+    ['Natural Bridges National Monument', 'dark-sky', 'UT, US', 37.6018, -110.0137, 1950],
+    ['Bryce Canyon National Park', 'dark-sky', 'UT, US', 37.6283, -112.1677, 2414],
+    ['Arches National Park', 'dark-sky', 'UT, US', 38.7331, -109.5925, 1250],
+    ['Canyonlands National Park', 'dark-sky', 'UT, US', 38.4597, -109.8209, 1830],
+    ['Great Basin National Park', 'dark-sky', 'NV, US', 39.0058, -114.2197, 2080],
+    ['Death Valley National Park', 'dark-sky', 'CA, US', 36.4572, -116.8664, -58],
+    ['Joshua Tree National Park', 'dark-sky', 'CA, US', 33.8734, -115.901, 1000],
+    ['Grand Canyon National Park', 'dark-sky', 'AZ, US', 36.0544, -112.1401, 2134],
+    ['Flagstaff Dark Sky City', 'dark-sky', 'AZ, US', 35.1983, -111.6513, 2106],
+    ['Chaco Culture National Historical Park', 'dark-sky', 'NM, US', 36.0603, -107.9586, 1890],
+    ['Cosmic Campground', 'dark-sky', 'NM, US', 33.4799, -108.9227, 1700],
+    ['Mont-Mégantic Dark Sky Reserve', 'dark-sky', 'CA', 45.4556, -71.1525, 1111],
+    ['Jasper National Park', 'dark-sky', 'CA', 52.8734, -118.0814, 1062],
+    ['San Pedro de Atacama', 'dark-sky', 'CL', -22.9087, -68.1997, 2407],
+    ['Teide National Park', 'dark-sky', 'ES', 28.2724, -16.6425, 2150],
+    ['Alqueva Dark Sky Reserve', 'dark-sky', 'PT', 38.35, -7.4, 150],
+    ['Pic du Midi Dark Sky Reserve', 'dark-sky', 'FR', 42.9364, 0.1425, 2877],
+    ['Exmoor National Park', 'dark-sky', 'GB', 51.1333, -3.6333, 400],
+    ['Bannau Brycheiniog National Park', 'dark-sky', 'GB', 51.8833, -3.4333, 450],
+    ['Galloway Forest Park', 'dark-sky', 'GB', 55.09, -4.4, 200],
+    ['Northumberland International Dark Sky Park', 'dark-sky', 'GB', 55.2333, -2.5833, 200],
+    ['Sark Dark Sky Island', 'dark-sky', 'GG', 49.43, -2.36, 100],
+    ['Kerry International Dark Sky Reserve', 'dark-sky', 'IE', 51.85, -10.15, 50],
+    ['Westhavelland Nature Park', 'dark-sky', 'DE', 52.69, 12.3, 30],
+    ['Rhön Biosphere Reserve', 'dark-sky', 'DE', 50.45, 10, 800],
+    ['Zselic Starry Sky Park', 'dark-sky', 'HU', 46.23, 17.77, 250],
+    ['Hortobágy National Park', 'dark-sky', 'HU', 47.5833, 21.15, 90],
+    ['NamibRand Nature Reserve', 'dark-sky', 'NA', -24.95, 16.05, 1000],
+    ['Iriomote-Ishigaki National Park', 'dark-sky', 'JP', 24.3333, 123.8167, 50],
+    ['Warrumbungle National Park', 'dark-sky', 'AU', -31.28, 148.99, 600],
+    ['Aoraki Mackenzie Dark Sky Reserve', 'dark-sky', 'NZ', -44.0047, 170.4772, 710],
+    ['Shanghai', 'city', 'CN', 31.2222, 121.4581, 12],
+    ['Buenos Aires', 'city', 'AR', -34.6131, -58.3772, 31],
+    ['Mumbai', 'city', 'IN', 19.0728, 72.8826, 8],
+    ['Mexico City', 'city', 'MX', 19.4285, -99.1277, 2240],
+    ['Karachi', 'city', 'PK', 24.9056, 67.0822, 38],
+    ['İstanbul', 'city', 'TR', 41.0138, 28.9497, 39],
+    ['Delhi', 'city', 'IN', 28.6538, 77.229, 229],
+    ['Manila', 'city', 'PH', 14.6042, 120.9822, 13],
+    ['Moscow', 'city', 'RU', 55.7522, 37.6156, 144],
+    ['Dhaka', 'city', 'BD', 23.7104, 90.4074, 23],
+    ['Seoul', 'city', 'KR', 37.5683, 126.9778, 74],
+    ['São Paulo', 'city', 'BR', -23.5475, -46.6361, 769],
+    ['Lagos', 'city', 'NG', 6.4531, 3.3958, 10],
+    ['Jakarta', 'city', 'ID', -6.2146, 106.8451, 16],
+    ['Tokyo', 'city', 'JP', 35.6895, 139.6917, 44],
+    ['Zhumadian', 'city', 'CN', 32.9794, 114.0294, 89],
+    ['New York City', 'city', 'NY, US', 40.7143, -74.006, 10],
+    ['Taipei', 'city', 'TW', 25.0478, 121.5319, 10],
+    ['Kinshasa', 'city', 'CD', -4.3214, 15.3081, 280],
+    ['Lima', 'city', 'PE', -12.0432, -77.0282, 152],
+    ['Cairo', 'city', 'EG', 30.0626, 31.2497, 23],
+    ['Bogotá', 'city', 'CO', 4.6097, -74.0817, 2582],
+    ['City of London', 'city', 'GB', 51.5128, -0.0918, 27],
+    ['London', 'city', 'GB', 51.5085, -0.1257, 25],
+    ['Beijing', 'city', 'CN', 39.9075, 116.3972, 49],
+    ['Tehrān', 'city', 'IR', 35.6944, 51.4215, 1178],
+    ['Nanchong', 'city', 'CN', 30.7951, 106.0847, 287],
+    ['Hong Kong', 'city', 'HK', 22.2855, 114.1577, 3],
+    ['Lahore', 'city', 'PK', 31.5497, 74.3436, 224],
+    ['Rio de Janeiro', 'city', 'BR', -22.9028, -43.2075, 5],
+    ['Baghdad', 'city', 'IQ', 33.3406, 44.4009, 41],
+    ['Tai’an', 'city', 'CN', 36.1853, 117.12, 143],
+    ['Bangkok', 'city', 'TH', 13.754, 100.5014, 12],
+    ['Bangalore', 'city', 'IN', 12.9719, 77.5937, 920],
+    ['Saint Petersburg', 'city', 'RU', 59.9386, 30.3141, 10],
+    ['Yueyang', 'city', 'CN', 29.3745, 113.0948, 32],
+    ['Santiago', 'city', 'CL', -33.4569, -70.6483, 556],
+    ['Kaifeng', 'city', 'CN', 34.7986, 114.3074, 76],
+    ['Kolkata', 'city', 'IN', 22.5626, 88.363, 11],
+    ['Sydney', 'city', 'AU', -33.8678, 151.2073, 58],
+    ['Toronto', 'city', 'CA', 43.7001, -79.4163, 175],
+    ['Rangoon', 'city', 'MM', 16.8053, 96.1561, 30],
+    ['Chennai', 'city', 'IN', 13.0878, 80.2785, 14],
+    ['Melbourne', 'city', 'AU', -37.814, 144.9633, 25],
+    ['Riyadh', 'city', 'SA', 24.6877, 46.7219, 612],
+    ['Wuhan', 'city', 'CN', 30.5833, 114.2667, 20],
+    ['Chongqing', 'city', 'CN', 29.5628, 106.5528, 225],
+    ['Chengdu', 'city', 'CN', 30.6667, 104.0667, 499],
+    ['Chittagong', 'city', 'BD', 22.3384, 91.8317, 15],
+    ['Alexandria', 'city', 'EG', 31.2156, 29.9553, -1],
+    ['Los Angeles', 'city', 'CA, US', 34.0522, -118.2437, 89],
+    ['Tianjin', 'city', 'CN', 39.1422, 117.1767, 11],
+    ['Ahmedabad', 'city', 'IN', 23.0258, 72.5873, 56],
+    ['Busan', 'city', 'KR', 35.1028, 129.0403, 2],
+    ['Abidjan', 'city', 'CI', 5.3097, -4.0127, 10],
+    ['Kano', 'city', 'NG', 12.0001, 8.5167, 484],
+    ['Hyderabad', 'city', 'IN', 17.384, 78.4564, 515],
+    ['Puyang', 'city', 'CN', 29.4568, 119.8887, 76],
+    ['Yokohama-shi', 'city', 'JP', 35.4478, 139.6425, 10],
+    ['Ibadan', 'city', 'NG', 7.3878, 3.8964, 255],
+    ['Singapore', 'city', 'SG', 1.2897, 103.8501, 23],
+    ['Ankara', 'city', 'TR', 39.9199, 32.8543, 850],
+    ['Shenyang', 'city', 'CN', 41.7922, 123.4328, 53],
+    ['Tianshui', 'city', 'CN', 34.5795, 105.7424, 1153],
+    ['Ho Chi Minh City', 'city', 'VN', 10.823, 106.6296, 5],
+    ['Shiyan', 'city', 'CN', 32.6475, 110.7781, 247],
+    ['Cape Town', 'city', 'ZA', -33.9258, 18.4232, 16],
+    ['Berlin', 'city', 'DE', 52.5244, 13.4105, 74],
+    ['Montréal', 'city', 'CA', 45.5088, -73.5878, 216],
+    ['Madrid', 'city', 'ES', 40.4165, -3.7026, 665],
+    ['Harbin', 'city', 'CN', 45.75, 126.65, 140],
+    ['Xi’an', 'city', 'CN', 34.2583, 108.9286, 416],
+    ['Pyongyang', 'city', 'KP', 39.0339, 125.7543, 43],
+    ['Lanzhou', 'city', 'CN', 36.057, 103.8399, 1513],
+    ['Guangzhou', 'city', 'CN', 23.1167, 113.25, 15],
+    ['Casablanca', 'city', 'MA', 33.5883, -7.6114, 27],
+    ['Durban', 'city', 'ZA', -29.8579, 31.0292, 21],
+    ['Nanjing', 'city', 'CN', 32.0617, 118.7778, 22],
+    ['Kabul', 'city', 'AF', 34.5281, 69.1723, 1798],
+    ['Shenzhen', 'city', 'CN', 22.5455, 114.0683, 4],
+    ['Caracas', 'city', 'VE', 10.488, -66.8792, 887],
+    ['Pune', 'city', 'IN', 18.5196, 73.8554, 554],
+    ['Sūrat', 'city', 'IN', 21.1959, 72.8302, 20],
+    ['Jeddah', 'city', 'SA', 21.5169, 39.2192, 21],
+    ['Kānpur', 'city', 'IN', 26.4478, 80.3463, 131],
+    ['Kiev', 'city', 'UA', 50.4547, 30.5238, 187],
+    ['Luanda', 'city', 'AO', -8.8368, 13.2343, 73],
+    ['Quezon City', 'city', 'PH', 14.6488, 121.0509, 49],
+    ['Addis Ababa', 'city', 'ET', 9.025, 38.7469, 2405],
+    ['Nairobi', 'city', 'KE', -1.2833, 36.8167, 1684],
+    ['Taiyuan', 'city', 'CN', 37.8694, 112.5603, 795],
+    ['Salvador', 'city', 'BR', -12.9711, -38.5108, 10],
+    ['Jaipur', 'city', 'IN', 26.9196, 75.7878, 435],
+    ['Dar es Salaam', 'city', 'TZ', -6.8235, 39.2695, 24],
+    ['Chicago', 'city', 'IL, US', 41.85, -87.65, 179],
+    ['Incheon', 'city', 'KR', 37.4536, 126.7317, 25],
+    ['Yunfu', 'city', 'CN', 22.9283, 112.0395, 67],
+    ['Navi Mumbai', 'city', 'IN', 19.0368, 73.0158, 14],
+    ['Al Başrah', 'city', 'IQ', 30.533, 47.7975, 6],
+    ['Ōsaka-shi', 'city', 'JP', 34.6937, 135.5022, 24],
+    ['Mogadishu', 'city', 'SO', 2.0371, 45.3438, 12],
+    ['Daegu', 'city', 'KR', 35.8703, 128.5911, 45],
+    ['Rome', 'city', 'IT', 41.8947, 12.4839, 29],
+    ['Changchun', 'city', 'CN', 43.88, 125.3228, 206],
+    ['Faisalābād', 'city', 'PK', 31.4167, 73.0833, 186],
+    ['İzmir', 'city', 'TR', 38.4127, 27.1384, 122],
+    ['Zhongshan', 'city', 'CN', 21.3199, 110.5723, 4],
+    ['Dakar', 'city', 'SN', 14.6937, -17.4441, 12],
+    ['Lucknow', 'city', 'IN', 26.8393, 80.9231, 126],
+    ['Al Jīzah', 'city', 'EG', 30.0081, 31.2109, 30],
+    ['Fortaleza', 'city', 'BR', -3.7172, -38.5431, 18],
+    ['Cali', 'city', 'CO', 3.4372, -76.5225, 967],
+    ['Surabaya', 'city', 'ID', -7.2492, 112.7508, 8],
+    ['Belo Horizonte', 'city', 'BR', -19.9208, -43.9378, 888],
+    ['Grand Dakar', 'city', 'SN', 14.7133, -17.4547, 27],
+    ['Mashhad', 'city', 'IR', 36.3156, 59.568, 1003],
+    ['Brooklyn', 'city', 'NY, US', 40.6501, -73.9496, 15],
+    ['Borough of Queens', 'city', 'NY, US', 40.6815, -73.8365, 12],
+    ['Nāgpur', 'city', 'IN', 21.15, 79.1, 310],
+    ['Maracaibo', 'city', 'VE', 10.6317, -71.6406, 12],
+    ['Raigarh Fort', 'city', 'IN', 18.25, 73.4333, 157],
+    ['Brasília', 'city', 'BR', -15.7797, -47.9297, 1136],
+    ['Santo Domingo', 'city', 'DO', 18.5001, -69.9886, 55],
+    ['Nagoya-shi', 'city', 'JP', 35.1815, 136.9064, 23],
+    ['Brisbane', 'city', 'AU', -27.4679, 153.0281, 27],
+    ['Havana', 'city', 'CU', 23.133, -82.383, 41],
+    ['Paris', 'city', 'FR', 48.8534, 2.3488, 42],
+    ['Houston', 'city', 'TX, US', 29.7633, -95.3633, 12],
+    ['Changsha', 'city', 'CN', 28.1987, 112.9709, 67],
+    ['Jinan', 'city', 'CN', 36.6683, 116.9972, 32],
+    ['Al Mawşil al Jadīdah', 'city', 'IQ', 36.3309, 43.0906, 261],
+    ['Dalian', 'city', 'CN', 38.9122, 121.6022, 33],
+    ['Johannesburg', 'city', 'ZA', -26.2023, 28.0436, 1767],
+    ['Kowloon', 'city', 'HK', 22.3167, 114.1833, 92],
+    ['Al Başrat al Qadīmah', 'city', 'IQ', 30.4953, 47.8169, 8],
+    ['Zhengzhou', 'city', 'CN', 34.7578, 113.6486, 104],
+    ['Almaty', 'city', 'KZ', 43.2565, 76.9285, 787],
+    ['Medellín', 'city', 'CO', 6.2518, -75.5636, 1405],
+    ['Shijiazhuang', 'city', 'CN', 38.0414, 114.4786, 77],
+    ['Tashkent', 'city', 'UZ', 41.2647, 69.2163, 424],
+    ['Algiers', 'city', 'DZ', 36.7525, 3.042, 186],
+    ['Khartoum', 'city', 'SD', 15.5518, 32.5324, 381],
+    ['Accra', 'city', 'GH', 5.556, -0.1969, 33],
+    ['Guayaquil', 'city', 'EC', -2.2058, -79.9079, 60],
+    ['Ordos', 'city', 'CN', 39.6086, 109.7816, 2149],
+    ['Sanaa', 'city', 'YE', 15.3547, 44.2067, 2253],
+    ['Beirut', 'city', 'LB', 33.8889, 35.4944, 102],
+    ['Perth', 'city', 'AU', -31.9522, 115.8614, 34],
+    ['Sapporo', 'city', 'JP', 43.0642, 141.3469, 29],
+    ['Jilin', 'city', 'CN', 43.8508, 126.5603, 196],
+    ['Hangzhou', 'city', 'CN', 30.2936, 120.1614, 12],
+    ['Bucharest', 'city', 'RO', 44.4323, 26.1063, 83],
+    ['Nanchang', 'city', 'CN', 28.6833, 115.8833, 38],
+    ['Camayenne', 'city', 'GN', 9.535, -13.6878, 6],
+    ['Vancouver', 'city', 'CA', 49.2497, -123.1193, 70],
+    ['Indore', 'city', 'IN', 22.7179, 75.8333, 550],
+    ['Iztapalapa', 'city', 'MX', 19.3574, -99.0671, 2239],
+    ['Ecatepec', 'city', 'MX', 19.6172, -99.066, 2274],
+    ['Conakry', 'city', 'GN', 9.538, -13.6773, 13],
+    ['Maracay', 'city', 'VE', 10.2469, -67.5958, 448],
+    ['Medan', 'city', 'ID', 3.5833, 98.6667, 26],
+    ['Rāwalpindi', 'city', 'PK', 33.6007, 73.0679, 493],
+    ['Minsk', 'city', 'BY', 53.9, 27.5667, 222],
+    ['Budapest', 'city', 'HU', 47.498, 19.0399, 111],
+    ['Mosul', 'city', 'IQ', 36.335, 43.1189, 228],
+    ['Hamburg', 'city', 'DE', 53.5753, 10.0153, 8],
+    ['Curitiba', 'city', 'BR', -25.4278, -49.2731, 924],
+    ['Warsaw', 'city', 'PL', 52.2298, 21.0118, 113],
+    ['Bandung', 'city', 'ID', -6.9039, 107.6186, 728],
+    ['Soweto', 'city', 'ZA', -26.2678, 27.8585, 1632],
+    ['Vienna', 'city', 'AT', 48.2085, 16.3721, 171],
+    ['Rabat', 'city', 'MA', 34.0132, -6.8326, 46],
+    ['Qingdao', 'city', 'CN', 36.0986, 120.3719, 36],
+    ['Guadalajara', 'city', 'MX', 20.6668, -103.3918, 1598],
+    ['Barcelona', 'city', 'ES', 41.3888, 2.159, 15],
+    ['Pretoria', 'city', 'ZA', -25.7449, 28.1878, 1332],
+    ['Aleppo', 'city', 'SY', 36.2012, 37.1612, 401],
+    ['Patna', 'city', 'IN', 25.6022, 85.1194, 57],
+    ['Bhopal', 'city', 'IN', 23.2547, 77.4029, 523],
+    ['Manaus', 'city', 'BR', -3.1019, -60.025, 20],
+    ['Tangshan', 'city', 'CN', 39.6333, 118.1833, 36],
+    ['Xinyang', 'city', 'CN', 32.1228, 114.0656, 89],
+    ['Puebla de Zaragoza', 'city', 'MX', 19.0433, -98.2019, 2152],
+    ['Kaduna', 'city', 'NG', 10.5222, 7.4383, 616],
+    ['Phnom Penh', 'city', 'KH', 11.5625, 104.916, 20],
+    ['Damascus', 'city', 'SY', 33.5102, 36.2913, 701],
+    ['Eşfahān', 'city', 'IR', 32.6572, 51.6776, 1570],
+    ['Ludhiāna', 'city', 'IN', 30.9002, 75.8523, 248],
+    ['Harare', 'city', 'ZW', -17.8277, 31.0534, 1494],
+    ['Kōbe-shi', 'city', 'JP', 34.6913, 135.183, 35],
+    ['Philadelphia', 'city', 'PA, US', 39.9523, -75.1638, 12],
+    ['Bekasi', 'city', 'ID', -6.2349, 106.9896, 18],
+    ['Kaohsiung', 'city', 'TW', 22.6163, 120.3133, 9],
+    ['Ciudad Juárez', 'city', 'MX', 31.7333, -106.4833, 1126],
+    ['Ürümqi', 'city', 'CN', 43.801, 87.6005, 862],
+    ['Manhattan', 'city', 'NY, US', 40.7834, -73.9663, 35],
+    ['Asunción', 'city', 'PY', -25.3007, -57.6359, 133],
+    ['Recife', 'city', 'BR', -8.0539, -34.8811, 8],
+    ['Daejeon', 'city', 'KR', 36.3214, 127.4197, 71],
+    ['Kumasi', 'city', 'GH', 6.6885, -1.6244, 270],
+    ['Kota Bharu', 'city', 'MY', 6.1333, 102.2386, 10],
+    ['Kyoto', 'city', 'JP', 35.0211, 135.7538, 50],
+    ['Kuala Lumpur', 'city', 'MY', 3.1412, 101.6865, 56],
+    ['Karaj', 'city', 'IR', 35.8327, 50.9915, 1341],
+    ['Phoenix', 'city', 'AZ, US', 33.4484, -112.074, 331],
+    ['Kathmandu', 'city', 'NP', 27.7017, 85.3206, 1317],
+    ['Palembang', 'city', 'ID', -2.9167, 104.7458, 5],
+    ['Multān', 'city', 'PK', 30.1956, 71.4753, 129],
+    ['Hanoi', 'city', 'VN', 21.0245, 105.8412, 10],
+    ['Kharkiv', 'city', 'UA', 49.9808, 36.2527, 113],
+    ['Āgra', 'city', 'IN', 27.1833, 78.0167, 166],
+    ['Córdoba', 'city', 'AR', -31.4135, -64.181, 395],
+    ['Tabrīz', 'city', 'IR', 38.08, 46.2919, 1396],
+    ['Novosibirsk', 'city', 'RU', 55.0415, 82.9346, 164],
+    ['Gwangju', 'city', 'KR', 35.1547, 126.9156, 47],
+    ['Bursa', 'city', 'TR', 40.1927, 29.084, 152],
+    ['Vadodara', 'city', 'IN', 22.2994, 73.2081, 46],
+    ['Belém', 'city', 'BR', -1.4558, -48.5044, 15],
+    ['Fushun', 'city', 'CN', 41.8558, 123.9233, 83],
+    ['Quito', 'city', 'EC', -0.2298, -78.525, 2854],
+    ['Fukuoka-shi', 'city', 'JP', 33.6064, 130.4181, 7],
+    ['Antananarivo', 'city', 'MG', -18.9137, 47.5361, 1274],
+    ['Luoyang', 'city', 'CN', 34.6836, 112.4536, 149],
+    ['Hefei', 'city', 'CN', 31.8639, 117.2808, 24],
+    ['Hyderābād', 'city', 'PK', 25.3924, 68.3737, 40],
+    ['Borough of Bronx', 'city', 'NY, US', 40.8499, -73.8664, 23],
+    ['Valencia', 'city', 'VE', 10.162, -68.0076, 457],
+    ['Gujrānwāla', 'city', 'PK', 32.1617, 74.1883, 231],
+    ['Barranquilla', 'city', 'CO', 10.9685, -74.7813, 24],
+    ['Guankou', 'city', 'CN', 28.1586, 113.6271, 75],
+    ['Tijuana', 'city', 'MX', 32.5027, -117.0037, 97],
+    ['Lubumbashi', 'city', 'CD', -11.6609, 27.4794, 1260],
+    ['Porto Alegre', 'city', 'BR', -30.0331, -51.23, 46],
+    ['Tangerang', 'city', 'ID', -6.1781, 106.63, 18],
+    ['Santa Cruz de la Sierra', 'city', 'BO', -17.7863, -63.1812, 433],
+    ['Handan', 'city', 'CN', 36.6006, 114.4678, 66],
+    ['Kampala', 'city', 'UG', 0.3163, 32.5822, 1223],
+    ['Yekaterinburg', 'city', 'RU', 56.8519, 60.6122, 278],
+    ['Suzhou', 'city', 'CN', 31.3041, 120.5954, 10],
+    ['Khulna', 'city', 'BD', 22.8098, 89.5644, 8],
+    ['Douala', 'city', 'CM', 4.0483, 9.7043, 19],
+    ['Shantou', 'city', 'CN', 23.3681, 116.7148, 17],
+    ['San Antonio', 'city', 'TX, US', 29.4241, -98.4936, 198],
+    ['Gorakhpur', 'city', 'IN', 29.447, 75.6718, 221],
+    ['Mecca', 'city', 'SA', 21.4267, 39.8261, 333],
+    ['Makassar', 'city', 'ID', -5.14, 119.4221, 8],
+    ['San Diego', 'city', 'CA, US', 32.7153, -117.1573, 20],
+    ['Kawasaki', 'city', 'JP', 35.5206, 139.7172, 1],
+    ['Milano', 'city', 'IT', 45.4643, 9.1895, 120],
+    ['South Tangerang', 'city', 'ID', -6.2886, 106.7179, 39],
+    ['Baotou', 'city', 'CN', 40.6522, 109.8222, 1066],
+    ['Medina', 'city', 'SA', 24.4686, 39.6142, 603],
+    ['Yaoundé', 'city', 'CM', 3.8667, 11.5167, 726],
+    ['Bamako', 'city', 'ML', 12.65, -8, 338],
+    ['Nāsik', 'city', 'IN', 19.9833, 73.8, 582],
+    ['Semarang', 'city', 'ID', -6.9932, 110.4203, 19],
+    ['Brazzaville', 'city', 'CG', -4.2661, 15.2832, 284],
+    ['Pimpri', 'city', 'IN', 18.6229, 73.807, 571],
+    ['Nizhniy Novgorod', 'city', 'RU', 56.3287, 44.002, 141],
+    ['Amman', 'city', 'JO', 31.9552, 35.945, 757],
+    ['Budta', 'city', 'PH', 7.2042, 124.4397, 4],
+    ['Belgrade', 'city', 'RS', 44.804, 20.4651, 120],
+    ['Montevideo', 'city', 'UY', -34.9033, -56.1882, 60],
+    ['Lusaka', 'city', 'ZM', -15.4067, 28.2871, 1277],
+    ['Kalyān', 'city', 'IN', 19.2437, 73.1355, 10],
+    ['Thāne', 'city', 'IN', 19.197, 72.9636, 23],
+    ['München', 'city', 'DE', 48.1374, 11.5755, 524],
+    ['Stockholm', 'city', 'SE', 59.3326, 18.0649, 28],
+    ['Ra’s Bayrūt', 'city', 'LB', 33.9, 35.4833, 35],
+    ['Shīrāz', 'city', 'IR', 29.6103, 52.5311, 1545],
+    ['Adana', 'city', 'TR', 37.0017, 35.3289, 41],
+    ['Suigen', 'city', 'KR', 37.2911, 127.0089, 58],
+    ['Port-au-Prince', 'city', 'HT', 18.5392, -72.335, 44],
+    ['Ciudad Nezahualcóyotl', 'city', 'MX', 19.4006, -99.0148, 2235],
+    ['Adelaide', 'city', 'AU', -34.9287, 138.5986, 59],
+    ['Meerut', 'city', 'IN', 28.9716, 77.7193, 224],
+    ['Farīdābād', 'city', 'IN', 28.4125, 77.3198, 205],
+    ['Peshāwar', 'city', 'PK', 34.008, 71.5785, 340],
+    ['Davao', 'city', 'PH', 7.0731, 125.6128, 13],
+    ['Mandalay', 'city', 'MM', 21.9747, 96.0836, 83],
+    ['Santiago de los Caballeros', 'city', 'DO', 19.4517, -70.697, 202],
+    ['Omdurman', 'city', 'SD', 15.6445, 32.4777, 391],
+    ['Anshan', 'city', 'CN', 41.1236, 122.99, 55],
+    ['Tongshan', 'city', 'CN', 34.1805, 117.1571, 37],
+    ['Ghāziābād', 'city', 'IN', 28.6625, 77.4378, 215],
+    ['Depok', 'city', 'ID', -6.4, 106.8186, 92],
+    ['Dallas', 'city', 'TX, US', 32.7831, -96.8067, 128],
+    ['Saitama', 'city', 'JP', 35.9081, 139.6566, 16],
+    ['Gustavo A. Madero', 'city', 'MX', 19.4902, -99.1098, 2248],
+    ['Dombivli', 'city', 'IN', 19.2167, 73.0833, 11],
+    ['Maputo', 'city', 'MZ', -25.9655, 32.5832, 70],
+    ['Gustavo A. Madero', 'city', 'MX', 22.8697, -98.7589, 62],
+    ['Fuzhou', 'city', 'CN', 26.0614, 119.3061, 14],
+    ['Rājkot', 'city', 'IN', 22.2916, 70.7932, 140],
+    ['Rosario', 'city', 'AR', -32.9468, -60.6393, 38],
+    ['Guiyang', 'city', 'CN', 26.5833, 106.7167, 1087],
+    ['Goiânia', 'city', 'BR', -16.6786, -49.2539, 766],
+    ['Guarulhos', 'city', 'BR', -23.4628, -46.5333, 774],
+    ['Prague', 'city', 'CZ', 50.088, 14.4208, 202],
+    ['Vārānasi', 'city', 'IN', 25.3167, 83.0104, 86],
+    ['Copenhagen', 'city', 'DK', 55.6759, 12.5655, 14],
+    ['Sofia', 'city', 'BG', 42.6975, 23.3241, 562],
+    ['Tripoli', 'city', 'LY', 32.8752, 13.1875, 21],
+    ['Port Harcourt', 'city', 'NG', 4.7774, 7.0134, 16],
+    ['Hiroshima-shi', 'city', 'JP', 34.3963, 132.4594, 12],
+    ['Dayan', 'city', 'CN', 26.8688, 100.2207, 2397],
+    ['Dubai', 'city', 'AE', 25.2582, 55.3047, 11],
+    ['Samara', 'city', 'RU', 53.2001, 50.15, 117],
+    ['Omsk', 'city', 'RU', 54.9924, 73.3686, 90],
+    ['Benin City', 'city', 'NG', 6.335, 5.6275, 86],
+    ['Monterrey', 'city', 'MX', 25.6751, -100.3185, 543],
+    ['Malingao', 'city', 'PH', 7.1608, 124.475, 5],
+    ['Baku', 'city', 'AZ', 40.3777, 49.892, -23],
+    ['León', 'city', 'MX', 21.1213, -101.668, 1801],
+    ['Maiduguri', 'city', 'NG', 11.8464, 13.1603, 321],
+    ['Wuxi', 'city', 'CN', 31.5689, 120.2886, 10],
+    ['Kazan', 'city', 'RU', 55.7887, 49.1221, 61],
+    ['Yerevan', 'city', 'AM', 40.1811, 44.5136, 994],
+    ['Amritsar', 'city', 'IN', 31.6366, 74.8748, 234],
+    ['Ouagadougou', 'city', 'BF', 12.3657, -1.5339, 299],
+    ['Yono', 'city', 'JP', 35.8833, 139.6333, 14],
+    ['Rostov-na-Donu', 'city', 'RU', 47.2313, 39.7233, 74],
+    ['Allahābād', 'city', 'IN', 25.4489, 81.8333, 104],
+    ['Goyang', 'city', 'KR', 37.6564, 126.835, 19],
+    ['Gaziantep', 'city', 'TR', 37.0594, 37.3825, 842],
+    ['Vishākhapatnam', 'city', 'IN', 17.69, 83.2092, 38],
+    ['Sendai', 'city', 'JP', 38.2576, 140.8667, 46],
+    ['Chelyabinsk', 'city', 'RU', 55.154, 61.4291, 219],
+    ['Datong', 'city', 'CN', 40.0936, 113.2914, 1054],
+    ['Tbilisi', 'city', 'GE', 41.6941, 44.8337, 491],
+    ['Changshu City', 'city', 'CN', 31.6461, 120.7422, 9],
+    ['Taichung', 'city', 'TW', 24.1469, 120.6839, 91],
+    ['Sendai-shi', 'city', 'JP', 38.2689, 140.8719, 59],
+    ['Teni', 'city', 'IN', 10.0153, 77.482, 312],
+    ['Xianyang', 'city', 'CN', 34.3378, 108.7026, 387],
+    ['Ufa', 'city', 'RU', 54.7852, 56.0456, 138],
+    ['Dnipropetrovsk', 'city', 'UA', 48.45, 34.9833, 140],
+    ['Seongnam', 'city', 'KR', 37.4386, 127.1378, 80],
+    ['Campinas', 'city', 'BR', -22.9056, -47.0608, 686],
+    ['Jabalpur', 'city', 'IN', 23.167, 79.9501, 416],
+    ['Hāora', 'city', 'IN', 22.5769, 88.3186, 8],
+    ['Huainan', 'city', 'CN', 32.6264, 116.9969, 47],
+    ['Donets’k', 'city', 'UA', 48.023, 37.8022, 223],
+    ['Dublin', 'city', 'IE', 53.3331, -6.2489, 17],
+    ['Kunming', 'city', 'CN', 25.0389, 102.7183, 1895],
+    ['Calgary', 'city', 'CA', 51.0501, -114.0853, 1048],
+    ['Brussels', 'city', 'BE', 50.8505, 4.3488, 28],
+    ['Aurangābād', 'city', 'IN', 19.8833, 75.3333, 573],
+    ['Volgograd', 'city', 'RU', 48.7194, 44.5018, 65],
+    ['Nova Iguaçu', 'city', 'BR', -22.7592, -43.4511, 36],
+    ['Jieyang', 'city', 'CN', 23.5289, 116.3642, 10],
+    ['Odessa', 'city', 'UA', 46.4775, 30.7326, 58],
+    ['Zhu Cheng City', 'city', 'CN', 35.995, 119.4026, 67],
+    ['Masjid Jamie Baitul Muttaqien', 'city', 'ID', -6.3684, 107.9558, 3],
+    ['Shivaji Nagar', 'city', 'IN', 18.5302, 73.8526, 1000],
+    ['Kitakyūshū', 'city', 'JP', 33.8333, 130.8333, 165],
+    ['Solāpur', 'city', 'IN', 17.6715, 75.9104, 473],
+    ['Baoding', 'city', 'CN', 38.8511, 115.4903, 17],
+    ['Guatemala City', 'city', 'GT', 14.6407, -90.5133, 1508],
+    ['Benxi', 'city', 'CN', 41.2886, 123.765, 212],
+    ['Zapopan', 'city', 'MX', 20.7236, -103.3848, 1568],
+    ['Birmingham', 'city', 'GB', 52.4814, -1.8998, 149],
+    ['Perm’', 'city', 'RU', 58.0174, 56.2855, 166],
+    ['Srinagar', 'city', 'IN', 34.0884, 74.803, 1591],
+    ['Zaria', 'city', 'NG', 11.1113, 7.7227, 644],
+    ['Managua', 'city', 'NI', 12.1328, -86.2504, 108],
+    ['Port Elizabeth', 'city', 'ZA', -33.918, 25.5701, 37],
+    ['Fès', 'city', 'MA', 34.0371, -4.9998, 403],
+    ['Köln', 'city', 'DE', 50.9333, 6.95, 58],
+    ['Ulsan', 'city', 'KR', 35.5372, 129.3167, 10],
+    ['Chandigarh', 'city', 'IN', 30.7363, 76.7884, 351],
+    ['Coimbatore', 'city', 'IN', 11.0055, 76.9661, 425],
+    ['Napoli', 'city', 'IT', 40.8333, 14.25, 28],
+    ['Maceió', 'city', 'BR', -9.6658, -35.7353, 11],
+    ['Cartagena', 'city', 'CO', 10.3997, -75.5144, 34],
+    ['Changzhou', 'city', 'CN', 31.7736, 119.954, 9],
+    ['Sulţānah', 'city', 'SA', 24.4926, 39.5857, 597],
+    ['San Jose', 'city', 'CA, US', 37.3394, -121.895, 26],
+    ['Monrovia', 'city', 'LR', 6.3005, -10.7969, 32],
+    ['Kingston', 'city', 'JM', 17.997, -76.7936, 65],
+    ['Erbil', 'city', 'IQ', 36.1926, 44.0106, 426],
+    ['Krasnoyarsk', 'city', 'RU', 56.0184, 92.8672, 140],
+    ['Nay Pyi Taw', 'city', 'MM', 19.745, 96.1297, 122],
+    ['Jodhpur', 'city', 'IN', 26.2684, 73.0059, 237],
+    ['Chiba', 'city', 'JP', 35.6047, 140.1233, 11],
+    ['São Luís', 'city', 'BR', -2.5297, -44.3028, 29],
+    ['Madurai', 'city', 'IN', 9.9174, 78.1196, 144],
+    ['Sale', 'city', 'MA', 34.0531, -6.7985, 34],
+    ['Huaibei', 'city', 'CN', 33.9744, 116.7917, 51],
+    ['Cochabamba', 'city', 'BO', -17.3895, -66.1568, 2577],
+    ['Abobo', 'city', 'CI', 5.4161, -4.0159, 105],
+    ['Abū Ghurayb', 'city', 'IQ', 33.307, 44.1869, 38],
+    ['Qom', 'city', 'IR', 34.6401, 50.8764, 935],
+    ['Bishkek', 'city', 'KG', 42.87, 74.59, 767],
+    ['Guwāhāti', 'city', 'IN', 26.1862, 91.751, 54],
+    ['Aba', 'city', 'NG', 5.1066, 7.3667, 64],
+    ['Pingdingshan', 'city', 'CN', 33.7385, 113.3012, 88],
+    ['Gwalior', 'city', 'IN', 26.2298, 78.1734, 220],
+    ['Qiqihar', 'city', 'CN', 47.3409, 123.9604, 151],
+    ['Klang', 'city', 'MY', 3.0333, 101.45, 6],
+    ['Mendoza', 'city', 'AR', -32.8908, -68.8272, 746],
+    ['Konya', 'city', 'TR', 37.8713, 32.4846, 1030],
+    ['Mbuji-Mayi', 'city', 'CD', -6.136, 23.5898, 621],
+    ['Vijayawāda', 'city', 'IN', 16.5193, 80.6305, 25],
+    ['Pikine', 'city', 'SN', 14.7646, -17.3907, 17],
+    ['Mysore', 'city', 'IN', 12.2979, 76.6393, 757],
+    ['Wenzhou', 'city', 'CN', 27.9994, 120.6668, 10],
+    ['Turin', 'city', 'IT', 45.0705, 7.6868, 240],
+    ['Saratov', 'city', 'RU', 51.5406, 46.0086, 72],
+    ['Tegucigalpa', 'city', 'HN', 14.0818, -87.2068, 944],
+    ['Bucheon', 'city', 'KR', 37.4989, 126.7831, 14],
+    ['Voronezh', 'city', 'RU', 51.672, 39.1843, 156],
+    ['Ranchi', 'city', 'IN', 23.3478, 85.3386, 631],
+    ['Naucalpan de Juárez', 'city', 'MX', 19.4785, -99.2396, 2300],
+    ['Ulaanbaatar', 'city', 'MN', 47.9077, 106.8832, 1284],
+    ['Takeo', 'city', 'KH', 10.9908, 104.785, 12],
+    ['Ahvaz', 'city', 'IR', 31.319, 48.6842, 37],
+    ['Arequipa', 'city', 'PE', -16.3989, -71.535, 2355],
+    ['Padang', 'city', 'ID', -0.9492, 100.3543, 6],
+    ['Hubli', 'city', 'IN', 15.3478, 75.1338, 627],
+    ['Marrakesh', 'city', 'MA', 31.6342, -7.9999, 457],
+    ['Kampung Baru Subang', 'city', 'MY', 3.15, 101.5333, 27],
+    ['Indianapolis', 'city', 'IN, US', 39.7684, -86.158, 218],
+    ['Jacksonville', 'city', 'FL, US', 30.3322, -81.6556, 5],
+    ['Duque de Caxias', 'city', 'BR', -22.7856, -43.3117, 15],
+    ['Jos', 'city', 'NG', 9.9167, 8.9, 1191],
+    ['Valencia', 'city', 'ES', 39.4697, -0.3774, 15],
+    ['Ilorin', 'city', 'NG', 8.5, 4.55, 310],
+    ['Callao', 'city', 'PE', -12.0566, -77.1181, 27],
+    ['La Paz', 'city', 'BO', -16.5, -68.15, 3782],
+    ['Ottawa', 'city', 'CA', 45.4112, -75.6981, 71],
+    ['Barquisimeto', 'city', 'VE', 10.0739, -69.3228, 574],
+    ['Chihuahua', 'city', 'MX', 28.6353, -106.0889, 1416],
+    ['San Francisco', 'city', 'CA, US', 37.7749, -122.4194, 16],
+    ['Nanning', 'city', 'CN', 22.8167, 108.3167, 91],
+    ['Freetown', 'city', 'SL', 8.484, -13.2299, 49],
+    ['Johor Bahru', 'city', 'MY', 1.4655, 103.7578, 32],
+    ['Jerusalem', 'city', 'IL', 31.769, 35.2163, 786],
+    ['Bandarlampung', 'city', 'ID', -5.4254, 105.258, 108],
+    ['Zagreb - Centar', 'city', 'HR', 45.8131, 15.9775, 134],
+    ['Bogor', 'city', 'ID', -6.5944, 106.7892, 245],
+    ['Mombasa', 'city', 'KE', -4.0547, 39.6636, 20],
+    ['Cebu City', 'city', 'PH', 10.3167, 123.8907, 37],
+    ['Muscat', 'city', 'OM', 23.6139, 58.5922, 7],
+    ['Zaporizhzhya', 'city', 'UA', 47.8229, 35.1903, 84],
+    ['Marseille', 'city', 'FR', 43.297, 5.3811, 28],
+    ['Zarqa', 'city', 'JO', 32.0727, 36.088, 625],
+    ['Çankaya', 'city', 'TR', 39.9179, 32.8627, 850],
+    ['Austin', 'city', 'TX, US', 30.2672, -97.7431, 149],
+    ['Columbus', 'city', 'OH, US', 39.9612, -82.9988, 235],
+    ['Boumerdas', 'city', 'DZ', 36.7664, 3.4772, 5],
+    ['Jalandhar', 'city', 'IN', 31.3256, 75.5792, 243],
+    ['Thiruvananthapuram', 'city', 'IN', 8.4855, 76.9492, 18],
+    ['Sakai', 'city', 'JP', 34.5833, 135.4667, 7],
+    ['Anyang', 'city', 'CN', 36.0994, 114.3289, 79],
+    ['San Miguel de Tucumán', 'city', 'AR', -26.8241, -65.2226, 452],
+    ['Salem', 'city', 'IN', 11.6512, 78.1587, 279],
+    ['Tiruchirappalli', 'city', 'IN', 10.8155, 78.6965, 79],
+    ['Homs', 'city', 'SY', 34.7268, 36.7234, 513],
+    ['Hohhot', 'city', 'CN', 40.8106, 111.6522, 1051],
+    ['Niamey', 'city', 'NE', 13.5137, 2.1098, 206],
+    ['Tainan', 'city', 'TW', 22.9908, 120.2133, 26],
+    ['Shangyu', 'city', 'CN', 30.0156, 120.8711, 13],
+    ['Łódź', 'city', 'PL', 51.75, 19.4667, 192],
+    ['Dammam', 'city', 'SA', 26.4344, 50.1033, 10],
+    ['Xining', 'city', 'CN', 36.6255, 101.7574, 2257],
+    ['Kahrīz', 'city', 'IR', 34.3838, 47.0553, 1302],
+    ['Kota', 'city', 'IN', 25.1825, 75.8391, 267],
+    ['Natal', 'city', 'BR', -5.795, -35.2094, 32],
+    ['Bhubaneshwar', 'city', 'IN', 20.2724, 85.8338, 62],
+    ['Qinhuangdao', 'city', 'CN', 39.9317, 119.5883, 6],
+    ['Hengyang', 'city', 'CN', 26.8881, 112.615, 50],
+    ['Antalya', 'city', 'TR', 36.9081, 30.6956, 61],
+    ['Kraków', 'city', 'PL', 50.0614, 19.9366, 219],
+    ['Alīgarh', 'city', 'IN', 27.8833, 78.0747, 189],
+    ['Da Nang', 'city', 'VN', 16.0678, 108.2208, 11],
+    ['Pietermaritzburg', 'city', 'ZA', -29.6168, 30.3928, 636],
+    ['Lomé', 'city', 'TG', 6.1375, 1.2123, 6],
+    ['Trujillo', 'city', 'PE', -8.116, -79.03, 31],
+    ['Malang', 'city', 'ID', -7.9797, 112.6304, 452],
+    ['Ciudad Guayana', 'city', 'VE', 8.3512, -62.641, 103],
+    ['Bareilly', 'city', 'IN', 28.347, 79.4219, 179],
+    ['Kigali', 'city', 'RW', -1.95, 30.0588, 1542],
+    ['Teresina', 'city', 'BR', -5.0892, -42.8019, 87],
+    ['Xinxiang', 'city', 'CN', 35.3089, 113.8672, 75],
+    ['São Bernardo do Campo', 'city', 'BR', -23.6939, -46.565, 796],
+    ['Hegang', 'city', 'CN', 47.3512, 130.3001, 167],
+    ['Riga', 'city', 'LV', 56.946, 24.1059, 6],
+    ['Amsterdam', 'city', 'NL', 52.374, 4.8897, 13],
+    ['Fort Worth', 'city', 'TX, US', 32.7254, -97.3208, 199],
+    ['Oyo', 'city', 'NG', 7.85, 3.9333, 292],
+    ['Quetta', 'city', 'PK', 30.199, 67.0097, 1682],
+    ['Charlotte', 'city', 'NC, US', 35.2271, -80.8431, 229],
+    ['Campo Grande', 'city', 'BR', -20.4428, -54.6464, 592],
+    ['Athens', 'city', 'GR', 37.9794, 23.7162, 70],
+    ['Ashgabat', 'city', 'TM', 37.95, 58.3833, 219],
+    ['Muzaffarābād', 'city', 'PK', 34.37, 73.4708, 739],
+    ['Guadalupe', 'city', 'MX', 25.6768, -100.2565, 497],
+    ['Bağcılar', 'city', 'TR', 41.039, 28.8567, 105],
+    ['As Sulaymānīyah', 'city', 'IQ', 35.565, 45.4329, 847],
+    ['Cúcuta', 'city', 'CO', 7.8939, -72.5078, 309],
+    ['Morādābād', 'city', 'IN', 28.8389, 78.7768, 205],
+    ['N\'Djamena', 'city', 'TD', 12.1067, 15.0444, 299],
+    ['Langfang', 'city', 'CN', 39.5097, 116.6947, 18],
+    ['Ningbo', 'city', 'CN', 29.8782, 121.5494, 15],
+    ['Yantai', 'city', 'CN', 37.4765, 121.4408, 22],
+    ['L\'viv', 'city', 'UA', 49.8383, 24.0232, 284],
+    ['Mérida', 'city', 'MX', 20.9767, -89.6206, 14],
+    ['Tlalnepantla', 'city', 'MX', 19.5401, -99.1954, 2260],
+    ['Nerima-ku', 'city', 'JP', 35.7333, 139.65, 42],
+    ['Detroit', 'city', 'MI, US', 42.3314, -83.0457, 183],
+    ['Edmonton', 'city', 'CA', 53.5501, -113.4687, 668],
+    ['Jeonju', 'city', 'KR', 35.8219, 127.1489, 44],
+    ['Zhuzhou', 'city', 'CN', 27.8333, 113.15, 54],
+    ['Subang Jaya', 'city', 'MY', 3.0438, 101.5806, 41],
+    ['Bhiwandi', 'city', 'IN', 19.3002, 73.0588, 9],
+    ['Alvaro Obregón', 'city', 'MX', 19.3587, -99.2033, 2338],
+    ['Pekanbaru', 'city', 'ID', 0.5333, 101.45, 14],
+    ['Sevilla', 'city', 'ES', 37.3824, -5.9761, 14],
+    ['Tol’yatti', 'city', 'RU', 53.5303, 49.3461, 42],
+    ['Jaboatão', 'city', 'BR', -8.1803, -35.0014, 88],
+    ['Shizuoka-shi', 'city', 'JP', 34.9769, 138.3831, 46],
+    ['Santo Domingo Oeste', 'city', 'DO', 18.5, -70, 58],
+    ['Rājshāhi', 'city', 'BD', 24.374, 88.6011, 23],
+    ['City of Balikpapan', 'city', 'ID', -1.242, 116.8942, 11],
+    ['Changzhi', 'city', 'CN', 35.2089, 111.7386, 381],
+    ['Bulawayo', 'city', 'ZW', -20.15, 28.5833, 1348],
+    ['Zagreb', 'city', 'HR', 45.8144, 15.978, 135],
+    ['Agadir', 'city', 'MA', 30.4202, -9.5982, 31],
+    ['Sarajevo', 'city', 'BA', 43.8486, 18.3564, 509],
+    ['La Plata', 'city', 'AR', -34.9215, -57.9545, 27],
+    ['Tunis', 'city', 'TN', 36.819, 10.1658, 23],
+    ['Zhangjiakou', 'city', 'CN', 40.81, 114.8794, 758],
+    ['Cotonou', 'city', 'BJ', 6.3654, 2.4183, 7],
+    ['Zigong', 'city', 'CN', 29.3416, 104.7769, 306],
+    ['Fuxin', 'city', 'CN', 42.0156, 121.6589, 142],
+    ['Enugu', 'city', 'NG', 6.4402, 7.4943, 200],
+    ['Tangier', 'city', 'MA', 35.7673, -5.7998, 20],
+    ['Huangshi', 'city', 'CN', 30.2471, 115.0481, 30],
+    ['Liaoyang', 'city', 'CN', 41.2719, 123.1731, 33],
+    ['Kumamoto-shi', 'city', 'JP', 32.7897, 130.7417, 34],
+    ['Raipur', 'city', 'IN', 21.2333, 81.6333, 296],
+    ['General Santos', 'city', 'PH', 6.1128, 125.1717, 22],
+    ['Dushanbe', 'city', 'TJ', 38.5358, 68.779, 767],
+    ['Osasco', 'city', 'BR', -23.5325, -46.7917, 750],
+    ['San Luis Potosí', 'city', 'MX', 22.1499, -100.9828, 1869],
+    ['Ōta-ku', 'city', 'JP', 35.5613, 139.716, 24],
+    ['Matola', 'city', 'MZ', -25.9622, 32.4589, 42],
+    ['Zaragoza', 'city', 'ES', 41.6561, -0.8773, 214],
+    ['Gorakhpur', 'city', 'IN', 26.7548, 83.3723, 85],
+    ['Xiangtan', 'city', 'CN', 27.85, 112.9, 31],
+    ['Ipoh', 'city', 'MY', 4.5841, 101.0829, 45],
+    ['Palermo', 'city', 'IT', 38.1158, 13.3598, 20],
+    ['Edogawa-ku', 'city', 'JP', 35.7, 139.8833, 2],
+    ['Zibo', 'city', 'CN', 36.7906, 118.0633, 51],
+    ['Mississauga', 'city', 'CA', 43.5789, -79.6583, 159],
+    ['Puyang', 'city', 'CN', 35.7028, 115.0053, 55],
+    ['Nantong', 'city', 'CN', 32.0303, 120.8747, 6],
+    ['Mudanjiang', 'city', 'CN', 44.5833, 129.6, 242],
+    ['Santo André', 'city', 'BR', -23.6639, -46.5383, 801],
+    ['Nouakchott', 'city', 'MR', 18.0858, -15.9785, 10],
+    ['Pointe-Noire', 'city', 'CG', -4.7761, 11.8635, 12],
+    ['Aguascalientes', 'city', 'MX', 21.8823, -102.2826, 1882],
+    ['Kryvyy Rih', 'city', 'UA', 47.9097, 33.3804, 99],
+    ['Acapulco', 'city', 'MX', 16.8634, -99.8901, 18],
+    ['João Pessoa', 'city', 'BR', -7.115, -34.8631, 45],
+    ['Ansan', 'city', 'KR', 37.3236, 126.8219, 15],
+    ['Benghazi', 'city', 'LY', 32.1177, 20.1293, 29],
+    ['Frankfurt am Main', 'city', 'DE', 50.1155, 8.6842, 113],
+    ['Krasnodar', 'city', 'RU', 45.0448, 38.976, 28],
+    ['Guilin', 'city', 'CN', 25.2819, 110.2864, 160],
+    ['El Paso', 'city', 'TX, US', 31.7587, -106.4869, 1133],
+    ['Sagamihara', 'city', 'JP', 35.5531, 139.3544, 98],
+    ['Colombo', 'city', 'LK', 6.9319, 79.8478, 9],
+    ['Memphis', 'city', 'TN, US', 35.1495, -90.049, 78],
+    ['Lilongwe', 'city', 'MW', -13.9669, 33.7873, 1056],
+    ['Oran', 'city', 'DZ', 35.6911, -0.6417, 109],
+    ['Adachi-ku', 'city', 'JP', 35.7788, 139.7951, 3],
+    ['Diyarbakır', 'city', 'TR', 37.9158, 40.2189, 679],
+    ['Taguig', 'city', 'PH', 14.5243, 121.0792, 5],
+    ['New South Memphis', 'city', 'TN, US', 35.0868, -90.0568, 79],
+    ['Ulyanovsk', 'city', 'RU', 54.3282, 48.3866, 176],
+    ['Kotli', 'city', 'PK', 33.5167, 73.9167, 707],
+    ['Okayama-shi', 'city', 'JP', 34.6617, 133.935, 16],
+    ['Zhanjiang', 'city', 'CN', 21.2814, 110.3427, 29],
+    ['Al Aḩmadī', 'city', 'KW', 29.0769, 48.0839, 70],
+    ['Yogyakarta', 'city', 'ID', -7.7828, 110.3608, 125],
+    ['North York', 'city', 'CA', 43.7668, -79.4163, 180],
+    ['Chişinău', 'city', 'MD', 47.0056, 28.8575, 55],
+    ['Wrocław', 'city', 'PL', 51.1, 17.0333, 119],
+    ['Cheongju', 'city', 'KR', 36.6372, 127.4897, 49],
+    ['Anyang', 'city', 'KR', 37.3925, 126.9269, 52],
+    ['Tébessa', 'city', 'DZ', 35.4042, 8.1242, 867],
+    ['Zhenjiang', 'city', 'CN', 32.2109, 119.4551, 26],
+    ['Winnipeg', 'city', 'CA', 49.8844, -97.147, 245],
+    ['Dandong', 'city', 'CN', 40.1292, 124.3947, 10],
+    ['Izhevsk', 'city', 'RU', 56.8498, 53.2045, 166],
+    ['Jaboatão dos Guararapes', 'city', 'BR', -8.1128, -35.0147, 48],
+    ['Shaoguan', 'city', 'CN', 24.8, 113.5833, 69],
+    ['Yancheng', 'city', 'CN', 33.3856, 120.1253, 6],
+    ['Coyoacán', 'city', 'MX', 19.3467, -99.1617, 2255],
+    ['Foshan', 'city', 'CN', 23.0268, 113.1315, 5],
+    ['Contagem', 'city', 'BR', -19.9317, -44.0536, 945],
+    ['Santiago de Querétaro', 'city', 'MX', 20.5881, -100.3881, 1825],
+    ['Bhilai', 'city', 'IN', 21.2167, 81.4333, 298],
+    ['Panshan', 'city', 'CN', 41.1881, 122.0494, 9],
+    ['Djibouti', 'city', 'DJ', 11.589, 43.145, 6],
+    ['Saltillo', 'city', 'MX', 25.4194, -101.0013, 1611],
+    ['Kermānshāh', 'city', 'IR', 34.3142, 47.065, 1392],
+    ['Baltimore', 'city', 'MD, US', 39.2904, -76.6122, 10],
+    ['Ribeirão Preto', 'city', 'BR', -21.1775, -47.8103, 554],
+    ['Al Ḩudaydah', 'city', 'YE', 14.7978, 42.9545, 10],
+    ['Boston', 'city', 'MA, US', 42.3584, -71.0598, 14],
+    ['Pasig City', 'city', 'PH', 14.5869, 121.0614, 63],
+    ['Jamshedpur', 'city', 'IN', 22.8028, 86.1855, 171],
+    ['Haikou', 'city', 'CN', 20.0458, 110.3417, 14],
+    ['Ta‘izz', 'city', 'YE', 13.5795, 44.0209, 1400],
+    ['São José dos Campos', 'city', 'BR', -23.1794, -45.8869, 20],
+    ['Taizhou', 'city', 'CN', 32.4907, 119.9081, 10],
+    ['Xingtai', 'city', 'CN', 37.0631, 114.4942, 76],
+    ['Glasgow', 'city', 'GB', 55.8651, -4.2576, 40],
+    ['Borivli', 'city', 'IN', 19.235, 72.8598, 22],
+    ['Seattle', 'city', 'WA, US', 47.6062, -122.3321, 56],
+    ['Tlalpan', 'city', 'MX', 19.2971, -99.1679, 2264],
+    ['Yaroslavl', 'city', 'RU', 57.6299, 39.8737, 103],
+    ['Benoni', 'city', 'ZA', -26.1885, 28.3208, 1641],
+    ['Hamamatsu', 'city', 'JP', 34.7, 137.7333, 3],
+    ['Cochin', 'city', 'IN', 9.9399, 76.2602, 9],
+    ['Jinzhou', 'city', 'CN', 41.1078, 121.1417, 26],
+    ['Amrāvati', 'city', 'IN', 20.9333, 77.75, 341],
+    ['Abu Dhabi', 'city', 'AE', 24.4667, 54.3667, 6],
+    ['Haiphong', 'city', 'VN', 20.8648, 106.6834, 5],
+    ['Genova', 'city', 'IT', 44.4063, 8.9339, 39],
+    ['Washington, D. C.', 'city', 'DC, US', 38.8951, -77.0364, 7],
+    ['Islamabad', 'city', 'PK', 33.7215, 73.0433, 579],
+    ['Kirkuk', 'city', 'IQ', 35.4681, 44.3922, 346],
+    ['Metropolitan Government of Nashville-Davidson (balance)', 'city', 'TN, US', 36.1714, -86.7843, 128],
+    ['Sāngli', 'city', 'IN', 16.8544, 74.5642, 553],
+    ['Denver', 'city', 'CO, US', 39.7392, -104.9847, 1609],
+    ['Shuangyashan', 'city', 'CN', 46.6361, 131.1539, 200],
+    ['Situbondo', 'city', 'ID', -7.7062, 114.0098, 36],
+    ['Barnaul', 'city', 'RU', 53.3606, 83.7636, 189],
+    ['Rotterdam', 'city', 'NL', 51.9225, 4.4792, 9],
+    ['Luancheng', 'city', 'CN', 37.8792, 114.6517, 55],
+    ['Mexicali', 'city', 'MX', 32.65, -115.4611, 2],
+    ['Hermosillo', 'city', 'MX', 29.0971, -110.9575, 219],
+    ['Milwaukee', 'city', 'WI, US', 43.0389, -87.9065, 188],
+    ['Rasht', 'city', 'IR', 37.2808, 49.5832, 1],
+    ['Abeokuta', 'city', 'NG', 7.15, 3.35, 68],
+    ['Essen', 'city', 'DE', 51.4566, 7.0123, 83],
+    ['Kayseri', 'city', 'TR', 38.7322, 35.4853, 1054],
+    ['Morelia', 'city', 'MX', 19.7008, -101.1844, 1917],
+    ['Gold Coast', 'city', 'AU', -28.0003, 153.4309, 12],
+    ['Yingkou', 'city', 'CN', 40.6648, 122.2283, 4],
+    ['Abuja', 'city', 'NG', 9.0579, 7.4951, 543],
+    ['Zhangzhou', 'city', 'CN', 24.5133, 117.6556, 14],
+    ['Stuttgart', 'city', 'DE', 48.7823, 9.177, 252],
+    ['Dortmund', 'city', 'DE', 51.5149, 7.466, 96],
+    ['Vladivostok', 'city', 'RU', 43.1056, 131.8735, 40],
+    ['Irkutsk', 'city', 'RU', 52.2978, 104.2964, 428],
+    ['Blantyre', 'city', 'MW', -15.785, 35.0085, 1041],
+    ['New Kingston', 'city', 'JM', 18.0075, -76.7832, 99],
+    ['Portland', 'city', 'OR, US', 45.5234, -122.6762, 12],
+    ['Las Vegas', 'city', 'NV, US', 36.175, -115.1372, 610],
+    ['Üsküdar', 'city', 'TR', 41.0225, 29.0237, 56],
+    ['Culiacán', 'city', 'MX', 24.8074, -107.3973, 49],
+    ['Cuttack', 'city', 'IN', 20.465, 85.8793, 30],
+    ['Oslo', 'city', 'NO', 59.9127, 10.7461, 26],
+    ['Oklahoma City', 'city', 'OK, US', 35.4676, -97.5164, 366],
+    ['Hachiōji', 'city', 'JP', 35.6558, 139.3239, 127],
+    ['Khabarovsk', 'city', 'RU', 48.4827, 135.0838, 76],
+    ['Xiamen', 'city', 'CN', 24.4798, 118.0819, 12],
+    ['Khabarovsk Vtoroy', 'city', 'RU', 48.4378, 135.1333, 59],
+    ['Libreville', 'city', 'GA', 0.3924, 9.4536, 8],
+    ['Kermān', 'city', 'IR', 30.2832, 57.0788, 1760],
+    ['Chiclayo', 'city', 'PE', -6.7714, -79.8409, 35],
+    ['Orūmīyeh', 'city', 'IR', 37.5527, 45.0761, 1350],
+    ['Bahçelievler', 'city', 'TR', 41.0023, 28.8598, 73],
+    ['Bengbu', 'city', 'CN', 32.9408, 117.3608, 31],
+    ['Bīkāner', 'city', 'IN', 28.0209, 73.3075, 230],
+    ['Umraniye', 'city', 'TR', 41.0164, 29.1248, 136],
+    ['Düsseldorf', 'city', 'DE', 51.2217, 6.7762, 45],
+    ['Banjarmasin', 'city', 'ID', -3.3199, 114.5907, 8],
+    ['Shihezi', 'city', 'CN', 44.3023, 86.0369, 467],
+    ['Bucaramanga', 'city', 'CO', 7.1254, -73.1198, 993],
+    ['South Boston', 'city', 'MA, US', 42.3334, -71.0495, 14],
+    ['Kuching', 'city', 'MY', 1.55, 110.3333, 8],
+    ['Poznań', 'city', 'PL', 52.4069, 16.9299, 69],
+    ['Veracruz', 'city', 'MX', 19.1807, -96.1341, 13],
+    ['Málaga', 'city', 'ES', 36.7202, -4.4203, 22],
+    ['Bouaké', 'city', 'CI', 7.6939, -5.0303, 339],
+    ['Asmara', 'city', 'ER', 15.3381, 38.9318, 2334],
+    ['Sokoto', 'city', 'NG', 13.0609, 5.239, 293],
+    ['Uberlândia', 'city', 'BR', -18.9186, -48.2772, 867],
+    ['Onitsha', 'city', 'NG', 6.1454, 6.7885, 59],
+    ['Funabashi', 'city', 'JP', 35.6931, 139.9833, 5],
+    ['Hamhŭng', 'city', 'KP', 39.9183, 127.5364, 16],
+    ['Sorocaba', 'city', 'BR', -23.5017, -47.4581, 602],
+    ['Helsinki', 'city', 'FI', 60.1695, 24.9354, 26],
+    ['Warangal', 'city', 'IN', 18, 79.5833, 258],
+    ['Santiago de Cuba', 'city', 'CU', 20.0247, -75.8219, 69],
+    ['Siping', 'city', 'CN', 43.1633, 124.3686, 170],
+    ['Kagoshima-shi', 'city', 'JP', 31.5602, 130.5581, 40],
+    ['Surakarta', 'city', 'ID', -7.5561, 110.8317, 100],
+    ['Huai\'an', 'city', 'CN', 33.5886, 119.0192, 14],
+    ['Bhāvnagar', 'city', 'IN', 21.7745, 72.1525, 21],
+    ['Mar del Plata', 'city', 'AR', -38.0023, -57.5575, 15],
+    ['Bahāwalpur', 'city', 'PK', 29.4, 71.6833, 118],
+    ['Zahedan', 'city', 'IR', 29.4963, 60.8629, 1380],
+    ['Aden', 'city', 'YE', 12.7794, 45.0367, 16],
+    ['Nanded', 'city', 'IN', 19.1602, 77.315, 363],
+    ['Orenburg', 'city', 'RU', 51.7727, 55.0988, 107],
+    ['Changwon', 'city', 'KR', 35.2281, 128.6811, 27],
+    ['Pristina', 'city', 'XK', 42.6727, 21.1669, 597],
+    ['Suginami-ku', 'city', 'JP', 35.6996, 139.6364, 50],
+    ['Jiamusi', 'city', 'CN', 46.7993, 130.3163, 81],
+    ['Antipolo', 'city', 'PH', 14.5864, 121.1753, 194],
+    ['Neijiang', 'city', 'CN', 29.5835, 105.0622, 349],
+    ['Bremen', 'city', 'DE', 53.0752, 8.8078, 18],
+    ['Albuquerque', 'city', 'NM, US', 35.0845, -106.6511, 1511],
+    ['Meknès', 'city', 'MA', 33.8935, -5.5473, 531],
+    ['Sharjah', 'city', 'AE', 25.3374, 55.4121, 6],
+    ['Banqiao', 'city', 'TW', 25.0143, 121.4672, 12],
+    ['Sargodha', 'city', 'PK', 32.0836, 72.6711, 190],
+    ['Bangui', 'city', 'CF', 4.3612, 18.555, 351],
+    ['Vilnius', 'city', 'LT', 54.6892, 25.2798, 98],
+    ['Cancún', 'city', 'MX', 21.1743, -86.8466, 11],
+    ['Yangzhou', 'city', 'CN', 32.3972, 119.4358, 14],
+    ['Novokuznetsk', 'city', 'RU', 53.7557, 87.1099, 208],
+    ['Kisangani', 'city', 'CD', 0.5153, 25.191, 400],
+    ['Port Said', 'city', 'EG', 31.2565, 32.2841, 6],
+    ['Mercin', 'city', 'TR', 36.7953, 34.6179, 10],
+    ['Warri', 'city', 'NG', 5.5167, 5.75, 5],
+    ['Guli', 'city', 'CN', 28.8816, 120.0331, 121],
+    ['Ebute Ikorodu', 'city', 'NG', 6.6009, 3.4882, 4],
+    ['Tanggu', 'city', 'CN', 39.0211, 117.6469, 6],
+    ['Jiangmen', 'city', 'CN', 22.5833, 113.0833, 11],
+    ['Itabashi-ku', 'city', 'JP', 35.7512, 139.7093, 42],
+    ['Nashville', 'city', 'TN, US', 36.1659, -86.7844, 170],
+    ['Ta’if', 'city', 'SA', 21.2703, 40.4158, 1672],
+    ['Beira', 'city', 'MZ', -19.8436, 34.8389, 6],
+    ['Guntūr', 'city', 'IN', 16.2997, 80.4573, 31],
+    ['Touba', 'city', 'SN', 14.85, -15.8833, 46],
+    ['Québec', 'city', 'CA', 46.8123, -71.2145, 54],
+    ['Hamadān', 'city', 'IR', 34.7992, 48.5146, 1820],
+    ['Cangzhou', 'city', 'CN', 38.3167, 116.8667, 10],
+    ['San Salvador', 'city', 'SV', 13.6893, -89.1872, 653],
+    ['Santa María Chimalhuacán', 'city', 'MX', 19.4215, -98.9504, 2249],
+    ['Torreón', 'city', 'MX', 25.5433, -103.4176, 1125],
+    ['Dehradun', 'city', 'IN', 30.3244, 78.0339, 664],
+    ['Cuiabá', 'city', 'BR', -15.5961, -56.0967, 193],
+    ['Cuauhtémoc', 'city', 'MX', 19.4451, -99.1461, 2237],
+    ['Ciudad López Mateos', 'city', 'MX', 19.5855, -99.2603, 2383],
+    ['Petaling Jaya', 'city', 'MY', 3.1073, 101.6067, 45],
+    ['Macau', 'city', 'MO', 22.2006, 113.5461, 22],
+    ['Bhayandar', 'city', 'IN', 19.3016, 72.8511, 9],
+    ['Esenler', 'city', 'TR', 41.0435, 28.8762, 72],
+    ['Ryazan’', 'city', 'RU', 54.6269, 39.6916, 102],
+    ['Tucson', 'city', 'AZ, US', 32.2217, -110.9265, 759],
+    ['Hamilton', 'city', 'CA', 43.2501, -79.8496, 95],
+    ['Tyumen', 'city', 'RU', 57.1522, 65.5272, 81],
+    ['Durgāpur', 'city', 'IN', 23.4996, 87.3216, 75],
+    ['Quilmes', 'city', 'AR', -34.7242, -58.2527, 24],
+    ['Ajmer', 'city', 'IN', 26.4498, 74.6412, 475],
+    ['Lisbon', 'city', 'PT', 38.7167, -9.1333, 45],
+    ['Changde', 'city', 'CN', 29.0464, 111.6783, 35],
+    ['Jiaozuo', 'city', 'CN', 35.2397, 113.2331, 138],
+    ['Ulhasnagar', 'city', 'IN', 19.2167, 73.15, 10],
+    ['Kolhāpur', 'city', 'IN', 16.6956, 74.2317, 559],
+    ['Lipetsk', 'city', 'RU', 52.6031, 39.5708, 158],
+    ['Shiliguri', 'city', 'IN', 26.71, 88.4285, 124],
+    ['Hannover', 'city', 'DE', 52.3705, 9.7332, 57],
+    ['Eskişehir', 'city', 'TR', 39.7767, 30.5206, 794],
+    ['Āzādshahr', 'city', 'IR', 34.7905, 48.5701, 1853],
+    ['Salta', 'city', 'AR', -24.7859, -65.4117, 1183],
+    ['Penza', 'city', 'RU', 53.2007, 45.0046, 150],
+    ['Tembisa', 'city', 'ZA', -25.9964, 28.2268, 1577],
+    ['Bilimora', 'city', 'IN', 20.7696, 72.9613, 15],
+    ['Mykolayiv', 'city', 'UA', 46.9659, 31.9974, 18],
+    ['Aparecida de Goiânia', 'city', 'BR', -16.8233, -49.2439, 829],
+    ['Puente Alto', 'city', 'CL', -33.6117, -70.5758, 700],
+    ['Makati City', 'city', 'PH', 14.5503, 121.0327, 25],
+    ['Naberezhnyye Chelny', 'city', 'RU', 55.7255, 52.4112, 103],
+    ['Wuhu', 'city', 'CN', 31.3373, 118.3735, 19],
+    ['Toluca de Lerdo', 'city', 'MX', 19.2879, -99.6532, 2671],
+    ['Niigata-shi', 'city', 'JP', 37.9022, 139.0236, 8],
+    ['Karol Bāgh', 'city', 'IN', 28.6516, 77.1886, 232],
+    ['Leipzig', 'city', 'DE', 51.3396, 12.3713, 116],
+    ['Kalininskiy', 'city', 'RU', 59.9967, 30.3899, 34],
+    ['Duisburg', 'city', 'DE', 51.4325, 6.7652, 38],
+    ['Āsansol', 'city', 'IN', 23.6833, 86.9833, 119],
+    ['Göteborg', 'city', 'SE', 57.7072, 11.9668, 10],
+    ['Arāk', 'city', 'IR', 34.0917, 49.6892, 1748],
+    ['Astrakhan’', 'city', 'RU', 46.3497, 48.0408, -12],
+    ['Zhuhai', 'city', 'CN', 22.2769, 113.5678, 35],
+    ['Pohang', 'city', 'KR', 36.0322, 129.365, 6],
+    ['Nürnberg', 'city', 'DE', 49.4542, 11.0775, 300],
+    ['Shashi', 'city', 'CN', 30.3072, 112.2447, 45],
+    ['Reynosa', 'city', 'MX', 26.0768, -98.2975, 48],
+    ['Makhachkala', 'city', 'RU', 42.9764, 47.5024, 4],
+    ['Fresno', 'city', 'CA, US', 36.7477, -119.7724, 94],
+    ['Cimahi', 'city', 'ID', -6.8722, 107.5425, 764],
+    ['Tlaquepaque', 'city', 'MX', 20.6409, -103.2933, 1581],
+    ['Wuwei', 'city', 'CN', 37.9267, 102.632, 1515],
+    ['Jāmnagar', 'city', 'IN', 22.4729, 70.0667, 18],
+    ['Aracaju', 'city', 'BR', -10.9111, -37.0717, 11],
+    ['Port Sudan', 'city', 'SD', 19.6175, 37.2164, 10],
+    ['Santa Fe de la Vera Cruz', 'city', 'AR', -31.6333, -60.7, 21],
+    ['San Pedro Sula', 'city', 'HN', 15.5042, -88.025, 92],
+    ['Suez', 'city', 'EG', 29.9737, 32.5263, 11],
+    ['Dresden', 'city', 'DE', 51.0509, 13.7383, 116],
+    ['Tomsk', 'city', 'RU', 56.4977, 84.9744, 117],
+    ['Masina', 'city', 'CD', -4.3836, 15.3914, 288],
+    ['Sahāranpur', 'city', 'IN', 29.9679, 77.5452, 280],
+    ['Gulbarga', 'city', 'IN', 17.3376, 76.8379, 474],
+    ['Bhātpāra', 'city', 'IN', 22.8664, 88.4011, 14],
+    ['An Najaf al Ashraf', 'city', 'IQ', 31.9892, 44.3291, 60],
+    ['Feira de Santana', 'city', 'BR', -12.2667, -38.9667, 223],
+    ['Shah Alam', 'city', 'MY', 3.0851, 101.5328, 53],
+    ['Mariupol', 'city', 'UA', 47.0951, 37.5413, 65],
+    ['Himeji', 'city', 'JP', 34.8167, 134.7, 8],
+    ['Tuxtla Gutiérrez', 'city', 'MX', 16.7547, -93.1149, 534],
+    ['Homyel’', 'city', 'BY', 52.4345, 30.9754, 138],
+    ['Vijongbu', 'city', 'KR', 37.7415, 127.0474, 50],
+    ['East London', 'city', 'ZA', -33.0153, 27.9116, 48],
+    ['Yazd', 'city', 'IR', 31.8972, 54.3675, 1216],
+    ['Hargeysa', 'city', 'SO', 9.56, 44.065, 1261],
+    ['Siālkot', 'city', 'PK', 32.5101, 74.5431, 250],
+    ['Kemerovo', 'city', 'RU', 55.3333, 86.0833, 135],
+    ['Yichang', 'city', 'CN', 30.7144, 111.2847, 63],
+    ['Hwaseong', 'city', 'KR', 37.2068, 126.8169, 19],
+    ['Cuautitlán Izcalli', 'city', 'MX', 19.6439, -99.216, 2288],
+    ['Yinchuan', 'city', 'CN', 38.4681, 106.2731, 1117],
+    ['Skopje', 'city', 'MK', 41.9965, 21.4314, 247],
+    ['Vereeniging', 'city', 'ZA', -26.6731, 27.9261, 1445],
+    ['The Hague', 'city', 'NL', 52.0767, 4.2986, 4],
+    ['Mixco', 'city', 'GT', 14.6333, -90.6064, 1714],
+    ['Lyon', 'city', 'FR', 45.7485, 4.8467, 173],
+    ['Londrina', 'city', 'BR', -23.3103, -51.1628, 605],
+    ['Jiaojiang', 'city', 'CN', 28.6803, 121.4428, 12],
+    ['Matsudo', 'city', 'JP', 35.7833, 139.9, 15],
+    ['Juiz de Fora', 'city', 'BR', -21.7642, -43.3503, 707],
+    ['Liverpool', 'city', 'GB', 53.4106, -2.9779, 30],
+    ['Nishinomiya', 'city', 'JP', 34.7167, 135.3333, 5],
+    ['Tula', 'city', 'RU', 54.1961, 37.6182, 161],
+    ['Staten Island', 'city', 'NY, US', 40.5623, -74.1399, 21],
+    ['Kawaguchi', 'city', 'JP', 35.8052, 139.7107, 6],
+    ['Sacramento', 'city', 'CA, US', 38.5816, -121.4944, 9],
+    ['Zunyi', 'city', 'CN', 27.6867, 106.9072, 867],
+    ['Jiaxing', 'city', 'CN', 30.7522, 120.75, 8],
+    ['Belford Roxo', 'city', 'BR', -22.7642, -43.3994, 22],
+    ['Jammu', 'city', 'IN', 32.7357, 74.8691, 379],
+    ['Liaoyuan', 'city', 'CN', 42.9036, 125.1358, 263],
+    ['Kananga', 'city', 'CD', -5.8962, 22.4166, 643],
+    ['Bloemfontein', 'city', 'ZA', -29.1211, 26.214, 1396],
+    ['Xiangyang', 'city', 'CN', 32.0422, 112.1448, 71],
+    ['Long Beach', 'city', 'CA, US', 33.767, -118.1892, 9],
+    ['Gdańsk', 'city', 'PL', 54.352, 18.6464, 7],
+    ['Calabar', 'city', 'NG', 4.9517, 8.322, 42],
+    ['Dadukou', 'city', 'CN', 26.5479, 101.7054, 1110],
+    ['Joinville', 'city', 'BR', -26.3044, -48.8456, 9],
+    ['Ḩamāh', 'city', 'SY', 35.1318, 36.7578, 270],
+    ['Antwerpen', 'city', 'BE', 51.2199, 4.4035, 10],
+    ['Kansas City', 'city', 'MO, US', 39.0997, -94.5786, 274],
+    ['Kanazawa-shi', 'city', 'JP', 36.5944, 136.6256, 5],
+    ['Ichikawa', 'city', 'JP', 35.7197, 139.9247, 6],
+    ['Karabağlar', 'city', 'TR', 38.374, 27.1352, 66],
+    ['Zamboanga', 'city', 'PH', 6.9103, 122.0739, 9],
+    ['Kirov', 'city', 'RU', 58.5966, 49.6601, 173],
+    ['Ujjain', 'city', 'IN', 23.1824, 75.7764, 494],
+    ['Kota Kinabalu', 'city', 'MY', 5.9749, 116.0724, 5],
+    ['Victoria de Durango', 'city', 'MX', 24.0203, -104.6576, 1884],
+    ['Niterói', 'city', 'BR', -22.8833, -43.1036, 44],
+    ['Hengshui', 'city', 'CN', 37.7322, 115.7011, 25],
+    ['Tabūk', 'city', 'SA', 28.3833, 36.5833, 771],
+    ['Pontianak', 'city', 'ID', -0.0333, 109.3333, 7],
+    ['Leeds', 'city', 'GB', 53.7965, -1.5478, 50],
+    ['Namp’o', 'city', 'KP', 38.7375, 125.4078, 9],
+    ['Bacolod City', 'city', 'PH', 10.6667, 122.95, 14],
+    ['São João de Meriti', 'city', 'BR', -22.8039, -43.3722, 14],
+    ['Mansilingan', 'city', 'PH', 10.6311, 122.9789, 45],
+    ['Rāmgundam', 'city', 'IN', 18.8008, 79.4521, 148],
+    ['Luhans’k', 'city', 'UA', 48.5671, 39.3171, 103],
+    ['Manado', 'city', 'ID', 1.487, 124.8455, 22],
+    ['Karagandy', 'city', 'KZ', 49.8333, 73.1658, 575],
+    ['Jining', 'city', 'CN', 35.405, 116.5814, 43],
+    ['Constantine', 'city', 'DZ', 36.365, 6.6147, 574],
+    ['Wenshan City', 'city', 'CN', 23.3631, 104.2505, 1257],
+    ['Utsunomiya-shi', 'city', 'JP', 36.5658, 139.8836, 136],
+    ['Heroica Matamoros', 'city', 'MX', 25.8797, -97.5042, 12],
+    ['Şanlıurfa', 'city', 'TR', 37.1671, 38.7939, 528],
+    ['Chengde', 'city', 'CN', 40.9725, 117.9361, 332],
+    ['Xuchang', 'city', 'CN', 34.0167, 113.8167, 73],
+    ['Ōita-shi', 'city', 'JP', 33.2381, 131.6125, 13],
+    ['Katsushika-ku', 'city', 'JP', 35.7333, 139.85, 5],
+    ['Venustiano Carranza', 'city', 'MX', 19.4429, -99.0972, 2236],
+    ['San Juan', 'city', 'AR', -31.5375, -68.5364, 649],
+    ['Sheffield', 'city', 'GB', 53.383, -1.4659, 75],
+    ['Cheboksary', 'city', 'RU', 56.1322, 47.2519, 106],
+    ['Boksburg', 'city', 'ZA', -26.212, 28.2596, 1624],
+    ['Cagayan de Oro', 'city', 'PH', 8.4822, 124.6472, 8],
+    ['Matsuyama-shi', 'city', 'JP', 33.8392, 132.7657, 28],
+    ['San Nicolás de los Garza', 'city', 'MX', 25.7417, -100.3022, 506],
+    ['Kōtō-ku', 'city', 'JP', 35.6667, 139.8167, 11],
+    ['Amagasaki', 'city', 'JP', 34.7167, 135.4167, 1],
+    ['Carrefour', 'city', 'HT', 18.5411, -72.3992, 32],
+    ['Shyamnagar', 'city', 'IN', 22.8333, 88.3667, 8],
+    ['Dasmariñas', 'city', 'PH', 14.3294, 120.9367, 82],
+    ['Malatya', 'city', 'TR', 38.3502, 38.3167, 963],
+    ['Nangi', 'city', 'IN', 22.5083, 88.2153, 10],
+    ['Pereira', 'city', 'CO', 4.8133, -75.6961, 1414],
+    ['Kozhikode', 'city', 'IN', 11.248, 75.7804, 9],
+    ['Mesa', 'city', 'AZ, US', 33.4223, -111.8226, 378],
+    ['Mawlamyine', 'city', 'MM', 16.4905, 97.6282, 52],
+    ['Virginia Beach', 'city', 'VA, US', 36.8529, -75.978, 3],
+    ['Iquitos', 'city', 'PE', -3.7491, -73.2538, 92],
+    ['Kurashiki', 'city', 'JP', 34.5833, 133.7667, 4],
+    ['Sultangazi', 'city', 'TR', 41.1065, 28.8685, 144],
+    ['Garoua', 'city', 'CM', 9.3, 13.4, 195],
+    ['Murcia', 'city', 'ES', 37.987, -1.13, 53],
+    ['Mwanza', 'city', 'TZ', -2.5167, 32.9, 1144],
+    ['Uyo', 'city', 'NG', 5.0513, 7.9335, 45],
+    ['Bei’an', 'city', 'CN', 48.2667, 126.6, 273],
+    ['Tirunelveli', 'city', 'IN', 8.7252, 77.6845, 48],
+    ['Edinburgh', 'city', 'GB', 55.9521, -3.1965, 66],
+    ['Kousséri', 'city', 'CM', 12.0769, 15.0306, 300],
+    ['Mālegaon', 'city', 'IN', 20.5537, 74.5288, 432],
+    ['Kaliningrad', 'city', 'RU', 54.7065, 20.511, 2],
+    ['Karbala', 'city', 'IQ', 32.616, 44.0249, 32],
+    ['Ananindeua', 'city', 'BR', -1.3656, -48.3722, 19],
+    ['Balikpapan', 'city', 'ID', -1.2675, 116.8289, 67],
+    ['Brampton', 'city', 'CA', 43.6834, -79.7663, 221],
+    ['Toulouse', 'city', 'FR', 43.6043, 1.4437, 150],
+    ['Namangan', 'city', 'UZ', 40.9983, 71.6726, 442],
+    ['Katsina', 'city', 'NG', 12.9894, 7.6006, 521],
+    ['Welkom', 'city', 'ZA', -27.9774, 26.7351, 1368],
+    ['Santa Marta', 'city', 'CO', 11.2408, -74.199, 12],
+    ['Al Maḩallah al Kubrá', 'city', 'EG', 30.9745, 31.165, 19],
+    ['Bristol', 'city', 'GB', 51.4552, -2.5966, 21],
+    ['Jālgaon', 'city', 'IN', 21.0101, 75.5684, 225],
+    ['Yokosuka', 'city', 'JP', 35.2836, 139.6672, 9],
+    ['Akola', 'city', 'IN', 20.7096, 76.9981, 285],
+    ['Belgaum', 'city', 'IN', 15.8521, 74.5045, 769],
+    ['East Jerusalem', 'city', 'PS', 31.7834, 35.2339, 759],
+    ['Luqiao', 'city', 'CN', 28.5802, 121.3749, 7],
+    ['Bryansk', 'city', 'RU', 53.2521, 34.3717, 206],
+    ['Maltepe', 'city', 'TR', 40.9357, 29.1551, 150],
+    ['Azcapotzalco', 'city', 'MX', 19.487, -99.1859, 2249],
+    ['Xalapa de Enríquez', 'city', 'MX', 19.5333, -96.9167, 1411],
+    ['Barcelona', 'city', 'VE', 10.1333, -64.7, 6],
+    ['Chaozhou', 'city', 'CN', 23.6651, 116.6379, 20],
+    ['Ado-Ekiti', 'city', 'NG', 7.621, 5.2215, 430],
+    ['Bratislava', 'city', 'SK', 48.1482, 17.1067, 157],
+    ['Gaya', 'city', 'IN', 24.7969, 85.0038, 117],
+    ['Udaipur', 'city', 'IN', 24.5712, 73.6918, 584],
+    ['Likasi', 'city', 'CD', -10.9814, 26.7333, 1289],
+    ['Luxor', 'city', 'EG', 25.6989, 32.6421, 89],
+    ['Ibagué', 'city', 'CO', 4.4389, -75.2322, 1229],
+    ['Shaoxing', 'city', 'CN', 30.011, 120.5715, 12],
+    ['Ivanovo', 'city', 'RU', 56.9972, 40.9714, 126],
+    ['Erzurum', 'city', 'TR', 39.9086, 41.2769, 1914],
+    ['Akure', 'city', 'NG', 7.2526, 5.1931, 353],
+    ['Asyūţ', 'city', 'EG', 27.181, 31.1837, 56],
+    ['Jambi City', 'city', 'ID', -1.6, 103.6167, 21],
+    ['Al Manşūrah', 'city', 'EG', 31.0364, 31.3807, 15],
+    ['Atlanta', 'city', 'GA, US', 33.749, -84.388, 320],
+    ['Korba', 'city', 'IN', 22.3458, 82.6963, 289],
+    ['Bokāro', 'city', 'IN', 23.7873, 85.9562, 242],
+    ['San Juan', 'city', 'PR', 18.4663, -66.1057, 7],
+    ['Kolwezi', 'city', 'CD', -10.7148, 25.4667, 1485],
+    ['Auckland', 'city', 'NZ', -36.8667, 174.7667, 79],
+    ['Sukkur', 'city', 'PK', 27.7052, 68.8574, 73],
+    ['Mangalore', 'city', 'IN', 12.9172, 74.856, 27],
+    ['Luohe', 'city', 'CN', 33.5717, 114.0353, 64],
+    ['Colorado Springs', 'city', 'CO, US', 38.8339, -104.8214, 1832],
+    ['Shymkent', 'city', 'KZ', 42.3, 69.6, 513],
+    ['Yangquan', 'city', 'CN', 37.8575, 113.5633, 722],
+    ['Magnitogorsk', 'city', 'RU', 53.4186, 59.0472, 361],
+    ['Jhānsi', 'city', 'IN', 25.4545, 78.5822, 243],
+    ['Florianópolis', 'city', 'BR', -27.5967, -48.5492, 26],
+    ['Wandsbek', 'city', 'DE', 53.5667, 10.1, 18],
+    ['Santos', 'city', 'BR', -23.9608, -46.3336, 12],
+    ['Maturín', 'city', 'VE', 9.75, -63.1767, 73],
+    ['Ardabīl', 'city', 'IR', 38.2498, 48.2933, 1353],
+    ['Nagasaki-shi', 'city', 'JP', 32.7447, 129.8736, 13],
+    ['Chaoyang', 'city', 'CN', 41.5703, 120.4586, 162],
+    ['Gaza', 'city', 'PS', 31.5, 34.4667, 40],
+    ['Kursk', 'city', 'RU', 51.7373, 36.1874, 219],
+    ['Kitchener', 'city', 'CA', 43.4254, -80.5112, 336],
+    ['Omaha', 'city', 'NE, US', 41.2586, -95.9378, 323],
+    ['Al Ain', 'city', 'AE', 24.1917, 55.7606, 275],
+    ['Jeju', 'city', 'KR', 33.5097, 126.5219, 19],
+    ['Panamá', 'city', 'PA', 8.9936, -79.5197, 17],
+    ['Szczecin', 'city', 'PL', 53.4289, 14.553, 149],
+    ['Biên Hòa', 'city', 'VN', 10.95, 106.8167, 11],
+    ['Villa Nueva', 'city', 'GT', 14.5269, -90.5875, 1334],
+    ['Ribeirão das Neves', 'city', 'BR', -19.7669, -44.0867, 804],
+    ['Hirakata', 'city', 'JP', 34.8135, 135.6491, 17],
+    ['Denpasar', 'city', 'ID', -8.65, 115.2167, 33],
+    ['Oujda', 'city', 'MA', 34.6805, -1.9076, 551],
+    ['Tanda', 'city', 'EG', 30.7885, 31.0019, 18],
+    ['Newcastle', 'city', 'ZA', -27.758, 29.9318, 1195],
+    ['Xochimilco', 'city', 'MX', 19.2579, -99.1051, 2245],
+    ['Nellore', 'city', 'IN', 14.4536, 79.9867, 23],
+    ['Hsinchu', 'city', 'TW', 24.8036, 120.9686, 22],
+    ['Raleigh', 'city', 'NC, US', 35.7721, -78.6386, 96],
+    ['Jixi', 'city', 'CN', 45.3011, 130.9572, 228],
+    ['Zanzibar', 'city', 'TZ', -6.1639, 39.1979, 14],
+    ['Taoyuan City', 'city', 'TW', 24.9937, 121.297, 103],
+    ['Tonalá', 'city', 'MX', 20.6244, -103.2342, 1660],
+    ['Kassala', 'city', 'SD', 15.451, 36.4, 507],
+    ['Palma', 'city', 'ES', 39.5694, 2.6502, 34],
+    ['Kitwe', 'city', 'ZM', -12.8024, 28.2132, 1224],
+    ['An Nāşirīyah', 'city', 'IQ', 31.058, 46.2573, 7],
+    ['Tver', 'city', 'RU', 56.8584, 35.9006, 132],
+    ['West Jerusalem', 'city', 'IL', 31.782, 35.2196, 796],
+    ['Machida', 'city', 'JP', 35.5403, 139.4508, 103],
+    ['Yangjiang', 'city', 'CN', 21.8556, 111.9627, 14],
+    ['Miami', 'city', 'FL, US', 25.7743, -80.1937, 2],
+    ['Khmel’nyts’kyy', 'city', 'UA', 49.4216, 26.9965, 286],
+    ['Gifu-shi', 'city', 'JP', 35.4229, 136.7604, 14],
+    ['Tiruppur', 'city', 'IN', 11.1154, 77.3546, 305],
+    ['Keelung', 'city', 'TW', 25.1283, 121.7419, 17],
+    ['Cleveland', 'city', 'OH, US', 41.4995, -81.6954, 199],
+    ['Al Hoceïma', 'city', 'MA', 35.2516, -3.9372, 74],
+    ['Manchester', 'city', 'GB', 53.4809, -2.2374, 51],
+    ['Surrey', 'city', 'CA', 49.1063, -122.8251, 82],
+    ['Vila Velha', 'city', 'BR', -20.3297, -40.2925, 5],
+    ['Weifang', 'city', 'CN', 36.71, 119.1019, 30],
+    ['Fujisawa', 'city', 'JP', 35.3419, 139.47, 11],
+    ['Ndola', 'city', 'ZM', -12.9587, 28.6366, 1307],
+    ['Kollam', 'city', 'IN', 8.8811, 76.5847, 13],
+    ['Serra', 'city', 'BR', -20.1286, -40.3078, 57],
+    ['Samsun', 'city', 'TR', 41.2867, 36.33, 38],
+    ['Tallinn', 'city', 'EE', 59.437, 24.7535, 12],
+    ['Bamenda', 'city', 'CM', 5.9527, 10.1582, 1266],
+    ['El Obeid', 'city', 'SD', 13.1842, 30.2167, 573],
+    ['Bello', 'city', 'CO', 6.3373, -75.558, 1456],
+    ['Xinpu', 'city', 'CN', 34.5997, 119.1594, 6],
+    ['Sandakan', 'city', 'MY', 5.8402, 118.1179, 10],
+    ['Tulsa', 'city', 'OK, US', 36.154, -95.9928, 220],
+    ['Buraydah', 'city', 'SA', 26.326, 43.975, 606],
+    ['Kandahār', 'city', 'AF', 31.6133, 65.7101, 1007],
+    ['Oakland', 'city', 'CA, US', 37.8044, -122.2708, 13],
+    ['Diadema', 'city', 'BR', -23.6861, -46.6228, 784],
+    ['Dongguan', 'city', 'CN', 23.0489, 113.7447, 10],
+    ['Comilla', 'city', 'BD', 23.4619, 91.185, 17],
+    ['Samut Prakan', 'city', 'TH', 13.5993, 100.5968, 5],
+    ['Nampula', 'city', 'MZ', -15.1165, 39.2666, 431],
+    ['Bissau', 'city', 'GW', 11.8636, -15.5977, 13],
+    ['Iloilo', 'city', 'PH', 10.6969, 122.5644, 8],
+    ['Khamīs Mushayt', 'city', 'SA', 18.3064, 42.7292, 2005],
+    ['Campos', 'city', 'BR', -21.7523, -41.3304, 13],
+    ['Resistencia', 'city', 'AR', -27.4606, -58.9839, 56],
+    ['Mişrātah', 'city', 'LY', 32.3753, 15.0925, 11],
+    ['Mauá', 'city', 'BR', -23.6678, -46.4614, 773],
+    ['Abomey-Calavi', 'city', 'BJ', 6.4485, 2.3557, 11],
+    ['Bochum', 'city', 'DE', 51.4817, 7.2165, 102],
+    ['Toyonaka', 'city', 'JP', 34.7824, 135.4693, 31],
+    ['Iztacalco', 'city', 'MX', 19.3953, -99.0978, 2238],
+    ['Betim', 'city', 'BR', -19.9678, -44.1983, 834],
+    ['Fukuyama', 'city', 'JP', 34.4833, 133.3667, 7],
+    ['N’dalatando', 'city', 'AO', -9.2978, 14.9116, 795],
+    ['Delmas 73', 'city', 'HT', 18.5447, -72.3028, 129],
+    ['Minneapolis', 'city', 'MN, US', 44.98, -93.2638, 253],
+    ['Wichita', 'city', 'KS, US', 37.6922, -97.3375, 396],
+    ['Pasto', 'city', 'CO', 1.2136, -77.2811, 2545],
+    ['Wellington', 'city', 'NZ', -41.2866, 174.7756, 31],
+    ['Las Palmas de Gran Canaria', 'city', 'ES', 28.0997, -15.4134, 23],
+    ['Caxias do Sul', 'city', 'BR', -29.1681, -51.1794, 787],
+    ['Nizhniy Tagil', 'city', 'RU', 57.9194, 59.965, 185],
+    ['Bochum-Hordel', 'city', 'DE', 51.5017, 7.1756, 51],
+    ['Dezhou', 'city', 'CN', 37.4486, 116.2925, 27],
+    ['Sevastopol', 'city', 'UA', 44.5888, 33.5224, 72],
+    ['Krugersdorp', 'city', 'ZA', -26.0858, 27.7752, 1724],
+    ['Pānihāti', 'city', 'IN', 22.6909, 88.374, 11],
+    ['Toyohashi', 'city', 'JP', 34.7667, 137.3833, 12],
+    ['Zhoukou', 'city', 'CN', 33.6333, 114.6333, 54],
+    ['Laval', 'city', 'CA', 45.5699, -73.692, 34],
+    ['Huancayo', 'city', 'PE', -12.0651, -75.2049, 3263],
+    ['Makiyivka', 'city', 'UA', 48.0478, 37.9258, 223],
+    ['Putian', 'city', 'CN', 25.4394, 119.0103, 23],
+    ['Kahramanmaraş', 'city', 'TR', 37.5847, 36.9264, 564],
+    ['Shimminatochō', 'city', 'JP', 34.1833, 135.2, 73],
+    ['Tirana', 'city', 'AL', 41.3275, 19.8189, 113],
+    ['São José do Rio Preto', 'city', 'BR', -20.8197, -49.3794, 505],
+    ['Kaunas', 'city', 'LT', 54.9, 23.9, 66],
+    ['Xuanhua', 'city', 'CN', 40.6103, 115.0447, 610],
+    ['Seremban', 'city', 'MY', 2.7297, 101.9381, 59],
+    ['Pingxiang', 'city', 'CN', 27.6167, 113.8535, 100],
+    ['Van', 'city', 'TR', 38.4924, 43.3831, 1711],
+    ['Honolulu', 'city', 'HI, US', 21.3069, -157.8583, 5],
+    ['Firenze', 'city', 'IT', 43.7667, 11.25, 62],
+    ['Bologna', 'city', 'IT', 44.4938, 11.3387, 71],
+    ['Abadan', 'city', 'IR', 30.3392, 48.3043, 6],
+    ['Fenghuang', 'city', 'CN', 27.9356, 109.5996, 449],
+    ['Puerto La Cruz', 'city', 'VE', 10.2167, -64.6167, 27],
+    ['Brno', 'city', 'CZ', 49.1952, 16.608, 226],
+    ['Mahilyow', 'city', 'BY', 53.9168, 30.3449, 184],
+    ['Canberra', 'city', 'AU', -35.2835, 149.1281, 571],
+    ['Nara-shi', 'city', 'JP', 34.685, 135.8048, 68],
+    ['Ahmadnagar', 'city', 'IN', 19.0946, 74.7384, 661],
+    ['Dhule', 'city', 'IN', 20.9025, 74.7773, 266],
+    ['Olinda', 'city', 'BR', -8.0089, -34.8553, 37],
+    ['Kenitra', 'city', 'MA', 34.261, -6.5802, 13],
+    ['Bydgoszcz', 'city', 'PL', 53.1235, 18.0076, 37],
+    ['Kuantan', 'city', 'MY', 3.8077, 103.326, 12],
+    ['San Miguel Xico', 'city', 'MX', 19.2708, -98.948, 2235],
+    ['Arlington', 'city', 'TX, US', 32.7357, -97.1081, 184],
+    ['Tharaka', 'city', 'KE', -0.3086, 38.0269, 577],
+    ['Tenan', 'city', 'KR', 36.8065, 127.1522, 40],
+    ['Petare', 'city', 'VE', 10.4723, -66.8016, 897],
+    ['Lārkāna', 'city', 'PK', 27.5551, 68.2141, 54],
+    ['Al Qadarif', 'city', 'SD', 14.0349, 35.3834, 608],
+    ['Christchurch', 'city', 'NZ', -43.5333, 172.6333, 14],
+    ['Stavropol’', 'city', 'RU', 45.0428, 41.9734, 575],
+    ['Villahermosa', 'city', 'MX', 17.9869, -92.9303, 23],
+    ['Toyota', 'city', 'JP', 35.0833, 137.15, 55],
+    ['Manukau City', 'city', 'NZ', -36.9928, 174.8799, 43],
+    ['Zhaoqing', 'city', 'CN', 23.0512, 112.4597, 16],
+    ['Ataşehir', 'city', 'TR', 40.9833, 29.1167, 83],
+    ['Bhāgalpur', 'city', 'IN', 25.2445, 86.9718, 52],
+    ['Sheikhupura', 'city', 'PK', 31.7131, 73.9783, 209],
+    ['Carapicuíba', 'city', 'BR', -23.5227, -46.835, 630],
+    ['Wuppertal', 'city', 'DE', 51.2703, 7.1676, 189],
+    ['Tamale', 'city', 'GH', 9.4008, -0.8393, 196],
+    ['Ulan-Ude', 'city', 'RU', 51.8272, 107.6063, 528],
+    ['Nagano-shi', 'city', 'JP', 36.6514, 138.1811, 374],
+    ['Bobo-Dioulasso', 'city', 'BF', 11.1771, -4.2979, 423],
+    ['Lublin', 'city', 'PL', 51.25, 22.5667, 183],
+    ['Shinagawa-ku', 'city', 'JP', 35.609, 139.7302, 23],
+    ['Halifax', 'city', 'CA', 44.6453, -63.5724, 23],
+    ['Anqing', 'city', 'CN', 30.5136, 117.0472, 13],
+    ['Taraz', 'city', 'KZ', 42.9, 71.3667, 623],
+    ['Simferopol’', 'city', 'UA', 44.9572, 34.1108, 247],
+    ['San Jose del Monte', 'city', 'PH', 14.8139, 121.0453, 56],
+    ['Manizales', 'city', 'CO', 5.0689, -75.5174, 2119],
+    ['Kwangmyŏng', 'city', 'KR', 37.4772, 126.8664, 30],
+    ['Zanjān', 'city', 'IR', 36.6736, 48.4787, 1650],
+    ['Iwaki', 'city', 'JP', 37.05, 140.8833, 9],
+    ['Bacoor', 'city', 'PH', 14.459, 120.929, 7],
+    ['Asahikawa', 'city', 'JP', 43.7678, 142.3703, 116],
+    ['Kimhae', 'city', 'KR', 35.2342, 128.8811, 13],
+    ['Arkhangel’sk', 'city', 'RU', 64.5401, 40.5433, 8],
+    ['Berlin Pankow', 'city', 'DE', 52.5693, 13.4019, 47],
+    ['Ambon', 'city', 'ID', -3.6954, 128.1814, 9],
+    ['Samarinda', 'city', 'ID', -0.5, 117.15, 8],
+    ['Benito Juarez', 'city', 'MX', 19.3984, -99.1577, 2243],
+    ['Bilbao', 'city', 'ES', 43.2627, -2.9253, 20],
+    ['Mazatlán', 'city', 'MX', 23.2329, -106.4062, 10],
+    ['Santiago del Estero', 'city', 'AR', -27.7951, -64.2615, 188],
+    ['Takatsuki', 'city', 'JP', 34.8483, 135.6168, 14],
+    ['Thessaloníki', 'city', 'GR', 40.6403, 22.9439, 34],
+    ['Miguel Hidalgo', 'city', 'MX', 19.4347, -99.2009, 2269],
+    ['Barinas', 'city', 'VE', 8.6226, -70.2075, 187],
+    ['Neiva', 'city', 'CO', 2.9273, -75.2819, 461],
+    ['Okazaki', 'city', 'JP', 34.95, 137.1667, 34],
+    ['Bandar ‘Abbās', 'city', 'IR', 27.1865, 56.2808, 9],
+    ['Vinnytsya', 'city', 'UA', 49.2328, 28.481, 235],
+    ['Apodaca', 'city', 'MX', 25.7598, -100.1629, 418],
+    ['Anshun', 'city', 'CN', 26.25, 105.9333, 1374],
+    ['Suita', 'city', 'JP', 34.7614, 135.5157, 4],
+    ['Ixtapaluca', 'city', 'MX', 19.3191, -98.8843, 2253],
+    ['Wakayama-shi', 'city', 'JP', 34.2261, 135.1675, 18],
+    ['Hualian', 'city', 'TW', 23.9769, 121.6044, 13],
+    ['Lapu-Lapu City', 'city', 'PH', 10.3103, 123.9494, 4],
+    ['Punāsa', 'city', 'IN', 22.2354, 76.3929, 275],
+    ['Muzaffarnagar', 'city', 'IN', 29.4739, 77.7041, 248],
+    ['Masan', 'city', 'KR', 35.2081, 128.5725, 29],
+    ['Nuevo Laredo', 'city', 'MX', 27.4763, -99.5164, 130],
+    ['Sanandaj', 'city', 'IR', 35.315, 46.9988, 1494],
+    ['Latur', 'city', 'IN', 18.3972, 76.5678, 638],
+    ['Campina Grande', 'city', 'BR', -7.2306, -35.8811, 508],
+    ['Etobicoke', 'city', 'CA', 43.6542, -79.5671, 148],
+    ['Camagüey', 'city', 'CU', 21.3808, -77.9169, 102],
+    ['Bakersfield', 'city', 'CA, US', 35.3733, -119.0187, 123],
+    ['London', 'city', 'CA', 42.9834, -81.233, 252],
+    ['Chifeng', 'city', 'CN', 42.2683, 118.9636, 570],
+    ['Hŭngnam', 'city', 'KP', 39.8317, 127.6186, 2],
+    ['Astana', 'city', 'KZ', 51.1801, 71.446, 358],
+    ['Belgorod', 'city', 'RU', 50.6107, 36.5802, 173],
+    ['Kosti', 'city', 'SD', 13.1629, 32.6635, 387],
+    ['Taihe', 'city', 'CN', 45.7619, 130.8513, 197],
+    ['Doha', 'city', 'QA', 25.2793, 51.5224, 13],
+    ['Turmero', 'city', 'VE', 10.2239, -67.4729, 470],
+    ['Tlahuac', 'city', 'MX', 19.2835, -99.0032, 2237],
+    ['New Orleans', 'city', 'LA, US', 29.9547, -90.0751, 0],
+    ['Cuernavaca', 'city', 'MX', 18.9261, -99.2308, 1536],
+    ['Kurgan', 'city', 'RU', 55.45, 65.3333, 76],
+    ['Rangpur', 'city', 'BD', 25.7466, 89.2517, 36],
+    ['Bhimbar', 'city', 'PK', 32.9757, 74.0793, 331],
+    ['Vitebsk', 'city', 'BY', 55.1904, 30.2049, 150],
+    ['Soledad', 'city', 'CO', 10.9184, -74.7646, 15],
+    ['Shiqi', 'city', 'CN', 22.5168, 113.3852, 8],
+    ['Piracicaba', 'city', 'BR', -22.7253, -47.6492, 530],
+    ['Zürich', 'city', 'CH', 47.3667, 8.55, 429],
+    ['Kūkatpalli', 'city', 'IN', 17.4849, 78.4138, 566],
+    ['Jhang Sadr', 'city', 'PK', 31.2715, 72.3284, 158],
+    ['Arusha', 'city', 'TZ', -3.3667, 36.6833, 1415],
+    ['Ambattūr', 'city', 'IN', 13.0982, 80.1615, 18],
+    ['Kōriyama', 'city', 'JP', 37.4, 140.3833, 236],
+    ['Plovdiv', 'city', 'BG', 42.15, 24.75, 169],
+    ['Chitungwiza', 'city', 'ZW', -18.0127, 31.0755, 1435],
+    ['Kashiwa', 'city', 'JP', 35.8544, 139.9689, 23],
+    ['Latakia', 'city', 'SY', 35.5317, 35.7901, 29],
+    ['Yingbazha', 'city', 'CN', 41.1131, 80.2692, 1081],
+    ['Irapuato', 'city', 'MX', 20.6784, -101.3465, 1721],
+    ['Tokorozawa', 'city', 'JP', 35.7992, 139.469, 82],
+    ['Leicester', 'city', 'GB', 52.6386, -1.1317, 65],
+    ['Corrientes', 'city', 'AR', -27.4806, -58.8341, 63],
+    ['Kaluga', 'city', 'RU', 54.5293, 36.2754, 200],
+    ['Macapá', 'city', 'BR', 0.0389, -51.0664, 17],
+    ['West Raleigh', 'city', 'NC, US', 35.7868, -78.6639, 122],
+    ['Nice', 'city', 'FR', 43.7031, 7.2661, 25],
+    ['Kaesŏng', 'city', 'KP', 37.9708, 126.5544, 42],
+    ['Ciudad Bolívar', 'city', 'VE', 8.1292, -63.5409, 45],
+    ['Kawagoe', 'city', 'JP', 35.9086, 139.4853, 26],
+    ['Tungi', 'city', 'BD', 23.8915, 90.4023, 13],
+    ['Krasnogvargeisky', 'city', 'RU', 59.9731, 30.4761, 17],
+    ['Bellary', 'city', 'IN', 15.1457, 76.9175, 464],
+    ['Itaquaquecetuba', 'city', 'BR', -23.4861, -46.3483, 748],
+    ['Anaheim', 'city', 'CA, US', 33.8353, -117.9145, 48],
+    ['Tampa', 'city', 'FL, US', 27.9475, -82.4584, 1],
+    ['Kōchi-shi', 'city', 'JP', 33.5597, 133.5311, 14],
+    ['Bauru', 'city', 'BR', -22.3147, -49.0606, 530],
+    ['San José', 'city', 'CR', 9.9333, -84.0833, 1161],
+    ['Alicante', 'city', 'ES', 38.3452, -0.4815, 18],
+    ['Takamatsu-shi', 'city', 'JP', 34.3403, 134.0433, 21],
+    ['Tieling', 'city', 'CN', 42.2931, 123.8414, 64],
+    ['Qazvin', 'city', 'IR', 36.2688, 50.0041, 1300],
+    ['Muzaffarpur', 'city', 'IN', 26.1226, 85.3906, 60],
+    ['Kāmārhāti', 'city', 'IN', 22.6711, 88.3747, 8],
+    ['Wad Medani', 'city', 'SD', 14.4012, 33.5199, 410],
+    ['Jincheng', 'city', 'CN', 35.5022, 112.8328, 711],
+    ['Montes Claros', 'city', 'BR', -16.735, -43.8617, 686],
+    ['Kita-ku', 'city', 'JP', 35.7526, 139.7335, 21],
+    ['Bielefeld', 'city', 'DE', 52.0333, 8.5333, 111],
+    ['Bujumbura', 'city', 'BI', -3.3822, 29.3644, 805],
+    ['Mandaue City', 'city', 'PH', 10.3236, 123.9222, 7],
+    ['Khorramshahr', 'city', 'IR', 30.4408, 48.1843, 4],
+    ['Mathura', 'city', 'IN', 27.502, 77.6833, 191],
+    ['Khorramābād', 'city', 'IR', 33.4878, 48.3558, 1182],
+    ['Soyapango', 'city', 'SV', 13.7347, -89.1514, 644],
+    ['Patiāla', 'city', 'IN', 30.3271, 76.4027, 258],
+    ['Wŏnsan', 'city', 'KP', 39.1528, 127.4436, 7],
+    ['Berlin Mitte', 'city', 'DE', 52.52, 13.4049, 48],
+    ['Pavlodar', 'city', 'KZ', 52.274, 77.0044, 137],
+    ['Córdoba', 'city', 'ES', 37.8916, -4.7728, 107],
+    ['Chandrapur', 'city', 'IN', 19.9471, 79.2961, 184],
+    ['Canoas', 'city', 'BR', -29.9178, -51.1836, 25],
+    ['Sochi', 'city', 'RU', 43.5992, 39.7257, 14],
+    ['Chongjin', 'city', 'KP', 41.7956, 129.7758, 5],
+    ['Yanji', 'city', 'CN', 42.9075, 129.5078, 178],
+    ['Bhīlwāra', 'city', 'IN', 25.3464, 74.6352, 423],
+    ['Shinjuku', 'city', 'JP', 35.6938, 139.7036, 42],
+    ['Tétouan', 'city', 'MA', 35.5784, -5.3684, 121],
+    ['Akita Shi', 'city', 'JP', 39.7181, 140.1033, 8],
+    ['Mogi das Cruzes', 'city', 'BR', -23.5228, -46.1883, 759],
+    ['Toyama-shi', 'city', 'JP', 36.6953, 137.2114, 13],
+    ['Piura', 'city', 'PE', -5.1945, -80.6328, 33],
+    ['Trichūr', 'city', 'IN', 10.5167, 76.2167, 7],
+    ['Aurora', 'city', 'CO, US', 39.7294, -104.8319, 1648],
+    ['Brahmapur', 'city', 'IN', 19.3115, 84.7929, 37],
+    ['Santa Ana', 'city', 'CA, US', 33.7456, -117.8678, 35],
+    ['São Vicente', 'city', 'BR', -23.9631, -46.3919, 10],
+    ['Orël', 'city', 'RU', 52.9651, 36.0785, 154],
+    ['Suizhou', 'city', 'CN', 31.7111, 113.3631, 67],
+    ['Al ‘Amārah', 'city', 'IQ', 31.8359, 47.144, 9],
+    ['Volzhskiy', 'city', 'RU', 48.7858, 44.7797, 23],
+    ['Villavicencio', 'city', 'CO', 4.142, -73.6266, 441],
+    ['Jundiaí', 'city', 'BR', -23.1864, -46.8842, 753],
+    ['San Miguelito', 'city', 'PA', 9.0333, -79.5, 42],
+    ['Smolensk', 'city', 'RU', 54.7818, 32.0401, 250],
+    ['Ciudad del Este', 'city', 'PY', -25.5097, -54.6111, 186],
+    ['Pelotas', 'city', 'BR', -31.7719, -52.3425, 14],
+    ['Kherson', 'city', 'UA', 46.6558, 32.6178, 51],
+    ['Shāhjahānpur', 'city', 'IN', 27.8814, 79.9109, 157],
+    ['Akita', 'city', 'JP', 39.7167, 140.1167, 14],
+    ['Maroua', 'city', 'CM', 10.5909, 14.3159, 406],
+    ['Morón', 'city', 'AR', -34.6534, -58.6198, 29],
+    ['Anápolis', 'city', 'BR', -16.3267, -48.9528, 1003],
+    ['Pachuca de Soto', 'city', 'MX', 20.117, -98.7333, 2393],
+    ['Shimoga', 'city', 'IN', 13.9316, 75.5679, 590],
+    ['Samarqand', 'city', 'UZ', 39.6542, 66.9597, 719],
+    ['St. Louis', 'city', 'MO, US', 38.6273, -90.1979, 142],
+    ['Murmansk', 'city', 'RU', 68.9792, 33.0925, 96],
+    ['Islington', 'city', 'GB', 51.5362, -0.103, 37],
+    ['Holguín', 'city', 'CU', 20.8872, -76.2631, 146],
+    ['Oskemen', 'city', 'KZ', 49.9714, 82.6059, 287],
+    ['Ad Dīwānīyah', 'city', 'IQ', 31.9929, 44.9255, 25],
+    ['Shangrao', 'city', 'CN', 28.4532, 117.9686, 89],
+    ['Mataram', 'city', 'ID', -8.5833, 116.1167, 24],
+    ['Andijon', 'city', 'UZ', 40.7821, 72.3442, 494],
+    ['Iaşi', 'city', 'RO', 47.1667, 27.6, 66],
+    ['Valladolid', 'city', 'ES', 41.6552, -4.7237, 702],
+    ['Poltava', 'city', 'UA', 49.5937, 34.5407, 159],
+    ['New Delhi', 'city', 'IN', 28.6358, 77.2245, 212],
+    ['Koshigaya', 'city', 'JP', 35.8833, 139.7833, 5],
+    ['Vladikavkaz', 'city', 'RU', 43.0367, 44.6678, 671],
+    ['Hrodna', 'city', 'BY', 53.6884, 23.8258, 139],
+    ['Katowice', 'city', 'PL', 50.2584, 19.0275, 266],
+    ['Rohtak', 'city', 'IN', 28.8884, 76.5754, 220],
+    ['Berlin Wilmersdorf', 'city', 'DE', 52.501, 13.291, 42],
+    ['Baicheng', 'city', 'CN', 45.6075, 122.8208, 152],
+    ['Chimbote', 'city', 'PE', -9.0853, -78.5783, 9],
+    ['Cluj-Napoca', 'city', 'RO', 46.7667, 23.6, 352],
+    ['Calamba', 'city', 'PH', 14.2117, 121.1653, 16],
+    ['Bari', 'city', 'IT', 41.1177, 16.8512, 10],
+    ['Bauchi', 'city', 'NG', 10.3134, 9.8433, 622],
+    ['Cherepovets', 'city', 'RU', 59.1333, 37.9, 136],
+    ['Armenia', 'city', 'CO', 4.5339, -75.6811, 1480],
+    ['Al Kūt', 'city', 'IQ', 32.5128, 45.8182, 22],
+    ['Timişoara', 'city', 'RO', 45.7537, 21.2257, 96],
+    ['Vologda', 'city', 'RU', 59.2239, 39.884, 112],
+    ['Şişli', 'city', 'TR', 41.0605, 28.9872, 119],
+    ['Soacha', 'city', 'CO', 4.5794, -74.2168, 2565],
+    ['Coacalco', 'city', 'MX', 19.6345, -99.1005, 2256],
+    ['Ganja', 'city', 'AZ', 40.6828, 46.3606, 417],
+    ['Lianshan', 'city', 'CN', 40.7643, 120.8533, 17],
+    ['Denizli', 'city', 'TR', 37.7742, 29.0875, 405],
+    ['Ikeja', 'city', 'NG', 6.5942, 3.3375, 41],
+    ['Bonn', 'city', 'DE', 50.7344, 7.0955, 64],
+    ['Catania', 'city', 'IT', 37.5021, 15.0872, 17],
+    ['Ostrava', 'city', 'CZ', 49.8347, 18.282, 211],
+    ['Varna', 'city', 'BG', 43.2167, 27.9167, 54],
+    ['Vitória', 'city', 'BR', -20.3194, -40.3378, 16],
+    ['Wusong', 'city', 'CN', 30.95, 117.7833, 7],
+    ['Iligan City', 'city', 'PH', 8.25, 124.4, 282],
+    ['Cusco', 'city', 'PE', -13.5226, -71.9673, 3369],
+    ['Posadas', 'city', 'AR', -27.3671, -55.8961, 127],
+    ['Maringá', 'city', 'BR', -23.4253, -51.9386, 556],
+    ['Nakano-ku', 'city', 'JP', 35.7074, 139.6638, 49],
+    ['Miyazaki-shi', 'city', 'JP', 31.9111, 131.4239, 16],
+    ['Percut', 'city', 'ID', 3.6253, 98.864, 11],
+    ['Pucallpa', 'city', 'PE', -8.3791, -74.5539, 155],
+    ['Jingdezhen', 'city', 'CN', 29.2947, 117.2079, 48],
+    ['Guarujá', 'city', 'BR', -23.9931, -46.2564, 13],
+    ['Sariwŏn', 'city', 'KP', 38.5072, 125.7558, 20],
+    ['Vladimir', 'city', 'RU', 56.1365, 40.3966, 140],
+    ['Antofagasta', 'city', 'CL', -23.6524, -70.3954, 31],
+    ['Botshabelo', 'city', 'ZA', -29.2702, 26.7052, 1404],
+    ['Bengkulu', 'city', 'ID', -3.8004, 102.2655, 19],
+    ['Butuan', 'city', 'PH', 8.9492, 125.5436, 9],
+    ['Tampico', 'city', 'MX', 22.2782, -97.8677, 35],
+    ['Chita', 'city', 'RU', 52.0317, 113.5009, 668],
+    ['Coventry', 'city', 'GB', 52.4066, -1.5122, 89],
+    ['Newcastle', 'city', 'AU', -32.9271, 151.7765, 21],
+    ['Valledupar', 'city', 'CO', 10.4631, -73.2532, 165],
+    ['General Escobedo', 'city', 'MX', 25.7952, -100.3146, 498],
+    ['Biskra', 'city', 'DZ', 34.8504, 5.728, 115],
+    ['Mannheim', 'city', 'DE', 49.4967, 8.4795, 104],
+    ['Chernihiv', 'city', 'UA', 51.5055, 31.2849, 127],
+    ['Irbid', 'city', 'JO', 32.5556, 35.85, 570],
+    ['Tumkūr', 'city', 'IN', 13.3415, 77.101, 814],
+    ['Chinju', 'city', 'KR', 35.1928, 128.0847, 33],
+    ['Tawau', 'city', 'MY', 4.2498, 117.8871, 0],
+    ['Dongying', 'city', 'CN', 37.4564, 118.4856, 8],
+    ['Fīrozābād', 'city', 'IN', 27.1494, 78.4018, 171],
+    ['Al Fayyūm', 'city', 'EG', 29.31, 30.8418, 29],
+    ['Porto Velho', 'city', 'BR', -8.7619, -63.9039, 90],
+    ['Celaya', 'city', 'MX', 20.5235, -100.8157, 1762],
+    ['San Salvador de Jujuy', 'city', 'AR', -24.1946, -65.2971, 1260],
+    ['Pittsburgh', 'city', 'PA, US', 40.4406, -79.9959, 233],
+    ['Brakpan', 'city', 'ZA', -26.2366, 28.3694, 1631],
+    ['Mandaluyong City', 'city', 'PH', 14.5832, 121.0409, 24],
+    ['Nizāmābād', 'city', 'IN', 18.6715, 78.0988, 389],
+    ['Kulti', 'city', 'IN', 23.7317, 86.8437, 156],
+    ['Corpus Christi', 'city', 'TX, US', 27.8006, -97.3964, 2],
+    ['Franca', 'city', 'BR', -20.5386, -47.4008, 1002],
+    ['Rājahmundry', 'city', 'IN', 17.0052, 81.7778, 34],
+    ['Craiova', 'city', 'RO', 44.3167, 23.8, 105],
+    ['Riverside', 'city', 'CA, US', 33.9534, -117.3962, 252],
+    ['Constanţa', 'city', 'RO', 44.1833, 28.65, 38],
+    ['Saransk', 'city', 'RU', 54.1838, 45.1749, 173],
+    ['Mazār-e Sharīf', 'city', 'AF', 36.709, 67.1109, 361],
+    ['Hull', 'city', 'GB', 53.7446, -0.3352, 8],
+    ['Cardiff', 'city', 'GB', 51.48, -3.18, 17],
+    ['Batman', 'city', 'TR', 37.8874, 41.1322, 574],
+    ['Barddhamān', 'city', 'IN', 23.2557, 87.8569, 34],
+    ['Gujrāt', 'city', 'PK', 32.5728, 74.079, 243],
+    ['Naha-shi', 'city', 'JP', 26.2125, 127.6811, 19],
+    ['Brest', 'city', 'BY', 52.0975, 23.6878, 142],
+    ['Mardān', 'city', 'PK', 34.2019, 72.0525, 314],
+    ['Surgut', 'city', 'RU', 61.25, 73.4167, 37],
+    ['Yangshuo', 'city', 'CN', 24.7808, 110.4897, 116],
+    ['Māndu', 'city', 'IN', 22.3667, 75.3833, 491],
+    ['Kyzylorda', 'city', 'KZ', 44.8528, 65.5092, 128],
+    ['George Town', 'city', 'MY', 5.4112, 100.3354, 14],
+    ['Malir Cantonment', 'city', 'PK', 24.9424, 67.2066, 53],
+    ['Juba', 'city', 'SS', 4.8517, 31.5825, 518],
+    ['Batikent', 'city', 'TR', 39.9683, 32.7308, 862],
+    ['Mérida', 'city', 'VE', 8.5952, -71.1434, 1594],
+    ['Angeles City', 'city', 'PH', 15.15, 120.5833, 102],
+    ['Bradford', 'city', 'GB', 53.7939, -1.7521, 110],
+    ['Santol', 'city', 'PH', 15.1622, 120.5675, 126],
+    ['Kasugai', 'city', 'JP', 35.2476, 136.9723, 30],
+    ['Jember', 'city', 'ID', -8.166, 113.7032, 93],
+    ['Aomori Shi', 'city', 'JP', 40.8244, 140.74, 17],
+    ['Ōtsu-shi', 'city', 'JP', 35.0044, 135.8683, 102],
+    ['Bārāsat', 'city', 'IN', 22.7215, 88.482, 11],
+    ['Elazığ', 'city', 'TR', 38.6743, 39.2232, 1062],
+    ['Okanagan', 'city', 'CA', 50.3639, -119.35, 598],
+    ['Cherkasy', 'city', 'UA', 49.4285, 32.0621, 107],
+    ['Vigo', 'city', 'ES', 42.2328, -8.7226, 86],
+    ['Akashi', 'city', 'JP', 34.6333, 134.9833, null],
+    ['Bāli', 'city', 'IN', 22.6486, 88.3411, 8],
+    ['Cincinnati', 'city', 'OH, US', 39.162, -84.4569, 191],
+    ['Hisar', 'city', 'IN', 29.149, 75.7368, 212],
+    ['Rāmpur', 'city', 'IN', 28.809, 79.029, 195],
+    ['Yokkaichi', 'city', 'JP', 34.9667, 136.6167, 8],
+    ['Lexington-Fayette', 'city', 'KY, US', 38.0498, -84.4586, 305],
+    ['Yeosu', 'city', 'KR', 34.7628, 127.6653, 10],
+    ['Morioka-shi', 'city', 'JP', 39.7036, 141.1525, 141],
+    ['Viña del Mar', 'city', 'CL', -33.0246, -71.5518, 17],
+    ['Sumy', 'city', 'UA', 50.9216, 34.8003, 143],
+    ['Fukushima-shi', 'city', 'JP', 37.75, 140.4678, 74],
+    ['Galaţi', 'city', 'RO', 45.45, 28.05, 26],
+    ['Blumenau', 'city', 'BR', -26.9194, -49.0661, 20],
+    ['Greater Noida', 'city', 'IN', 28.4962, 77.536, 200],
+    ['Noida', 'city', 'IN', 28.58, 77.33, 206],
+    ['Foz do Iguaçu', 'city', 'BR', -25.5478, -54.5881, 179],
+    ['Al Hufūf', 'city', 'SA', 25.3646, 49.5653, 155],
+    ['Kākināda', 'city', 'IN', 16.9604, 82.2381, 6],
+    ['Pānīpat', 'city', 'IN', 29.39, 76.9695, 237],
+    ['Semey', 'city', 'KZ', 50.4267, 80.2667, 211],
+    ['Makurdi', 'city', 'NG', 7.7411, 8.5121, 89],
+    ['Wollongong', 'city', 'AU', -34.424, 150.8935, 29],
+    ['Ponta Grossa', 'city', 'BR', -25.095, -50.1619, 954],
+    ['Minna', 'city', 'NG', 9.6139, 6.5569, 272],
+    ['Białystok', 'city', 'PL', 53.1333, 23.1643, 135],
+    ['Anchorage', 'city', 'AK, US', 61.2181, -149.9003, 31],
+    ['Stockton', 'city', 'CA, US', 37.9577, -121.2908, 4],
+    ['Mbeya', 'city', 'TZ', -8.9, 33.45, 1697],
+    ['Mueang Nonthaburi', 'city', 'TH', 13.8607, 100.5148, 1],
+    ['Gumi', 'city', 'KR', 36.1136, 128.336, 63],
+    ['Tambov', 'city', 'RU', 52.7317, 41.4433, 128],
+    ['Al Mubarraz', 'city', 'SA', 25.41, 49.5808, 159],
+    ['Bafoussam', 'city', 'CM', 5.4778, 10.4176, 1470],
+    ['Kasūr', 'city', 'PK', 31.1156, 74.4467, 210],
+    ['Utrecht', 'city', 'NL', 52.0908, 5.1222, 13],
+    ['Berlin Steglitz Zehlendorf', 'city', 'DE', 52.4348, 13.2418, 45],
+    ['Xiuying', 'city', 'CN', 20.0007, 110.2936, 16],
+    ['Paulista', 'city', 'BR', -7.9408, -34.8731, 20],
+    ['Al Ḩillah', 'city', 'IQ', 32.4637, 44.4196, 33],
+    ['Limeira', 'city', 'BR', -22.5647, -47.4017, 582],
+    ['Parbhani', 'city', 'IN', 19.2686, 76.7708, 421],
+    ['Victoria', 'city', 'CA', 48.4329, -123.3693, 6],
+    ['Beihai', 'city', 'CN', 21.4833, 109.1, 3],
+    ['Huizhou', 'city', 'CN', 23.0833, 114.4, 23],
+    ['Zeytinburnu', 'city', 'TR', 40.9944, 28.9042, 39],
+    ['Tsuen Wan', 'city', 'HK', 22.3707, 114.1048, 1],
+    ['Ironville', 'city', 'KY, US', 38.4565, -82.6924, 219],
+    ['Meads', 'city', 'KY, US', 38.4126, -82.7091, 185],
+    ['Sétif', 'city', 'DZ', 36.1911, 5.4137, 1096],
+    ['Safi', 'city', 'MA', 32.2994, -9.2372, 45],
+    ['Sinŭiju', 'city', 'KP', 40.1006, 124.3981, 6],
+    ['Huế', 'city', 'VN', 16.4667, 107.6, 6],
+    ['Toledo', 'city', 'OH, US', 41.6639, -83.5552, 186],
+    ['Darbhanga', 'city', 'IN', 26.1522, 85.8971, 58],
+    ['Marienthal', 'city', 'DE', 53.5667, 10.0833, 16],
+    ['Adapazarı', 'city', 'TR', 40.7806, 30.4033, 34],
+    ['Sultanbeyli', 'city', 'TR', 40.9607, 29.2707, 151],
+    ['Viamão', 'city', 'BR', -30.0811, -51.0233, 108],
+    ['Zagazig', 'city', 'EG', 30.5877, 31.502, 16],
+    ['Saint Paul', 'city', 'MN, US', 44.9444, -93.0933, 242],
+    ['Kuala Terengganu', 'city', 'MY', 5.3302, 103.1408, 15],
+    ['Ismailia', 'city', 'EG', 30.6043, 32.2722, 14],
+    ['Toshima-ku', 'city', 'JP', 35.7325, 139.7154, 45],
+    ['Alto Barinas', 'city', 'VE', 8.5931, -70.2261, 194],
+    ['Dihok', 'city', 'IQ', 36.8671, 42.9885, 567],
+    ['Karlsruhe', 'city', 'DE', 49.0047, 8.3858, 115],
+    ['Port Moresby', 'city', 'PG', -9.4431, 147.1797, 79],
+    ['Ichihara', 'city', 'JP', 35.5167, 140.0833, 1],
+    ['Iksan', 'city', 'KR', 35.9439, 126.9544, 16],
+    ['Nha Trang', 'city', 'VN', 12.2451, 109.1943, 10],
+    ['Suzano', 'city', 'BR', -23.5425, -46.3108, 747],
+    ['Alwar', 'city', 'IN', 27.5625, 76.625, 269],
+    ['Cainta', 'city', 'PH', 14.5786, 121.1222, 12],
+    ['Pétionville', 'city', 'HT', 18.5125, -72.2853, 389],
+    ['Maebashi-shi', 'city', 'JP', 36.3911, 139.0608, 123],
+    ['Bilāspur', 'city', 'IN', 22.074, 82.1566, 266],
+    ['Logan City', 'city', 'AU', -27.6392, 153.1094, 39],
+    ['Valparaíso', 'city', 'CL', -33.0393, -71.6273, 23],
+    ['Palu', 'city', 'ID', -0.8917, 119.8707, 20],
+    ['Kupang', 'city', 'ID', -10.1718, 123.6075, 101],
+    ['Zhytomyr', 'city', 'UA', 50.2649, 28.6767, 228],
+    ['Itagüí', 'city', 'CO', 6.1846, -75.5991, 1538],
+    ['Gebze', 'city', 'TR', 40.8028, 29.4307, 182],
+    ['Narsingdi', 'city', 'BD', 23.923, 90.7177, 13],
+    ['Batna', 'city', 'DZ', 35.556, 6.1741, 1037],
+    ['Tepic', 'city', 'MX', 21.5008, -104.8894, 927],
+    ['Chuzhou', 'city', 'CN', 32.3219, 118.2978, 24],
+    ['Ichinomiya', 'city', 'JP', 35.3, 136.8, 11],
+    ['Tacna', 'city', 'PE', -18.0146, -70.2536, 564],
+    ['Hamburg-Nord', 'city', 'DE', 53.5894, 9.984, 11],
+    ['Effon Alaiye', 'city', 'NG', 7.65, 4.9167, 481],
+    ['Yoshkar-Ola', 'city', 'RU', 56.6388, 47.8908, 94],
+    ['Taganrog', 'city', 'RU', 47.2362, 38.8969, 31],
+    ['Santa Teresa', 'city', 'VE', 10.2341, -66.6631, 143],
+    ['Horlivka', 'city', 'UA', 48.347, 38.0542, 284],
+    ['Windsor', 'city', 'CA', 42.3001, -83.0165, 190],
+    ['Ilesa', 'city', 'NG', 7.6167, 4.7333, 388],
+    ['Kostroma', 'city', 'RU', 57.7665, 40.9269, 109],
+    ['Gijón', 'city', 'ES', 43.5357, -5.6615, 22],
+    ['Khomeynī Shahr', 'city', 'IR', 32.6856, 51.5361, 1595],
+    ['Sfax', 'city', 'TN', 34.7406, 10.7603, 8],
+    ['Nantes', 'city', 'FR', 47.2172, -1.5534, 19],
+    ['Newark', 'city', 'NJ, US', 40.7357, -74.1724, 9],
+    ['Cuenca', 'city', 'EC', -2.9005, -79.0045, 2543],
+    ['Owo', 'city', 'NG', 7.1962, 5.5868, 348],
+    ['Bahía Blanca', 'city', 'AR', -38.7196, -62.2724, 24],
+    ['Sukabumi', 'city', 'ID', -6.9181, 106.9267, 613],
+    ['Braşov', 'city', 'RO', 45.6486, 25.6061, 573],
+    ['Komsomolsk-on-Amur', 'city', 'RU', 50.5503, 137.01, 36],
+    ['Hakodate', 'city', 'JP', 41.7758, 140.7367, 5],
+    ['Bab Ezzouar', 'city', 'DZ', 36.7261, 3.1829, 20],
+    ['Mokolo', 'city', 'CM', 10.7398, 13.8019, 798],
+    ['Caucaia', 'city', 'BR', -3.7361, -38.6531, 35],
+    ['Strasbourg', 'city', 'FR', 48.5834, 7.743, 151],
+    ['Belfast', 'city', 'GB', 54.5833, -5.9333, 17],
+    ['Kashi', 'city', 'CN', 39.4547, 75.9797, 1288],
+    ['Ramadi', 'city', 'IQ', 33.4206, 43.3078, 53],
+    ['Ichalkaranji', 'city', 'IN', 16.6912, 74.4605, 561],
+    ['Ibaraki', 'city', 'JP', 34.8164, 135.5683, 18],
+    ['Yao', 'city', 'JP', 34.6167, 135.6, 13],
+    ['Herāt', 'city', 'AF', 34.3482, 62.1997, 927],
+    ['Guantánamo', 'city', 'CU', 20.1444, -75.2092, 56],
+    ['Nal’chik', 'city', 'RU', 43.4981, 43.6189, 464],
+    ['Baguio', 'city', 'PH', 16.4164, 120.5931, 1493],
+    ['Petrópolis', 'city', 'BR', -22.505, -43.1786, 819],
+    ['Ar Rayyān', 'city', 'QA', 25.2919, 51.4244, 23],
+    ['Wiesbaden', 'city', 'DE', 50.0826, 8.2493, 128],
+    ['Montería', 'city', 'CO', 8.748, -75.8814, 19],
+    ['Kāshān', 'city', 'IR', 33.9831, 51.4364, 942],
+    ['Kakogawa', 'city', 'JP', 34.7667, 134.85, 7],
+    ['Tasikmalaya', 'city', 'ID', -7.3274, 108.2207, 354],
+    ['Bijapur', 'city', 'IN', 16.8244, 75.7154, 606],
+    ['Venezia', 'city', 'IT', 45.4386, 12.3267, 3],
+    ['Linyi', 'city', 'CN', 35.0631, 118.3428, 69],
+    ['San Pedro', 'city', 'PH', 14.3595, 121.0473, 17],
+    ['Münster', 'city', 'DE', 51.9624, 7.6257, 64],
+    ['Gelsenkirchen', 'city', 'DE', 51.5075, 7.1228, 50],
+    ['Ciudad Victoria', 'city', 'MX', 23.7417, -99.146, 318],
+    ['Greensboro', 'city', 'NC, US', 36.0726, -79.792, 266],
+    ['Moppo', 'city', 'KR', 34.7936, 126.3886, 4],
+    ['Russeifa', 'city', 'JO', 32.0178, 36.0464, 614],
+    ['Windhoek', 'city', 'NA', -22.5594, 17.0832, 1656],
+    ['Tshikapa', 'city', 'CD', -6.4162, 20.7999, 484],
+    ['Kafr ad Dawwār', 'city', 'EG', 31.1338, 30.1284, 0],
+    ['Tokushima-shi', 'city', 'JP', 34.0658, 134.5594, 11],
+    ['Haifa', 'city', 'IL', 32.8184, 34.9885, 40],
+    ['Sterlitamak', 'city', 'RU', 53.6246, 55.9502, 148],
+    ['Hayil', 'city', 'SA', 27.5219, 41.6907, 1002],
+    ['Chengzhong', 'city', 'CN', 30.9445, 113.5528, 34],
+    ['Wuzhou', 'city', 'CN', 23.4833, 111.3167, 75],
+    ['Hulan Ergi', 'city', 'CN', 47.2042, 123.6333, 152],
+    ['Aizawl', 'city', 'IN', 23.7289, 92.7179, 1018],
+    ['Aachen', 'city', 'DE', 50.7766, 6.0834, 266],
+    ['Sumqayıt', 'city', 'AZ', 40.5897, 49.6686, -11],
+    ['Mantampay', 'city', 'PH', 8.1667, 124.2167, 172],
+    ['Petrozavodsk', 'city', 'RU', 61.7849, 34.3469, 73],
+    ['El Daein', 'city', 'SD', 11.4619, 26.1258, 478],
+    ['Umuahia', 'city', 'NG', 5.5263, 7.4896, 164],
+    ['Mianyang', 'city', 'CN', 31.4593, 104.7542, 468],
+    ['Sivas', 'city', 'TR', 39.7483, 37.0161, 1287],
+    ['Oaxaca', 'city', 'MX', 17.0711, -96.7191, 1570],
+    ['Witbank', 'city', 'ZA', -25.8713, 29.2332, 1629],
+    ['Eixample', 'city', 'ES', 41.389, 2.1618, 44],
+    ['Aqtöbe', 'city', 'KZ', 50.2797, 57.2072, 210],
+    ['Paraná', 'city', 'AR', -31.732, -60.5238, 60],
+    ['Jālna', 'city', 'IN', 19.841, 75.8864, 504],
+    ['Lal Bahadur Nagar', 'city', 'IN', 17.3477, 78.5576, 511],
+    ['Mönchengladbach', 'city', 'DE', 51.1854, 6.4417, 57],
+    ['Markham', 'city', 'CA', 43.8668, -79.2663, 168],
+    ['Malmö', 'city', 'SE', 55.6059, 13.0007, 10],
+    ['Buffalo', 'city', 'NY, US', 42.8865, -78.8784, 183],
+    ['Dewas', 'city', 'IN', 22.9658, 76.0553, 544],
+    ['Sincelejo', 'city', 'CO', 9.3047, -75.3978, 211],
+    ['Tongliao', 'city', 'CN', 43.6125, 122.2653, 182],
+    ['Uberaba', 'city', 'BR', -19.7483, -47.9319, 772],
+    ['Stoke-on-Trent', 'city', 'GB', 53.0042, -2.1854, 114],
+    ['Baranagar', 'city', 'IN', 22.6413, 88.3773, 10],
+    ['Aral', 'city', 'CN', 40.5156, 81.2636, 1010],
+    ['Meguro-ku', 'city', 'JP', 35.6415, 139.6982, 26],
+    ['Nakuru', 'city', 'KE', -0.2833, 36.0667, 1848],
+    ['Plano', 'city', 'TX, US', 33.0198, -96.6989, 203],
+    ['Cần Thơ', 'city', 'VN', 10.0333, 105.7833, 6],
+    ['Augsburg', 'city', 'DE', 48.3667, 10.8833, 485],
+    ['Hiratsuka', 'city', 'JP', 35.3231, 139.3422, 6],
+    ['Gajuwaka', 'city', 'IN', 17.7, 83.2167, 17],
+    ['Jiujiang', 'city', 'CN', 29.7333, 115.9833, 10],
+    ['Jining', 'city', 'CN', 41.0275, 113.1058, 1409],
+    ['Popayán', 'city', 'CO', 2.4382, -76.6132, 1760],
+    ['Najrān', 'city', 'SA', 17.4924, 44.1277, 1310],
+    ['Lincoln', 'city', 'NE, US', 40.8, -96.667, 367],
+    ['Ciudad Obregón', 'city', 'MX', 27.4922, -109.9395, 40],
+    ['Al Mukallā', 'city', 'YE', 14.5425, 49.1242, 39],
+    ['Pekalongan', 'city', 'ID', -6.8886, 109.6753, 10],
+    ['Cumaná', 'city', 'VE', 10.4635, -64.1775, 8],
+    ['Satna', 'city', 'IN', 24.5822, 80.8248, 329],
+    ['Henderson', 'city', 'NV, US', 36.0397, -114.9819, 569],
+    ['Rio Branco', 'city', 'BR', -9.9747, -67.81, 153],
+    ['Etāwah', 'city', 'IN', 26.7778, 79.0216, 153],
+    ['Cascavel', 'city', 'BR', -24.9558, -53.4553, 786],
+    ['L\'Hospitalet de Llobregat', 'city', 'ES', 41.3597, 2.1003, 18],
+    ['Ondo', 'city', 'NG', 7.1, 4.8333, 253],
+    ['Chimoio', 'city', 'MZ', -19.1164, 33.4833, 709],
+    ['Espoo', 'city', 'FI', 60.2052, 24.6522, 16],
+    ['Latina', 'city', 'ES', 40.389, -3.7457, 652],
+    ['Bratsk', 'city', 'RU', 56.1325, 101.6142, 443],
+    ['Ensenada', 'city', 'MX', 31.8661, -116.5997, 30],
+    ['Dzerzhinsk', 'city', 'RU', 56.2414, 43.4554, 92],
+    ['Tarsus', 'city', 'TR', 36.9188, 34.8784, 28],
+    ['Sari', 'city', 'IR', 36.5633, 53.0601, 43],
+    ['Durg', 'city', 'IN', 21.1833, 81.2833, 294],
+    ['Ljubljana', 'city', 'SI', 46.0511, 14.5051, 295],
+    ['Rivne', 'city', 'UA', 50.6231, 26.2274, 207],
+    ['Laochenglu', 'city', 'CN', 42.9251, 89.1683, -4],
+    ['Ikot-Ekpene', 'city', 'NG', 5.1794, 7.7108, 90],
+    ['Heze', 'city', 'CN', 35.2431, 115.4411, 47],
+    ['Yamagata-shi', 'city', 'JP', 38.2406, 140.3633, 200],
+    ['Santa Catarina', 'city', 'MX', 25.6732, -100.4581, 675],
+    ['Cirebon', 'city', 'ID', -6.7063, 108.557, 8],
+    ['Novo Hamburgo', 'city', 'BR', -29.6783, -51.1306, 56],
+    ['Cox’s Bāzār', 'city', 'BD', 21.4539, 91.9677, 8],
+    ['Gdynia', 'city', 'PL', 54.5189, 18.5319, 14],
+    ['Fort Wayne', 'city', 'IN, US', 41.1306, -85.1289, 247],
+    ['Carabanchel', 'city', 'ES', 40.3909, -3.7242, 622],
+    ['Naihāti', 'city', 'IN', 22.894, 88.4152, 18],
+    ['Verona', 'city', 'IT', 45.4342, 10.9978, 57],
+    ['Vitória da Conquista', 'city', 'BR', -14.8661, -40.8394, 876],
+    ['Laohekou', 'city', 'CN', 32.3858, 111.6678, 93],
+    ['Talcahuano', 'city', 'CL', -36.7249, -73.1168, 15],
+    ['Richards Bay', 'city', 'ZA', -28.783, 32.0377, 9],
+    ['Wolverhampton', 'city', 'GB', 52.5855, -2.123, 160],
+    ['El Fasher', 'city', 'SD', 13.6279, 25.3494, 748],
+    ['Thiès Nones', 'city', 'SN', 14.7833, -16.9667, 85],
+    ['Dire Dawa', 'city', 'ET', 9.5931, 41.8661, 1204],
+    ['Floridablanca', 'city', 'CO', 7.0622, -73.0864, 928],
+    ['Suihua', 'city', 'CN', 46.6395, 126.9951, 183],
+    ['Messina', 'city', 'IT', 38.1933, 15.5497, 66],
+    ['Barueri', 'city', 'BR', -23.5106, -46.8761, 729],
+    ['Borūjerd', 'city', 'IR', 33.8973, 48.7516, 1574],
+    ['Eimsbüttel', 'city', 'DE', 53.5667, 9.9833, 15],
+    ['Liupanshui', 'city', 'CN', 26.5944, 104.8333, 1799],
+    ['Qarchak', 'city', 'IR', 35.4287, 51.5754, 966],
+    ['Surco', 'city', 'PE', -12.1395, -77.0062, 88],
+    ['Taubaté', 'city', 'BR', -23.0264, -45.5553, 589],
+    ['Nanyang', 'city', 'CN', 32.9947, 112.5328, 131],
+    ['San Fernando', 'city', 'PH', 15.0286, 120.6898, 6],
+    ['Los Reyes', 'city', 'MX', 19.3636, -98.9771, 2240],
+    ['Morogoro', 'city', 'TZ', -6.821, 37.6612, 504],
+    ['Governador Valadares', 'city', 'BR', -18.8511, -41.9494, 169],
+    ['Tirupati', 'city', 'IN', 13.6355, 79.4199, 156],
+    ['Banda Aceh', 'city', 'ID', 5.5577, 95.3222, 8],
+    ['Wafangdian', 'city', 'CN', 39.6183, 122.0081, 103],
+    ['Sonīpat', 'city', 'IN', 28.9959, 77.0117, 225],
+    ['Santa Clara', 'city', 'CU', 22.4, -79.9667, 122],
+    ['Iwo', 'city', 'NG', 7.6333, 4.1833, 237],
+    ['Libertad', 'city', 'PH', 8.9442, 125.5019, 8],
+    ['Gombe', 'city', 'NG', 10.2897, 11.1673, 460],
+    ['Altona', 'city', 'DE', 53.55, 9.9333, 34],
+    ['Āvadi', 'city', 'IN', 13.1147, 80.1098, 29],
+    ['Praia Grande', 'city', 'BR', -24.0058, -46.4028, 11],
+    ['Port-de-Paix', 'city', 'HT', 19.9389, -72.8326, 10],
+    ['Tel Aviv', 'city', 'IL', 32.0809, 34.7806, 15],
+    ['Colonia del Valle', 'city', 'MX', 19.3861, -99.162, 2247],
+    ['Niš', 'city', 'RS', 43.3247, 21.9033, 194],
+    ['San Bernardo', 'city', 'CL', -33.5922, -70.6996, 571],
+    ['Várzea Grande', 'city', 'BR', -15.6467, -56.1325, 197],
+    ['Porto', 'city', 'PT', 41.1496, -8.611, 97],
+    ['Volta Redonda', 'city', 'BR', -22.5231, -44.1042, 400],
+    ['Kirovohrad', 'city', 'UA', 48.5132, 32.2597, 114],
+    ['Santa Maria', 'city', 'BR', -29.6842, -53.8069, 146],
+    ['Fukui-shi', 'city', 'JP', 36.0644, 136.2226, 15],
+    ['Dniprodzerzhyns’k', 'city', 'UA', 48.5113, 34.6021, 94],
+    ['Montpellier', 'city', 'FR', 43.6109, 3.8772, 56],
+    ['Jimeta', 'city', 'NG', 9.2833, 12.4667, 156],
+    ['Częstochowa', 'city', 'PL', 50.7965, 19.1241, 253],
+    ['Tiruvottiyūr', 'city', 'IN', 13.1582, 80.3018, 9],
+    ['Oshawa', 'city', 'CA', 43.9001, -78.8496, 105],
+    ['Palmira', 'city', 'CO', 3.5394, -76.3036, 1005],
+    ['Bukhara', 'city', 'UZ', 39.7747, 64.4286, 229],
+    ['Sumida-ku', 'city', 'JP', 35.7107, 139.8015, 12],
+    ['Jersey City', 'city', 'NJ, US', 40.7282, -74.0776, 9],
+    ['Sāgar', 'city', 'IN', 23.8425, 78.7439, 531],
+    ['Plymouth', 'city', 'GB', 50.3715, -4.143, 14],
+    ['Udon Thani', 'city', 'TH', 17.4157, 102.7859, 177],
+    ['Chemnitz', 'city', 'DE', 50.8333, 12.9167, 300],
+    ['Ica', 'city', 'PE', -14.0678, -75.7286, 408],
+    ['Orsk', 'city', 'RU', 51.2049, 58.5669, 192],
+    ['Vanderbijlpark', 'city', 'ZA', -26.7117, 27.8379, 1485],
+    ['Nottingham', 'city', 'GB', 52.9536, -1.1505, 46],
+    ['San Cristóbal', 'city', 'VE', 7.7669, -72.225, 899],
+    ['Mito-shi', 'city', 'JP', 36.3414, 140.4467, 37],
+    ['Rizhao', 'city', 'CN', 35.4275, 119.4553, 16],
+    ['Southampton', 'city', 'GB', 50.904, -1.4043, 19],
+    ['A Coruña', 'city', 'ES', 43.3713, -8.396, 22],
+    ['Mau', 'city', 'IN', 25.9417, 83.5611, 78],
+    ['Shimonoseki', 'city', 'JP', 33.95, 130.95, null],
+    ['Juliaca', 'city', 'PE', -15.5, -70.1333, 3834],
+    ['Nicolás Romero', 'city', 'MX', 19.6366, -99.3068, 2398],
+    ['Ji’an', 'city', 'CN', 27.1172, 114.9793, 72],
+    ['Gorgān', 'city', 'IR', 36.8417, 54.4436, 143],
+    ['Nizhnevartovsk', 'city', 'RU', 60.9344, 76.5531, 50],
+    ['Saint Petersburg', 'city', 'FL, US', 27.7709, -82.6793, 13],
+    ['Braunschweig', 'city', 'DE', 52.2659, 10.5267, 72],
+    ['Hebi', 'city', 'CN', 35.8992, 114.1925, 138],
+    ['Bago', 'city', 'MM', 17.3352, 96.4814, 18],
+    ['Bihār Sharīf', 'city', 'IN', 25.1973, 85.5237, 61],
+    ['Baruta', 'city', 'VE', 10.434, -66.8766, 1002],
+    ['Puente de Vallecas', 'city', 'ES', 40.3924, -3.6597, 636],
+    ['Trabzon', 'city', 'TR', 41.005, 39.7269, 39],
+    ['Reading', 'city', 'GB', 51.4562, -0.9711, 51],
+    ['Jessore', 'city', 'BD', 23.1697, 89.2137, 15],
+    ['Manisa', 'city', 'TR', 38.612, 27.4265, 77],
+    ['Chula Vista', 'city', 'CA, US', 32.6401, -117.0842, 21],
+    ['Louisville', 'city', 'KY, US', 38.2542, -85.7594, 142],
+    ['Santa Luzia', 'city', 'BR', -19.7697, -43.8514, 760],
+    ['Kunsan', 'city', 'KR', 35.9786, 126.7114, 14],
+    ['Wŏnju', 'city', 'KR', 37.3514, 127.9453, 133],
+    ['Angarsk', 'city', 'RU', 52.5367, 103.8864, 437],
+    ['Mar’ino', 'city', 'RU', 55.65, 37.7167, 118],
+    ['Hāpur', 'city', 'IN', 28.7304, 77.7814, 219],
+    ['Norfolk', 'city', 'VA, US', 36.8468, -76.2852, 2],
+    ['Bhatinda', 'city', 'IN', 30.2071, 74.9414, 211],
+    ['Deir ez-Zor', 'city', 'SY', 35.3359, 40.1408, 210],
+    ['Berbera', 'city', 'SO', 10.4396, 45.0143, 11],
+    ['Ojo de Agua', 'city', 'MX', 19.6803, -99.01, 2247],
+    ['Gatineau', 'city', 'CA', 45.4772, -75.7016, 53],
+    ['Yibin', 'city', 'CN', 28.7667, 104.6238, 291],
+    ['Neuquén', 'city', 'AR', -38.9516, -68.0591, 281],
+    ['Novorossiysk', 'city', 'RU', 44.7244, 37.7675, 9],
+    ['Berlin Reinickendorf', 'city', 'DE', 52.5667, 13.3333, 42],
+    ['Tehuacán', 'city', 'MX', 18.4615, -97.3928, 1637],
+    ['Aswan', 'city', 'EG', 24.0908, 32.8994, 79],
+    ['Farrukhābād', 'city', 'IN', 27.3905, 79.5801, 157],
+    ['Sancaktepe', 'city', 'TR', 41.0024, 29.2319, 114],
+    ['Takasaki', 'city', 'JP', 36.3333, 139.0167, 93],
+    ['Anantapur', 'city', 'IN', 14.6794, 77.5988, 349],
+    ['Buenaventura', 'city', 'CO', 3.8801, -77.0312, 19],
+    ['Lǝnkǝran', 'city', 'AZ', 38.7543, 48.8506, -16],
+    ['Fuchū', 'city', 'JP', 35.6667, 139.4833, 50],
+    ['Fuji', 'city', 'JP', 35.1667, 138.6833, 9],
+    ['Halle Neustadt', 'city', 'DE', 51.4792, 11.9161, 85],
+    ['Xiantao', 'city', 'CN', 30.3833, 113.4, 30],
+    ['Hachinohe', 'city', 'JP', 40.5, 141.5, 20],
+    ['Vaughan', 'city', 'CA', 43.8361, -79.4983, 218],
+    ['Gravataí', 'city', 'BR', -29.9444, -50.9919, 41],
+    ['Neyagawa', 'city', 'JP', 34.7662, 135.6276, 4],
+    ['Nāgarpur', 'city', 'BD', 24.0578, 89.877, 15],
+    ['Orlando', 'city', 'FL, US', 28.5383, -81.3792, 30],
+    ['Kurume', 'city', 'JP', 33.3167, 130.5167, 10],
+    ['Balıkesir', 'city', 'TR', 39.6492, 27.8861, 139],
+    ['Temuco', 'city', 'CL', -38.7396, -72.5984, 114],
+    ['Krefeld', 'city', 'DE', 51.3392, 6.5861, 38],
+    ['As Sīb al Jadīdah', 'city', 'OM', 23.6703, 58.1891, 7],
+    ['Bārāsat', 'city', 'IN', 22.2252, 88.4509, 7],
+    ['Århus', 'city', 'DK', 56.1567, 10.2108, 10],
+    ['Sasebo', 'city', 'JP', 33.1592, 129.7228, 1],
+    ['Batangas', 'city', 'PH', 13.7567, 121.0584, 16],
+    ['Uruapan del Progreso', 'city', 'MX', 19.4136, -102.0528, 1622],
+    ['Al Jubayl', 'city', 'SA', 27.0112, 49.6583, 7],
+    ['Pathein', 'city', 'MM', 16.7792, 94.7321, 8],
+    ['Tegal', 'city', 'ID', -6.8694, 109.1402, 7],
+    ['Djougou', 'city', 'BJ', 9.7085, 1.666, 444],
+    ['Sylhet', 'city', 'BD', 24.899, 91.872, 26],
+    ['Ratlām', 'city', 'IN', 23.3303, 75.0403, 486],
+    ['Košice', 'city', 'SK', 48.7139, 21.2581, 205],
+    ['Chernivtsi', 'city', 'UA', 48.2915, 25.9403, 228],
+    ['Chandler', 'city', 'AZ, US', 33.3062, -111.8413, 370],
+    ['Dera Ghazi Khan', 'city', 'PK', 30.0561, 70.6348, 129],
+    ['Laredo', 'city', 'TX, US', 27.5064, -99.5075, 126],
+    ['Yuci', 'city', 'CN', 37.6803, 112.7319, 798],
+    ['Sahiwal', 'city', 'PK', 30.6667, 73.1, 173],
+    ['Ternopil’', 'city', 'UA', 49.5559, 25.6056, 332],
+    ['Gasteiz / Vitoria', 'city', 'ES', 42.85, -2.6727, 547],
+    ['Yakutsk', 'city', 'RU', 62.0339, 129.7331, 126],
+    ['Caruaru', 'city', 'BR', -8.2833, -35.9761, 568],
+    ['Qinā', 'city', 'EG', 26.1642, 32.7267, 80],
+    ['Boa Vista', 'city', 'BR', 2.8197, -60.6733, 82],
+    ['Kediri', 'city', 'ID', -7.8167, 112.0167, 74],
+    ['Derby', 'city', 'GB', 52.9228, -1.4766, 55],
+    ['Georgetown', 'city', 'GY', 6.8045, -58.1553, 3],
+    ['Ramagundam', 'city', 'IN', 18.755, 79.474, 149],
+    ['Kismayo', 'city', 'SO', -0.3582, 42.5454, 11],
+    ['Ibb', 'city', 'YE', 13.9667, 44.1833, 1931],
+    ['Türkmenabat', 'city', 'TM', 39.0733, 63.5786, 191],
+    ['Granada', 'city', 'ES', 37.1882, -3.6067, 689],
+    ['Nizhnekamsk', 'city', 'RU', 55.6366, 51.8245, 119],
+    ['Porto-Novo', 'city', 'BJ', 6.4965, 2.6036, 20],
+    ['Halle (Saale)', 'city', 'DE', 51.5, 12, 109],
+    ['Centurion', 'city', 'ZA', -25.8589, 28.1858, 1432],
+    ['Tagum', 'city', 'PH', 7.4478, 125.8078, 26],
+    ['Madison', 'city', 'WI, US', 43.0731, -89.4012, 267],
+    ['Hamburg-Mitte', 'city', 'DE', 53.55, 10.0167, 8],
+    ['Takoradi', 'city', 'GH', 4.8845, -1.7554, 22],
+    ['Kiel', 'city', 'DE', 54.3213, 10.1349, 7],
+    ['Linfen', 'city', 'CN', 36.0889, 111.5189, 451],
+    ['Bordeaux', 'city', 'FR', 44.8404, -0.5805, 20],
+    ['Gangānagar', 'city', 'IN', 29.9201, 73.875, 176],
+    ['Chigasaki', 'city', 'JP', 35.3261, 139.4039, 8],
+    ['Gent', 'city', 'BE', 51.05, 3.7167, 10],
+    ['Taytay', 'city', 'PH', 14.5678, 121.1394, 17],
+    ['Sōka', 'city', 'JP', 35.8203, 139.8044, 4],
+    ['Ngaoundéré', 'city', 'CM', 7.3277, 13.5847, 1214],
+    ['Suncheon', 'city', 'KR', 34.9481, 127.4895, 16],
+    ['Coatzacoalcos', 'city', 'MX', 18.1421, -94.4371, 25],
+    ['Syktyvkar', 'city', 'RU', 61.6764, 50.8099, 150],
+    ['Elche', 'city', 'ES', 38.2622, -0.7011, 96],
+    ['Marka', 'city', 'SO', 1.7159, 44.7717, 12],
+    ['Nukus', 'city', 'UZ', 42.4531, 59.6103, 76],
+    ['Ḩalwān', 'city', 'EG', 29.8414, 31.3008, 28],
+    ['Magdeburg', 'city', 'DE', 52.1277, 11.6292, 57],
+    ['Winston-Salem', 'city', 'NC, US', 36.0999, -80.2442, 293],
+    ['Lubbock', 'city', 'TX, US', 33.5779, -101.8552, 976],
+    ['Nawābshāh', 'city', 'PK', 26.2483, 68.4095, 34],
+    ['Baton Rouge', 'city', 'LA, US', 30.4507, -91.1546, 14],
+    ['Tripoli', 'city', 'LB', 34.4367, 35.8497, 77],
+    ['Bharatpur', 'city', 'IN', 27.2173, 77.4901, 180],
+    ['Longueuil', 'city', 'CA', 45.5312, -73.5181, 18],
+    ['Atsugi', 'city', 'JP', 35.4389, 139.3597, 28],
+    ['Croix des Bouquets', 'city', 'HT', 18.5751, -72.223, 58],
+    ['Magdalena Contreras', 'city', 'MX', 19.3321, -99.2112, 2348],
+    ['Uitenhage', 'city', 'ZA', -33.7576, 25.3971, 103],
+    ['Ploieşti', 'city', 'RO', 44.95, 26.0167, 161],
+    ['Sungai Petani', 'city', 'MY', 5.647, 100.4877, 17],
+    ['Binjai', 'city', 'ID', 3.6001, 98.4854, 34],
+    ['Lucena', 'city', 'PH', 13.9314, 121.6172, 9],
+    ['Ipatinga', 'city', 'BR', -19.4683, -42.5367, 229],
+    ['Karīmnagar', 'city', 'IN', 18.4392, 79.1286, 279],
+    ['Gómez Palacio', 'city', 'MX', 25.5647, -103.4958, 1135],
+    ['Rạch Giá', 'city', 'VN', 10.0167, 105.0833, 9],
+    ['Durham', 'city', 'NC, US', 35.994, -78.8986, 123],
+    ['Lille', 'city', 'FR', 50.633, 3.0586, 27],
+    ['Miri', 'city', 'MY', 4.4148, 114.0089, 8],
+    ['Ciudad Lineal', 'city', 'ES', 40.4535, -3.6543, 707],
+    ['Bexley', 'city', 'GB', 51.4416, 0.1487, 16],
+    ['Sumaré', 'city', 'BR', -22.8219, -47.2669, 573],
+    ['Damanhūr', 'city', 'EG', 31.0392, 30.4691, 9],
+    ['Nassau', 'city', 'BS', 25.0582, -77.3431, 5],
+    ['San Lorenzo', 'city', 'PY', -25.3397, -57.5088, 119],
+    ['Iquique', 'city', 'CL', -20.2204, -70.1391, 37],
+    ['Kremenchuk', 'city', 'UA', 49.068, 33.4204, 66],
+    ['Puducherry', 'city', 'IN', 11.9338, 79.8298, 11],
+    ['Mingāora', 'city', 'PK', 34.7758, 72.3625, 951],
+    ['Sosnowiec', 'city', 'PL', 50.2868, 19.1039, 256],
+    ['Diez de Octubre', 'city', 'CU', 23.0881, -82.3597, 63],
+    ['Al Minyā', 'city', 'EG', 28.1099, 30.7503, 49],
+    ['Staryy Oskol', 'city', 'RU', 51.2967, 37.8417, 139],
+    ['Liaocheng', 'city', 'CN', 36.4439, 115.9647, 39],
+    ['Garland', 'city', 'TX, US', 32.9126, -96.6389, 168],
+    ['Gusau', 'city', 'NG', 12.1628, 6.6613, 450],
+    ['Neue Neustadt', 'city', 'DE', 52.15, 11.6333, 51],
+    ['Radom', 'city', 'PL', 51.4025, 21.1471, 159],
+    ['Glendale', 'city', 'AZ, US', 33.5386, -112.186, 351],
+    ['Shrīrāmpur', 'city', 'IN', 22.7528, 88.3422, 11],
+    ['Fendou', 'city', 'CN', 46.6414, 124.8628, 147],
+    ['Sabzevar', 'city', 'IR', 36.2126, 57.6819, 974],
+    ['Ajman', 'city', 'AE', 25.4111, 55.435, 4],
+    ['Huambo', 'city', 'AO', -12.7761, 15.7392, 1716],
+    ['Groznyy', 'city', 'RU', 43.312, 45.6889, 128],
+    ['Geelong', 'city', 'AU', -38.1471, 144.3607, 23],
+    ['Rāichūr', 'city', 'IN', 16.2047, 77.354, 408],
+    ['Huanggang', 'city', 'CN', 23.677, 116.9996, 13],
+    ['Quthbullapur', 'city', 'IN', 17.5011, 78.4582, 554],
+    ['Mubi', 'city', 'NG', 10.2676, 13.2644, 575],
+    ['Bukavu', 'city', 'CD', -2.4908, 28.8428, 1631],
+    ['Lexington', 'city', 'KY, US', 37.9887, -84.4777, 295],
+    ['Juazeiro do Norte', 'city', 'BR', -7.2131, -39.3153, 413],
+    ['Reno', 'city', 'NV, US', 39.5296, -119.8138, 1373],
+    ['Mymensingh', 'city', 'BD', 24.7564, 90.4065, 19],
+    ['Karnāl', 'city', 'IN', 29.6901, 76.9884, 252],
+    ['Roodepoort', 'city', 'ZA', -26.1625, 27.8725, 1738],
+    ['Tanga', 'city', 'TZ', -5.0689, 39.0988, 22],
+    ['Jingling', 'city', 'CN', 30.65, 113.1, 30],
+    ['Sucre', 'city', 'BO', -19.0333, -65.2627, 2798],
+    ['Cidade de Nacala', 'city', 'MZ', -14.5428, 40.6728, 22],
+    ['Hialeah', 'city', 'FL, US', 25.8576, -80.2781, 2],
+    ['Ashdod', 'city', 'IL', 31.7921, 34.6497, 27],
+    ['Minami-rinkan', 'city', 'JP', 35.4833, 139.45, 72],
+    ['Oviedo', 'city', 'ES', 43.3603, -5.8448, 237],
+    ['Berlin Spandau', 'city', 'DE', 52.5511, 13.1992, 35],
+    ['Paramaribo', 'city', 'SR', 5.8664, -55.1668, 5],
+    ['Adıyaman', 'city', 'TR', 37.7644, 38.2763, 678],
+    ['Ara', 'city', 'IN', 25.5631, 84.6714, 68],
+    ['Okāra', 'city', 'PK', 30.8081, 73.4458, 186],
+    ['Nārāyanganj', 'city', 'BD', 23.6135, 90.503, 13],
+    ['Tongchuan', 'city', 'CN', 35.0806, 109.0897, 851],
+    ['Imphal', 'city', 'IN', 24.8081, 93.9442, 784],
+    ['Najafābād', 'city', 'IR', 32.6344, 51.3668, 1649],
+    ['Paradise', 'city', 'NV, US', 36.0972, -115.1467, 627],
+    ['Qarshi', 'city', 'UZ', 38.8606, 65.7891, 374],
+    ['Gosāba', 'city', 'IN', 22.1655, 88.8007, 8],
+    ['Puerto Princesa', 'city', 'PH', 9.7392, 118.7353, 20],
+    ['Xintai', 'city', 'CN', 35.9006, 117.7519, 197],
+    ['Santa Cruz de Tenerife', 'city', 'ES', 28.4682, -16.2546, 10],
+    ['Haeju', 'city', 'KP', 38.0406, 125.7147, 57],
+    ['Graz', 'city', 'AT', 47.0667, 15.45, 363],
+    ['Chesapeake', 'city', 'VA, US', 36.819, -76.2749, 3],
+    ['Ikire', 'city', 'NG', 7.35, 4.1833, 200],
+    ['Embu', 'city', 'BR', -23.6489, -46.8522, 784],
+    ['Formosa', 'city', 'AR', -26.1775, -58.1781, 70],
+    ['Shakhty', 'city', 'RU', 47.7091, 40.2144, 114],
+    ['Blagoveshchensk', 'city', 'RU', 50.2796, 127.5405, 131],
+    ['Olongapo', 'city', 'PH', 14.8292, 120.2828, 11],
+    ['Banja Luka', 'city', 'BA', 44.7758, 17.1856, 166],
+    ['Sant Martí', 'city', 'ES', 41.4181, 2.1993, 21],
+    ['Neyshābūr', 'city', 'IR', 36.2133, 58.7958, 1199],
+    ['Wuxue', 'city', 'CN', 29.8506, 115.5525, 23],
+    ['Babruysk', 'city', 'BY', 53.1384, 29.2214, 159],
+    ['Rishon LeẔiyyon', 'city', 'IL', 31.971, 34.7894, 56],
+    ['Cabanatuan City', 'city', 'PH', 15.4859, 120.9665, 36],
+    ['Fuencarral-El Pardo', 'city', 'ES', 40.4984, -3.7314, 687],
+    ['Mirzāpur', 'city', 'IN', 25.1458, 82.5697, 89],
+    ['Takarazuka', 'city', 'JP', 34.7994, 135.357, 29],
+    ['Kharagpur', 'city', 'IN', 22.3397, 87.325, 42],
+    ['Dhanbād', 'city', 'IN', 23.802, 86.4432, 250],
+    ['Thanjāvūr', 'city', 'IN', 10.7852, 79.1391, 57],
+    ['Badalona', 'city', 'ES', 41.45, 2.2474, 16],
+    ['Ageoshimo', 'city', 'JP', 35.9714, 139.6138, 11],
+    ['Binangonan', 'city', 'PH', 14.4646, 121.1929, 10],
+    ['Oberhausen', 'city', 'DE', 51.4731, 6.8807, 47],
+    ['Chon Buri', 'city', 'TH', 13.3622, 100.9835, 8],
+    ['Prokop’yevsk', 'city', 'RU', 53.9059, 86.719, 321],
+    ['Eldoret', 'city', 'KE', 0.5204, 35.2699, 2095],
+    ['Wuhai', 'city', 'CN', 39.6844, 106.8158, 1095],
+    ['Bertoua', 'city', 'CM', 4.5773, 13.6846, 665],
+    ['Imperatriz', 'city', 'BR', -5.5264, -47.4917, 127],
+    ['San Pedro de Macorís', 'city', 'DO', 18.4616, -69.2972, 8],
+    ['Amarnāth', 'city', 'IN', 19.2, 73.1667, 44],
+    ['Taiping', 'city', 'MY', 4.85, 100.7333, 19],
+    ['Scottsdale', 'city', 'AZ, US', 33.5092, -111.899, 383],
+    ['Alor Setar', 'city', 'MY', 6.121, 100.3601, 7],
+    ['Minato-ku', 'city', 'JP', 35.6581, 139.7516, 29],
+    ['Purwokerto', 'city', 'ID', -7.4214, 109.2344, 81],
+    ['Colombo', 'city', 'BR', -25.2917, -49.2242, 1007],
+    ['North Las Vegas', 'city', 'NV, US', 36.1989, -115.1175, 565],
+    ['Jamaica', 'city', 'NY, US', 40.6915, -73.8057, 13],
+    ['Gilgit', 'city', 'PK', 35.9187, 74.3124, 1467],
+    ['Rybinsk', 'city', 'RU', 58.0446, 38.8426, 98],
+    ['Hobart', 'city', 'AU', -42.8794, 147.3294, 19],
+    ['Santa Rosa', 'city', 'PH', 14.3122, 121.1114, 13],
+    ['Kisumu', 'city', 'KE', -0.1022, 34.7617, 1174],
+    ['Irving', 'city', 'TX, US', 32.814, -96.9489, 147],
+    ['Imus', 'city', 'PH', 14.4297, 120.9367, 10],
+    ['Vykhino-Zhulebino', 'city', 'RU', 55.702, 37.8118, 133],
+    ['Freiburg', 'city', 'DE', 47.9959, 7.8522, 278],
+    ['Galkissa', 'city', 'LK', 6.8293, 79.863, 8],
+    ['Purwakarta', 'city', 'ID', -6.5569, 107.4433, 86],
+    ['Zelenograd', 'city', 'RU', 55.9825, 37.1814, 220],
+    ['Mirpur Khas', 'city', 'PK', 25.5251, 69.0159, 17],
+    ['Daloa', 'city', 'CI', 6.8774, -6.4502, 262],
+    ['Mekele', 'city', 'ET', 13.4967, 39.4753, 2068],
+    ['Biysk', 'city', 'RU', 52.5364, 85.2072, 172],
+    ['Concepción', 'city', 'CL', -36.827, -73.0498, 36],
+    ['Novi Sad', 'city', 'RS', 45.2517, 19.8369, 79],
+    ['Jinzhou', 'city', 'CN', 39.1, 121.7167, 8],
+    ['Mucumpiz', 'city', 'VE', 8.4167, -71.1333, 2236],
+    ['Velikiy Novgorod', 'city', 'RU', 58.5167, 31.2833, 26],
+    ['Owerri', 'city', 'NG', 5.4833, 7.0304, 71],
+    ['Centralniy', 'city', 'RU', 59.9311, 30.3607, 18],
+    ['Los Mochis', 'city', 'MX', 25.7912, -108.9946, 17],
+    ['Shagamu', 'city', 'NG', 6.8432, 3.6478, 48],
+    ['Taboão da Serra', 'city', 'BR', -23.6261, -46.7917, 795],
+    ['Fremont', 'city', 'CA, US', 37.5483, -121.9886, 17],
+    ['Nazrēt', 'city', 'ET', 8.55, 39.2667, 1627],
+    ['Nāgercoil', 'city', 'IN', 8.1773, 77.4344, 33],
+    ['Luts’k', 'city', 'UA', 50.7593, 25.3424, 192],
+    ['Bergen', 'city', 'NO', 60.393, 5.3242, 20],
+    ['Brăila', 'city', 'RO', 45.2667, 27.9833, 3],
+    ['Naz̧arābād', 'city', 'IR', 35.9541, 50.6061, 1199],
+    ['Guangyuan', 'city', 'CN', 32.442, 105.823, 525],
+    ['Būkān', 'city', 'IR', 36.521, 46.2089, 1352],
+    ['Jacareí', 'city', 'BR', -23.3053, -45.9658, 574],
+    ['Chōfugaoka', 'city', 'JP', 35.6592, 139.5484, 39],
+    ['Loa Janan', 'city', 'ID', -0.5829, 117.095, 9],
+    ['Rancagua', 'city', 'CL', -34.1708, -70.7444, 506],
+    ['Mokotów', 'city', 'PL', 52.1934, 21.0349, 83],
+    ['Irvine', 'city', 'CA, US', 33.6695, -117.8231, 17],
+    ['Bukit Mertajam', 'city', 'MY', 5.363, 100.4667, 27],
+    ['Lipa City', 'city', 'PH', 13.9411, 121.1631, 325],
+    ['Birmingham', 'city', 'AL, US', 33.5207, -86.8025, 187],
+    ['Marília', 'city', 'BR', -22.2139, -49.9458, 655],
+    ['Lübeck', 'city', 'DE', 53.8689, 10.6873, 16],
+    ['Cartagena', 'city', 'ES', 37.6051, -0.9862, 5],
+    ['Esenyurt', 'city', 'TR', 41.027, 28.6773, 111],
+    ['Trieste', 'city', 'IT', 45.6486, 13.78, 27],
+    ['Kırıkkale', 'city', 'TR', 39.8453, 33.5064, 731],
+    ['Hailar', 'city', 'CN', 49.2, 119.7, 624],
+    ['Terrassa', 'city', 'ES', 41.5667, 2.0167, 302],
+    ['Abha', 'city', 'SA', 18.2164, 42.5053, 2228],
+    ['Tarhuna', 'city', 'LY', 32.435, 13.6332, 391],
+    ['Matsumoto', 'city', 'JP', 36.2333, 137.9667, 593],
+    ['Rochester', 'city', 'NY, US', 43.1548, -77.6156, 154],
+    ['Daliang', 'city', 'CN', 22.8407, 113.2503, 4],
+    ['Qui Nhon', 'city', 'VN', 13.7765, 109.2237, 55],
+    ['Pāli', 'city', 'IN', 25.7728, 73.3234, 219],
+    ['Arroyo Naranjo', 'city', 'CU', 23.0361, -82.3717, 81],
+    ['Bogra', 'city', 'BD', 24.851, 89.3711, 26],
+    ['Kostanay', 'city', 'KZ', 53.2144, 63.6246, 167],
+    ['San Bernardino', 'city', 'CA, US', 34.1083, -117.2898, 321],
+    ['Chuncheon', 'city', 'KR', 37.8747, 127.7342, 92],
+    ['Vũng Tàu', 'city', 'VN', 10.346, 107.0843, 10],
+    ['Eindhoven', 'city', 'NL', 51.4408, 5.4778, 22],
+    ['Pematangsiantar', 'city', 'ID', 2.9595, 99.0687, 388],
+    ['Kanggye-si', 'city', 'KP', 40.9695, 126.5852, 288],
+    ['Presidente Prudente', 'city', 'BR', -22.1256, -51.3889, 462],
+    ['Sanming', 'city', 'CN', 26.2486, 117.6186, 126],
+    ['Sohag', 'city', 'EG', 26.557, 31.6948, 67],
+    ['Rennes', 'city', 'FR', 48.112, -1.6743, 39],
+    ['São Leopoldo', 'city', 'BR', -29.7603, -51.1472, 10],
+    ['Ijebu-Ode', 'city', 'NG', 6.8161, 3.9159, 67],
+    ['Yamunānagar', 'city', 'IN', 30.1291, 77.2805, 281],
+    ['Spokane', 'city', 'WA, US', 47.6597, -117.4291, 571],
+    ['Nakhon Ratchasima', 'city', 'TH', 14.9707, 102.102, 187],
+    ['Toruń', 'city', 'PL', 53.0138, 18.5981, 51],
+    ['Oruro', 'city', 'BO', -17.9833, -67.15, 3936],
+    ['Kielce', 'city', 'PL', 50.8703, 20.6275, 267],
+    ['Rewa', 'city', 'IN', 24.534, 81.296, 306],
+    ['Gilbert', 'city', 'AZ, US', 33.3528, -111.789, 377],
+    ['La Romana', 'city', 'DO', 18.4273, -68.9728, 30],
+    ['Gaborone', 'city', 'BW', -24.6545, 25.9086, 1011],
+    ['Shibuya-ku', 'city', 'JP', 35.664, 139.6982, 1],
+    ['Hangu', 'city', 'CN', 39.2489, 117.7892, 3],
+    ['Waitakere', 'city', 'NZ', -36.9175, 174.6577, 87],
+    ['Lobito', 'city', 'AO', -12.3644, 13.536, 4],
+    ['North Shore', 'city', 'NZ', -36.8, 174.75, 30],
+    ['Ciputat', 'city', 'ID', -6.2375, 106.6956, 23],
+    ['Sīrjān', 'city', 'IR', 29.437, 55.6802, 1734],
+    ['Arlington', 'city', 'VA, US', 38.881, -77.1043, 71],
+    ['San Pablo', 'city', 'PH', 14.0683, 121.3256, 115],
+    ['Jerez de la Frontera', 'city', 'ES', 36.6865, -6.1361, 53],
+    ['Ciampea', 'city', 'ID', -6.5547, 106.7008, 147],
+    ['Kasukabe', 'city', 'JP', 35.9812, 139.7442, 9],
+    ['Sumedang Utara', 'city', 'ID', -6.85, 107.9167, 467],
+    ['Oradea', 'city', 'RO', 47.0667, 21.9333, 126],
+    ['Annaba', 'city', 'DZ', 36.9, 7.7667, 5],
+    ['Sabadell', 'city', 'ES', 41.5433, 2.1094, 187],
+    ['Móstoles', 'city', 'ES', 40.3223, -3.865, 667],
+    ['Toamasina', 'city', 'MG', -18.1492, 49.4023, 12],
+    ['Dinājpur', 'city', 'BD', 25.6274, 88.6378, 42],
+    ['Buenavista', 'city', 'MX', 19.6083, -99.1694, 2333],
+    ['Montgomery', 'city', 'AL, US', 32.3668, -86.3, 73],
+    ['Itabuna', 'city', 'BR', -14.7856, -39.2803, 69],
+    ['Kishiwada', 'city', 'JP', 34.4667, 135.3667, 8],
+    ['Arakawa-ku', 'city', 'JP', 35.7333, 139.7833, 9],
+    ['Campeche', 'city', 'MX', 19.838, -90.5277, 4],
+    ['Suzhou', 'city', 'CN', 33.6361, 116.9789, 34],
+    ['São Carlos', 'city', 'BR', -22.0175, -47.8908, 838],
+    ['Padova', 'city', 'IT', 45.4152, 11.8818, 16],
+    ['Alcalá de Henares', 'city', 'ES', 40.4821, -3.36, 597],
+    ['Gaoping', 'city', 'CN', 30.7758, 106.1029, 283],
+    ['Numazu', 'city', 'JP', 35.1, 138.8667, 8],
+    ['Richmond', 'city', 'VA, US', 37.5538, -77.4603, 64],
+    ['Ivano-Frankivs’k', 'city', 'UA', 48.9215, 24.7097, 259],
+    ['Secunderabad', 'city', 'IN', 17.5043, 78.5426, 566],
+    ['Jōetsu', 'city', 'JP', 37.1483, 138.2364, 10],
+    ['Debrecen', 'city', 'HU', 47.5333, 21.6333, 123],
+    ['Bīdar', 'city', 'IN', 17.9133, 77.5301, 677],
+    ['Las Tunas', 'city', 'CU', 20.9617, -76.9511, 91],
+    ['Hortolândia', 'city', 'BR', -22.8583, -47.22, 584],
+    ['Bayamón', 'city', 'PR', 18.3986, -66.1557, 16],
+    ['Daqing', 'city', 'CN', 46.5833, 125, 146],
+    ['Des Moines', 'city', 'IA, US', 41.6005, -93.6091, 266],
+    ['Agartala', 'city', 'IN', 23.8361, 91.2794, 15],
+    ['Erfurt', 'city', 'DE', 50.9787, 11.0328, 195],
+    ['North Glendale', 'city', 'CA, US', 34.1606, -118.2645, 161],
+    ['Munger', 'city', 'IN', 25.3756, 86.4735, 50],
+    ['Edéa', 'city', 'CM', 3.8, 10.1333, 27],
+    ['Vasyl\'evsky Ostrov', 'city', 'RU', 59.9409, 30.2538, 7],
+    ['Odawara', 'city', 'JP', 35.2556, 139.1597, 15],
+    ['Achiaman', 'city', 'GH', 5.7, -0.3333, 39],
+    ['Osmaniye', 'city', 'TR', 37.0742, 36.2478, 128],
+    ['Burnaby', 'city', 'CA', 49.2664, -122.9526, 87],
+    ['Bābol', 'city', 'IR', 36.5513, 52.679, -1],
+    ['Burhānpur', 'city', 'IN', 21.309, 76.23, 253],
+    ['Tampere', 'city', 'FI', 61.4991, 23.7871, 114],
+    ['Yiyang', 'city', 'CN', 28.5892, 112.3283, 25],
+    ['Çorlu', 'city', 'TR', 41.1592, 27.8, 172],
+    ['Harburg', 'city', 'DE', 53.4606, 9.9839, 10],
+    ['Linxia Chengguanzhen', 'city', 'CN', 35.6003, 103.2064, 1893],
+    ['Barisāl', 'city', 'BD', 22.705, 90.3701, 10],
+    ['Cileungsir', 'city', 'ID', -6.3947, 106.9592, 78],
+    ['Nadiād', 'city', 'IN', 22.6939, 72.8616, 41],
+    ['Taranto', 'city', 'IT', 40.4761, 17.2297, 17],
+    ['Mossoró', 'city', 'BR', -5.1875, -37.3442, 24],
+    ['Pskov', 'city', 'RU', 57.8136, 28.3496, 51],
+    ['Yuncheng', 'city', 'CN', 35.0231, 110.9928, 361],
+    ['Al Khums', 'city', 'LY', 32.6486, 14.2619, 27],
+    ['Chiniot', 'city', 'PK', 31.72, 72.9789, 192],
+    ['Itapevi', 'city', 'BR', -23.5489, -46.9342, 772],
+    ['Chhapra', 'city', 'IN', 25.781, 84.7309, 61],
+    ['Rengasdengklok', 'city', 'ID', -6.1592, 107.2981, 10],
+    ['Sete Lagoas', 'city', 'BR', -19.4658, -44.2467, 764],
+    ['La Pintana', 'city', 'CL', -33.5833, -70.6342, 630],
+    ['Modesto', 'city', 'CA, US', 37.6391, -120.9969, 28],
+    ['Chiang Mai', 'city', 'TH', 18.7904, 98.9847, 313],
+    ['Petropavlovsk', 'city', 'KZ', 54.8728, 69.143, 143],
+    ['Cabimas', 'city', 'VE', 10.3883, -71.4399, 8],
+    ['Dindigul', 'city', 'IN', 10.369, 77.9804, 285],
+    ['Fayetteville', 'city', 'NC, US', 35.0527, -78.8784, 29],
+    ['Nicosia', 'city', 'CY', 35.1667, 33.3667, 149],
+    ['Santo Domingo de los Colorados', 'city', 'EC', -0.253, -79.1754, 554],
+    ['Jalālābād', 'city', 'AF', 34.4265, 70.4515, 575],
+    ['Ugep', 'city', 'NG', 5.8086, 8.0812, 101],
+    ['Yanbu‘ al Baḩr', 'city', 'SA', 24.0891, 38.0637, 10],
+    ['Charleroi', 'city', 'BE', 50.4114, 4.4445, 136],
+    ['São José', 'city', 'BR', -28.2117, -49.1632, 80],
+    ['Ladner', 'city', 'CA', 49.0894, -123.0824, 1],
+    ['Thika', 'city', 'KE', -1.0333, 37.0693, 1506],
+    ['Osh', 'city', 'KG', 40.5151, 72.8083, 1002],
+    ['Oral', 'city', 'KZ', 51.2333, 51.3667, 35],
+    ['Taldyqorghan', 'city', 'KZ', 45, 77.9167, 458],
+    ['Az Zāwīyah', 'city', 'LY', 32.7571, 12.7276, 18],
+    ['Pokhara', 'city', 'NP', 28.2669, 83.9685, 1008],
+    ['Shahkot', 'city', 'PK', 31.5709, 73.4853, 190],
+    ['Severnyy', 'city', 'RU', 55.9358, 37.5489, 186],
+    ['Sīkar', 'city', 'IN', 27.6121, 75.14, 435],
+    ['Tilburg', 'city', 'NL', 51.5555, 5.0913, 16],
+    ['Balakovo', 'city', 'RU', 52.0278, 47.8007, 28],
+    ['Armavir', 'city', 'RU', 44.9892, 41.1234, 201],
+    ['Kamoke', 'city', 'PK', 31.9744, 74.2244, 222],
+    ['Saidpur', 'city', 'BD', 25.7777, 88.8917, 43],
+    ['Āmol', 'city', 'IR', 36.4696, 52.3507, 96],
+    ['Shreveport', 'city', 'LA, US', 32.5251, -93.7502, 44],
+    ['Bila Tserkva', 'city', 'UA', 49.8094, 30.1121, 178],
+    ['Akron', 'city', 'OH, US', 41.0814, -81.519, 291],
+    ['Dudley', 'city', 'GB', 52.5, -2.0833, 161],
+    ['Hagen', 'city', 'DE', 51.3608, 7.4717, 111],
+    ['Saskatoon', 'city', 'CA', 52.1168, -106.6345, 501],
+    ['Gliwice', 'city', 'PL', 50.2976, 18.6766, 200],
+    ['Yan’an Beilu', 'city', 'CN', 44.0078, 87.3046, 581],
+    ['Malolos', 'city', 'PH', 14.8443, 120.8104, 9],
+    ['Bulandshahr', 'city', 'IN', 28.403, 77.8582, 209],
+    ['Capiatá', 'city', 'PY', -25.3552, -57.4455, 130],
+    ['Pamplona', 'city', 'ES', 42.8169, -1.6432, 460],
+    ['Purnia', 'city', 'IN', 25.7789, 87.4742, 44],
+    ['Kaiyuan', 'city', 'CN', 23.6977, 103.3037, 1259],
+    ['Tacoma', 'city', 'WA, US', 47.2529, -122.4443, 74],
+    ['Rostock', 'city', 'DE', 54.0887, 12.1405, 18],
+    ['Sibu', 'city', 'MY', 2.3, 111.8167, 0],
+    ['Machala', 'city', 'EC', -3.2586, -79.9605, 16],
+    ['Tapachula', 'city', 'MX', 14.907, -92.2618, 175],
+    ['Aurora', 'city', 'IL, US', 41.7606, -88.3201, 207],
+    ['Oxnard', 'city', 'CA, US', 34.1975, -119.177, 16],
+    ['Hospet', 'city', 'IN', 15.2695, 76.3871, 487],
+    ['Fuenlabrada', 'city', 'ES', 40.2842, -3.7942, 671],
+    ['Mentougou', 'city', 'CN', 39.9382, 116.0931, 111],
+    ['Talca', 'city', 'CL', -35.4264, -71.6554, 104],
+    ['Gurgaon', 'city', 'IN', 28.4601, 77.0263, 228],
+    ['Northampton', 'city', 'GB', 52.25, -0.8833, 97],
+    ['Ðà Lạt', 'city', 'VN', 11.9465, 108.4419, 1483],
+    ['Bīrjand', 'city', 'IR', 32.8663, 59.2211, 1459],
+    ['San-Pédro', 'city', 'CI', 4.7485, -6.6363, 9],
+    ['Vientiane', 'city', 'LA', 17.9667, 102.6, 174],
+    ['Kure', 'city', 'JP', 34.2322, 132.5666, 100],
+    ['İzmit', 'city', 'TR', 40.7669, 29.9169, 66],
+    ['Reims', 'city', 'FR', 49.25, 4.0333, 84],
+    ['Laâyoune / El Aaiún', 'city', 'EH', 27.1622, -13.2032, 35],
+    ['Palmas', 'city', 'BR', -10.1675, -48.3277, 220],
+    ['Ich\'ŏn', 'city', 'KR', 37.2792, 127.4425, 68],
+    ['Townsville', 'city', 'AU', -19.2664, 146.8057, 15],
+    ['Sambhal', 'city', 'IN', 28.5832, 78.5669, 212],
+    ['Fontana', 'city', 'CA, US', 34.0922, -117.4351, 377],
+    ['Americana', 'city', 'BR', -22.7392, -47.3314, 563],
+    ['Engel’s', 'city', 'RU', 51.4839, 46.1053, 12],
+    ['Ghandinagar', 'city', 'IN', 23.2167, 72.6833, 54],
+    ['Yonkers', 'city', 'NY, US', 40.9312, -73.8988, 25],
+    ['Burgas', 'city', 'BG', 42.5061, 27.4678, 36],
+    ['Murwāra', 'city', 'IN', 23.8368, 80.3948, 388],
+    ['Monclova', 'city', 'MX', 26.9069, -101.4206, 603],
+    ['Nagaoka', 'city', 'JP', 37.45, 138.85, 23],
+    ['Kuri', 'city', 'KR', 37.5986, 127.1394, 31],
+    ['Coro', 'city', 'VE', 11.4045, -69.6734, 27],
+    ['Nishi-Tokyo-shi', 'city', 'JP', 35.7253, 139.5383, 58],
+    ['Xinhui', 'city', 'CN', 22.456, 113.0482, 0],
+    ['Mobile', 'city', 'AL, US', 30.6944, -88.043, 3],
+    ['Kendari', 'city', 'ID', -3.9778, 122.5151, 2],
+    ['Petrolina', 'city', 'BR', -9.3986, -40.5008, 383],
+    ['Yamoussoukro', 'city', 'CI', 6.8205, -5.2767, 214],
+    ['Kassel', 'city', 'DE', 51.3167, 9.5, 164],
+    ['Nāngloi Jāt', 'city', 'IN', 28.6786, 77.0675, 222],
+    ['Severodvinsk', 'city', 'RU', 64.5635, 39.8302, 8],
+    ['Portsmouth', 'city', 'GB', 50.799, -1.0913, 6],
+    ['Soledad Díez Gutiérrez', 'city', 'MX', 22.1878, -100.9419, 1855],
+    ['Nnewi', 'city', 'NG', 6.0199, 6.9148, 149],
+    ['Parung', 'city', 'ID', -6.4214, 106.7331, 101],
+    ['Divinópolis', 'city', 'BR', -20.1389, -44.8839, 721],
+    ['Başakşehir', 'city', 'TR', 41.0931, 28.802, 107],
+    ['Luton', 'city', 'GB', 51.8797, -0.4175, 117],
+    ['Ezhou', 'city', 'CN', 30.4, 114.8333, 25],
+    ['Maracanaú', 'city', 'BR', -3.8767, -38.6256, 54],
+    ['Itami', 'city', 'JP', 34.7843, 135.4013, 22],
+    ['Little Rock', 'city', 'AR, US', 34.7465, -92.2896, 102],
+    ['Thành Phố Nam Định', 'city', 'VN', 20.4339, 106.1773, 5],
+    ['Moreno Valley', 'city', 'CA, US', 33.9375, -117.2306, 497],
+    ['Bunkyō-ku', 'city', 'JP', 35.7174, 139.7473, 21],
+    ['Uji', 'city', 'JP', 34.8833, 135.8, 50],
+    ['Machilīpatnam', 'city', 'IN', 16.1875, 81.1389, 11],
+    ['Ciudad Madero', 'city', 'MX', 22.2754, -97.8349, 7],
+    ['Hyesan-si', 'city', 'KP', 41.4017, 128.1778, 709],
+    ['Bayamo', 'city', 'CU', 20.3792, -76.6433, 58],
+    ['Katihar', 'city', 'IN', 25.5385, 87.5704, 34],
+    ['Tanjungpinang', 'city', 'ID', 0.9167, 104.45, 24],
+    ['Pār Naogaon', 'city', 'BD', 24.8042, 88.9488, 20],
+    ['Newcastle upon Tyne', 'city', 'GB', 54.9733, -1.614, 54],
+    ['Klaipėda', 'city', 'LT', 55.7172, 21.1175, 3],
+    ['Zabrze', 'city', 'PL', 50.3249, 18.7858, 258],
+    ['Bojnūrd', 'city', 'IR', 37.4747, 57.329, 1069],
+    ['Guatire', 'city', 'VE', 10.4762, -66.5427, 344],
+    ['Humen', 'city', 'CN', 22.819, 113.6731, 20],
+    ['Sidi Bel Abbès', 'city', 'DZ', 35.1899, -0.6309, 492],
+    ['Glendale', 'city', 'CA, US', 34.1425, -118.2551, 159],
+    ['Hat Yai', 'city', 'TH', 7.0084, 100.4767, 12],
+    ['Haicheng', 'city', 'CN', 40.8516, 122.7475, 33],
+    ['Suzuka', 'city', 'JP', 34.8833, 136.5833, 10],
+    ['Zinder', 'city', 'NE', 13.8072, 8.9881, 460],
+    ['Curug', 'city', 'ID', -6.2658, 106.5564, 39],
+    ['Barrancabermeja', 'city', 'CO', 7.0653, -73.8547, 83],
+    ['Zlatoust', 'city', 'RU', 55.1711, 59.6508, 548],
+    ['Ormoc', 'city', 'PH', 11.0064, 124.6075, 11],
+    ['Bhiwāni', 'city', 'IN', 28.7919, 76.1411, 220],
+    ['Amarillo', 'city', 'TX, US', 35.222, -101.8313, 1118],
+    ['Preston', 'city', 'GB', 53.7667, -2.7167, 22],
+    ['Zoucheng', 'city', 'CN', 35.4006, 116.9656, 76],
+    ['Cork', 'city', 'IE', 51.898, -8.4706, 10],
+    ['Al Fallūjah', 'city', 'IQ', 33.3558, 43.7861, 47],
+    ['Ise-Ekiti', 'city', 'NG', 7.4632, 5.4281, 382],
+    ['Vantaa', 'city', 'FI', 60.2941, 25.041, 18],
+    ['Kōfu-shi', 'city', 'JP', 35.6639, 138.5683, 282],
+    ['Huntington Beach', 'city', 'CA, US', 33.6603, -117.9992, 12],
+    ['Columbus', 'city', 'GA, US', 32.461, -84.9877, 82],
+    ['Sādiqābād', 'city', 'PK', 28.3062, 70.1307, 81],
+    ['Banī Suwayf', 'city', 'EG', 29.0744, 31.0979, 33],
+    ['Sunrise Manor', 'city', 'NV, US', 36.2111, -115.0731, 555],
+    ['Syzran’', 'city', 'RU', 53.1585, 48.4681, 39],
+    ['Bytom', 'city', 'PL', 50.348, 18.9328, 285],
+    ['Mwene-Ditu', 'city', 'CD', -7.0091, 23.4528, 970],
+    ['Panalanoy', 'city', 'PH', 11.2511, 125.0064, 16],
+    ['Izumi', 'city', 'JP', 34.4833, 135.4333, 24],
+    ['Santarém', 'city', 'BR', -2.4431, -54.7083, 51],
+    ['Wanxian', 'city', 'CN', 30.8154, 108.3709, 257],
+    ['Kabwe', 'city', 'ZM', -14.4469, 28.4464, 1191],
+    ['Quelimane', 'city', 'MZ', -17.8786, 36.8883, 9],
+    ['Petah Tikva', 'city', 'IL', 32.0917, 34.885, 48],
+    ['San Fernando del Valle de Catamarca', 'city', 'AR', -28.4696, -65.7852, 545],
+    ['Almería', 'city', 'ES', 36.8381, -2.4597, 21],
+    ['Camaçari', 'city', 'BR', -12.6975, -38.3242, 29],
+    ['Labuhanbajo', 'city', 'ID', -8.4964, 119.8877, 63],
+    ['Cibinong', 'city', 'ID', -6.4817, 106.8542, 137],
+    ['Donghai', 'city', 'CN', 22.9459, 115.642, 14],
+    ['Boyeros', 'city', 'CU', 23.0072, -82.4017, 66],
+    ['Baiyin', 'city', 'CN', 36.547, 104.1702, 1714],
+    ['Mabalacat', 'city', 'PH', 15.2216, 120.5736, 109],
+    ['Grand Rapids', 'city', 'MI, US', 42.9634, -85.6681, 195],
+    ['Santa Bárbara d\'Oeste', 'city', 'BR', -22.7536, -47.4136, 565],
+    ['Noorder-Paarl', 'city', 'ZA', -33.7047, 18.9655, 117],
+    ['Praga Południe', 'city', 'PL', 52.2442, 21.0855, 81],
+    ['Rio Grande', 'city', 'BR', -32.035, -52.0986, 7],
+    ['Mohammedia', 'city', 'MA', 33.6861, -7.383, 29],
+    ['Sutton', 'city', 'GB', 51.35, -0.2, 83],
+    ['Brescia', 'city', 'IT', 45.5248, 10.2273, 132],
+    ['Qo‘qon', 'city', 'UZ', 40.5286, 70.9425, 416],
+    ['Kodaira', 'city', 'JP', 35.7264, 139.4839, 77],
+    ['Petropavlovsk-Kamchatskiy', 'city', 'RU', 53.0444, 158.6508, 145],
+    ['Oxnard Shores', 'city', 'CA, US', 34.1908, -119.2415, 3],
+    ['Puerto Vallarta', 'city', 'MX', 20.6204, -105.2307, 9],
+    ['Cachoeiro de Itapemirim', 'city', 'BR', -20.8489, -41.1128, 39],
+    ['Kikwit', 'city', 'CD', -5.041, 18.8162, 466],
+    ['Pinar del Río', 'city', 'CU', 22.4175, -83.6981, 55],
+    ['Pagadian', 'city', 'PH', 7.8257, 123.437, 40],
+    ['Pābna', 'city', 'BD', 24.0064, 89.2372, 19],
+    ['Cienfuegos', 'city', 'CU', 22.1461, -80.4356, 23],
+    ['Beersheba', 'city', 'IL', 31.2518, 34.7913, 285],
+    ['Salt Lake City', 'city', 'UT, US', 40.7608, -111.8911, 1299],
+    ['Rāe Bareli', 'city', 'IN', 26.2191, 81.245, 115],
+    ['Springs', 'city', 'ZA', -26.25, 28.4, 1630],
+    ['Shibīn al Kawm', 'city', 'EG', 30.5526, 31.009, 23],
+    ['Hitachi', 'city', 'JP', 36.6, 140.65, 51],
+    ['Antsirabe', 'city', 'MG', -19.8659, 47.0333, 1513],
+    ['Zawiya', 'city', 'LY', 32.7522, 12.7278, 21],
+    ['Madiun', 'city', 'ID', -7.6298, 111.5239, 69],
+    ['Haridwar', 'city', 'IN', 29.9479, 78.1603, 295],
+    ['Leganés', 'city', 'ES', 40.3272, -3.7635, 672],
+    ['Ad-Damazin', 'city', 'SD', 11.7891, 34.3592, 485],
+    ['Arica', 'city', 'CL', -18.4746, -70.2979, 45],
+    ['Le Havre', 'city', 'FR', 49.4938, 0.1077, 12],
+    ['Nogales', 'city', 'MX', 31.3086, -110.9422, 1214],
+    ['Singrauli', 'city', 'IN', 24.1997, 82.6753, 383],
+    ['Richmond Hill', 'city', 'CA', 43.8711, -79.4373, 232],
+    ['Dún Laoghaire', 'city', 'IE', 53.294, -6.1359, 16],
+    ['Donostia / San Sebastián', 'city', 'ES', 43.3128, -1.975, 17],
+    ['Hamm', 'city', 'DE', 51.6803, 7.8209, 66],
+    ['Jamaame', 'city', 'SO', 0.0697, 42.745, 12],
+    ['Moratuwa', 'city', 'LK', 6.773, 79.8816, 10],
+    ['Kütahya', 'city', 'TR', 39.4242, 29.9833, 947],
+    ['Mainz', 'city', 'DE', 49.9842, 8.2791, 126],
+    ['Meycauayan', 'city', 'PH', 14.7369, 120.9608, 10],
+    ['Zaoyang', 'city', 'CN', 32.1272, 112.7542, 113],
+    ['Milton Keynes', 'city', 'GB', 52.0417, -0.7558, 114],
+    ['Jūnāgadh', 'city', 'IN', 21.5197, 70.4598, 97],
+    ['Mutare', 'city', 'ZW', -18.9707, 32.6709, 1116],
+    ['Mbandaka', 'city', 'CD', 0.0486, 18.2603, 315],
+    ['Pemalang', 'city', 'ID', -6.9, 109.3667, 10],
+    ['Quanzhou', 'city', 'CN', 24.9139, 118.5858, 14],
+    ['San Luis', 'city', 'AR', -33.295, -66.3356, 729],
+    ['Genève', 'city', 'CH', 46.2022, 6.1457, 400],
+    ['Tarlac City', 'city', 'PH', 15.4802, 120.5979, 44],
+    ['Būrewāla', 'city', 'PK', 30.1667, 72.65, 146],
+    ['Baishan', 'city', 'CN', 41.9385, 126.4197, 460],
+    ['Sūjāngarh', 'city', 'IN', 27.7, 74.4667, 319],
+    ['Aberdeen', 'city', 'GB', 57.1437, -2.0981, 13],
+    ['Zaozhuang', 'city', 'CN', 34.8647, 117.5542, 79],
+    ['Kushiro', 'city', 'JP', 42.975, 144.3747, 6],
+    ['Cergy-Pontoise', 'city', 'FR', 49.0389, 2.0781, 54],
+    ['Çorum', 'city', 'TR', 40.5489, 34.9533, 808],
+    ['Elūru', 'city', 'IN', 16.7108, 81.1056, 18],
+    ['Pātan', 'city', 'NP', 27.6766, 85.3142, 1334],
+    ['Manta', 'city', 'EC', -0.9621, -80.7127, 23],
+    ['Lembang', 'city', 'ID', -6.8117, 107.6175, 1252],
+    ['Bhusāwal', 'city', 'IN', 21.0466, 75.7818, 204],
+    ['Pak Kret', 'city', 'TH', 13.913, 100.4988, 8],
+    ['Mitaka-shi', 'city', 'JP', 35.6835, 139.5596, 61],
+    ['Khandwa', 'city', 'IN', 21.8245, 76.352, 311],
+    ['Santander', 'city', 'ES', 43.4647, -3.8044, 28],
+    ['Liège', 'city', 'BE', 50.6337, 5.5675, 66],
+    ['Cúa', 'city', 'VE', 10.1589, -66.8858, 235],
+    ['Sakura', 'city', 'JP', 35.7167, 140.2333, 15],
+    ['Kamensk-Ural’skiy', 'city', 'RU', 56.4185, 61.9329, 173],
+    ['Itaboraí', 'city', 'BR', -22.7444, -42.8594, 47],
+    ['Blida', 'city', 'DZ', 36.47, 2.8277, 256],
+    ['Birātnagar', 'city', 'NP', 26.4831, 87.2834, 81],
+    ['Carletonville', 'city', 'ZA', -26.3609, 27.3977, 1529],
+    ['Bahraich', 'city', 'IN', 27.5743, 81.5959, 127],
+    ['Barrie', 'city', 'CA', 44.4001, -79.6663, 269],
+    ['Monywa', 'city', 'MM', 22.1086, 95.1358, 81],
+    ['Richmond', 'city', 'CA', 49.17, -123.1368, 9],
+    ['Probolinggo', 'city', 'ID', -7.7543, 113.2159, 15],
+    ['Sirsa', 'city', 'IN', 29.5349, 75.029, 205],
+    ['Guarenas', 'city', 'VE', 10.4674, -66.6066, 365],
+    ['Tallahassee', 'city', 'FL, US', 30.4383, -84.2807, 62],
+    ['Anda', 'city', 'CN', 46.402, 125.3145, 148],
+    ['Saarbrücken', 'city', 'DE', 49.2354, 6.9817, 193],
+    ['Shangqiu', 'city', 'CN', 34.45, 115.65, 51],
+    ['Wādī as Sīr', 'city', 'JO', 31.9513, 35.8198, 796],
+    ['Groningen', 'city', 'NL', 53.2192, 6.5667, 16],
+    ['Linz', 'city', 'AT', 48.3064, 14.2861, 266],
+    ['Worcester', 'city', 'MA, US', 42.2626, -71.8023, 147],
+    ['Newport News', 'city', 'VA, US', 36.9788, -76.428, 6],
+    ['Melaka', 'city', 'MY', 2.196, 102.2405, 6],
+    ['Chandannagar', 'city', 'IN', 22.8622, 88.368, 16],
+    ['Kang-neung', 'city', 'KR', 37.7556, 128.8961, 17],
+    ['Baharampur', 'city', 'IN', 24.1047, 88.2515, 24],
+    ['Dodoma', 'city', 'TZ', -6.1722, 35.7395, 1125],
+    ['Reggio Calabria', 'city', 'IT', 38.1105, 15.6613, 110],
+    ['Rio Claro', 'city', 'BR', -22.4114, -47.5614, 617],
+    ['Tāngāil', 'city', 'BD', 24.2498, 89.9166, 17],
+    ['Matadi', 'city', 'CD', -5.7995, 13.4407, 342],
+    ['Huntsville', 'city', 'AL, US', 34.7304, -86.5861, 193],
+    ['Castelló de la Plana', 'city', 'ES', 39.9833, -0.0333, 30],
+    ['Atyrau', 'city', 'KZ', 47.1167, 51.8833, -25],
+    ['Yasenevo', 'city', 'RU', 55.6069, 37.5199, 228],
+    ['Yangju', 'city', 'KR', 37.8331, 127.0617, 76],
+    ['Indaiatuba', 'city', 'BR', -23.0903, -47.2181, 629],
+    ['Surendranagar', 'city', 'IN', 22.7271, 71.6486, 68],
+    ['Varāmīn', 'city', 'IR', 35.3242, 51.6457, 920],
+    ['Dos Quebradas', 'city', 'CO', 4.8392, -75.6673, 1454],
+    ['Passo Fundo', 'city', 'BR', -28.2628, -52.4067, 689],
+    ['Xianning', 'city', 'CN', 29.8833, 114.2167, 37],
+    ['Legaspi', 'city', 'PH', 13.1372, 123.7344, 12],
+    ['Sayibage', 'city', 'CN', 41.7606, 86.1523, 943],
+    ['Cotabato', 'city', 'PH', 7.2236, 124.2464, 7],
+    ['Podol’sk', 'city', 'RU', 55.4242, 37.5547, 162],
+    ['Vizianagaram', 'city', 'IN', 18.1169, 83.4115, 66],
+    ['Ila Orangun', 'city', 'NG', 8.0167, 4.9, 496],
+    ['Yuanlin', 'city', 'CN', 30.4151, 112.8859, 34],
+    ['Chenzhou', 'city', 'CN', 25.8, 113.0333, 180],
+    ['Burgos', 'city', 'ES', 42.3502, -3.6753, 869],
+    ['Klerksdorp', 'city', 'ZA', -26.8521, 26.6667, 1318],
+    ['Si Racha', 'city', 'TH', 13.1737, 100.9311, 13],
+    ['Tiaret', 'city', 'DZ', 35.371, 1.317, 1031],
+    ['Knoxville', 'city', 'TN, US', 35.9606, -83.9207, 276],
+    ['Amadora', 'city', 'PT', 38.7538, -9.2308, 138],
+    ['Kamirenjaku', 'city', 'JP', 35.7003, 139.5566, 60],
+    ['Saki', 'city', 'NG', 8.6667, 3.3833, 472],
+    ['Chlef', 'city', 'DZ', 36.1653, 1.3345, 116],
+    ['Anjō', 'city', 'JP', 34.9583, 137.0805, 20],
+    ['Spring Valley', 'city', 'NV, US', 36.108, -115.245, 721],
+    ['K\'ut\'aisi', 'city', 'GE', 42.2679, 42.6946, 153],
+    ['Providence', 'city', 'RI, US', 41.824, -71.4128, 2],
+    ['Habana del Este', 'city', 'CU', 23.1592, -82.3306, 19],
+    ['Sunderland', 'city', 'GB', 54.9046, -1.3822, 36],
+    ['Jingzhou', 'city', 'CN', 30.3503, 112.1903, 39],
+    ['Proddatūr', 'city', 'IN', 14.7502, 78.5481, 160],
+    ['Sittwe', 'city', 'MM', 20.1462, 92.8983, 5],
+    ['Sants-Montjuïc', 'city', 'ES', 41.3726, 2.1546, 44],
+    ['Norwich', 'city', 'GB', 52.6278, 1.2983, 19],
+    ['Ar Raqqah', 'city', 'SY', 35.9528, 39.0079, 259],
+    ['Meiktila', 'city', 'MM', 20.8778, 95.8584, 244],
+    ['Loum', 'city', 'CM', 4.7182, 9.7351, 235],
+    ['Vellore', 'city', 'IN', 12.9184, 79.1325, 218],
+    ['Hugli', 'city', 'IN', 22.9088, 88.3967, 18],
+    ['Alleppey', 'city', 'IN', 9.49, 76.3264, 8],
+    ['Santa Ana', 'city', 'SV', 13.9942, -89.5597, 649],
+    ['Malāyer', 'city', 'IR', 34.2969, 48.8235, 1751],
+    ['Bielsko-Biała', 'city', 'PL', 49.8225, 19.0469, 330],
+    ['Yuzhno-Sakhalinsk', 'city', 'RU', 46.9541, 142.736, 48],
+    ['Almere Stad', 'city', 'NL', 52.3702, 5.2141, -3],
+    ['Santa Clarita', 'city', 'CA, US', 34.3917, -118.5426, 368],
+    ['Split', 'city', 'HR', 43.5089, 16.4392, 12],
+    ['Saint-Étienne', 'city', 'FR', 45.4333, 4.4, 615],
+    ['Amroha', 'city', 'IN', 28.9031, 78.4698, 218],
+    ['Regina', 'city', 'CA', 50.4501, -104.6178, 577],
+    ['Zhenzhou', 'city', 'CN', 32.2803, 119.17, 10],
+    ['Mestre', 'city', 'IT', 45.4903, 12.2425, 5],
+    ['Saint-Louis', 'city', 'SN', 16.0179, -16.4896, 8],
+    ['Turku', 'city', 'FI', 60.4515, 22.2687, 22],
+    ['Taitō-ku', 'city', 'JP', 35.7126, 139.78, 14],
+    ['Xindi', 'city', 'CN', 29.8167, 113.4667, 27],
+    ['Bella Vista', 'city', 'DO', 18.45, -69.9333, 20],
+    ['Tsukuba', 'city', 'JP', 36.2, 140.1, 33],
+    ['Sāveh', 'city', 'IR', 35.0213, 50.3566, 1008],
+    ['Modena', 'city', 'IT', 44.6478, 10.9254, 46],
+    ['Grand Prairie', 'city', 'TX, US', 32.746, -96.9978, 157],
+    ['Khvoy', 'city', 'IR', 38.5503, 44.9521, 1143],
+    ['Mzuzu', 'city', 'MW', -11.4656, 34.0207, 1275],
+    ['Siverek', 'city', 'TR', 37.755, 39.3167, 787],
+    ['Jiutai', 'city', 'CN', 44.1525, 125.8328, 180],
+    ['Brownsville', 'city', 'TX, US', 25.9017, -97.4975, 10],
+    ['Hirosaki', 'city', 'JP', 40.5931, 140.4725, 45],
+    ['Naga', 'city', 'PH', 13.6192, 123.1814, 4],
+    ['Cotia', 'city', 'BR', -23.6039, -46.9192, 801],
+    ['Tomakomai', 'city', 'JP', 42.6369, 141.6033, 7],
+    ['George', 'city', 'ZA', -33.963, 22.4617, 232],
+    ['Pamulang', 'city', 'ID', -6.3428, 106.7383, 65],
+    ['Poza Rica de Hidalgo', 'city', 'MX', 20.5331, -97.4595, 58],
+    ['Bo', 'city', 'SL', 7.9647, -11.7383, 104],
+    ['Pathankot', 'city', 'IN', 32.2731, 75.6526, 335],
+    ['Hadano', 'city', 'JP', 35.3711, 139.2236, 103],
+    ['Bozhou', 'city', 'CN', 33.8772, 115.7703, 40],
+    ['Cikupa', 'city', 'ID', -6.2364, 106.5083, 30],
+    ['Bhind', 'city', 'IN', 26.5667, 78.7873, 157],
+    ['Puerto Cabello', 'city', 'VE', 10.4731, -68.0125, 10],
+    ['Obihiro', 'city', 'JP', 42.9172, 143.2044, 44],
+    ['Ube', 'city', 'JP', 33.9431, 131.2511, 6],
+    ['Kramators’k', 'city', 'UA', 48.7231, 37.5563, 74],
+    ['Tachikawa', 'city', 'JP', 35.6928, 139.4181, 83],
+    ['Cuajimalpa', 'city', 'MX', 19.3599, -99.2939, 2724],
+    ['San Pablo de las Salinas', 'city', 'MX', 19.6667, -99.0953, 2248],
+    ['Jackson', 'city', 'MS, US', 32.2988, -90.1848, 85],
+    ['Shimla', 'city', 'IN', 31.1044, 77.1666, 2073],
+    ['Overland Park', 'city', 'KS, US', 38.9822, -94.6708, 329],
+    ['Myeik', 'city', 'MM', 12.4395, 98.6003, 15],
+    ['East New York', 'city', 'NY, US', 40.6668, -73.8824, 6],
+    ['Khān Yūnis', 'city', 'PS', 31.3402, 34.3063, 55],
+    ['Bata', 'city', 'GQ', 1.8639, 9.7658, 13],
+    ['Midrand', 'city', 'ZA', -25.9895, 28.1284, 1562],
+    ['Metepec', 'city', 'MX', 19.2617, -99.5984, 2621],
+    ['Ongole', 'city', 'IN', 15.5064, 80.0487, 19],
+    ['Licheng', 'city', 'CN', 23.2955, 113.8247, 10],
+    ['Salatiga', 'city', 'ID', -7.3319, 110.4928, 571],
+    ['Miskolc', 'city', 'HU', 48.1, 20.7833, 131],
+    ['Prato', 'city', 'IT', 43.8843, 11.0909, 65],
+    ['Piraeus', 'city', 'GR', 37.9475, 23.6371, 12],
+    ['Isparta', 'city', 'TR', 37.7644, 30.5522, 1069],
+    ['Weinan', 'city', 'CN', 34.5035, 109.5089, 354],
+    ['Kaolack', 'city', 'SN', 14.1825, -16.2533, -1],
+    ['Walsall', 'city', 'GB', 52.5853, -1.984, 129],
+    ['Herne', 'city', 'DE', 51.5388, 7.2257, 67],
+    ['Lyublino', 'city', 'RU', 55.6792, 37.7525, 142],
+    ['Olsztyn', 'city', 'PL', 53.7799, 20.4942, 139],
+    ['Francisco Morato', 'city', 'BR', -23.2817, -46.7453, 803],
+    ['Hino', 'city', 'JP', 35.6731, 139.4003, 85],
+    ['Netanya', 'city', 'IL', 32.3329, 34.8599, 38],
+    ['Nanping', 'city', 'CN', 26.645, 118.1736, 102],
+    ['Bida', 'city', 'NG', 9.0833, 6.0167, 111],
+    ['La Paz', 'city', 'MX', 24.1423, -110.3127, 33],
+    ['Prizren', 'city', 'XK', 42.2139, 20.7397, 413],
+    ['Dongling', 'city', 'CN', 41.8144, 123.5758, 53],
+    ['Bacău', 'city', 'RO', 46.5667, 26.9, 173],
+    ['Phra Pradaeng', 'city', 'TH', 13.6585, 100.5336, 5],
+    ['Mülheim (Ruhr)', 'city', 'DE', 51.4333, 6.8833, 43],
+    ['Kulim', 'city', 'MY', 5.365, 100.5618, 54],
+    ['Swansea', 'city', 'GB', 51.6208, -3.9432, 18],
+    ['Garden Grove', 'city', 'CA, US', 33.7739, -117.9415, 27],
+    ['Puri', 'city', 'IN', 19.7982, 85.8249, 16],
+    ['Haldia', 'city', 'IN', 22.0605, 88.1098, 6],
+    ['Temirtau', 'city', 'KZ', 50.0549, 72.9646, 513],
+    ['Jacobābād', 'city', 'PK', 28.281, 68.4388, 59],
+    ['Khammam', 'city', 'IN', 17.2477, 80.1437, 120],
+    ['Carolina', 'city', 'PR', 18.3808, -65.9574, 16],
+    ['Uvira', 'city', 'CD', -3.3953, 29.1378, 806],
+    ['Portoviejo', 'city', 'EC', -1.0546, -80.4544, 90],
+    ['Rāiganj', 'city', 'IN', 25.6128, 88.1245, 38],
+    ['Takaoka', 'city', 'JP', 36.75, 137.0167, 8],
+    ['Ingrāj Bāzār', 'city', 'IN', 25.0045, 88.1457, 32],
+    ['Araçatuba', 'city', 'BR', -21.2089, -50.4328, 392],
+    ['Fuyang', 'city', 'CN', 32.9, 115.8167, 31],
+    ['Horta-Guinardó', 'city', 'ES', 41.4185, 2.1677, 166],
+    ['Kluang', 'city', 'MY', 2.0251, 103.3328, 52],
+    ['Albacete', 'city', 'ES', 38.9942, -1.8564, 695],
+    ['Laiyang', 'city', 'CN', 36.9758, 120.7136, 40],
+    ['Jaunpur', 'city', 'IN', 25.7551, 82.6836, 83],
+    ['Jaffna', 'city', 'LK', 9.6684, 80.0074, 7],
+    ['Arad', 'city', 'RO', 46.1833, 21.3167, 109],
+    ['Bahir Dar', 'city', 'ET', 11.5936, 37.3908, 1799],
+    ['Baranavichy', 'city', 'BY', 53.1327, 26.0139, 199],
+    ['Toulon', 'city', 'FR', 43.1167, 5.9333, 7],
+    ['Jabālyā', 'city', 'PS', 31.5272, 34.4835, 43],
+    ['Araraquara', 'city', 'BR', -21.7944, -48.1756, 677],
+    ['Bordj Bou Arreridj', 'city', 'DZ', 36.0732, 4.7611, 906],
+    ['Angers', 'city', 'FR', 47.4667, -0.55, 50],
+    ['Alcorcón', 'city', 'ES', 40.3458, -3.8249, 729],
+    ['Ech Chettia', 'city', 'DZ', 36.1959, 1.2554, 140],
+    ['Jamālpur', 'city', 'BD', 24.9197, 89.9481, 23],
+    ['Ferraz de Vasconcelos', 'city', 'BR', -23.5408, -46.3686, 759],
+    ['Chirchiq', 'city', 'UZ', 41.4689, 69.5822, 602],
+    ['Santa Rosa', 'city', 'CA, US', 38.4405, -122.7144, 50],
+    ['Eloy Alfaro', 'city', 'EC', -2.1758, -79.8552, 7],
+    ['Jingmen', 'city', 'CN', 31.0336, 112.2047, 94],
+    ['Berezniki', 'city', 'RU', 59.4091, 56.8204, 189],
+    ['Awka', 'city', 'NG', 6.2101, 7.0741, 111],
+    ['Volgodonsk', 'city', 'RU', 47.5136, 42.1514, 49],
+    ['Chattanooga', 'city', 'TN, US', 35.0456, -85.3097, 206],
+    ['Khouribga', 'city', 'MA', 32.8811, -6.9063, 804],
+    ['Breda', 'city', 'NL', 51.5866, 4.776, 9],
+    ['Piteşti', 'city', 'RO', 44.85, 24.8667, 307],
+    ['Hollywood', 'city', 'CA, US', 34.0983, -118.3267, 108],
+    ['Ijero-Ekiti', 'city', 'NG', 7.8139, 5.0742, 463],
+    ['Miass', 'city', 'RU', 55.045, 60.1083, 341],
+    ['Korhogo', 'city', 'CI', 9.458, -5.6296, 360],
+    ['Abakan', 'city', 'RU', 53.7156, 91.4292, 248],
+    ['Fianarantsoa', 'city', 'MG', -21.4527, 47.0857, 1117],
+    ['Getafe', 'city', 'ES', 40.3057, -3.733, 623],
+    ['Plumbon', 'city', 'ID', -6.705, 108.4728, 22],
+    ['Oceanside', 'city', 'CA, US', 33.1959, -117.3795, 20],
+    ['Banhā', 'city', 'EG', 30.4591, 31.1786, 17],
+    ['Novocherkassk', 'city', 'RU', 47.4202, 40.0913, 85],
+    ['Arapiraca', 'city', 'BR', -9.7525, -36.6611, 275],
+    ['Fuling', 'city', 'CN', 29.706, 107.3958, 263],
+    ['Daşoguz', 'city', 'TM', 41.8362, 59.9666, 87],
+    ['Fatehpur', 'city', 'IN', 25.9304, 80.8139, 119],
+    ['Osnabrück', 'city', 'DE', 52.2726, 8.0498, 69],
+    ['Beni Mellal', 'city', 'MA', 32.3372, -6.3498, 538],
+    ['Gāndhīdhām', 'city', 'IN', 23.0833, 70.1333, 21],
+    ['Idfu', 'city', 'EG', 24.9803, 32.8747, 88],
+    ['Ocumare del Tuy', 'city', 'VE', 10.1165, -66.7761, 194],
+    ['Gaozhou', 'city', 'CN', 21.9392, 110.8461, 57],
+    ['Kamakura', 'city', 'JP', 35.3089, 139.5503, 7],
+    ['Ulanhot', 'city', 'CN', 46.0833, 122.0833, 303],
+    ['Al Khubar', 'city', 'SA', 26.2794, 50.2083, 8],
+    ['H̱olon', 'city', 'IL', 32.0103, 34.7792, 31],
+    ['Shanwei', 'city', 'CN', 22.782, 115.3475, 9],
+    ['Oakville', 'city', 'CA', 43.4501, -79.6829, 99],
+    ['Fort Lauderdale', 'city', 'FL, US', 26.1223, -80.1434, 1],
+    ['Tuluá', 'city', 'CO', 4.0847, -76.1954, 974],
+    ['Bandar-e Būshehr', 'city', 'IR', 28.9684, 50.8385, 7],
+    ['Nandyāl', 'city', 'IN', 15.4888, 78.4865, 216],
+    ['Rancho Cucamonga', 'city', 'CA, US', 34.1064, -117.5931, 368],
+    ['Chilpancingo de los Bravos', 'city', 'MX', 17.5506, -99.5058, 1242],
+    ['Saga-shi', 'city', 'JP', 33.2493, 130.2988, 7],
+    ['Esmeraldas', 'city', 'EC', 0.9592, -79.654, 18],
+    ['Muzaffargarh', 'city', 'PK', 30.0754, 71.1921, 123],
+    ['Jiaozhou', 'city', 'CN', 36.2839, 120.0033, 10],
+    ['Nou Barris', 'city', 'ES', 41.4416, 2.1773, 85],
+    ['Banjaran', 'city', 'ID', -7.0453, 107.5878, 674],
+    ['Szeged', 'city', 'HU', 46.253, 20.1482, 84],
+    ['Fendou', 'city', 'CN', 45.2124, 130.9025, 223],
+    ['Loni', 'city', 'IN', 28.7515, 77.288, 218],
+    ['Serang', 'city', 'ID', -6.1149, 106.1502, 26],
+    ['Lages', 'city', 'BR', -27.8161, -50.3261, 917],
+    ['Port Saint Lucie', 'city', 'FL, US', 27.2939, -80.3503, 5],
+    ['Basel', 'city', 'CH', 47.5584, 7.5733, 279],
+    ['Sītāpur', 'city', 'IN', 27.5619, 80.6826, 143],
+    ['Zenica', 'city', 'BA', 44.2017, 17.904, 325],
+    ['Burlington', 'city', 'CA', 43.3862, -79.8371, 165],
+    ['Solingen', 'city', 'DE', 51.1734, 7.0845, 229],
+    ['Fergana', 'city', 'UZ', 40.3842, 71.7843, 580],
+    ['Kigoma', 'city', 'TZ', -4.8769, 29.6267, 769],
+    ['Cagliari', 'city', 'IT', 39.2074, 9.1346, 22],
+    ['Murīdke', 'city', 'PK', 31.8025, 74.2617, 215],
+    ['Shivpurī', 'city', 'IN', 25.4235, 77.6607, 461],
+    ['Ḩawallī', 'city', 'KW', 29.3328, 48.0286, 19],
+    ['Plzeň', 'city', 'CZ', 49.7475, 13.3776, 316],
+    ['Inisa', 'city', 'NG', 7.85, 4.3333, 368],
+    ['Nazran’', 'city', 'RU', 43.226, 44.7732, 523],
+    ['Sousse', 'city', 'TN', 35.8254, 10.637, 24],
+    ['Bejaïa', 'city', 'DZ', 36.7559, 5.0843, 86],
+    ['Jhelum', 'city', 'PK', 32.9331, 73.7264, 235],
+    ['Barra Mansa', 'city', 'BR', -22.5442, -44.1714, 380],
+    ['Chalco de Díaz Covarrubias', 'city', 'MX', 19.2617, -98.8978, 2245],
+    ['Nossa Senhora do Socorro', 'city', 'BR', -10.855, -37.1261, 39],
+    ['Ontario', 'city', 'CA, US', 34.0633, -117.6509, 306],
+    ['Bhadrāvati', 'city', 'IN', 13.8485, 75.705, 592],
+    ['Vinh', 'city', 'VN', 18.6734, 105.6923, 8],
+    ['Parakou', 'city', 'BJ', 9.3372, 2.6303, 369],
+    ['Unaizah', 'city', 'SA', 26.0843, 43.9935, 666],
+    ['Ādoni', 'city', 'IN', 15.6251, 77.2754, 429],
+    ['Bournemouth', 'city', 'GB', 50.7205, -1.8795, 19],
+    ['Sidon', 'city', 'LB', 33.5599, 35.3756, 22],
+    ['Maradi', 'city', 'NE', 13.5, 7.1017, 360],
+    ['Tsu-shi', 'city', 'JP', 34.7303, 136.5086, 32],
+    ['Parma', 'city', 'IT', 44.8027, 10.329, 67],
+    ['Southend-on-Sea', 'city', 'GB', 51.5378, 0.7143, 31],
+    ['Pátra', 'city', 'GR', 38.2444, 21.7344, 20],
+    ['Tongzhou', 'city', 'CN', 39.904, 116.6618, 33],
+    ['Verāval', 'city', 'IN', 20.9077, 70.3679, 10],
+    ['Ludwigshafen am Rhein', 'city', 'DE', 49.4812, 8.4464, 97],
+    ['Şalālah', 'city', 'OM', 17.015, 54.0924, 13],
+    ['Büyükçekmece', 'city', 'TR', 41.0207, 28.585, 5],
+    ['Aydın', 'city', 'TR', 37.845, 27.8396, 67],
+    ['Envigado', 'city', 'CO', 6.1759, -75.5917, 1539],
+    ['El Geneina', 'city', 'SD', 13.4526, 22.4473, 797],
+    ['Anbu', 'city', 'CN', 23.4489, 116.6809, 15],
+    ['Sambalpur', 'city', 'IN', 21.45, 83.9667, 142],
+    ['Leverkusen', 'city', 'DE', 51.0303, 6.9843, 52],
+    ['Skikda', 'city', 'DZ', 36.8762, 6.9092, 24],
+    ['La Rioja', 'city', 'AR', -29.411, -66.8507, 502],
+    ['Gadag', 'city', 'IN', 15.4298, 75.6297, 655],
+    ['Mahābād', 'city', 'IR', 36.7631, 45.7222, 1324],
+    ['Jiutepec', 'city', 'MX', 18.8814, -99.1778, 1366],
+    ['Dourados', 'city', 'BR', -22.2211, -54.8056, 445],
+    ['Suleja', 'city', 'NG', 9.1805, 7.1793, 421],
+    ['Criciúma', 'city', 'BR', -28.6775, -49.3697, 50],
+    ['Kunduz', 'city', 'AF', 36.729, 68.857, 402],
+    ['San Miguel', 'city', 'SV', 13.4833, -88.1833, 130],
+    ['Vancouver', 'city', 'WA, US', 45.6387, -122.6615, 52],
+    ['Tempe', 'city', 'AZ, US', 33.4148, -111.9093, 360],
+    ['Sapele', 'city', 'NG', 5.8941, 5.6767, 9],
+    ['Unnāo', 'city', 'IN', 26.5471, 80.4878, 134],
+    ['Hortaleza', 'city', 'ES', 40.4744, -3.6411, 672],
+    ['Budaun', 'city', 'IN', 28.0362, 79.1263, 174],
+    ['Coquimbo', 'city', 'CL', -29.9533, -71.3395, 22],
+    ['Jīnd', 'city', 'IN', 29.3162, 76.3144, 233],
+    ['Madhyamgram', 'city', 'IN', 22.6894, 88.4459, 10],
+    ['Rubtsovsk', 'city', 'RU', 51.5, 81.25, 208],
+    ['Sayama', 'city', 'JP', 35.8529, 139.4121, 81],
+    ['Sullana', 'city', 'PE', -4.9039, -80.6853, 60],
+    ['Malakal', 'city', 'SS', 9.5334, 31.6605, 400],
+    ['Phan Thiết', 'city', 'VN', 10.9333, 108.1, 7],
+    ['Lagi', 'city', 'VN', 10.6667, 107.7833, 5],
+    ['Mytishchi', 'city', 'RU', 55.9116, 37.7308, 158],
+    ['Kawanishi', 'city', 'JP', 34.8167, 135.4167, 21],
+    ['Hebron', 'city', 'PS', 31.5294, 35.0938, 903],
+    ['Xiaogan', 'city', 'CN', 30.9167, 113.9, 28],
+    ['Mejicanos', 'city', 'SV', 13.7403, -89.2131, 723],
+    ['Jāmuria', 'city', 'IN', 23.7047, 87.0787, 132],
+    ['Chapecó', 'city', 'BR', -27.0964, -52.6183, 668],
+    ['Taunggyi', 'city', 'MM', 20.7892, 97.0378, 1396],
+    ['Dhamār', 'city', 'YE', 14.5427, 44.4051, 2421],
+    ['Puerto Montt', 'city', 'CL', -41.4657, -72.9429, 21],
+    ['İskenderun', 'city', 'TR', 36.5872, 36.1735, 9],
+    ['Oyama', 'city', 'JP', 36.3, 139.8, 41],
+    ['Salavat', 'city', 'RU', 53.3837, 55.9077, 159],
+    ['Ziguinchor', 'city', 'SN', 12.5833, -16.2719, 10],
+    ['Sekudai', 'city', 'MY', 1.5374, 103.6578, 40],
+    ['Ashikaga', 'city', 'JP', 36.3333, 139.45, 45],
+    ['Springfield', 'city', 'MO, US', 37.2153, -93.2982, 396],
+    ['Bawshar', 'city', 'OM', 23.5556, 58.3989, 80],
+    ['Zhicheng', 'city', 'CN', 30.2956, 111.5047, 51],
+    ['Lawang', 'city', 'ID', -7.8353, 112.6947, 509],
+    ['San Miguel del Padrón', 'city', 'CU', 23.0664, -82.2947, 97],
+    ['Tarija', 'city', 'BO', -21.5355, -64.7296, 1870],
+    ['Oldenburg', 'city', 'DE', 53.1412, 8.2147, 10],
+    ['Khoroshëvo-Mnevniki', 'city', 'RU', 55.7836, 37.4714, 148],
+    ['Bibirevo', 'city', 'RU', 55.8833, 37.6, 155],
+    ['Osan', 'city', 'KR', 37.1522, 127.0706, 22],
+    ['Nijmegen', 'city', 'NL', 51.8425, 5.8528, 25],
+    ['Jaigaon', 'city', 'IN', 26.8477, 89.3756, 196],
+    ['Pasuruan', 'city', 'ID', -7.6453, 112.9075, 9],
+    ['Cuddalore', 'city', 'IN', 11.7463, 79.7644, 9],
+    ['Grenoble', 'city', 'FR', 45.1667, 5.7167, 218],
+    ['Sāmarrā’', 'city', 'IQ', 34.1966, 43.8739, 79],
+    ['Maykop', 'city', 'RU', 44.6078, 40.1058, 227],
+    ['Rzeszów', 'city', 'PL', 50.0413, 21.999, 209],
+    ['Tempe Junction', 'city', 'AZ, US', 33.4142, -111.9435, 354],
+    ['El Achir', 'city', 'DZ', 36.0639, 4.6274, 998],
+    ['Huzhou', 'city', 'CN', 30.8703, 120.0933, 6],
+    ['Barreiras', 'city', 'BR', -12.1528, -44.99, 472],
+    ['Orai', 'city', 'IN', 25.9907, 79.4531, 142],
+    ['Long Xuyên', 'city', 'VN', 10.3864, 105.4352, 8],
+    ['Centro Habana', 'city', 'CU', 23.1383, -82.3642, 45],
+    ['Hoshiārpur', 'city', 'IN', 31.5324, 75.908, 304],
+    ['Gol’yanovo', 'city', 'RU', 55.823, 37.8131, 157],
+    ['Melitopol’', 'city', 'UA', 46.8489, 35.3653, 37],
+    ['Sobral', 'city', 'BR', -3.6861, -40.3497, 75],
+    ['Sunggal', 'city', 'ID', 3.5765, 98.6151, 32],
+    ['Admiralteisky', 'city', 'RU', 59.9084, 30.2848, 9],
+    ['Greater Sudbury', 'city', 'CA', 46.49, -80.99, 266],
+    ['Ţalkhā', 'city', 'EG', 31.0539, 31.3779, 7],
+    ['San Blas', 'city', 'ES', 40.4389, -3.6154, 663],
+    ['Laventille', 'city', 'TT', 10.6492, -61.4989, 28],
+    ['Perbaungan', 'city', 'ID', 3.5679, 98.956, 19],
+    ['Pallāvaram', 'city', 'IN', 12.968, 80.1502, 25],
+    ['Ussuriysk', 'city', 'RU', 43.8029, 131.9458, 27],
+    ['Nanpiao', 'city', 'CN', 41.0982, 120.7479, 98],
+    ['Tiraspol', 'city', 'MD', 46.8403, 29.6433, 33],
+    ['Moshi', 'city', 'TZ', -3.35, 37.3333, 854],
+    ['Toledo', 'city', 'PH', 10.3773, 123.6386, 2],
+    ['Shikārpur', 'city', 'PK', 27.9571, 68.6379, 71],
+    ['Westonaria', 'city', 'ZA', -26.3191, 27.6486, 1593],
+    ['Matsue-shi', 'city', 'JP', 35.4722, 133.0506, 6],
+    ['Hitachi-Naka', 'city', 'JP', 36.3966, 140.5348, 31],
+    ['Souk Ahras', 'city', 'DZ', 36.2864, 7.9511, 697],
+    ['Osogbo', 'city', 'NG', 7.7667, 4.5667, 318],
+    ['Sihanoukville', 'city', 'KH', 10.6093, 103.5296, 6],
+    ['Pécs', 'city', 'HU', 46.0833, 18.2333, 193],
+    ['Lancaster', 'city', 'CA, US', 34.698, -118.1367, 719],
+    ['Livorno', 'city', 'IT', 43.5426, 10.316, 12],
+    ['Ruse', 'city', 'BG', 43.8564, 25.9708, 49],
+    ['Batu Pahat', 'city', 'MY', 1.8548, 102.9325, 7],
+    ['Eugene', 'city', 'OR, US', 44.0521, -123.0867, 131],
+    ['Lampang', 'city', 'TH', 18.2923, 99.4928, 238],
+    ['Narashino', 'city', 'JP', 35.6833, 140.0333, 17],
+    ['Nagareyama', 'city', 'JP', 35.8563, 139.9027, 15],
+    ['Katsuta', 'city', 'JP', 36.3833, 140.5333, 21],
+    ['Malabo', 'city', 'GQ', 3.75, 8.7833, 40],
+    ['Kumagaya', 'city', 'JP', 36.1333, 139.3833, 30],
+    ['Tema', 'city', 'GH', 5.6698, -0.0166, 27],
+    ['Yichun', 'city', 'CN', 47.7214, 128.8753, 225],
+    ['Itajaí', 'city', 'BR', -26.9078, -48.6619, 6],
+    ['Hanumāngarh', 'city', 'IN', 29.5818, 74.3294, 184],
+    ['Salamanca', 'city', 'ES', 40.9688, -5.6639, 815],
+    ['Zemun', 'city', 'RS', 44.8431, 20.4011, 98],
+    ['Kishi', 'city', 'NG', 9.0833, 3.85, 368],
+    ['Ilhéus', 'city', 'BR', -14.7889, -39.0494, 23],
+    ['Swindon', 'city', 'GB', 51.558, -1.7812, 113],
+    ['Guyong', 'city', 'PH', 14.8399, 120.98, 46],
+    ['Kyonju', 'city', 'KR', 35.8428, 129.2117, 45],
+    ['Port Louis', 'city', 'MU', -20.1619, 57.4989, 3],
+    ['Foggia', 'city', 'IT', 41.4609, 15.5493, 74],
+    ['Kānchipuram', 'city', 'IN', 12.8352, 79.7001, 85],
+    ['Lianghu', 'city', 'CN', 29.9915, 120.8984, 22],
+    ['Tetuán de las Victorias', 'city', 'ES', 40.4667, -3.7167, 679],
+    ['Beipiao', 'city', 'CN', 41.7919, 120.7792, 266],
+    ['Antioch', 'city', 'TR', 36.2066, 36.1572, 104],
+    ['Guangshui', 'city', 'CN', 31.6199, 113.9978, 83],
+    ['Pembroke Pines', 'city', 'FL, US', 26.0032, -80.2239, 2],
+    ['Middelburg', 'city', 'ZA', -25.7751, 29.4648, 1479],
+    ['Mahajanga', 'city', 'MG', -15.7167, 46.3167, 20],
+    ['Lyubertsy', 'city', 'RU', 55.6772, 37.8932, 139],
+    ['Salem', 'city', 'OR, US', 44.9429, -123.0351, 49],
+    ['Butembo', 'city', 'CD', 0.1416, 29.2912, 1736],
+    ['Oxford', 'city', 'GB', 51.7522, -1.256, 72],
+    ['La Serena', 'city', 'CL', -29.9045, -71.2489, 30],
+    ['Leshan', 'city', 'CN', 29.5623, 103.7639, 375],
+    ['Gandajika', 'city', 'CD', -6.75, 23.95, 804],
+    ['Zhaodong', 'city', 'CN', 46.0677, 125.9826, 139],
+    ['Bené Beraq', 'city', 'IL', 32.0807, 34.8338, 67],
+    ['Ambato', 'city', 'EC', -1.2491, -78.6167, 2597],
+    ['Cape Coral', 'city', 'FL, US', 26.5629, -81.9495, 1],
+    ['Djelfa', 'city', 'DZ', 34.6728, 3.263, 1138],
+    ['Pasarkemis', 'city', 'ID', -6.1703, 106.5303, 20],
+    ['Kovrov', 'city', 'RU', 56.3572, 41.3192, 128],
+    ['Viranşehir', 'city', 'TR', 37.2353, 39.7631, 569],
+    ['Tottori', 'city', 'JP', 35.5, 134.2333, 6],
+    ['Peoria', 'city', 'AZ, US', 33.5806, -112.2374, 348],
+    ['San Cristóbal', 'city', 'DO', 18.4167, -70.1, 33],
+    ['East Chattanooga', 'city', 'TN, US', 35.0654, -85.2491, 208],
+    ['Xinzhou', 'city', 'CN', 38.4092, 112.7333, 794],
+    ['Limassol', 'city', 'CY', 34.675, 33.0333, 14],
+    ['Gondar', 'city', 'ET', 12.6, 37.4667, 2201],
+    ['Sioux Falls', 'city', 'SD, US', 43.55, -96.7003, 448],
+    ['Alandur', 'city', 'IN', 13.0025, 80.2061, 15],
+    ['Río Cuarto', 'city', 'AR', -33.1307, -64.3499, 441],
+    ['Sanshui', 'city', 'CN', 23.1549, 112.8916, 12],
+    ['Guna', 'city', 'IN', 24.6476, 77.3119, 475],
+    ['Hāfizābād', 'city', 'PK', 32.0679, 73.6855, 207],
+    ['Enschede', 'city', 'NL', 52.2183, 6.8958, 45],
+    ['Angra dos Reis', 'city', 'BR', -23.0067, -44.3181, 8],
+    ['Bahādurgarh', 'city', 'IN', 28.6911, 76.9316, 216],
+    ['Boshan', 'city', 'CN', 36.4833, 117.8333, 368],
+    ['Yangchun', 'city', 'CN', 22.1667, 111.7833, 22],
+    ['Bharūch', 'city', 'IN', 21.6948, 72.9805, 12],
+    ['Nova Friburgo', 'city', 'BR', -22.2819, -42.5311, 858],
+    ['Medinīpur', 'city', 'IN', 22.4211, 87.3226, 47],
+    ['Chincha Alta', 'city', 'PE', -13.4099, -76.1324, 111],
+    ['Cairns', 'city', 'AU', -16.923, 145.7663, 7],
+    ['Springfield', 'city', 'MA, US', 42.1015, -72.5898, 25],
+    ['Faizābād', 'city', 'IN', 26.7769, 82.1329, 106],
+    ['Elk Grove', 'city', 'CA, US', 38.4088, -121.3716, 14],
+    ['Dānāpur', 'city', 'IN', 25.6368, 85.0459, 58],
+    ['Linhai', 'city', 'CN', 28.8482, 121.1281, 18],
+    ['Dingzhou', 'city', 'CN', 38.5131, 114.9956, 64],
+    ['Rondonópolis', 'city', 'BR', -16.4708, -54.6356, 230],
+    ['As Samawah', 'city', 'IQ', 31.332, 45.2944, 15],
+    ['Rockford', 'city', 'IL, US', 42.2711, -89.094, 218],
+    ['Uşak', 'city', 'TR', 38.6735, 29.4058, 910],
+    ['Palmdale', 'city', 'CA, US', 34.5794, -118.1165, 810],
+    ['Jizzax', 'city', 'UZ', 40.1158, 67.8422, 382],
+    ['Hamilton', 'city', 'NZ', -37.7833, 175.2833, 39],
+    ['Ponce', 'city', 'PR', 18.0111, -66.6141, 15],
+    ['Weihai', 'city', 'CN', 37.5091, 122.1136, 14],
+    ['Baqubah', 'city', 'IQ', 33.7466, 44.6437, 50],
+    ['Neuß', 'city', 'DE', 51.1981, 6.685, 44],
+    ['Chenghua', 'city', 'CN', 23.4613, 116.7701, 13],
+    ['Songnim', 'city', 'KP', 38.7542, 125.645, 21],
+    ['Silchar', 'city', 'IN', 24.8273, 92.7979, 24],
+    ['Corona', 'city', 'CA, US', 33.8753, -117.5664, 207],
+    ['Bānda', 'city', 'IN', 25.4753, 80.3358, 128],
+    ['Aksaray', 'city', 'TR', 38.3725, 34.0254, 976],
+    ['Cần Duộc', 'city', 'VN', 10.6167, 106.6667, 4],
+    ['Kerch', 'city', 'UA', 45.3607, 36.4706, 3],
+    ['Deyang', 'city', 'CN', 31.1302, 104.382, 501],
+    ['Yichun', 'city', 'CN', 27.8333, 114.4, 99],
+    ['Logroño', 'city', 'ES', 42.4667, -2.45, 389],
+    ['Ōta', 'city', 'JP', 36.3, 139.3667, 50],
+    ['Longfeng', 'city', 'CN', 46.5317, 125.1038, 147],
+    ['Morena', 'city', 'IN', 26.5029, 78.0016, 177],
+    ['Strogino', 'city', 'RU', 55.8184, 37.4122, 125],
+    ['Sibiu', 'city', 'RO', 45.8, 24.15, 410],
+    ['Guacara', 'city', 'VE', 10.2261, -67.877, 442],
+    ['Abbotsford', 'city', 'CA', 49.058, -122.2526, 114],
+    ['Cholula', 'city', 'MX', 19.0641, -98.3035, 2156],
+    ['Bintulu', 'city', 'MY', 3.1667, 113.0333, 8],
+    ['Itapecerica da Serra', 'city', 'BR', -23.7169, -46.8492, 901],
+    ['Dundee', 'city', 'GB', 56.4691, -2.9749, 56],
+    ['Kohāt', 'city', 'PK', 33.582, 71.4493, 503],
+    ['Tonk', 'city', 'IN', 26.1664, 75.7882, 278],
+    ['Qingyuan', 'city', 'CN', 23.7, 113.0333, 11],
+    ['Saqqez', 'city', 'IR', 36.2499, 46.2735, 1520],
+    ['Benguela', 'city', 'AO', -12.5763, 13.4055, 11],
+    ['Komaki', 'city', 'JP', 35.2833, 136.9167, 17],
+    ['El Tigre', 'city', 'VE', 8.8875, -64.2454, 297],
+    ['Soreang', 'city', 'ID', -7.0331, 107.5183, 744],
+    ['Minatitlán', 'city', 'MX', 18.0013, -94.5581, 28],
+    ['Guarapuava', 'city', 'BR', -25.3953, -51.4581, 1121],
+    ['Gaomi', 'city', 'CN', 36.3833, 119.7528, 24],
+    ['Rāj Nāndgaon', 'city', 'IN', 21.1, 81.0333, 310],
+    ['Loudi', 'city', 'CN', 27.7344, 111.9944, 135],
+    ['La Laguna', 'city', 'ES', 28.4853, -16.3201, 558],
+    ['Ōgaki', 'city', 'JP', 35.35, 136.6167, 7],
+    ['Higashimurayama-shi', 'city', 'JP', 35.7546, 139.4685, 82],
+    ['Serilingampalle', 'city', 'IN', 17.4931, 78.302, 564],
+    ['Huangyan', 'city', 'CN', 28.6501, 121.2659, 10],
+    ['Battambang', 'city', 'KH', 13.1027, 103.1982, 18],
+    ['Salinas', 'city', 'CA, US', 36.6777, -121.6555, 16],
+    ['Chillán', 'city', 'CL', -36.6066, -72.1034, 132],
+    ['Virār', 'city', 'IN', 19.4559, 72.8114, 9],
+    ['Parnamirim', 'city', 'BR', -5.9156, -35.2628, 56],
+    ['Salzburg', 'city', 'AT', 47.7994, 13.044, 424],
+    ['Bago City', 'city', 'PH', 10.5333, 122.8333, 8],
+    ['Purwodadi', 'city', 'ID', -7.0868, 110.9158, 29],
+    ['Kızıltepe', 'city', 'TR', 37.1932, 40.588, 490],
+    ['Urganch', 'city', 'UZ', 41.55, 60.6333, 105],
+    ['Balashikha', 'city', 'RU', 55.8094, 37.9581, 147],
+    ['Poole', 'city', 'GB', 50.7167, -2, 1],
+    ['Vryheid', 'city', 'ZA', -27.7695, 30.7917, 1170],
+    ['Mascara', 'city', 'DZ', 35.3966, 0.1403, 590],
+    ['Malkajgiri', 'city', 'IN', 17.4478, 78.5263, 536],
+    ['Gimcheon', 'city', 'KR', 36.1218, 128.1198, 81],
+    ['Zhulebino', 'city', 'RU', 55.7, 37.85, 140],
+    ['Dili', 'city', 'TL', -8.5586, 125.5736, 3],
+    ['Mossel Bay', 'city', 'ZA', -34.1831, 22.146, 43],
+    ['Shāntipur', 'city', 'IN', 23.2472, 88.433, 15],
+    ['Dijon', 'city', 'FR', 47.3167, 5.0167, 242],
+    ['City Center', 'city', 'ES', 40.4183, -3.7027, 673],
+    ['Metro', 'city', 'ID', -5.1131, 105.3067, 62],
+    ['Ōme', 'city', 'JP', 35.7839, 139.2431, 189],
+    ['Perugia', 'city', 'IT', 43.1122, 12.3888, 482],
+    ['Pomona', 'city', 'CA, US', 34.0553, -117.7523, 259],
+    ['Pasadena', 'city', 'TX, US', 29.6911, -95.2091, 9],
+    ['Huddersfield', 'city', 'GB', 53.649, -1.7842, 90],
+    ['Prenzlauer Berg', 'city', 'DE', 52.5388, 13.4244, 54],
+    ['Dunhua', 'city', 'CN', 43.3725, 128.2425, 501],
+    ['Huelva', 'city', 'ES', 37.2715, -6.9495, 83],
+    ['Arganzuela', 'city', 'ES', 40.4002, -3.6962, 605],
+    ['Chingola', 'city', 'ZM', -12.529, 27.8838, 1363],
+    ['‘Ar‘ar', 'city', 'SA', 30.9753, 41.0381, 555],
+    ['Yulin', 'city', 'CN', 22.6333, 110.15, 83],
+    ['Valencia', 'city', 'CA, US', 34.4436, -118.6095, 310],
+    ['Gyumri', 'city', 'AM', 40.7942, 43.8453, 1549],
+    ['Chizhou', 'city', 'CN', 30.6613, 117.4778, 22],
+    ['Moriguchi', 'city', 'JP', 34.7333, 135.5667, 3],
+    ['Badajoz', 'city', 'ES', 38.8779, -6.9706, 192],
+    ['El Limón', 'city', 'VE', 10.3059, -67.6321, 492],
+    ['Lubuklinggau', 'city', 'ID', -3.2945, 102.8614, 140],
+    ['Nîmes', 'city', 'FR', 43.8333, 4.35, 54],
+    ['Bārākpur', 'city', 'IN', 22.766, 88.3634, 12],
+    ['Palangkaraya', 'city', 'ID', -2.2, 113.8333, 19],
+    ['Sujiatun', 'city', 'CN', 41.6592, 123.3392, 40],
+    ['Caxias', 'city', 'BR', -4.8589, -43.3561, 83],
+    ['Thành Phố Hạ Long', 'city', 'VN', 20.9505, 107.0734, null],
+    ['Astanajapura', 'city', 'ID', -6.8017, 108.6311, 6],
+    ['Jijel', 'city', 'DZ', 36.8205, 5.7667, 9],
+    ['East Hampton', 'city', 'VA, US', 37.0374, -76.3316, 1],
+    ['Honggang', 'city', 'CN', 46.4012, 124.8832, 143],
+    ['Huánuco', 'city', 'PE', -9.9306, -76.2422, 1900],
+    ['Médéa', 'city', 'DZ', 36.2642, 2.7539, 910],
+    ['Salamanca', 'city', 'ES', 40.4297, -3.6797, 698],
+    ['Kolomna', 'city', 'RU', 55.0794, 38.7783, 144],
+    ['Rafsanjān', 'city', 'IR', 30.4067, 55.9939, 1514],
+    ['Ursynów', 'city', 'PL', 52.1505, 21.0504, 104],
+    ['As Sālimīyah', 'city', 'KW', 29.3339, 48.0761, 11],
+    ['Haarlem', 'city', 'NL', 52.3808, 4.6368, 10],
+    ['Khon Kaen', 'city', 'TH', 16.4467, 102.833, 167],
+    ['El Jadida', 'city', 'MA', 33.2549, -8.506, 10],
+    ['Kreuzberg', 'city', 'DE', 52.4997, 13.4034, 40],
+    ['Kragujevac', 'city', 'RS', 44.0167, 20.9167, 182],
+    ['Aktau', 'city', 'KZ', 43.6481, 51.1722, -9],
+    ['Joliet', 'city', 'IL, US', 41.525, -88.0817, 165],
+    ['Nilópolis', 'city', 'BR', -22.8075, -43.4139, 27],
+    ['Erode', 'city', 'IN', 11.3428, 77.7274, 170],
+    ['Trondheim', 'city', 'NO', 63.4305, 10.3951, 18],
+    ['Manama', 'city', 'BH', 26.2154, 50.5832, 5],
+    ['Buôn Ma Thuột', 'city', 'VN', 12.6675, 108.0378, 463],
+    ['Kalemie', 'city', 'CD', -5.9475, 29.1947, 787],
+    ['Nakhodka', 'city', 'RU', 42.8138, 132.8735, 50],
+    ['Târgu-Mureş', 'city', 'RO', 46.5425, 24.5575, 319],
+    ['Gulu', 'city', 'UG', 2.7746, 32.299, 1104],
+    ['Aix-en-Provence', 'city', 'FR', 43.5283, 5.4497, 205],
+    ['Ambāla', 'city', 'IN', 30.3628, 76.7952, 275],
+    ['Cam Ranh', 'city', 'VN', 11.9214, 109.1591, 15],
+    ['Matanzas', 'city', 'CU', 23.0411, -81.5775, 6],
+    ['Saint-Quentin-en-Yvelines', 'city', 'FR', 48.7719, 2.0189, 166],
+    ['Poços de Caldas', 'city', 'BR', -21.7878, -46.5614, 1222],
+    ['Paterson', 'city', 'NJ, US', 40.9168, -74.1718, 26],
+    ['Ruda Śląska', 'city', 'PL', 50.2584, 18.8563, 258],
+    ['Cuautla Morelos', 'city', 'MX', 18.8046, -98.9455, 1318],
+    ['Afyonkarahisar', 'city', 'TR', 38.7567, 30.5433, 1019],
+    ['Gweru', 'city', 'ZW', -19.45, 29.8167, 1412],
+    ['Qujing', 'city', 'CN', 25.4833, 103.7833, 1887],
+    ['Puerto Plata', 'city', 'DO', 19.7934, -70.6884, 34],
+    ['Boise', 'city', 'ID, US', 43.6135, -116.2035, 823],
+    ['Hanzhong', 'city', 'CN', 33.0728, 107.0303, 515],
+    ['Chamberí', 'city', 'ES', 40.434, -3.7038, 693],
+    ['Odense', 'city', 'DK', 55.3959, 10.3883, 17],
+    ['Krishnanagar', 'city', 'IN', 23.4058, 88.4907, 16],
+    ['Xinji', 'city', 'CN', 37.9028, 115.2036, 40],
+    ['Marabá', 'city', 'BR', -5.3686, -49.1178, 101],
+    ['Orkney', 'city', 'ZA', -26.9802, 26.6727, 1312],
+    ['Kansas City', 'city', 'KS, US', 39.1142, -94.6275, 266],
+    ['Saharsa', 'city', 'IN', 25.885, 86.5947, 47],
+    ['Kampung Pasir Gudang Baru', 'city', 'MY', 1.4726, 103.878, 10],
+    ['Cikampek', 'city', 'ID', -6.4197, 107.4558, 61],
+    ['Yamaguchi-shi', 'city', 'JP', 34.1858, 131.4714, 62],
+    ['Batāla', 'city', 'IN', 31.8186, 75.2028, 243],
+    ['Taishan', 'city', 'CN', 22.2513, 112.7799, 3],
+    ['Torrance', 'city', 'CA, US', 33.8359, -118.3406, 27],
+    ['Potsdam', 'city', 'DE', 52.3989, 13.0657, 34],
+    ['Tabora', 'city', 'TZ', -5.0162, 32.8266, 1191],
+    ['Concordia', 'city', 'AR', -31.393, -58.0209, 30],
+    ['Syracuse', 'city', 'NY, US', 43.0481, -76.1474, 121],
+    ['Spanish Town', 'city', 'JM', 17.9911, -76.9574, 31],
+    ['Brest', 'city', 'FR', 48.4, -4.4833, 59],
+    ['Khŭjand', 'city', 'TJ', 40.2826, 69.6222, 340],
+    ['Sikasso', 'city', 'ML', 11.3176, -5.6665, 368],
+    ['Sanya', 'city', 'CN', 18.2431, 109.505, 11],
+    ['Ciudad Acuña', 'city', 'MX', 29.3232, -100.9522, 283],
+    ['Acheng', 'city', 'CN', 45.5455, 126.977, 139],
+    ['León', 'city', 'NI', 12.4379, -86.878, 107],
+    ['Le Mans', 'city', 'FR', 48, 0.2, 61],
+    ['Kumba', 'city', 'CM', 4.6363, 9.4469, 244],
+    ['Elektrostal’', 'city', 'RU', 55.7896, 38.4467, 157],
+    ['Jinchang', 'city', 'CN', 38.4953, 102.1739, 1562],
+    ['Bridgeport', 'city', 'CT, US', 41.167, -73.2048, 1],
+    ['Meizhou', 'city', 'CN', 24.2977, 116.1072, 83],
+    ['York', 'city', 'GB', 53.9576, -1.0827, 17],
+    ['Gorontalo', 'city', 'ID', 0.5412, 123.0595, 6],
+    ['Hayward', 'city', 'CA, US', 37.6688, -122.0808, 34],
+    ['Goma', 'city', 'CD', -1.6741, 29.2284, 1518],
+    ['Teshi Old Town', 'city', 'GH', 5.5836, -0.1072, 13],
+    ['Tizi Ouzou', 'city', 'DZ', 36.7118, 4.0459, 206],
+    ['Biryulëvo', 'city', 'RU', 55.5864, 37.6778, 175],
+    ['Orekhovo-Borisovo', 'city', 'RU', 55.6125, 37.7264, 176],
+    ['Wola', 'city', 'PL', 52.2401, 20.9887, 114],
+    ['Fort Collins', 'city', 'CO, US', 40.5853, -105.0844, 1525],
+    ['Kafr ash Shaykh', 'city', 'EG', 31.1143, 30.9401, 14],
+    ['Escondido', 'city', 'CA, US', 33.1192, -117.0864, 197],
+    ['Otaru', 'city', 'JP', 43.1894, 141.0022, 30],
+    ['Ipswich', 'city', 'GB', 52.0592, 1.1555, 18],
+    ['Dumai', 'city', 'ID', 1.6671, 101.4432, 1],
+    ['Urayasu', 'city', 'JP', 35.6706, 139.8886, 6],
+    ['Acarigua', 'city', 'VE', 9.5545, -69.1956, 189],
+    ['Saguenay', 'city', 'CA', 48.4168, -71.0657, 84],
+    ['Marawi City', 'city', 'PH', 8.0034, 124.284, 719],
+    ['Luziânia', 'city', 'BR', -16.2525, -47.9503, 932],
+    ['Stara Zagora', 'city', 'BG', 42.4328, 25.6419, 205],
+    ['Béchar', 'city', 'DZ', 31.6167, -2.2167, 780],
+    ['Heidelberg', 'city', 'DE', 49.4077, 8.6908, 115],
+    ['Kenema', 'city', 'SL', 7.8767, -11.1875, 178],
+    ['Cabo', 'city', 'BR', -8.2833, -35.0333, 16],
+    ['Blackpool', 'city', 'GB', 53.8167, -3.05, 21],
+    ['Amiens', 'city', 'FR', 49.9, 2.3, 28],
+    ['Calama', 'city', 'CL', -22.4559, -68.9301, 2260],
+    ['Macaé', 'city', 'BR', -22.3708, -41.7869, 39],
+    ['Cape Coast', 'city', 'GH', 5.1053, -1.2466, 21],
+    ['Novyye Kuz’minki', 'city', 'RU', 55.7, 37.75, 141],
+    ['Kuz’minki', 'city', 'RU', 55.7, 37.8, 144],
+    ['Lakewood', 'city', 'CO, US', 39.7047, -105.0814, 1682],
+    ['Bhīmavaram', 'city', 'IN', 16.5408, 81.5232, 11],
+    ['Pyatigorsk', 'city', 'RU', 44.0486, 43.0594, 544],
+    ['Middlesbrough', 'city', 'GB', 54.5762, -1.2348, 15],
+    ['Khimki', 'city', 'RU', 55.897, 37.4297, 185],
+    ['Sant Andreu de Palomar', 'city', 'ES', 41.4354, 2.1898, 34],
+    ['Rybnik', 'city', 'PL', 50.0971, 18.5418, 233],
+    ['Tanjungbalai', 'city', 'ID', 2.9667, 99.8, 4],
+    ['Mallawī', 'city', 'EG', 27.7314, 30.8417, 52],
+    ['Metairie Terrace', 'city', 'LA, US', 29.9785, -90.164, 1],
+    ['Tuzla', 'city', 'BA', 44.5384, 18.6671, 225],
+    ['Khānpur', 'city', 'PK', 28.6453, 70.6567, 97],
+    ['Nawābganj', 'city', 'BD', 24.5903, 88.2744, 28],
+    ['Jinhua', 'city', 'CN', 29.1068, 119.6442, 55],
+    ['Paderborn', 'city', 'DE', 51.7191, 8.7544, 118],
+    ['Kimberley', 'city', 'ZA', -28.7323, 24.7623, 1224],
+    ['Ciego de Ávila', 'city', 'CU', 21.84, -78.7619, 49],
+    ['Chertanovo Yuzhnoye', 'city', 'RU', 55.5907, 37.5952, 191],
+    ['Jieshou', 'city', 'CN', 33.2634, 115.3611, 42],
+    ['Yuen Long Kau Hui', 'city', 'HK', 22.45, 114.0333, 4],
+    ['Taza', 'city', 'MA', 34.21, -4.01, 530],
+    ['Reggio nell\'Emilia', 'city', 'IT', 44.6983, 10.6312, 69],
+    ['Naperville', 'city', 'IL, US', 41.7859, -88.1473, 216],
+    ['eMbalenhle', 'city', 'ZA', -26.5333, 29.0667, 1575],
+    ['Myingyan', 'city', 'MM', 21.46, 95.3884, 76],
+    ['Arnhem', 'city', 'NL', 51.98, 5.9111, 16],
+    ['Zheleznodorozhnyy', 'city', 'RU', 55.744, 38.0168, 146],
+    ['Tours', 'city', 'FR', 47.3833, 0.6833, 52],
+    ['Dayton', 'city', 'OH, US', 39.7589, -84.1916, 225],
+    ['Petapa', 'city', 'GT', 14.5028, -90.5517, 1229],
+    ['Bālurghāt', 'city', 'IN', 25.221, 88.7773, 29],
+    ['Ibirité', 'city', 'BR', -20.0219, -44.0589, 883],
+    ['Yonago', 'city', 'JP', 35.4333, 133.3333, 9],
+    ['Bolton', 'city', 'GB', 53.5833, -2.4333, 105],
+    ['Ciudad del Carmen', 'city', 'MX', 18.6497, -91.8247, 5],
+    ['Lauro de Freitas', 'city', 'BR', -12.8944, -38.3272, 10],
+    ['Potosí', 'city', 'BO', -19.5836, -65.7531, 3967],
+    ['Usera', 'city', 'ES', 40.3887, -3.7003, 586],
+    ['Limoges', 'city', 'FR', 45.8315, 1.2578, 284],
+    ['Rijeka', 'city', 'HR', 45.3431, 14.4092, 125],
+    ['Paranaguá', 'city', 'BR', -25.5194, -48.5199, 14],
+    ['Ghazni', 'city', 'AF', 33.5539, 68.421, 2179],
+    ['Īlām', 'city', 'IR', 33.6374, 46.4227, 1403],
+    ['Gongzhuling', 'city', 'CN', 43.5007, 124.8198, 211],
+    ['Comodoro Rivadavia', 'city', 'AR', -45.8641, -67.4966, 65],
+    ['Kampung Sungai Ara', 'city', 'MY', 5.327, 100.2735, 21],
+    ['Noril’sk', 'city', 'RU', 69.3535, 88.2027, 76],
+    ['Hollywood', 'city', 'FL, US', 26.0112, -80.1495, 3],
+    ['Nigel', 'city', 'ZA', -26.4314, 28.4771, 1566],
+    ['Los Teques', 'city', 'VE', 10.3445, -67.0433, 1185],
+    ['Kaithal', 'city', 'IN', 29.8019, 76.3967, 248],
+    ['Al’met’yevsk', 'city', 'RU', 54.9044, 52.3154, 121],
+    ['Darmstadt', 'city', 'DE', 49.8706, 8.6494, 145],
+    ['Tirmiz', 'city', 'UZ', 37.2242, 67.2783, 304],
+    ['Tarragona', 'city', 'ES', 41.1167, 1.25, 43],
+    ['Lakhīmpur', 'city', 'IN', 27.952, 80.7826, 152],
+    ['Peterborough', 'city', 'GB', 52.5736, -0.2478, 12],
+    ['Mpumalanga', 'city', 'ZA', -29.8129, 30.6365, 711],
+    ['Zaanstad', 'city', 'NL', 52.4531, 4.8136, 2],
+    ['Sunnyvale', 'city', 'CA, US', 37.3688, -122.0363, 39],
+    ['Hazārībāg', 'city', 'IN', 23.9951, 85.3611, 619],
+    ['Vidisha', 'city', 'IN', 23.5243, 77.8097, 431],
+    ['Ayacucho', 'city', 'PE', -13.1615, -74.2215, 2720],
+    ['Chamartín de la Rosa', 'city', 'ES', 40.45, -3.7, 685],
+    ['Sarrià-Sant Gervasi', 'city', 'ES', 41.401, 2.1394, 124],
+    ['Parepare', 'city', 'ID', -4.0135, 119.6255, 22],
+    ['Alexandria', 'city', 'VA, US', 38.8048, -77.0469, 12],
+    ['Amersfoort', 'city', 'NL', 52.155, 5.3875, 8],
+    ['Mesquite', 'city', 'TX, US', 32.7668, -96.5992, 151],
+    ['Korolëv', 'city', 'RU', 55.9142, 37.8256, 161],
+    ['Dadu', 'city', 'PK', 26.7329, 67.7763, 43],
+    ['Gojra', 'city', 'PK', 31.1487, 72.6866, 172],
+    ['Piedras Negras', 'city', 'MX', 28.7234, -100.567, 257],
+    ['Haldwani', 'city', 'IN', 29.2225, 79.5286, 447],
+    ['Gbongan', 'city', 'NG', 7.4667, 4.35, 236],
+    ['Siem Reap', 'city', 'KH', 13.3618, 103.8606, 18],
+    ['Man', 'city', 'CI', 7.4125, -7.5538, 329],
+    ['Altay', 'city', 'CN', 47.8486, 88.1336, 866],
+    ['Hābra', 'city', 'IN', 22.842, 88.6561, 13],
+    ['Kumbakonam', 'city', 'IN', 10.9621, 79.3912, 31],
+    ['San Luis Río Colorado', 'city', 'MX', 32.4561, -114.7719, 41],
+    ['Sidoarjo', 'city', 'ID', -7.4478, 112.7183, 5],
+    ['Şabāḩ as Sālim', 'city', 'KW', 29.2572, 48.0572, 32],
+    ['Kariya', 'city', 'JP', 34.9833, 136.9833, 2],
+    ['Choloma', 'city', 'HN', 15.6144, -87.953, 41],
+    ['Stockport', 'city', 'GB', 53.4098, -2.1576, 59],
+    ['Budapest XI. kerület', 'city', 'HU', 47.476, 19.036, 107],
+    ['Huadian', 'city', 'CN', 42.9633, 126.7478, 268],
+    ['Weru', 'city', 'ID', -6.711, 108.5037, 19],
+    ['Brighton', 'city', 'GB', 50.8284, -0.1395, 29],
+    ['Kolpino', 'city', 'RU', 59.7507, 30.5886, 19],
+    ['Sekondi-Takoradi', 'city', 'GH', 4.934, -1.7137, 10],
+    ['Porbandar', 'city', 'IN', 21.6422, 69.6093, 7],
+    ['Fuyu', 'city', 'CN', 45.1833, 124.8167, 141],
+    ['Clermont-Ferrand', 'city', 'FR', 45.7797, 3.0863, 406],
+    ['Sa Pá', 'city', 'VN', 22.3402, 103.8441, 1500],
+    ['Salamanca', 'city', 'MX', 20.5722, -101.1912, 1714],
+    ['Chitradurga', 'city', 'IN', 14.2226, 76.4004, 747],
+    ['Metairie', 'city', 'LA, US', 29.9841, -90.1529, 1],
+    ['Chaohu', 'city', 'CN', 31.6, 117.8667, 11],
+    ['Ejigbo', 'city', 'NG', 7.9, 4.3167, 344],
+    ['Thānesar', 'city', 'IN', 29.9742, 76.832, 263],
+    ['Tiruvannāmalai', 'city', 'IN', 12.2266, 79.0746, 174],
+    ['Telford', 'city', 'GB', 52.6766, -2.4493, 163],
+    ['Salerno', 'city', 'IT', 40.678, 14.766, 25],
+    ['Ānand', 'city', 'IN', 22.5525, 72.9552, 44],
+    ['Parnaíba', 'city', 'BR', -2.9047, -41.7767, 9],
+    ['Baia Mare', 'city', 'RO', 47.6533, 23.5795, 228],
+    ['Jacmel', 'city', 'HT', 18.2342, -72.5347, 33],
+    ['Obuasi', 'city', 'GH', 6.206, -1.6619, 233],
+    ['Peristéri', 'city', 'GR', 38.0167, 23.7, 61],
+    ['Itu', 'city', 'BR', -23.2642, -47.2992, 594],
+    ['Dikirnis', 'city', 'EG', 31.089, 31.5948, 15],
+    ['Musashino', 'city', 'JP', 35.7061, 139.5594, 62],
+    ['Jieshi', 'city', 'CN', 22.8103, 115.8306, 9],
+    ['Hampton', 'city', 'VA, US', 37.0299, -76.3452, 1],
+    ['Castanhal', 'city', 'BR', -1.2939, -47.9264, 46],
+    ['Bitung', 'city', 'ID', 1.4451, 125.1824, 9],
+    ['Bhisho', 'city', 'ZA', -32.8472, 27.4422, 535],
+    ['Negombo', 'city', 'LK', 7.2083, 79.8358, 8],
+    ['Saint-Denis', 'city', 'RE', -20.8823, 55.4504, 44],
+    ['Irákleion', 'city', 'GR', 35.3279, 25.1434, 60],
+    ['Pasadena', 'city', 'CA, US', 34.1478, -118.1445, 263],
+    ['Jiashan', 'city', 'CN', 30.8492, 120.9258, 7],
+    ['Hami', 'city', 'CN', 42.8339, 93.506, 762],
+    ['Odintsovo', 'city', 'RU', 55.678, 37.2777, 199],
+    ['Kānchrāpāra', 'city', 'IN', 22.96, 88.4285, 10],
+    ['San Juan Sacatepéquez', 'city', 'GT', 14.7189, -90.6442, 1842],
+    ['Funtua', 'city', 'NG', 11.5233, 7.3081, 711],
+    ['Dawei', 'city', 'MM', 14.0738, 98.1942, 13],
+    ['Igboho', 'city', 'NG', 8.8333, 3.75, 408],
+    ['Apeldoorn', 'city', 'NL', 52.21, 5.9694, 12],
+    ['Shizuishan', 'city', 'CN', 39.2333, 106.7694, 1103],
+    ['Kabankalan', 'city', 'PH', 9.9902, 122.8142, 15],
+    ['Podgorica', 'city', 'ME', 42.4411, 19.2636, 49],
+    ['São Caetano do Sul', 'city', 'BR', -23.6231, -46.5511, 770],
+    ['Van Nuys', 'city', 'CA, US', 34.1867, -118.449, 217],
+    ['Orange', 'city', 'CA, US', 33.7878, -117.8531, 58],
+    ['Savannah', 'city', 'GA, US', 32.0835, -81.0998, 6],
+    ['Gejiu', 'city', 'CN', 23.3608, 103.1537, 1708],
+    ['Mahbūbnagar', 'city', 'IN', 16.7438, 77.986, 505],
+    ['Desē', 'city', 'ET', 11.1333, 39.6333, 2494],
+    ['Perovo', 'city', 'RU', 55.735, 37.7909, 163],
+    ['Lleida', 'city', 'ES', 41.6167, 0.6222, 155],
+    ['Dimāpur', 'city', 'IN', 25.9117, 93.7217, 154],
+    ['Tasek Glugor', 'city', 'MY', 5.4803, 100.4985, 10],
+    ['Osorno', 'city', 'CL', -40.574, -73.1335, 37],
+    ['Jagdaqi', 'city', 'CN', 50.4167, 124.1167, 381],
+    ['Queimados', 'city', 'BR', -22.7161, -43.5553, 37],
+    ['Kushtia', 'city', 'BD', 23.9028, 89.1194, 17],
+    ['Kindu', 'city', 'CD', -2.9437, 25.9224, 464],
+    ['Baliuag', 'city', 'PH', 14.9547, 120.8969, 22],
+    ['West Bromwich', 'city', 'GB', 52.5187, -1.9945, 165],
+    ['Cẩm Phả Mines', 'city', 'VN', 21.0167, 107.3, 209],
+    ['Buguma', 'city', 'NG', 4.7341, 6.8635, 5],
+    ['Shiqiao', 'city', 'CN', 22.9464, 113.3577, 4],
+    ['Pyay', 'city', 'MM', 18.8246, 95.2222, 32],
+    ['Rabak', 'city', 'SD', 13.1809, 32.74, 399],
+    ['Cary', 'city', 'NC, US', 35.7915, -78.7811, 152],
+    ['Robertsonpet', 'city', 'IN', 12.9563, 78.2754, 848],
+    ['Tyre', 'city', 'LB', 33.2733, 35.1939, 7],
+    ['Moundou', 'city', 'TD', 8.5667, 16.0833, 401],
+    ['Fullerton', 'city', 'CA, US', 33.8703, -117.9253, 50],
+    ['Cajamarca', 'city', 'PE', -7.1638, -78.5003, 2700],
+    ['Hinthada', 'city', 'MM', 17.6494, 95.4571, 15],
+    ['Hanam', 'city', 'KR', 37.54, 127.2056, 33],
+    ['Jayapura', 'city', 'ID', -2.5428, 140.7028, 11],
+    ['Chinhae', 'city', 'KR', 35.1494, 128.6597, 15],
+    ['Bielany', 'city', 'PL', 52.2924, 20.9353, 98],
+    ['Chhindwāra', 'city', 'IN', 22.058, 78.9376, 684],
+    ['Mandya', 'city', 'IN', 12.5214, 76.8953, 680],
+    ['Cartago', 'city', 'CO', 4.7464, -75.9117, 915],
+    ['Cap-Haïtien', 'city', 'HT', 19.7578, -72.2042, 13],
+    ['Baturaja', 'city', 'ID', -4.1289, 104.1669, 69],
+    ['El Oued', 'city', 'DZ', 33.3561, 6.8632, 84],
+    ['Zama', 'city', 'JP', 35.4889, 139.3886, 31],
+    ['Ravenna', 'city', 'IT', 44.4175, 12.2011, 8],
+    ['Marbella', 'city', 'ES', 36.5154, -4.8858, 57],
+    ['\'s-Hertogenbosch', 'city', 'NL', 51.6992, 5.3042, 7],
+    ['Rodriguez', 'city', 'PH', 14.7314, 121.1417, 28],
+    ['Chetumal', 'city', 'MX', 18.5114, -88.301, 10],
+    ['Córdoba', 'city', 'MX', 18.8858, -96.9313, 846],
+    ['Tuxpan de Rodríguez Cano', 'city', 'MX', 20.9577, -97.408, 11],
+    ['Ajdabiya', 'city', 'LY', 30.7554, 20.2263, 3],
+    ['Nevinnomyssk', 'city', 'RU', 44.6333, 41.9444, 330],
+    ['San Mateo', 'city', 'PH', 14.6982, 121.1236, 21],
+    ['Śródmieście', 'city', 'PL', 52.229, 21.0164, 116],
+    ['León', 'city', 'ES', 42.6, -5.5703, 817],
+    ['Seto', 'city', 'JP', 35.2333, 137.1, 111],
+    ['Ikirun', 'city', 'NG', 7.9167, 4.6667, 387],
+    ['Léogâne', 'city', 'HT', 18.5096, -72.6315, 18],
+    ['Adiwerna', 'city', 'ID', -6.9375, 109.1325, 23],
+    ['Abakaliki', 'city', 'NG', 6.3163, 8.1169, 44],
+    ['Slough', 'city', 'GB', 51.5095, -0.5954, 33],
+    ['Warren', 'city', 'MI, US', 42.4775, -83.0277, 191],
+    ['Dali', 'city', 'CN', 25.5847, 100.2123, 1977],
+    ['Bānkura', 'city', 'IN', 23.2324, 87.0716, 94],
+    ['Inegeul', 'city', 'TR', 40.0781, 29.5133, 293],
+    ['Ebetsu', 'city', 'JP', 43.1081, 141.5506, 12],
+    ['Thành Phố Thái Nguyên', 'city', 'VN', 21.5942, 105.8482, 32],
+    ['Singaraja', 'city', 'ID', -8.112, 115.0882, 11],
+    ['Würzburg', 'city', 'DE', 49.7878, 9.9361, 187],
+    ['Randfontein', 'city', 'ZA', -26.1844, 27.702, 1716],
+    ['Hājīpur', 'city', 'IN', 25.69, 85.2095, 55],
+    ['Pervoural’sk', 'city', 'RU', 56.9053, 59.9436, 352],
+    ['Gonda', 'city', 'IN', 27.1325, 81.969, 110],
+    ['Marg‘ilon', 'city', 'UZ', 40.4711, 71.7247, 495],
+    ['Bhuj', 'city', 'IN', 23.254, 69.6693, 106],
+    ['Valdivia', 'city', 'CL', -39.8142, -73.2459, 17],
+    ['Hindupur', 'city', 'IN', 13.8291, 77.4924, 630],
+    ['Okrika', 'city', 'NG', 4.7416, 7.0849, 7],
+    ['Bīrganj', 'city', 'NP', 27.0104, 84.8774, 91],
+    ['Talisay', 'city', 'PH', 10.2447, 123.8494, 4],
+    ['Hawassa', 'city', 'ET', 7.0621, 38.4763, 1697],
+    ['Ibarra', 'city', 'EC', 0.3517, -78.1223, 2208],
+    ['Clarksville', 'city', 'TN, US', 36.5298, -87.3594, 145],
+    ['Puqi', 'city', 'CN', 29.7167, 113.8833, 40],
+    ['Tondabayashi', 'city', 'JP', 34.5, 135.6, 63],
+    ['Fujieda', 'city', 'JP', 34.8667, 138.2667, 22],
+    ['Sanda', 'city', 'JP', 34.8833, 135.2333, 143],
+    ['Shillong', 'city', 'IN', 25.5689, 91.8831, 1507],
+    ['Mīāndowāb', 'city', 'IR', 36.9694, 46.1027, 1296],
+    ['Kislovodsk', 'city', 'RU', 43.9133, 42.7208, 815],
+    ['Hoofddorp', 'city', 'NL', 52.3025, 4.6889, -2],
+    ['Nzérékoré', 'city', 'GN', 7.7562, -8.8179, 482],
+    ['Palakkad', 'city', 'IN', 10.7744, 76.6563, 95],
+    ['Ankang', 'city', 'CN', 32.68, 109.0172, 273],
+    ['Blitar', 'city', 'ID', -8.0983, 112.1681, 180],
+    ['Cerro', 'city', 'CU', 23.1086, -82.3778, 26],
+    ['Tlemcen', 'city', 'DZ', 34.8783, -1.315, 811],
+    ['Kakamigahara', 'city', 'JP', 35.4167, 136.8667, 40],
+    ['Quetzaltenango', 'city', 'GT', 14.8347, -91.5181, 2344],
+    ['Dimitrovgrad', 'city', 'RU', 54.2139, 49.6184, 56],
+    ['Zalantun', 'city', 'CN', 48, 122.7167, 311],
+    ['Pindamonhangaba', 'city', 'BR', -22.9239, -45.4617, 562],
+    ['Muricay', 'city', 'PH', 7.8275, 123.4782, 3],
+    ['St. Catharines', 'city', 'CA', 43.1713, -79.2427, 97],
+    ['Ōmuta', 'city', 'JP', 33.0333, 130.45, 15],
+    ['Godhra', 'city', 'IN', 22.7755, 73.6149, 132],
+    ['Shāhrūd', 'city', 'IR', 36.4182, 54.9763, 1351],
+    ['Dawukou', 'city', 'CN', 39.0419, 106.3958, 1119],
+    ['Bulaon', 'city', 'PH', 15.0826, 120.6629, 31],
+    ['Punto Fijo', 'city', 'VE', 11.6956, -70.1996, 25],
+    ['Abiko', 'city', 'JP', 35.8667, 140.0167, 10],
+    ['Kishangarh', 'city', 'IN', 26.5741, 74.8668, 429],
+    ['Kadoma', 'city', 'JP', 34.7333, 135.5833, 4],
+    ['Majie', 'city', 'CN', 25.0333, 102.6361, 1897],
+    ['Martapura', 'city', 'ID', -3.4167, 114.85, 15],
+    ['Villeurbanne', 'city', 'FR', 45.7667, 4.8833, 173],
+    ['Gonbad-e Qābūs', 'city', 'IR', 37.25, 55.1672, 38],
+    ['Rānīganj', 'city', 'IN', 23.6164, 87.1306, 103],
+    ['Toowoomba', 'city', 'AU', -27.5606, 151.9539, 599],
+    ['Hepo', 'city', 'CN', 23.4308, 115.8299, 41],
+    ['Īrānshahr', 'city', 'IR', 27.2024, 60.6848, 566],
+    ['McKinney', 'city', 'TX, US', 33.1976, -96.6153, 192],
+    ['Lashio', 'city', 'MM', 22.9359, 97.7498, 845],
+    ['Pīlībhīt', 'city', 'IN', 28.631, 79.8034, 190],
+    ['Miyakonojō', 'city', 'JP', 31.7333, 131.0667, 148],
+    ['Ferrara', 'city', 'IT', 44.8268, 11.6207, 8],
+    ['Novomoskovsk', 'city', 'RU', 54.0105, 38.2846, 238],
+    ['Buzău', 'city', 'RO', 45.15, 26.8333, 93],
+    ['Sapucaia', 'city', 'BR', -29.8333, -51.15, 37],
+    ['Matsubara', 'city', 'JP', 34.5667, 135.55, 24],
+    ['Pinsk', 'city', 'BY', 52.1229, 26.0951, 139],
+    ['Beāwar', 'city', 'IN', 26.1012, 74.3203, 453],
+    ['Dazhou', 'city', 'CN', 31.2159, 107.5009, 309],
+    ['Al Bāb', 'city', 'SY', 36.3699, 37.5179, 458],
+    ['Shuangcheng', 'city', 'CN', 45.35, 126.2833, 163],
+    ['Isesaki', 'city', 'JP', 36.3167, 139.2, 62],
+    ['Garza García', 'city', 'MX', 25.6538, -100.3776, 621],
+    ['Abohar', 'city', 'IN', 30.1431, 74.1975, 188],
+    ['Dąbrowa Górnicza', 'city', 'PL', 50.3182, 19.2374, 272],
+    ['Šiauliai', 'city', 'LT', 55.9333, 23.3167, 129],
+    ['Moga', 'city', 'IN', 30.8157, 75.1742, 228],
+    ['Nikopol’', 'city', 'UA', 47.5712, 34.3964, 67],
+    ['Petrogradka', 'city', 'RU', 59.9657, 30.3115, 13],
+    ['Dongyang', 'city', 'CN', 29.2678, 120.2253, 97],
+    ['Maicao', 'city', 'CO', 11.3832, -72.2432, 49],
+    ['Florencia', 'city', 'CO', 1.6144, -75.6062, 270],
+    ['Nablus', 'city', 'PS', 32.2211, 35.2544, 569],
+    ['Jiazi', 'city', 'CN', 22.8793, 116.0732, 7],
+    ['Girardot', 'city', 'CO', 4.2987, -74.8047, 295],
+    ['Quilpué', 'city', 'CL', -33.0475, -71.4425, 113],
+    ['Songjiang', 'city', 'CN', 31.0359, 121.2146, 5],
+    ['La Ceiba', 'city', 'HN', 15.7597, -86.7822, 14],
+    ['Jaraguá do Sul', 'city', 'BR', -26.4861, -49.0667, 27],
+    ['Sinnar', 'city', 'SD', 13.5691, 33.5672, 427],
+    ['Masaya', 'city', 'NI', 11.9744, -86.0942, 239],
+    ['Relizane', 'city', 'DZ', 35.7373, 0.556, 98],
+    ['Shangri-La', 'city', 'CN', 27.8251, 99.7078, 3283],
+    ['Mostaganem', 'city', 'DZ', 35.9312, 0.0892, 102],
+    ['Sabhā', 'city', 'LY', 27.0377, 14.4283, 421],
+    ['Tychy', 'city', 'PL', 50.1372, 18.9664, 259],
+    ['Ramenki', 'city', 'RU', 55.7, 37.5, 179],
+    ['Syeverodonets’k', 'city', 'UA', 48.9483, 38.4917, 74],
+    ['Dehri', 'city', 'IN', 24.905, 84.1829, 114],
+    ['Wuda', 'city', 'CN', 39.4994, 106.7117, 1129],
+    ['Kisaran', 'city', 'ID', 2.9845, 99.6158, 20],
+    ['Keizan', 'city', 'KR', 35.8233, 128.7378, 59],
+    ['McAllen', 'city', 'TX, US', 26.2034, -98.23, 37],
+    ['Baidoa', 'city', 'SO', 3.1138, 43.6498, 441],
+    ['New Haven', 'city', 'CT, US', 41.3081, -72.9282, 18],
+    ['Mandi Bahāuddīn', 'city', 'PK', 32.5834, 73.4843, 218],
+    ['Navoiy', 'city', 'UZ', 40.0844, 65.3792, 392],
+    ['Tokat', 'city', 'TR', 40.3139, 36.5544, 627],
+    ['Sterling Heights', 'city', 'MI, US', 42.5803, -83.0302, 187],
+    ['Bimbo', 'city', 'CF', 4.2567, 18.4158, 371],
+    ['Deoria', 'city', 'IN', 26.5017, 83.7794, 82],
+    ['Daitō', 'city', 'JP', 34.7, 135.6167, -1],
+    ['West Valley City', 'city', 'UT, US', 40.6916, -112.0011, 1312],
+    ['Sherbrooke', 'city', 'CA', 45.4001, -71.8991, 175],
+    ['Ouargla', 'city', 'DZ', 31.9493, 5.325, 138],
+    ['Andong', 'city', 'KR', 36.5656, 128.725, 96],
+    ['Tete', 'city', 'MZ', -16.1564, 33.5867, 137],
+    ['Copiapó', 'city', 'CL', -27.3668, -70.3314, 397],
+    ['Palopo', 'city', 'ID', -2.9925, 120.1969, 8],
+    ['Columbia', 'city', 'SC, US', 34.0007, -81.0348, 89],
+    ['Nador', 'city', 'MA', 35.1681, -2.9335, 19],
+    ['Bilbays', 'city', 'EG', 30.4204, 31.5622, 17],
+    ['Charallave', 'city', 'VE', 10.2425, -66.8572, 311],
+    ['Shahr-e Kord', 'city', 'IR', 32.3256, 50.8644, 2065],
+    ['Regensburg', 'city', 'DE', 49.015, 12.0956, 348],
+    ['Mino', 'city', 'JP', 34.8269, 135.4706, 76],
+    ['Leiyang', 'city', 'CN', 26.4024, 112.8591, 69],
+    ['Udipi', 'city', 'IN', 13.3347, 74.7462, 33],
+    ['Darwin', 'city', 'AU', -12.4611, 130.8418, 31],
+    ['Cadiz', 'city', 'PH', 10.9465, 123.288, 12],
+    ['Zyablikovo', 'city', 'RU', 55.6167, 37.7667, 145],
+    ['San Cristóbal de Las Casas', 'city', 'MX', 16.7379, -92.6382, 2130],
+    ['Bat Yam', 'city', 'IL', 32.0238, 34.7518, 33],
+    ['Sātkhira', 'city', 'BD', 22.7082, 89.0718, 11],
+    ['Palo Negro', 'city', 'VE', 10.1739, -67.5419, 437],
+    ['Mogi Guaçu', 'city', 'BR', -22.3722, -46.9422, 595],
+    ['Arish', 'city', 'EG', 31.1316, 33.7984, 15],
+    ['Idlib', 'city', 'SY', 35.9306, 36.6339, 442],
+    ['Sīnah', 'city', 'IQ', 36.8075, 43.0383, 596],
+    ['Lárisa', 'city', 'GR', 39.6372, 22.4203, 85],
+    ['Gloucester', 'city', 'GB', 51.8657, -2.2431, 24],
+    ['Rimini', 'city', 'IT', 44.0633, 12.5808, 2],
+    ['Kamyshin', 'city', 'RU', 50.0983, 45.416, 73],
+    ['Oulu', 'city', 'FI', 65.0124, 25.4682, 15],
+    ['Hassan', 'city', 'IN', 13.0143, 76.1035, 963],
+    ['Cambridge', 'city', 'GB', 52.2, 0.1167, 12],
+    ['Novocheboksarsk', 'city', 'RU', 56.111, 47.4776, 105],
+    ['Besançon', 'city', 'FR', 47.2488, 6.0182, 300],
+    ['El Eulma', 'city', 'DZ', 36.1528, 5.6902, 959],
+    ['Khardah', 'city', 'IN', 22.7186, 88.3781, 10],
+    ['Sakākā', 'city', 'SA', 29.9697, 40.2064, 555],
+    ['Jīma', 'city', 'ET', 7.6667, 36.8333, 1716],
+    ['Al Manāqil', 'city', 'SD', 14.2459, 32.9891, 413],
+    ['Teluknaga', 'city', 'ID', -6.0989, 106.6381, 8],
+    ['Győr', 'city', 'HU', 47.6833, 17.6351, 122],
+    ['Jirjā', 'city', 'EG', 26.3383, 31.8916, 70],
+    ['Manzanillo', 'city', 'CU', 20.3433, -77.1167, 16],
+    ['Yavatmāl', 'city', 'IN', 20.3968, 78.1306, 449],
+    ['Hālīsahar', 'city', 'IN', 22.9322, 88.4186, 16],
+    ['Serpukhov', 'city', 'RU', 54.9158, 37.4111, 138],
+    ['Sirte', 'city', 'LY', 31.2089, 16.5887, 17],
+    ['Ramat Gan', 'city', 'IL', 32.0823, 34.8107, 59],
+    ['Asaka', 'city', 'JP', 35.8047, 139.6019, 25],
+    ['Panvel', 'city', 'IN', 18.9888, 73.1101, 12],
+    ['Orekhovo-Borisovo Severnoye', 'city', 'RU', 55.6167, 37.6833, 151],
+    ['Ivanovskoye', 'city', 'RU', 55.7667, 37.8333, 156],
+    ['Killeen', 'city', 'TX, US', 31.1171, -97.7278, 252],
+    ['Muar', 'city', 'MY', 2.0442, 102.5689, 6],
+    ['Divo', 'city', 'CI', 5.8374, -5.3572, 147],
+    ['Ungaran', 'city', 'ID', -7.1397, 110.405, 351],
+    ['Xuanzhou', 'city', 'CN', 30.9525, 118.7553, 25],
+    ['Titāgarh', 'city', 'IN', 22.7425, 88.3733, 10],
+    ['San Nicolás de los Arroyos', 'city', 'AR', -33.3358, -60.2252, 25],
+    ['Uppsala', 'city', 'SE', 59.8588, 17.6389, 7],
+    ['Kusatsu', 'city', 'JP', 35.0167, 135.9667, 102],
+    ['Opole', 'city', 'PL', 50.6721, 17.9253, 167],
+    ['Worcester', 'city', 'ZA', -33.6465, 19.4485, 234],
+    ['Elblag', 'city', 'PL', 54.1522, 19.4088, 8],
+    ['Saïda', 'city', 'DZ', 34.8303, 0.1517, 840],
+    ['Sirājganj', 'city', 'BD', 24.4577, 89.708, 19],
+    ['Jequié', 'city', 'BR', -13.8575, -40.0836, 214],
+    ['Płock', 'city', 'PL', 52.5468, 19.7064, 103],
+    ['Topeka', 'city', 'KS, US', 39.0483, -95.678, 288],
+    ['Wałbrzych', 'city', 'PL', 50.7714, 16.2843, 495],
+    ['Wau', 'city', 'SS', 7.7029, 27.9953, 441],
+    ['Xai-Xai', 'city', 'MZ', -25.0519, 33.6442, 4],
+    ['Huaihua', 'city', 'CN', 27.5494, 109.9592, 245],
+    ['Amaigbo', 'city', 'NG', 5.7892, 7.8383, 84],
+    ['Lafia', 'city', 'NG', 8.4833, 8.5167, 152],
+    ['Colima', 'city', 'MX', 19.2434, -103.7277, 498],
+    ['Jiangyou', 'city', 'CN', 31.7667, 104.7167, 527],
+    ['Tando Allāhyār', 'city', 'PK', 25.4626, 68.7192, 25],
+    ['Surat Thani', 'city', 'TH', 9.1401, 99.3331, 10],
+    ['Tipitapa', 'city', 'NI', 12.1973, -86.0971, 54],
+    ['Isiro', 'city', 'CD', 2.7739, 27.616, 761],
+    ['Sancti Spíritus', 'city', 'CU', 21.9297, -79.4425, 66],
+    ['Cuddapah', 'city', 'IN', 14.4775, 78.8235, 135],
+    ['Bettiah', 'city', 'IN', 26.8024, 84.4987, 79],
+    ['Angren', 'city', 'UZ', 41.0167, 70.1436, 932],
+    ['Pakokku', 'city', 'MM', 21.3349, 95.0844, 70],
+    ['Murom', 'city', 'RU', 55.575, 42.0426, 117],
+    ['Daska', 'city', 'PK', 32.3243, 74.3497, 242],
+    ['Rangkasbitung', 'city', 'ID', -6.3591, 106.2494, 27],
+    ['Hāthras', 'city', 'IN', 27.5962, 78.0524, 187],
+    ['Klaten', 'city', 'ID', -7.7058, 110.6064, 159],
+    ['Khasavyurt', 'city', 'RU', 43.2509, 46.5877, 129],
+    ['Neftekamsk', 'city', 'RU', 56.092, 54.2661, 108],
+    ['Villaverde', 'city', 'ES', 40.35, -3.7, 597],
+    ['Xichang', 'city', 'CN', 27.8964, 102.2634, 1558],
+    ['Cadiz', 'city', 'ES', 36.5298, -6.2946, 18],
+    ['Pākpattan', 'city', 'PK', 30.341, 73.3866, 170],
+    ['Danshui', 'city', 'CN', 22.7984, 114.4672, 27],
+    ['Bahāwalnagar', 'city', 'PK', 30.5508, 73.3908, 165],
+    ['Thousand Oaks', 'city', 'CA, US', 34.1706, -118.8376, 270],
+    ['Bahāwalnagar', 'city', 'PK', 29.9987, 73.2536, 159],
+    ['Ueda', 'city', 'JP', 36.4, 138.2667, 499],
+    ['Sogamoso', 'city', 'CO', 5.7143, -72.9339, 2490],
+    ['East Los Angeles', 'city', 'CA, US', 34.0239, -118.172, 61],
+    ['Lalitpur', 'city', 'IN', 24.6905, 78.4189, 362],
+    ['Edirne', 'city', 'TR', 41.6772, 26.556, 62],
+    ['Jombang', 'city', 'ID', -7.546, 112.2331, 43],
+    ['Anmore', 'city', 'CA', 49.3164, -122.8526, 183],
+    ['Songea', 'city', 'TZ', -10.6833, 35.65, 1113],
+    ['Kolār', 'city', 'IN', 13.1367, 78.1292, 846],
+    ['Lévis', 'city', 'CA', 46.8033, -71.1779, 87],
+    ['Chinandega', 'city', 'NI', 12.6294, -87.1311, 69],
+    ['Al Jadīd', 'city', 'LY', 27.05, 14.4, 417],
+    ['Lambaré', 'city', 'PY', -25.3468, -57.6065, 119],
+    ['Macheng', 'city', 'CN', 31.1783, 115.0319, 58],
+    ['Cedar Rapids', 'city', 'IA, US', 42.0083, -91.6441, 247],
+    ['Rafaḩ', 'city', 'PS', 31.287, 34.2595, 79],
+    ['Itapetininga', 'city', 'BR', -23.5917, -48.0531, 670],
+    ['Patos de Minas', 'city', 'BR', -18.5789, -46.5181, 842],
+    ['Paseh', 'city', 'ID', -7.1026, 107.7641, 918],
+    ['Retiro', 'city', 'ES', 40.4132, -3.6831, 665],
+    ['Pangkalpinang', 'city', 'ID', -2.1291, 106.1138, 10],
+    ['Huicheng', 'city', 'CN', 23.0385, 116.2899, 10],
+    ['Olathe', 'city', 'KS, US', 38.8814, -94.8191, 315],
+    ['Gashua', 'city', 'NG', 12.871, 11.0482, 339],
+    ['Navoiy Shahri', 'city', 'UZ', 40.0929, 65.3712, 381],
+    ['Les Cayes', 'city', 'HT', 18.2, -73.75, 9],
+    ['Watford', 'city', 'GB', 51.6553, -0.396, 77],
+    ['Xiazhen', 'city', 'CN', 34.8022, 117.1117, 39],
+    ['Torbat-e Ḩeydarīyeh', 'city', 'IR', 35.274, 59.2195, 1351],
+    ['Tando Ādam', 'city', 'PK', 25.7637, 68.661, 29],
+    ['‘Ajlūn', 'city', 'JO', 32.3338, 35.7524, 784],
+    ['Sorong', 'city', 'ID', -0.8796, 131.261, 7],
+    ['Koronadal', 'city', 'PH', 6.5031, 124.8469, 52],
+    ['Okinawa', 'city', 'JP', 26.3358, 127.8014, 112],
+    ['Los Ángeles', 'city', 'CL', -37.4697, -72.3537, 141],
+    ['Haimen', 'city', 'CN', 23.1935, 116.6122, 17],
+    ['Orsha', 'city', 'BY', 54.5081, 30.4172, 159],
+    ['Shahecheng', 'city', 'CN', 36.9383, 114.5058, 73],
+    ['Kelowna', 'city', 'CA', 49.8831, -119.4857, 350],
+    ['Bragança Paulista', 'city', 'BR', -22.9519, -46.5419, 838],
+    ['Bohicon', 'city', 'BJ', 7.1783, 2.0667, 166],
+    ['Beppu', 'city', 'JP', 33.2794, 131.4975, 22],
+    ['Willemstad', 'city', 'CW', 12.1084, -68.9335, 1],
+    ['Bălţi', 'city', 'MD', 47.7617, 27.9289, 110],
+    ['Tyoply Stan', 'city', 'RU', 55.6205, 37.4934, 240],
+    ['Mandsaur', 'city', 'IN', 24.0718, 75.0699, 440],
+    ['Elizabeth', 'city', 'NJ, US', 40.664, -74.2107, 6],
+    ['Padalarang', 'city', 'ID', -6.8378, 107.4728, 703],
+    ['Suining', 'city', 'CN', 30.508, 105.5733, 291],
+    ['Zamora de Hidalgo', 'city', 'MX', 19.9891, -102.2848, 1569],
+    ['Gondia', 'city', 'IN', 21.4601, 80.192, 322],
+    ['Huixquilucan', 'city', 'MX', 19.3599, -99.3502, 2712],
+    ['Semnān', 'city', 'IR', 35.5769, 53.392, 1137],
+    ['Waco', 'city', 'TX, US', 31.5493, -97.1467, 143],
+    ['Sloviansk', 'city', 'UA', 48.8667, 37.6167, 61],
+    ['Hartford', 'city', 'CT, US', 41.7637, -72.6851, 18],
+    ['San Francisco de Macorís', 'city', 'DO', 19.301, -70.2526, 153],
+    ['Yushu', 'city', 'CN', 44.8, 126.5333, 220],
+    ['Santa Tecla', 'city', 'SV', 13.6769, -89.2797, 935],
+    ['Matsuzaka', 'city', 'JP', 34.5667, 136.5333, 10],
+    ['Khairpur', 'city', 'PK', 27.5295, 68.7617, 61],
+    ['Kashihara-shi', 'city', 'JP', 34.509, 135.7929, 65],
+    ['Riobamba', 'city', 'EC', -1.671, -78.6471, 2745],
+    ['Kokshetau', 'city', 'KZ', 53.2824, 69.3969, 234],
+    ['Visalia', 'city', 'CA, US', 36.3302, -119.2921, 101],
+    ['Gorzów Wielkopolski', 'city', 'PL', 52.7368, 15.2288, 34],
+    ['Timon', 'city', 'BR', -5.0942, -42.8367, 76],
+    ['Gainesville', 'city', 'FL, US', 29.6516, -82.3248, 54],
+    ['Agadez', 'city', 'NE', 16.9733, 7.9911, 505],
+    ['Targówek', 'city', 'PL', 52.2918, 21.0484, 84],
+    ['Lecheng', 'city', 'CN', 25.1137, 113.3541, 106],
+    ['Simi Valley', 'city', 'CA, US', 34.2694, -118.7815, 234],
+    ['São José dos Pinhais', 'city', 'BR', -25.5347, -49.2064, 905],
+    ['Marand', 'city', 'IR', 38.4329, 45.7749, 1322],
+    ['Rajapalaiyam', 'city', 'IN', 9.453, 77.5533, 165],
+    ['Orléans', 'city', 'FR', 47.9029, 1.9039, 115],
+    ['Laiwu', 'city', 'CN', 36.1928, 117.6569, 182],
+    ['Rustenburg', 'city', 'ZA', -25.6676, 27.2421, 1171],
+    ['Rudnyy', 'city', 'KZ', 52.9729, 63.1168, 167],
+    ['Teresópolis', 'city', 'BR', -22.4122, -42.9656, 883],
+    ['Metz', 'city', 'FR', 49.1191, 6.1727, 182],
+    ['Jiupu', 'city', 'CN', 41.0667, 122.95, 31],
+    ['Dārjiling', 'city', 'IN', 27.0333, 88.2667, 2127],
+    ['Baoshan', 'city', 'CN', 46.5586, 131.4244, 167],
+    ['Salvaleón de Higüey', 'city', 'DO', 18.615, -68.708, 95],
+    ['Polokwane', 'city', 'ZA', -23.9045, 29.4688, 1315],
+    ['Thaton', 'city', 'MM', 16.9187, 97.37, 24],
+    ['Budapest III. kerület', 'city', 'HU', 47.5416, 19.045, 109],
+    ['Potchefstroom', 'city', 'ZA', -26.7167, 27.1, 1335],
+    ['Siracusa', 'city', 'IT', 37.0851, 15.273, 65],
+    ['Ciamis', 'city', 'ID', -7.3257, 108.3534, 207],
+    ['Lumajang', 'city', 'ID', -8.1335, 113.2248, 56],
+    ['Guelma', 'city', 'DZ', 36.4621, 7.4261, 305],
+    ['Hagonoy', 'city', 'PH', 14.8341, 120.7327, 6],
+    ['Mohali', 'city', 'IN', 30.68, 76.7221, 312],
+    ['Uruguaiana', 'city', 'BR', -29.7547, -57.0883, 79],
+    ['Ban Rangsit', 'city', 'TH', 14.0277, 100.756, 9],
+    ['Pālanpur', 'city', 'IN', 24.171, 72.4382, 230],
+    ['Indramayu', 'city', 'ID', -6.3264, 108.32, 5],
+    ['Epworth', 'city', 'ZW', -17.89, 31.1475, 1508],
+    ['Bordj el Kiffan', 'city', 'DZ', 36.7487, 3.1925, 11],
+    ['Gagnoa', 'city', 'CI', 6.1319, -5.9506, 202],
+    ['Porto Seguro', 'city', 'BR', -16.4497, -39.0647, 4],
+    ['Luoyang', 'city', 'CN', 23.1624, 114.2734, 16],
+    ['Wolfsburg', 'city', 'DE', 52.4245, 10.7815, 62],
+    ['Niihama', 'city', 'JP', 33.9605, 133.3052, 27],
+    ['Jiaohe', 'city', 'CN', 43.7286, 127.3447, 274],
+    ['Tsaritsyno', 'city', 'RU', 55.6254, 37.6503, 164],
+    ['Dos Hermanas', 'city', 'ES', 37.2829, -5.9209, 45],
+    ['Pati', 'city', 'ID', -6.7559, 111.038, 13],
+    ['Dam Dam', 'city', 'IN', 22.6334, 88.4229, 9],
+    ['Alagoinhas', 'city', 'BR', -12.1356, -38.4192, 158],
+    ['Az Zubayr', 'city', 'IQ', 30.3921, 47.7017, 13],
+    ['Stamford', 'city', 'CT, US', 41.0534, -73.5387, 7],
+    ['Hardoī', 'city', 'IN', 27.3943, 80.1311, 144],
+    ['Huangzhou', 'city', 'CN', 30.45, 114.8, 19],
+    ['Puruliya', 'city', 'IN', 23.3306, 86.363, 255],
+    ['Ubon Ratchathani', 'city', 'TH', 15.2384, 104.8487, 125],
+    ['Kisarazu', 'city', 'JP', 35.3747, 139.9225, 3],
+    ['Virginia', 'city', 'ZA', -28.1039, 26.8659, 1326],
+    ['Brits', 'city', 'ZA', -25.6347, 27.7802, 1118],
+    ['Beylikdüzü', 'city', 'TR', 40.982, 28.6399, 102],
+    ['Recklinghausen', 'city', 'DE', 51.6138, 7.1974, 80],
+    ['Palhoça', 'city', 'BR', -27.6453, -48.6678, 5],
+    ['Xiulin', 'city', 'CN', 29.7167, 112.4, 36],
+    ['Zhoucun', 'city', 'CN', 36.8167, 117.8167, 53],
+    ['Jiayuguan', 'city', 'CN', 39.8112, 98.2862, 1635],
+    ['Maastricht', 'city', 'NL', 50.8483, 5.6889, 56],
+    ['Amherst', 'city', 'NY, US', 42.9784, -78.7998, 182],
+    ['Bellevue', 'city', 'WA, US', 47.6104, -122.2007, 26],
+    ['Mỹ Tho', 'city', 'VN', 10.36, 106.36, 2],
+    ['Tekirdağ', 'city', 'TR', 40.978, 27.5085, 69],
+    ['Aalborg', 'city', 'DK', 57.048, 9.9187, 10],
+    ['Barbacena', 'city', 'BR', -21.2258, -43.7736, 1171],
+    ['Chishtiān Mandi', 'city', 'PK', 29.8, 72.8667, 148],
+    ['Villa Canales', 'city', 'GT', 14.4814, -90.5317, 1245],
+    ['Dibrugarh', 'city', 'IN', 27.4799, 94.9084, 110],
+    ['Göttingen', 'city', 'DE', 51.5344, 9.9323, 155],
+    ['Chūō-ku', 'city', 'JP', 35.6833, 139.7833, 10],
+    ['Concord', 'city', 'CA, US', 37.978, -122.0311, 23],
+    ['Miramar', 'city', 'FL, US', 25.9873, -80.2323, 2],
+    ['Durrës', 'city', 'AL', 41.3231, 19.4414, 13],
+    ['San Pedro Garza Garcia', 'city', 'MX', 25.6572, -100.4027, 540],
+    ['Veshnyaki', 'city', 'RU', 55.7239, 37.8195, 155],
+    ['Presnenskiy', 'city', 'RU', 55.75, 37.55, 120],
+    ['Zābol', 'city', 'IR', 31.0306, 61.4949, 478],
+    ['Palwal', 'city', 'IN', 28.1433, 77.327, 202],
+    ['Nobeoka', 'city', 'JP', 32.5833, 131.6667, 4],
+    ['Nalgonda', 'city', 'IN', 17.0544, 79.2671, 235],
+    ['Batumi', 'city', 'GE', 41.6416, 41.6359, 5],
+    ['Mataró', 'city', 'ES', 41.5421, 2.4445, 43],
+    ['Bhadreswar', 'city', 'IN', 22.8245, 88.3384, 11],
+    ['Bern', 'city', 'CH', 46.9481, 7.4474, 549],
+    ['Vejalpur', 'city', 'IN', 22.6902, 73.563, 113],
+    ['Stavanger', 'city', 'NO', 58.9701, 5.7333, 15],
+    ['Payakumbuh', 'city', 'ID', -0.2159, 100.6334, 499],
+    ['Fujinomiya', 'city', 'JP', 35.2167, 138.6167, 116],
+    ['Chikmagalūr', 'city', 'IN', 13.3223, 75.774, 1042],
+    ['Ekibastuz', 'city', 'KZ', 51.7237, 75.3229, 347],
+    ['San Juan', 'city', 'PH', 14.6, 121.0333, 20],
+    ['Noda', 'city', 'JP', 35.9411, 139.8581, 16],
+    ['Braga', 'city', 'PT', 41.5503, -8.42, 188],
+    ['Lianhe', 'city', 'CN', 47.1333, 129.2743, 173],
+    ['Orizaba', 'city', 'MX', 18.851, -97.1008, 1242],
+    ['Raigarh', 'city', 'IN', 21.9, 83.4, 216],
+    ['North Stamford', 'city', 'CT, US', 41.1382, -73.5435, 75],
+    ['Olmaliq', 'city', 'UZ', 40.8447, 69.5983, 569],
+    ['Musoma', 'city', 'TZ', -1.5, 33.8, 1148],
+    ['Coral Springs', 'city', 'FL, US', 26.2712, -80.2706, 3],
+    ['Cachoeirinha', 'city', 'BR', -29.9511, -51.0939, 15],
+    ['Yaizu', 'city', 'JP', 34.8667, 138.3333, 1],
+    ['Tobruk', 'city', 'LY', 32.0836, 23.9764, 20],
+    ['Zyuzino', 'city', 'RU', 55.6561, 37.5685, 203],
+    ['Xilin Hot', 'city', 'CN', 43.9667, 116.0333, 982],
+    ['Guntakal', 'city', 'IN', 15.1713, 77.3657, 454],
+    ['Nakhon Si Thammarat', 'city', 'TH', 8.4333, 99.9667, 8],
+    ['Heilbronn', 'city', 'DE', 49.1399, 9.2205, 173],
+    ['Sassari', 'city', 'IT', 40.7272, 8.5603, 211],
+    ['Ingolstadt', 'city', 'DE', 48.7651, 11.4237, 379],
+    ['Lafayette', 'city', 'LA, US', 30.2241, -92.0198, 11],
+    ['Toyokawa', 'city', 'JP', 34.8167, 137.4, 4],
+    ['Fengcheng', 'city', 'CN', 40.4536, 124.0717, 65],
+    ['Mufulira', 'city', 'ZM', -12.5498, 28.2407, 1285],
+    ['Ulm', 'city', 'DE', 48.3984, 9.9916, 480],
+    ['Rawang', 'city', 'MY', 3.3213, 101.5767, 38],
+    ['Karaman', 'city', 'TR', 37.1811, 33.215, 1037],
+    ['Cambridge', 'city', 'CA', 43.3601, -80.3127, 272],
+    ['Włocławek', 'city', 'PL', 52.6482, 19.0678, 58],
+    ['Monza', 'city', 'IT', 45.5825, 9.2749, 162],
+    ['Fernando de la Mora', 'city', 'PY', -25.3231, -57.5402, 155],
+    ['Budapest XIV. kerület', 'city', 'HU', 47.5183, 19.1079, 112],
+    ['Gangāpur', 'city', 'IN', 26.4725, 76.7174, 262],
+    ['Gràcia', 'city', 'ES', 41.4024, 2.1564, 76],
+    ['Charleston', 'city', 'SC, US', 32.7766, -79.9309, 6],
+    ['Novoye Medvezhino', 'city', 'BY', 53.8833, 27.45, 242],
+    ['Bangil', 'city', 'ID', -7.5994, 112.8186, 2],
+    ['Nabatîyé et Tahta', 'city', 'LB', 33.3789, 35.4839, 428],
+    ['Navojoa', 'city', 'MX', 27.0702, -109.4439, 47],
+    ['Abbottābād', 'city', 'PK', 34.1469, 73.2145, 1232],
+    ['Solntsevo', 'city', 'RU', 55.6371, 37.3811, 178],
+    ['Orekhovo-Zuyevo', 'city', 'RU', 55.8067, 38.9618, 123],
+    ['Midoun', 'city', 'TN', 33.8081, 10.9923, 15],
+    ['Bottrop', 'city', 'DE', 51.5239, 6.9285, 55],
+    ['Santa Rita', 'city', 'BR', -7.1139, -34.9781, 6],
+    ['Maxixe', 'city', 'MZ', -23.8597, 35.3472, 21],
+    ['Charlottenburg', 'city', 'DE', 52.5167, 13.2833, 46],
+    ['Kairouan', 'city', 'TN', 35.6781, 10.0963, 65],
+    ['Jarānwāla', 'city', 'PK', 31.3333, 73.4333, 191],
+    ['Santa Coloma de Gramenet', 'city', 'ES', 41.4515, 2.2081, 39],
+    ['Leiden', 'city', 'NL', 52.1583, 4.4931, 6],
+    ['Trois-Rivières', 'city', 'CA', 46.3451, -72.5477, 29],
+    ['Bergedorf', 'city', 'DE', 53.4846, 10.229, 17],
+    ['Modakeke', 'city', 'NG', 7.3833, 4.2667, 241],
+    ['Silang', 'city', 'PH', 14.2157, 120.9714, 332],
+    ['Quevedo', 'city', 'EC', -1.0286, -79.4635, 51],
+    ['Nazilli', 'city', 'TR', 37.9163, 28.3223, 89],
+    ['Lira', 'city', 'UG', 2.2499, 32.8999, 1104],
+    ['Toledo', 'city', 'BR', -24.7136, -53.7431, 562],
+    ['Pforzheim', 'city', 'DE', 48.8844, 8.6989, 256],
+    ['Dordrecht', 'city', 'NL', 51.81, 4.6736, 3],
+    ['Jaú', 'city', 'BR', -22.2964, -48.5578, 528],
+    ['Offenbach', 'city', 'DE', 50.1006, 8.7665, 113],
+    ['Siwān', 'city', 'IN', 26.2215, 84.3588, 71],
+    ['Carrollton', 'city', 'TX, US', 32.9537, -96.8903, 161],
+    ['Settat', 'city', 'MA', 33.001, -7.6166, 365],
+    ['Cagua', 'city', 'VE', 10.1863, -67.4594, 465],
+    ['San Jose', 'city', 'PH', 12.3528, 121.0676, 9],
+    ['Roseville', 'city', 'CA, US', 38.7521, -121.288, 50],
+    ['Damoh', 'city', 'IN', 23.8365, 79.4413, 376],
+    ['Thornton', 'city', 'CO, US', 39.868, -104.9719, 1631],
+    ['Shimotoda', 'city', 'JP', 35.8125, 139.6856, 7],
+    ['Lhasa', 'city', 'CN', 29.65, 91.1, 3651],
+    ['Aïn Oussera', 'city', 'DZ', 35.4514, 2.9058, 685],
+    ['Kokubunji', 'city', 'JP', 35.7022, 139.4756, 78],
+    ['Pleven', 'city', 'BG', 43.4167, 24.6167, 97],
+    ['Zacatecas', 'city', 'MX', 22.7684, -102.5814, 2480],
+    ['Khlong Luang', 'city', 'TH', 14.0647, 100.6458, 7],
+    ['Ādilābād', 'city', 'IN', 19.672, 78.5359, 257],
+    ['Sepatan', 'city', 'ID', -6.1189, 106.575, 11],
+    ['Zielona Góra', 'city', 'PL', 51.9355, 15.5064, 143],
+    ['Cubatão', 'city', 'BR', -23.895, -46.4253, 6],
+    ['Maseru', 'city', 'LS', -29.3167, 27.4833, 1552],
+    ['Srīkākulam', 'city', 'IN', 18.2969, 83.8973, 18],
+    ['Beaumont', 'city', 'TX, US', 30.0861, -94.1018, 5],
+    ['Berdyans’k', 'city', 'UA', 46.7663, 36.7988, 29],
+    ['Malindi', 'city', 'KE', -3.218, 40.1169, 7],
+    ['Uppal Kalan', 'city', 'IN', 17.4058, 78.5591, 502],
+    ['Bandundu', 'city', 'CD', -3.3169, 17.3806, 322],
+    ['Pita Kotte', 'city', 'LK', 6.8905, 79.9015, 20],
+    ['San Juan del Río', 'city', 'MX', 20.3878, -99.996, 1923],
+    ['Torrejón de Ardoz', 'city', 'ES', 40.4554, -3.4697, 588],
+    ['Bama', 'city', 'NG', 11.5221, 13.6856, 331],
+    ['Ilobu', 'city', 'NG', 7.8333, 4.4833, 327],
+    ['Jetpur', 'city', 'IN', 21.7548, 70.6235, 92],
+    ['Allentown', 'city', 'PA, US', 40.6084, -75.4902, 103],
+    ['Puning', 'city', 'CN', 23.3107, 116.1687, 12],
+    ['Morbi', 'city', 'IN', 22.8173, 70.8377, 53],
+    ['Buga', 'city', 'CO', 3.9009, -76.2978, 979],
+    ['Troparëvo', 'city', 'RU', 55.6563, 37.485, 197],
+    ['Nakhon Pathom', 'city', 'TH', 13.8196, 100.0443, 11],
+    ['Uzhhorod', 'city', 'UA', 48.6167, 22.3, 119],
+    ['Pātan', 'city', 'IN', 23.8507, 72.1296, 82],
+    ['Friedrichshain', 'city', 'DE', 52.5333, 13.4333, 49],
+    ['Sokodé', 'city', 'TG', 8.9833, 1.1333, 402],
+    ['Tarnów', 'city', 'PL', 50.0138, 20.987, 220],
+    ['Loja', 'city', 'EC', -3.9931, -79.2042, 2060],
+    ['Jalingo', 'city', 'NG', 8.8833, 11.3667, 202],
+    ['Gemena', 'city', 'CD', 3.2565, 19.7723, 420],
+    ['Achinsk', 'city', 'RU', 56.2694, 90.4993, 207],
+    ['Shunyi', 'city', 'CN', 40.1217, 116.6478, 45],
+    ['Rotherham', 'city', 'GB', 53.4301, -1.3568, 41],
+    ['Ikoma', 'city', 'JP', 34.6833, 135.7, 146],
+    ['Ciudad de Villa de Álvarez', 'city', 'MX', 19.2672, -103.7378, 495],
+    ['Anaco', 'city', 'VE', 9.4389, -64.4728, 221],
+    ['Tebingtinggi', 'city', 'ID', 3.3285, 99.1625, 24],
+    ['Surprise', 'city', 'AZ, US', 33.6306, -112.3332, 358],
+    ['Petit Goâve', 'city', 'HT', 18.4294, -72.863, 66],
+    ['Tunja', 'city', 'CO', 5.5353, -73.3678, 2804],
+    ['Bremerhaven', 'city', 'DE', 53.5502, 8.5767, 5],
+    ['Punta Arenas', 'city', 'CL', -53.1548, -70.9113, 30],
+    ['Evansville', 'city', 'IN, US', 37.9748, -87.5559, 118],
+    ['Panevėžys', 'city', 'LT', 55.7333, 24.35, 52],
+    ['Newport', 'city', 'GB', 51.5877, -2.9983, 16],
+    ['Maymyo', 'city', 'MM', 22.0283, 96.4707, 1074],
+    ['Kedungwuni', 'city', 'ID', -6.9704, 109.6479, 17],
+    ['Ishinomaki', 'city', 'JP', 38.4167, 141.3, 2],
+    ['Longjing', 'city', 'CN', 42.7714, 129.4233, 245],
+    ['Khanna', 'city', 'IN', 30.703, 76.2211, 269],
+    ['Calabozo', 'city', 'VE', 8.9242, -67.4293, 103],
+    ['Remscheid', 'city', 'DE', 51.1798, 7.1925, 351],
+    ['Setúbal', 'city', 'PT', 38.5244, -8.8882, 16],
+    ['Čačak', 'city', 'RS', 43.8914, 20.3497, 241],
+    ['Nkongsamba', 'city', 'CM', 4.9547, 9.9404, 844],
+    ['Abilene', 'city', 'TX, US', 32.4487, -99.7331, 524],
+    ['Kindia', 'city', 'GN', 10.0569, -12.8658, 415],
+    ['Qingzhou', 'city', 'CN', 36.6967, 118.4797, 98],
+    ['Botād', 'city', 'IN', 22.1692, 71.6667, 89],
+    ['Rishra', 'city', 'IN', 22.7239, 88.3456, 11],
+    ['Pinhais', 'city', 'BR', -25.4447, -49.1925, 887],
+    ['Khenchela', 'city', 'DZ', 35.4358, 7.1433, 1128],
+    ['Frisco', 'city', 'TX, US', 33.1507, -96.8236, 212],
+    ['Hōfu', 'city', 'JP', 34.05, 131.5667, 4],
+    ['Independence', 'city', 'MO, US', 39.0911, -94.4155, 315],
+    ['Ordu', 'city', 'TR', 40.9847, 37.8789, 11],
+    ['Lausanne', 'city', 'CH', 46.516, 6.6328, 453],
+    ['Athens', 'city', 'GA, US', 33.9609, -83.3779, 228],
+    ['Brugge', 'city', 'BE', 51.2089, 3.2242, 13],
+    ['Simões Filho', 'city', 'BR', -12.7844, -38.4039, 33],
+    ['Āzamgarh', 'city', 'IN', 26.0676, 83.1836, 87],
+    ['Ahmadpur East', 'city', 'PK', 29.1431, 71.2598, 105],
+    ['Varginha', 'city', 'BR', -21.5514, -45.4303, 887],
+    ['Taldyqorghan', 'city', 'KZ', 45.0156, 78.3739, 596],
+    ['Jaén', 'city', 'ES', 37.7692, -3.7903, 558],
+    ['Puno', 'city', 'PE', -15.8422, -70.0199, 3825],
+    ['Moncloa-Aravaca', 'city', 'ES', 40.4355, -3.7317, 615],
+    ['Santa Clara', 'city', 'CA, US', 37.3541, -121.9552, 23],
+    ['Yelahanka', 'city', 'IN', 13.1013, 77.5963, 901],
+    ['Dasha', 'city', 'CN', 23.1104, 113.4418, 13],
+    ['Nyíregyháza', 'city', 'HU', 47.9554, 21.7167, 111],
+    ['Berlin Schöneberg', 'city', 'DE', 52.4839, 13.3477, 43],
+    ['Pescara', 'city', 'IT', 42.4602, 14.2102, 4],
+    ['Yakeshi', 'city', 'CN', 49.2833, 120.7333, 661],
+    ['Springfield', 'city', 'IL, US', 39.8017, -89.6437, 182],
+    ['Cherkessk', 'city', 'RU', 44.2233, 42.0578, 532],
+    ['Algeciras', 'city', 'ES', 36.1333, -5.4505, 29],
+    ['Gudivāda', 'city', 'IN', 16.4317, 80.9963, 11],
+    ['Digos', 'city', 'PH', 6.7497, 125.3572, 18],
+    ['Handa', 'city', 'JP', 34.8833, 136.9333, 1],
+    ['Sinop', 'city', 'BR', -11.8642, -55.5025, 378],
+    ['Taganskiy', 'city', 'RU', 55.7333, 37.6667, 135],
+    ['Alchevs’k', 'city', 'UA', 48.4689, 38.8167, 211],
+    ['Noginsk', 'city', 'RU', 55.8665, 38.4438, 129],
+    ['Schöneberg', 'city', 'DE', 52.4667, 13.35, 47],
+    ['Koganei', 'city', 'JP', 35.6914, 139.5011, 57],
+    ['Ra’s al Khaymah', 'city', 'AE', 25.7895, 55.9432, 2],
+    ['Vallejo', 'city', 'CA, US', 38.1041, -122.2566, 21],
+    ['Cavite', 'city', 'PH', 14.4778, 120.8932, 7],
+    ['Pavlohrad', 'city', 'UA', 48.5334, 35.8705, 70],
+    ['Victorville', 'city', 'CA, US', 34.5361, -117.2912, 832],
+    ['Milpa Alta', 'city', 'MX', 19.1917, -99.0228, 2429],
+    ['Binzhou', 'city', 'CN', 37.3667, 118.0167, 14],
+    ['Zoetermeer', 'city', 'NL', 52.0575, 4.4931, 0],
+    ['Sri Jayewardenepura Kotte', 'city', 'LK', 6.883, 79.9071, 37],
+    ['Guelph', 'city', 'CA', 43.5459, -80.256, 334],
+    ['Yelets', 'city', 'RU', 52.6237, 38.5017, 166],
+    ['Parla', 'city', 'ES', 40.236, -3.7675, 648],
+    ['Batang', 'city', 'ID', -6.4846, 110.7083, 14],
+    ['Novo-Peredelkino', 'city', 'RU', 55.6453, 37.3358, 166],
+    ['Baidyabāti', 'city', 'IN', 22.785, 88.3259, 13],
+    ['Okigwi', 'city', 'NG', 5.8352, 7.3599, 208],
+    ['Lengshuijiang', 'city', 'CN', 27.6881, 111.4294, 194],
+    ['Texcoco de Mora', 'city', 'MX', 19.5116, -98.8837, 2257],
+    ['Tianfu', 'city', 'CN', 37.1972, 122.0523, 41],
+    ['Toliara', 'city', 'MG', -23.35, 43.6667, 11],
+    ['Bizerte', 'city', 'TN', 37.2744, 9.8739, 5],
+    ['Pouso Alegre', 'city', 'BR', -22.23, -45.9364, 838],
+    ['Ancona', 'city', 'IT', 43.5982, 13.5101, 29],
+    ['Basti', 'city', 'IN', 26.7945, 82.7328, 90],
+    ['Tuguegarao City', 'city', 'PH', 17.6131, 121.7269, 30],
+    ['Peoria', 'city', 'IL, US', 40.6936, -89.589, 153],
+    ['Balkh', 'city', 'AF', 36.7563, 66.8972, 348],
+    ['Mingshui', 'city', 'CN', 36.7167, 117.5, 73],
+    ['Botoşani', 'city', 'RO', 47.75, 26.6667, 159],
+    ['Mary', 'city', 'TM', 37.5938, 61.8303, 223],
+    ['Coquitlam', 'city', 'CA', 49.283, -122.7526, 33],
+    ['Sóc Trăng', 'city', 'VN', 9.6033, 105.98, 5],
+    ['Dunedin', 'city', 'NZ', -45.8742, 170.5036, 21],
+    ['Balasore', 'city', 'IN', 21.4927, 86.9335, 22],
+    ['Lansing', 'city', 'MI, US', 42.7325, -84.5555, 260],
+    ['Pamanukan', 'city', 'ID', -6.2842, 107.8106, 10],
+    ['Pleiku', 'city', 'VN', 13.9833, 108, 760],
+    ['Kingston', 'city', 'CA', 44.2298, -76.481, 70],
+    ['Yuyao', 'city', 'CN', 30.05, 121.1494, 59],
+    ['Sawangan', 'city', 'ID', -6.4028, 106.7744, 88],
+    ['Dharmavaram', 'city', 'IN', 14.4149, 77.7199, 368],
+    ['Siirt', 'city', 'TR', 37.9326, 41.9402, 893],
+    ['Erzincan', 'city', 'TR', 39.7522, 39.4928, 1215],
+    ['Kankan', 'city', 'GN', 10.3854, -9.3057, 381],
+    ['Villa Lugano', 'city', 'AR', -34.6791, -58.4726, 19],
+    ['Hotan', 'city', 'CN', 37.0997, 79.9269, 1393],
+    ['Ochakovo-Matveyevskoye', 'city', 'RU', 55.6843, 37.4465, 171],
+    ['Ann Arbor', 'city', 'MI, US', 42.2776, -83.7409, 269],
+    ['Reykjavík', 'city', 'IS', 64.1355, -21.8954, 37],
+    ['Laghouat', 'city', 'DZ', 33.8, 2.8651, 764],
+    ['Botucatu', 'city', 'BR', -22.8858, -48.445, 837],
+    ['Māler Kotla', 'city', 'IN', 30.5309, 75.8795, 251],
+    ['Offa', 'city', 'NG', 8.15, 4.7167, 426],
+    ['Tobol’sk', 'city', 'RU', 58.1981, 68.2546, 90],
+    ['Wardha', 'city', 'IN', 20.7381, 78.5967, 293],
+    ['Pingshan', 'city', 'CN', 22.9938, 114.7131, 22],
+    ['Cuito', 'city', 'AO', -12.3833, 16.9333, 1715],
+    ['Qianguo', 'city', 'CN', 45.1171, 124.8568, 133],
+    ['Maba', 'city', 'CN', 24.6841, 113.5984, 68],
+    ['Jandira', 'city', 'BR', -23.5275, -46.9025, 733],
+    ['Dumaguete City', 'city', 'PH', 9.307, 123.3074, 11],
+    ['Budapest XIII. kerület', 'city', 'HU', 47.5298, 19.0807, 106],
+    ['Mishima', 'city', 'JP', 35.1167, 138.9167, 24],
+    ['El Monte', 'city', 'CA, US', 34.0686, -118.0276, 91],
+    ['Chorzów', 'city', 'PL', 50.3058, 18.9742, 319],
+    ['Denton', 'city', 'TX, US', 33.2148, -97.1331, 201],
+    ['Luanshya', 'city', 'ZM', -13.1367, 28.4166, 1238],
+    ['Praia', 'city', 'CV', 14.9315, -23.5125, 0],
+    ['Jhunjhunūn', 'city', 'IN', 28.1256, 75.398, 343],
+    ['Bergamo', 'city', 'IT', 45.698, 9.669, 262],
+    ['Kitami', 'city', 'JP', 43.8031, 143.8908, 79],
+    ['Exeter', 'city', 'GB', 50.7236, -3.5275, 46],
+    ['Kuwana', 'city', 'JP', 35.0667, 136.7, 0],
+    ['North Peoria', 'city', 'IL, US', 40.7175, -89.5843, 193],
+    ['Shchelkovo', 'city', 'RU', 55.893, 38.0586, 152],
+    ['Alanya', 'city', 'TR', 36.5438, 31.9998, 11],
+    ['Guanabacoa', 'city', 'CU', 23.1239, -82.3003, 34],
+    ['Eastbourne', 'city', 'GB', 50.7687, 0.2845, 8],
+    ['Vihāri', 'city', 'PK', 30.0333, 72.35, 140],
+    ['Guangming', 'city', 'CN', 45.3333, 122.7833, 150],
+    ['Sātāra', 'city', 'IN', 17.6859, 73.9933, 709],
+    ['Rouen', 'city', 'FR', 49.4431, 1.0993, 21],
+    ['Haikou', 'city', 'CN', 24.7798, 102.5755, 1909],
+    ['Chandausi', 'city', 'IN', 28.453, 78.7829, 196],
+    ['Nefteyugansk', 'city', 'RU', 61.0998, 72.6035, 48],
+    ['Reutlingen', 'city', 'DE', 48.4914, 9.2043, 374],
+    ['Shaowu', 'city', 'CN', 27.3409, 117.4831, 196],
+    ['Berkeley', 'city', 'CA, US', 37.8716, -122.2728, 52],
+    ['Mojokerto', 'city', 'ID', -7.4664, 112.4338, 25],
+    ['Satu Mare', 'city', 'RO', 47.8, 22.8833, 124],
+    ['Provo', 'city', 'UT, US', 40.2338, -111.6585, 1387],
+    ['Thanh Hóa', 'city', 'VN', 19.8, 105.7667, 5],
+    ['Innsbruck', 'city', 'AT', 47.2627, 11.3945, 570],
+    ['Kaiyuan', 'city', 'CN', 42.5331, 124.0403, 91],
+    ['Kamālia', 'city', 'PK', 30.7333, 72.65, 158],
+    ['Guanare', 'city', 'VE', 9.0418, -69.7421, 164],
+    ['Farīdpur', 'city', 'BD', 23.6061, 89.8406, 15],
+    ['Apopa', 'city', 'SV', 13.8072, -89.1792, 434],
+    ['Motīhāri', 'city', 'IN', 26.6574, 84.9192, 74],
+    ['Chās', 'city', 'IN', 23.6356, 86.1671, 217],
+    ['Mazyr', 'city', 'BY', 52.0495, 29.2456, 152],
+    ['Pudukkottai', 'city', 'IN', 10.3813, 78.8214, 102],
+    ['Iguala de la Independencia', 'city', 'MX', 18.3493, -99.5394, 744],
+    ['Carúpano', 'city', 'VE', 10.6678, -63.2585, 15],
+    ['Rewāri', 'city', 'IN', 28.1972, 76.6176, 253],
+    ['Port Blair', 'city', 'IN', 11.6667, 92.75, 6],
+    ['Esuk Oron', 'city', 'NG', 4.8029, 8.2534, 38],
+    ['Fürth', 'city', 'DE', 49.4759, 10.9886, 302],
+    ['Beibei', 'city', 'CN', 29.8274, 106.4364, 237],
+    ['Cà Mau', 'city', 'VN', 9.1769, 105.15, 4],
+    ['Ribeirão Pires', 'city', 'BR', -23.7106, -46.4133, 760],
+    ['Douma', 'city', 'SY', 33.5718, 36.4027, 660],
+    ['Iringa', 'city', 'TZ', -7.7667, 35.7, 1625],
+    ['Zwolle', 'city', 'NL', 52.5125, 6.0944, 9],
+    ['Novokuybyshevsk', 'city', 'RU', 53.0959, 49.9462, 110],
+    ['Downey', 'city', 'CA, US', 33.94, -118.1326, 36],
+    ['Qūchān', 'city', 'IR', 37.106, 58.5095, 1313],
+    ['Suriāpet', 'city', 'IN', 17.1405, 79.6204, 177],
+    ['Kandy', 'city', 'LK', 7.2955, 80.6356, 506],
+    ['Bangaon', 'city', 'IN', 23.0455, 88.8308, 11],
+    ['Lisichansk', 'city', 'UA', 48.9049, 38.4421, 183],
+    ['Conselheiro Lafaiete', 'city', 'BR', -20.6603, -43.7861, 998],
+    ['Chhatarpur', 'city', 'IN', 24.9142, 79.5878, 307],
+    ['Daugavpils', 'city', 'LV', 55.8833, 26.5333, 103],
+    ['Resende', 'city', 'BR', -22.4689, -44.4467, 408],
+    ['Masjed Soleymān', 'city', 'IR', 31.9364, 49.3039, 240],
+    ['Cileunyi', 'city', 'ID', -6.9389, 107.7528, 703],
+    ['Ashoknagar Kalyangarh', 'city', 'IN', 22.8642, 88.637, 11],
+    ['Magelang', 'city', 'ID', -7.4706, 110.2178, 379],
+    ['Mulhouse', 'city', 'FR', 47.75, 7.3333, 240],
+    ['Santa Rosa', 'city', 'AR', -36.6167, -64.2833, 179],
+    ['Mbouda', 'city', 'CM', 5.6258, 10.2552, 1409],
+    ['Araucária', 'city', 'BR', -25.5931, -49.4103, 886],
+    ['Ciutat Vella', 'city', 'ES', 41.3802, 2.1732, 28],
+    ['Achalpur', 'city', 'IN', 21.2572, 77.5086, 375],
+    ['Midland', 'city', 'TX, US', 31.9974, -102.0779, 848],
+    ['Navadwīp', 'city', 'IN', 23.4067, 88.3686, 17],
+    ['Nsukka', 'city', 'NG', 6.8578, 7.3958, 423],
+    ['Nguru', 'city', 'NG', 12.8791, 10.4526, 348],
+    ['Dongtai', 'city', 'CN', 32.8523, 120.3095, 7],
+    ['Bārsi', 'city', 'IN', 18.2345, 75.6928, 518],
+    ['Atibaia', 'city', 'BR', -23.1169, -46.5503, 817],
+    ['Várzea Paulista', 'city', 'BR', -23.2114, -46.8283, 755],
+    ['Hikone', 'city', 'JP', 35.25, 136.25, 95],
+    ['Norman', 'city', 'OK, US', 35.2226, -97.4395, 357],
+    ['Encheng', 'city', 'CN', 22.1866, 112.3042, 19],
+    ['Turhal', 'city', 'TR', 40.3875, 36.0811, 538],
+    ['Bandar-e Anzalī', 'city', 'IR', 37.4726, 49.4593, -21],
+    ['Hadejia', 'city', 'NG', 12.4498, 10.0444, 361],
+    ['Manzanillo', 'city', 'MX', 19.0501, -104.3188, 21],
+    ['Zhuji', 'city', 'CN', 29.7188, 120.2423, 23],
+    ['Perpignan', 'city', 'FR', 42.6976, 2.8954, 43],
+    ['East Independence', 'city', 'MO, US', 39.0956, -94.3552, 256],
+    ['Caen', 'city', 'FR', 49.1859, -0.3591, 21],
+    ['Yenangyaung', 'city', 'MM', 20.465, 94.8712, 56],
+    ['Manzini', 'city', 'SZ', -26.4988, 31.38, 601],
+    ['Delicias', 'city', 'ES', 41.6493, -0.9076, 183],
+    ['Sultānpur', 'city', 'IN', 26.26, 82.0731, 104],
+    ['Waterbury', 'city', 'CT, US', 41.5581, -73.0515, 82],
+    ['Tauranga', 'city', 'NZ', -37.6861, 176.1667, 18],
+    ['Kiryū', 'city', 'JP', 36.4, 139.3333, 108],
+    ['Kresek', 'city', 'ID', -6.1314, 106.3797, 16],
+    ['Bender', 'city', 'MD', 46.8306, 29.4711, 32],
+    ['Nelspruit', 'city', 'ZA', -25.4745, 30.9703, 676],
+    ['Citeureup', 'city', 'ID', -6.4856, 106.8819, 136],
+    ['Garanhuns', 'city', 'BR', -8.8903, -36.4928, 855],
+    ['Gabès', 'city', 'TN', 33.8815, 10.0982, 9],
+    ['Linqing', 'city', 'CN', 36.8456, 115.7117, 36],
+    ['Mendip', 'city', 'GB', 51.2372, -2.6266, 293],
+    ['Vacoas', 'city', 'MU', -20.2981, 57.4783, 390],
+    ['Ressano Garcia', 'city', 'MZ', -25.4428, 31.9953, 125],
+    ['Noyabr\'sk', 'city', 'RU', 63.1994, 75.4507, 113],
+    ['Zliten', 'city', 'LY', 32.4674, 14.5687, 9],
+    ['Zhucheng', 'city', 'CN', 35.9947, 119.3975, 64],
+    ['Bataysk', 'city', 'RU', 47.1397, 39.7518, 7],
+    ['Costa Mesa', 'city', 'CA, US', 33.6411, -117.9187, 30],
+    ['Linshui', 'city', 'CN', 36.4247, 114.2047, 138],
+    ['Hailun', 'city', 'CN', 47.4565, 126.9537, 242],
+    ['Ambur', 'city', 'IN', 12.7916, 78.7164, 322],
+    ['Kecskemét', 'city', 'HU', 46.9062, 19.6913, 120],
+    ['Seversk', 'city', 'RU', 56.6006, 84.8864, 98],
+    ['Lichinga', 'city', 'MZ', -13.3128, 35.2406, 1349],
+    ['Shilong', 'city', 'CN', 23.1144, 113.8472, 14],
+    ['Kandi', 'city', 'BJ', 11.1342, 2.9386, 294],
+    ['Inglewood', 'city', 'CA, US', 33.9617, -118.3531, 40],
+    ['Araruama', 'city', 'BR', -22.8728, -42.3431, 20],
+    ['Tieli', 'city', 'CN', 46.9804, 128.045, 214],
+    ['Catanduva', 'city', 'BR', -21.1378, -48.9728, 517],
+    ['Taitung City', 'city', 'TW', 22.7583, 121.1444, 19],
+    ['Manchester', 'city', 'NH, US', 42.9956, -71.4548, 80],
+    ['Dongxing', 'city', 'CN', 45.3609, 130.7868, 217],
+    ['Ciudad Valles', 'city', 'MX', 21.9833, -99.0167, 85],
+    ['Arzamas', 'city', 'RU', 55.3948, 43.8399, 163],
+    ['Phalaborwa', 'city', 'ZA', -23.943, 31.1411, 435],
+    ['Heihe', 'city', 'CN', 50.2441, 127.4902, 139],
+    ['Colchester', 'city', 'GB', 51.8892, 0.9042, 29],
+    ['Zhaotong', 'city', 'CN', 27.3167, 103.7167, 1974],
+    ['Hoshangābād', 'city', 'IN', 22.7536, 77.7225, 313],
+    ['Larache', 'city', 'MA', 35.1932, -6.1557, 38],
+    ['Ijebu-Igbo', 'city', 'NG', 6.9798, 4.0033, 103],
+    ['Sergiyev Posad', 'city', 'RU', 56.3, 38.1333, 207],
+    ['Tumbes', 'city', 'PE', -3.5669, -80.4515, 25],
+    ['Livingstone', 'city', 'ZM', -17.8419, 25.8543, 969],
+    ['San Rafael', 'city', 'AR', -34.6177, -68.3301, 702],
+    ['Port-Gentil', 'city', 'GA', -0.7193, 8.7815, 4],
+    ['Hulan', 'city', 'CN', 45.9833, 126.6, 128],
+    ['Matagalpa', 'city', 'NI', 12.9256, -85.9175, 686],
+    ['Komatsu', 'city', 'JP', 36.4026, 136.4509, 7],
+    ['Leninsk-Kuznetskiy', 'city', 'RU', 54.6567, 86.1737, 223],
+    ['Zhongxiang', 'city', 'CN', 31.1661, 112.5831, 50],
+    ['Franco da Rocha', 'city', 'BR', -23.3217, -46.7269, 762],
+    ['Iwatsuki', 'city', 'JP', 35.9522, 139.685, 10],
+    ['Dehui', 'city', 'CN', 44.5333, 125.7, 180],
+    ['Boulogne-Billancourt', 'city', 'FR', 48.8333, 2.25, 38],
+    ['Kalisz', 'city', 'PL', 51.7611, 18.091, 109],
+    ['Murfreesboro', 'city', 'TN, US', 35.8456, -86.3903, 186],
+    ['Ksar el Kebir', 'city', 'MA', 35.0017, -5.9053, 17],
+    ['Pemba', 'city', 'MZ', -12.974, 40.5177, 50],
+    ['Sawāi Mādhopur', 'city', 'IN', 26.023, 76.3441, 257],
+    ['Uromi', 'city', 'NG', 6.7, 6.3333, 381],
+    ['Dharān Bāzār', 'city', 'NP', 26.8125, 87.2836, 371],
+    ['Madanapalle', 'city', 'IN', 13.5503, 78.5029, 694],
+    ['Katumba', 'city', 'TZ', -9.2333, 33.6167, 1387],
+    ['Columbia', 'city', 'MO, US', 38.9517, -92.3341, 215],
+    ['Enterprise', 'city', 'NV, US', 36.0252, -115.2419, 778],
+    ['Bānsbāria', 'city', 'IN', 22.9539, 88.401, 17],
+    ['Kumanovo', 'city', 'MK', 42.1322, 21.7144, 344],
+    ['Girón', 'city', 'CO', 7.0682, -73.1698, 706],
+    ['Mopti', 'city', 'ML', 14.4843, -4.183, 268],
+    ['Baghlān', 'city', 'AF', 36.1307, 68.7083, 531],
+    ['Trincomalee', 'city', 'LK', 8.5711, 81.2335, 9],
+    ['Santiago', 'city', 'PH', 16.6881, 121.5487, 78],
+    ['Dagenham', 'city', 'GB', 51.55, 0.1667, 13],
+    ['Forlì', 'city', 'IT', 44.2236, 12.0528, 29],
+    ['Al Sohar', 'city', 'OM', 24.3643, 56.7468, 5],
+    ['Nehe', 'city', 'CN', 48.4833, 124.8333, 197],
+    ['Kyzyl', 'city', 'RU', 51.7147, 94.4534, 625],
+    ['Cabo Frio', 'city', 'BR', -22.8794, -42.0186, 14],
+    ['Oktyabr’skiy', 'city', 'RU', 54.4815, 53.471, 133],
+    ['Elgin', 'city', 'IL, US', 42.0373, -88.2812, 227],
+    ['Tādepallegūdem', 'city', 'IN', 16.813, 81.5287, 18],
+    ['Banyuwangi', 'city', 'ID', -8.2325, 114.3576, 24],
+    ['Birnin Kebbi', 'city', 'NG', 12.4539, 4.1975, 234],
+    ['Pingliang', 'city', 'CN', 35.5392, 106.6861, 1354],
+    ['Santa Cruz', 'city', 'PH', 14.2814, 121.4161, 9],
+    ['Rockingham', 'city', 'AU', -32.2768, 115.7298, 8],
+    ['An Nuhūd', 'city', 'SD', 12.7, 28.4333, 571],
+    ['Kunshan', 'city', 'CN', 31.3776, 120.9543, 10],
+    ['Atbara', 'city', 'SD', 17.7022, 33.9864, 358],
+    ['Chengjiang', 'city', 'CN', 31.911, 120.263, 7],
+    ['Thành phố Bạc Liêu', 'city', 'VN', 9.2941, 105.7278, 5],
+    ['Latina', 'city', 'IT', 41.4661, 12.9043, 27],
+    ['Jalpāiguri', 'city', 'IN', 26.5167, 88.7333, 87],
+    ['Jalai Nur', 'city', 'CN', 49.45, 117.7, 566],
+    ['Tajimi', 'city', 'JP', 35.3167, 137.1333, 138],
+    ['Moers', 'city', 'DE', 51.4534, 6.6326, 29],
+    ['Kallithéa', 'city', 'GR', 37.95, 23.7, 28],
+    ['Ourense', 'city', 'ES', 42.3367, -7.8641, 146],
+    ['Ji Paraná', 'city', 'BR', -10.8853, -61.9517, 157],
+    ['Clearwater', 'city', 'FL, US', 27.9658, -82.8001, 9],
+    ['Bandırma', 'city', 'TR', 40.3522, 27.9767, 40],
+    ['Umm Qaşr', 'city', 'IQ', 30.0362, 47.9195, 9],
+    ['Butterworth', 'city', 'MY', 5.3991, 100.3638, 6],
+    ['Shaping', 'city', 'CN', 22.7702, 112.9578, 13],
+    ['Râmnicu Vâlcea', 'city', 'RO', 45.1, 24.3667, 237],
+    ['Alcobendas', 'city', 'ES', 40.5475, -3.642, 696],
+    ['Araras', 'city', 'BR', -22.3569, -47.3842, 634],
+    ['Koszalin', 'city', 'PL', 54.1944, 16.1722, 30],
+    ['Poá', 'city', 'BR', -23.5281, -46.3447, 764],
+    ['Sherpur', 'city', 'BD', 25.0188, 90.0175, 25],
+    ['Obninsk', 'city', 'RU', 55.0968, 36.6101, 174],
+    ['Vitória de Santo Antão', 'city', 'BR', -8.1181, -35.2914, 156],
+    ['Shinyanga', 'city', 'TZ', -3.6639, 33.4212, 1133],
+    ['Koblenz', 'city', 'DE', 50.3536, 7.5788, 75],
+    ['Siegen', 'city', 'DE', 50.8748, 8.0243, 272],
+    ['Vicenza', 'city', 'IT', 45.5573, 11.5409, 37],
+    ['Västerås', 'city', 'SE', 59.6162, 16.5528, 16],
+    ['Miami Gardens', 'city', 'FL, US', 25.942, -80.2456, 2],
+    ['Bharatpur', 'city', 'NP', 27.6833, 84.4333, 217],
+    ['As Suwayq', 'city', 'OM', 23.8494, 57.4386, 6],
+    ['Reus', 'city', 'ES', 41.1561, 1.1069, 133],
+    ['Iida', 'city', 'JP', 35.5196, 137.8207, 517],
+    ['Ilebo', 'city', 'CD', -4.3311, 20.5864, 440],
+    ['Apucarana', 'city', 'BR', -23.5508, -51.4608, 871],
+    ['Yên Vinh', 'city', 'VN', 18.6667, 105.6667, 12],
+    ['Crawley', 'city', 'GB', 51.113, -0.1831, 84],
+    ['Mitrovicë', 'city', 'XK', 42.8833, 20.8667, 509],
+    ['Sutton Coldfield', 'city', 'GB', 52.5667, -1.8167, 119],
+    ['Khemisset', 'city', 'MA', 33.824, -6.0663, 451],
+    ['Elista', 'city', 'RU', 46.3078, 44.2558, 94],
+    ['Taungoo', 'city', 'MM', 18.9429, 96.4341, 56],
+    ['Ejido', 'city', 'VE', 8.5466, -71.2409, 1143],
+    ['Al Ḩawāmidīyah', 'city', 'EG', 29.9, 31.25, 23],
+    ['Catia La Mar', 'city', 'VE', 10.6038, -67.0303, 18],
+    ['Lianran', 'city', 'CN', 24.9227, 102.485, 1836],
+    ['Rochester', 'city', 'MN, US', 44.0216, -92.4699, 312],
+    ['Rayong', 'city', 'TH', 12.6809, 101.258, 7],
+    ['Chittaurgarh', 'city', 'IN', 24.8896, 74.624, 405],
+    ['Fukaya', 'city', 'JP', 36.2, 139.2833, 35],
+    ['Pueblo', 'city', 'CO, US', 38.2544, -104.6091, 1430],
+    ['Coimbra', 'city', 'PT', 40.2056, -8.4195, 98],
+    ['Lowell', 'city', 'MA, US', 42.6334, -71.3162, 36],
+    ['Cikarang', 'city', 'ID', -6.2611, 107.1528, 17],
+    ['Wilmington', 'city', 'NC, US', 34.2257, -77.9447, 9],
+    ['Arvada', 'city', 'CO, US', 39.8028, -105.0875, 1629],
+    ['Longjiang', 'city', 'CN', 47.3307, 123.1782, 184],
+    ['Kamagaya-shi', 'city', 'JP', 35.7767, 140.0008, 36],
+    ['Hwado', 'city', 'KR', 37.6525, 127.3075, 86],
+    ['Buhe', 'city', 'CN', 30.2876, 112.2298, 39],
+    ['Pindiga', 'city', 'NG', 9.9833, 10.9333, 523],
+    ['Namur', 'city', 'BE', 50.4669, 4.8675, 88],
+    ['Gangāwati', 'city', 'IN', 15.4334, 76.5293, 412],
+    ['Novotroitsk', 'city', 'RU', 51.203, 58.3267, 213],
+    ['Bergisch Gladbach', 'city', 'DE', 50.9856, 7.133, 98],
+    ['Blackburn', 'city', 'GB', 53.75, -2.4833, 121],
+    ['Launceston', 'city', 'AU', -41.4388, 147.1347, 11],
+    ['Westminster', 'city', 'CO, US', 39.8366, -105.0372, 1641],
+    ['Santa Cruz do Sul', 'city', 'BR', -29.7175, -52.4258, 69],
+    ['West Covina', 'city', 'CA, US', 34.0686, -117.939, 117],
+    ['Legnica', 'city', 'PL', 51.2101, 16.1619, 121],
+    ['Ashqelon', 'city', 'IL', 31.6693, 34.5715, 42],
+    ['Sydney', 'city', 'CA', 46.1351, -60.1831, 6],
+    ['Derbent', 'city', 'RU', 42.0678, 48.2899, -4],
+    ['Xinghua', 'city', 'CN', 32.9392, 119.8342, 8],
+    ['Khurja', 'city', 'IN', 28.2544, 77.8544, 203],
+    ['Mati', 'city', 'PH', 6.9551, 126.2165, 21],
+    ['Guaratinguetá', 'city', 'BR', -22.8164, -45.1925, 545],
+    ['Arjawinangun', 'city', 'ID', -6.6453, 108.4103, 14],
+    ['Suceava', 'city', 'RO', 47.6333, 26.25, 360],
+    ['Aïn Beïda', 'city', 'DZ', 35.7964, 7.3928, 1008],
+    ['Azare', 'city', 'NG', 11.6765, 10.1948, 415],
+    ['Nantou', 'city', 'TW', 23.9157, 120.6639, 196],
+    ['Anqiu', 'city', 'CN', 36.4342, 119.1925, 58],
+    ['Lahad Datu', 'city', 'MY', 5.0268, 118.327, 23],
+    ['Idkū', 'city', 'EG', 31.3078, 30.299, 7],
+    ['Gresham', 'city', 'OR, US', 45.4982, -122.4315, 97],
+    ['Fargo', 'city', 'ND, US', 46.8772, -96.7898, 276],
+    ['Norwalk', 'city', 'CA, US', 33.9022, -118.0817, 28],
+    ['Ponnāni', 'city', 'IN', 10.7669, 75.9252, 7],
+    ['Tanza', 'city', 'PH', 14.6753, 120.9389, 7],
+    ['Fresnillo de González Echeverría', 'city', 'MX', 23.1757, -102.8694, 2186],
+    ['Mariara', 'city', 'VE', 10.2964, -67.7181, 472],
+    ['Bhairab Bāzār', 'city', 'BD', 24.0524, 90.9764, 12],
+    ['Tengzhou', 'city', 'CN', 35.0771, 117.1518, 68],
+    ['Baraki', 'city', 'DZ', 36.6666, 3.0961, 22],
+    ['Nancy', 'city', 'FR', 48.6844, 6.185, 212],
+    ['Carlsbad', 'city', 'CA, US', 33.1581, -117.3506, 16],
+    ['Fairfield', 'city', 'CA, US', 38.2494, -122.04, 4],
+    ['Queenstown', 'city', 'ZA', -31.8976, 26.8753, 1081],
+    ['Thành Phố Hòa Bình', 'city', 'VN', 20.8172, 105.3376, 31],
+    ['Yevpatoriya', 'city', 'UA', 45.2009, 33.3665, 11],
+    ['Jīzān', 'city', 'SA', 16.8892, 42.5511, 19],
+    ['Cambridge', 'city', 'MA, US', 42.3751, -71.1056, 5],
+    ['Focşani', 'city', 'RO', 45.7, 27.1833, 54],
+    ['Linhares', 'city', 'BR', -19.3911, -40.0722, 36],
+    ['Araguaína', 'city', 'BR', -7.1911, -48.2072, 237],
+    ['Terni', 'city', 'IT', 42.5671, 12.6499, 131],
+    ['Barnāla', 'city', 'IN', 30.3721, 75.5454, 234],
+    ['Malinovka', 'city', 'BY', 53.8579, 27.4374, 238],
+    ['Universal City', 'city', 'CA, US', 34.1389, -118.3534, 230],
+    ['Trento', 'city', 'IT', 46.0679, 11.1211, 195],
+    ['Moratalaz', 'city', 'ES', 40.4167, -3.65, 671],
+    ['Daxing', 'city', 'CN', 39.7403, 116.3269, 42],
+    ['Bāneh', 'city', 'IR', 35.9975, 45.8853, 1525],
+    ['Oldham', 'city', 'GB', 53.5405, -2.1183, 204],
+    ['Douliu', 'city', 'TW', 23.7094, 120.5433, 57],
+    ['Jena', 'city', 'DE', 50.9288, 11.5899, 149],
+    ['Gera', 'city', 'DE', 50.8803, 12.0819, 203],
+    ['Badlapur', 'city', 'IN', 19.1552, 73.2655, 24],
+    ['Al Fāw', 'city', 'IQ', 29.9742, 48.4731, 2],
+    ['Wichita Falls', 'city', 'TX, US', 33.9137, -98.4934, 289],
+    ['Depok', 'city', 'ID', -7.7625, 110.4317, 154],
+    ['Mostar', 'city', 'BA', 43.3433, 17.8081, 66],
+    ['High Point', 'city', 'NC, US', 35.9557, -80.0053, 281],
+    ['Zhezqazghan', 'city', 'KZ', 47.7833, 67.7667, 330],
+    ['Yatsushiro', 'city', 'JP', 32.5, 130.6, 5],
+    ['Tandil', 'city', 'AR', -37.3217, -59.1332, 192],
+    ['Lo Prado', 'city', 'CL', -33.4443, -70.7255, 508],
+    ['Pulandian', 'city', 'CN', 39.3953, 121.9669, 14],
+    ['Kot Addu', 'city', 'PK', 30.4692, 70.9671, 135],
+    ['Debre Zeyit', 'city', 'ET', 8.75, 38.9833, 1916],
+    ['Kara', 'city', 'TG', 9.5511, 1.1861, 291],
+    ['Billings', 'city', 'MT, US', 45.7833, -108.5007, 952],
+    ['Wuchuan', 'city', 'CN', 21.4571, 110.7659, 7],
+    ['Yenakiyeve', 'city', 'UA', 48.2333, 38.2114, 208],
+    ['Green Bay', 'city', 'WI, US', 44.5192, -88.0198, 180],
+    ['Matamoros', 'city', 'MX', 25.527, -103.2285, 1117],
+    ['Abengourou', 'city', 'CI', 6.7297, -3.4964, 197],
+    ['Iwakuni', 'city', 'JP', 34.15, 132.1833, 51],
+    ['Soyībug', 'city', 'IN', 34.0805, 74.7087, 1588],
+    ['Izmaylovo', 'city', 'RU', 55.7868, 37.8017, 164],
+    ['Kiselëvsk', 'city', 'RU', 53.99, 86.6621, 320],
+    ['Kroonstad', 'city', 'ZA', -27.6504, 27.2349, 1399],
+    ['Jishu', 'city', 'CN', 44.3167, 126.8, 250],
+    ['Ed Damer', 'city', 'SD', 17.5928, 33.9592, 355],
+    ['Woking', 'city', 'GB', 51.319, -0.5589, 39],
+    ['Dolisie', 'city', 'CG', -4.1983, 12.6666, 332],
+    ['Roorkee', 'city', 'IN', 29.8631, 77.8913, 272],
+    ['Bagaha', 'city', 'IN', 27.0992, 84.09, 94],
+    ['Yuxi', 'city', 'CN', 24.355, 102.5422, 1638],
+    ['Marzahn', 'city', 'DE', 52.55, 13.55, 54],
+    ['Nkpor', 'city', 'NG', 6.1516, 6.8446, 164],
+    ['Hosūr', 'city', 'IN', 12.7365, 77.8326, 871],
+    ['West Jordan', 'city', 'UT, US', 40.6097, -111.9391, 1333],
+    ['Richmond', 'city', 'CA, US', 37.9358, -122.3478, 14],
+    ['Male', 'city', 'MV', 4.1748, 73.5089, 8],
+    ['Tantoyuca', 'city', 'MX', 21.3537, -98.2272, 159],
+    ['Gardēz', 'city', 'AF', 33.5974, 69.2259, 2308],
+    ['Bilqās', 'city', 'EG', 31.2145, 31.358, 13],
+    ['Chūru', 'city', 'IN', 28.3041, 74.9672, 291],
+    ['Nagda', 'city', 'IN', 23.4583, 75.4176, 470],
+    ['Brandon', 'city', 'FL, US', 27.9378, -82.2859, 14],
+    ['Prabumulih', 'city', 'ID', -3.4345, 104.2306, 51],
+    ['Murrieta', 'city', 'CA, US', 33.5539, -117.2139, 334],
+    ['Guaymas', 'city', 'MX', 27.9182, -110.8997, 7],
+    ['Phitsanulok', 'city', 'TH', 16.8248, 100.2586, 50],
+    ['Las Margaritas', 'city', 'MX', 16.3119, -91.9803, 1513],
+    ['Isehara', 'city', 'JP', 35.3906, 139.3078, 49],
+    ['Queluz', 'city', 'PT', 38.7566, -9.2545, 125],
+    ['Burbank', 'city', 'CA, US', 34.1808, -118.309, 185],
+    ['Nishio', 'city', 'JP', 34.8667, 137.05, 9],
+    ['Vĩnh Long', 'city', 'VN', 10.25, 105.9667, 5],
+    ['Akademicheskoe', 'city', 'RU', 60.0138, 30.3947, 19],
+    ['Turgutlu', 'city', 'TR', 38.4953, 27.6997, 98],
+    ['Cheltenham', 'city', 'GB', 51.9, -2.0833, 62],
+    ['Esmeraldas', 'city', 'BR', -19.7625, -44.3139, 755],
+    ['Palm Bay', 'city', 'FL, US', 28.0345, -80.5887, 5],
+    ['Escuintla', 'city', 'GT', 14.305, -90.785, 356],
+    ['Velikiye Luki', 'city', 'RU', 56.34, 30.5452, 103],
+    ['Kashipur', 'city', 'IN', 29.214, 78.9569, 239],
+    ['Ghāzīpur', 'city', 'IN', 25.5805, 83.5806, 73],
+    ['Begusarai', 'city', 'IN', 25.4185, 86.1339, 47],
+    ['Ikerre', 'city', 'NG', 7.4913, 5.2322, 362],
+    ['Hildesheim', 'city', 'DE', 52.1508, 9.9511, 93],
+    ['Everett', 'city', 'WA, US', 47.979, -122.2021, 25],
+    ['Rantauprapat', 'city', 'ID', 2.1, 99.8333, 29],
+    ['Bogorodskoye', 'city', 'RU', 55.8135, 37.7162, 149],
+    ['Oleksandriya', 'city', 'UA', 48.6696, 33.1159, 106],
+    ['Ciudad Delicias', 'city', 'MX', 28.1901, -105.4701, 1172],
+    ['Al Qurayyāt', 'city', 'SA', 31.3318, 37.3428, 498],
+    ['Portmore', 'city', 'JM', 17.9702, -76.8672, 5],
+    ['Palma Soriano', 'city', 'CU', 20.2124, -75.9984, 144],
+    ['Pushkino', 'city', 'RU', 56.0172, 37.8667, 160],
+    ['Khushāb', 'city', 'PK', 32.2967, 72.3525, 186],
+    ['Lafiagi', 'city', 'NG', 8.8667, 5.4167, 78],
+    ['Belawan', 'city', 'ID', 3.7755, 98.6832, 5],
+    ['Roxas City', 'city', 'PH', 11.5853, 122.7511, 6],
+    ['Piatra Neamţ', 'city', 'RO', 46.9167, 26.3333, 508],
+    ['Erlangen', 'city', 'DE', 49.591, 11.0078, 290],
+    ['Chelmsford', 'city', 'GB', 51.7358, 0.4696, 33],
+    ['Saint Helens', 'city', 'GB', 53.45, -2.7333, 31],
+    ['Edison', 'city', 'NJ, US', 40.5187, -74.4121, 27],
+    ['Lubango', 'city', 'AO', -14.9172, 13.4925, 1760],
+    ['Sagh', 'city', 'TD', 9.1429, 18.3923, 369],
+    ['Dhaulpur', 'city', 'IN', 26.6929, 77.8797, 173],
+    ['Wazīrābād', 'city', 'PK', 32.4458, 74.1159, 235],
+    ['Curicó', 'city', 'CL', -34.9828, -71.2394, 217],
+    ['Flint', 'city', 'MI, US', 43.0125, -83.6875, 229],
+    ['Concepción de La Vega', 'city', 'DO', 19.2221, -70.5296, 101],
+    ['Shāhzādpur', 'city', 'BD', 24.1769, 89.5988, 16],
+    ['Bemowo', 'city', 'PL', 52.2546, 20.9084, 108],
+    ['Tulancingo', 'city', 'MX', 20.0836, -98.3633, 2180],
+    ['Antioch', 'city', 'CA, US', 38.0049, -121.8058, 13],
+    ['Drobeta-Turnu Severin', 'city', 'RO', 44.6319, 22.6561, 86],
+    ['Marmagao', 'city', 'IN', 15.4093, 73.7887, 58],
+    ['Qianzhou', 'city', 'CN', 28.3193, 109.7335, 201],
+    ['Artëm', 'city', 'RU', 43.3595, 132.1889, 49],
+    ['Birigui', 'city', 'BR', -21.2886, -50.34, 409],
+    ['Ukhta', 'city', 'RU', 63.5671, 53.6835, 99],
+    ['Fīrozpur', 'city', 'IN', 30.9257, 74.6131, 200],
+    ['Inazawa', 'city', 'JP', 35.25, 136.7833, 4],
+    ['Laoag', 'city', 'PH', 18.1978, 120.5957, 15],
+    ['Şabrātah', 'city', 'LY', 32.7933, 12.4885, 17],
+    ['Disūq', 'city', 'EG', 31.1331, 30.6465, 9],
+    ['Shchukino', 'city', 'RU', 55.8, 37.45, 153],
+    ['Brateyevo', 'city', 'RU', 55.6375, 37.7644, 119],
+    ['Bethal', 'city', 'ZA', -26.4579, 29.4655, 1661],
+    ['Pulong Santa Cruz', 'city', 'PH', 14.2732, 121.0764, 52],
+    ['Singkawang', 'city', 'ID', 0.9, 109, -1],
+    ['Gondal', 'city', 'IN', 21.9607, 70.8025, 139],
+    ['Torrevieja', 'city', 'ES', 37.9787, -0.6822, 14],
+    ['Erie', 'city', 'PA, US', 42.1292, -80.0851, 199],
+    ['Hidalgo del Parral', 'city', 'MX', 26.9296, -105.6662, 1719],
+    ['Ternate', 'city', 'ID', 0.7917, 127.3824, 31],
+    ['Bontang', 'city', 'ID', 0.1324, 117.4854, 10],
+    ['Delta', 'city', 'CA', 49.144, -122.9068, 81],
+    ['Pārsābād', 'city', 'IR', 39.6482, 47.9174, 46],
+    ['‘Ibrī', 'city', 'OM', 23.2257, 56.5157, 359],
+    ['Dera Ismāīl Khān', 'city', 'PK', 31.8327, 70.9024, 178],
+    ['Salihorsk', 'city', 'BY', 52.7876, 27.5415, 157],
+    ['Székesfehérvár', 'city', 'HU', 47.19, 18.4103, 117],
+    ['Temapache', 'city', 'MX', 21.0658, -97.641, 231],
+    ['Malambo', 'city', 'CO', 10.8595, -74.7739, 17],
+    ['Kansk', 'city', 'RU', 56.2017, 95.7175, 209],
+    ['Argenteuil', 'city', 'FR', 48.95, 2.25, 36],
+    ['Seonī', 'city', 'IN', 22.0866, 79.5504, 628],
+    ['Basildon', 'city', 'GB', 51.5684, 0.4578, 31],
+    ['Dartmouth', 'city', 'CA', 44.6713, -63.5772, 35],
+    ['Maladzyechna', 'city', 'BY', 54.3167, 26.854, 161],
+    ['Jagādhri', 'city', 'IN', 30.1668, 77.3031, 293],
+    ['Olomouc', 'city', 'CZ', 49.5955, 17.2518, 223],
+    ['Witten', 'city', 'DE', 51.4436, 7.3526, 119],
+    ['Miriālgūda', 'city', 'IN', 16.8722, 79.5625, 134],
+    ['Barretos', 'city', 'BR', -20.5572, -48.5678, 538],
+    ['Medina Estates', 'city', 'GH', 5.6658, -0.1631, 86],
+    ['Chakwāl', 'city', 'PK', 32.9334, 72.8585, 523],
+    ['Lower Hutt', 'city', 'NZ', -41.2167, 174.9167, 9],
+    ['Colatina', 'city', 'BR', -19.5394, -40.6306, 82],
+    ['Gillingham', 'city', 'GB', 51.3891, 0.5486, 31],
+    ['Teófilo Otoni', 'city', 'BR', -17.8575, -41.5053, 343],
+    ['South Bend', 'city', 'IN, US', 41.6834, -86.25, 211],
+    ['Tokuyama', 'city', 'JP', 34.05, 131.8167, 35],
+    ['Tonghae', 'city', 'KR', 37.5439, 129.1069, 24],
+    ['Daly City', 'city', 'CA, US', 37.7058, -122.4619, 124],
+    ['Vanadzor', 'city', 'AM', 40.8046, 44.4939, 1344],
+    ['Tartu', 'city', 'EE', 58.3806, 26.7251, 39],
+    ['Mokopane', 'city', 'ZA', -24.1944, 29.0097, 1117],
+    ['Udgīr', 'city', 'IN', 18.3926, 77.1176, 643],
+    ['Urdaneta', 'city', 'PH', 15.9761, 120.5711, 32],
+    ['Mezhdurechensk', 'city', 'RU', 53.6942, 88.0603, 241],
+    ['Guaíba', 'city', 'BR', -30.1139, -51.325, 22],
+    ['Ciudad Guzmán', 'city', 'MX', 19.7047, -103.4617, 1535],
+    ['Jolo', 'city', 'PH', 6.0522, 121.0022, 5],
+    ['Ryazanskiy', 'city', 'RU', 55.7333, 37.7667, 153],
+    ['Novyye Cherëmushki', 'city', 'RU', 55.7, 37.5833, 160],
+    ['Cherëmushki', 'city', 'RU', 55.6647, 37.5613, 190],
+    ['Qinzhou', 'city', 'CN', 21.973, 108.6261, 11],
+    ['Guarapari', 'city', 'BR', -20.6537, -40.502, 13],
+    ['Coronel Fabriciano', 'city', 'BR', -19.5186, -42.6289, 239],
+    ['Novara', 'city', 'IT', 45.4406, 8.6168, 161],
+    ['Elbasan', 'city', 'AL', 41.1125, 20.0822, 128],
+    ['Navapolatsk', 'city', 'BY', 55.5318, 28.5987, 131],
+    ['Funchal', 'city', 'PT', 32.6333, -16.9, null],
+    ['Oum el Bouaghi', 'city', 'DZ', 35.8754, 7.1135, 925],
+    ['Solikamsk', 'city', 'RU', 59.6316, 56.7685, 144],
+    ['El Progreso', 'city', 'HN', 15.4, -87.8, 48],
+    ['Shāhreẕā', 'city', 'IR', 32.0339, 51.8794, 1807],
+    ['Jamālpur', 'city', 'IN', 25.3126, 86.4889, 52],
+    ['Luofeng', 'city', 'CN', 37.365, 120.41, 82],
+    ['Itaguaí', 'city', 'BR', -22.8522, -43.7753, 31],
+    ['Nandurbār', 'city', 'IN', 21.3661, 74.2395, 217],
+    ['Abū Kabīr', 'city', 'EG', 30.7251, 31.6715, 17],
+    ['Glazov', 'city', 'RU', 58.1393, 52.658, 151],
+    ['Anyama', 'city', 'CI', 5.4946, -4.0518, 95],
+    ['Narita', 'city', 'JP', 35.7833, 140.3167, 27],
+    ['Bendigo', 'city', 'AU', -36.7582, 144.2802, 221],
+    ['Grogol', 'city', 'ID', -7.6011, 110.8186, 93],
+    ['Itārsi', 'city', 'IN', 22.6148, 77.7622, 325],
+    ['Padangsidempuan', 'city', 'ID', 1.3795, 99.2715, 322],
+    ['Qalyūb', 'city', 'EG', 30.1792, 31.2056, 22],
+    ['Vāsco Da Gāma', 'city', 'IN', 15.3958, 73.8157, 7],
+    ['Sakata', 'city', 'JP', 38.9167, 139.855, 0],
+    ['Kōnan', 'city', 'JP', 35.3317, 136.8704, 19],
+    ['Playa del Carmen', 'city', 'MX', 20.6274, -87.0799, 9],
+    ['Martínez de La Torre', 'city', 'MX', 20.0707, -97.0583, 90],
+    ['Centennial', 'city', 'CO, US', 39.5792, -104.8769, 1777],
+    ['Chikushino-shi', 'city', 'JP', 33.4963, 130.5156, 37],
+    ['Lianjiang', 'city', 'CN', 21.6467, 110.2817, 46],
+    ['Linxi', 'city', 'CN', 39.7, 118.4333, 36],
+    ['Magangué', 'city', 'CO', 9.242, -74.7547, 20],
+    ['Tiébo', 'city', 'SN', 14.6333, -16.2333, 17],
+    ['Ust’-Ilimsk', 'city', 'RU', 58.0006, 102.6619, 278],
+    ['Zonguldak', 'city', 'TR', 41.4514, 31.7931, 24],
+    ['Kūhdasht', 'city', 'IR', 33.5333, 47.61, 1190],
+    ['Kalmunai', 'city', 'LK', 7.409, 81.8347, 10],
+    ['Phagwāra', 'city', 'IN', 31.2185, 75.7717, 246],
+    ['Trier', 'city', 'DE', 49.7557, 6.6394, 141],
+    ['Temecula', 'city', 'CA, US', 33.4936, -117.1484, 310],
+    ['Punta Cana', 'city', 'DO', 18.5818, -68.4043, 28],
+    ['Worcester', 'city', 'GB', 52.1893, -2.22, 29],
+    ['Telde', 'city', 'ES', 27.9924, -15.4192, 160],
+    ['Horad Barysaw', 'city', 'BY', 54.2279, 28.505, 172],
+    ['Kangding', 'city', 'CN', 30.0513, 101.9603, 2530],
+    ['Alamar', 'city', 'CU', 23.1583, -82.2769, 37],
+    ['M’Sila', 'city', 'DZ', 35.7058, 4.5419, 477],
+    ['Becontree', 'city', 'GB', 51.5529, 0.129, 11],
+    ['Yafo', 'city', 'IL', 32.0504, 34.7522, 26],
+    ['Airoli', 'city', 'IN', 19.151, 72.9963, 5],
+    ['P’yŏngsŏng', 'city', 'KP', 39.2464, 125.8719, 53],
+    ['Tagiura', 'city', 'LY', 32.8817, 13.3506, 6],
+    ['Colonia Lindavista', 'city', 'MX', 19.4916, -99.1248, 2242],
+    ['Subotica', 'city', 'RS', 46.1, 19.6667, 115],
+    ['Tekstil’shchiki', 'city', 'RU', 55.7003, 37.7427, 142],
+    ['Ozërsk', 'city', 'RU', 55.7556, 60.7028, 251],
+    ['Kamieniec Podolski', 'city', 'UA', 48.6845, 26.5856, 227],
+    ['Thimphu', 'city', 'BT', 27.4661, 89.6419, 2320],
+    ['Bridgetown', 'city', 'BB', 13.1, -59.6167, 10],
+    ['Nouméa', 'city', 'NC', -22.2763, 166.4572, 11],
+    ['Fort-de-France', 'city', 'MQ', 14.6089, -61.0733, 6],
+    ['Suva', 'city', 'FJ', -18.1416, 178.4415, 57],
+    ['Luxembourg', 'city', 'LU', 49.6117, 6.13, 316],
+    ['Mbabane', 'city', 'SZ', -26.3167, 31.1333, 1209],
+    ['Bandar Seri Begawan', 'city', 'BN', 4.9403, 114.9481, 16],
+    ['Cayenne', 'city', 'GF', 4.9333, -52.3333, 7],
+    ['Kuwait City', 'city', 'KW', 29.3697, 47.9783, 16],
+    ['Honiara', 'city', 'SB', -9.4333, 159.95, 49],
+    ['Mamoudzou', 'city', 'YT', -12.7794, 45.2272, 55],
+    ['São Tomé', 'city', 'ST', 0.3365, 6.7273, 8],
+    ['Port-of-Spain', 'city', 'TT', 10.6662, -61.5166, 22],
+    ['Saipan', 'city', 'MP', 15.2123, 145.7545, 5],
+    ['Moroni', 'city', 'KM', -11.7022, 43.2551, 27],
+    ['Apia', 'city', 'WS', -13.8333, -171.7667, 9],
+    ['Tarawa', 'city', 'KI', 1.3278, 172.977, 6],
+    ['Port-Vila', 'city', 'VU', -17.7338, 168.3219, 59],
+    ['Banjul', 'city', 'GM', 13.4527, -16.578, 5],
+    ['Monaco', 'city', 'MC', 43.7333, 7.4167, 62],
+    ['Oranjestad', 'city', 'AW', 12.524, -70.027, 5],
+    ['George Town', 'city', 'KY', 19.2869, -81.3671, 10],
+    ['Saint Helier', 'city', 'JE', 49.188, -2.1049, 11],
+    ['Gibraltar', 'city', 'GI', 36.1447, -5.3526, 11],
+    ['Papeete', 'city', 'PF', -17.5333, -149.5667, 8],
+    ['Douglas', 'city', 'IM', 54.15, -4.4833, 31],
+    ['Majuro', 'city', 'MH', 7.0897, 171.3803, 6],
+    ['Kingstown', 'city', 'VC', 13.1587, -61.2248, 14],
+    ['Saint John’s', 'city', 'AG', 17.1172, -61.8457, 1],
+    ['Victoria', 'city', 'SC', -4.6167, 55.45, 60],
+    ['Nuku‘alofa', 'city', 'TO', -21.1394, -175.2018, 5],
+    ['Andorra la Vella', 'city', 'AD', 42.5078, 1.5211, 1037],
+    ['Charlotte Amalie', 'city', 'VI', 18.3419, -64.9307, 6],
+    ['Roseau', 'city', 'DM', 15.3017, -61.3881, 11],
+    ['Saint Peter Port', 'city', 'GG', 49.4598, -2.5353, 10],
+    ['Nuuk', 'city', 'GL', 64.1835, -51.7216, 5],
+    ['Belmopan', 'city', 'BZ', 17.25, -88.7667, 71],
+    ['Avarua', 'city', 'CK', -21.2078, -159.775, 6],
+    ['Tórshavn', 'city', 'FO', 62.0097, -6.7716, 1],
+    ['Basseterre', 'city', 'KN', 17.2948, -62.7261, -22],
+    ['Pago Pago', 'city', 'AS', -14.2781, -170.7025, 2],
+    ['Basse-Terre', 'city', 'GP', 15.9985, -61.7255, 59],
+    ['Mariehamn', 'city', 'AX', 60.0973, 19.9348, 11],
+    ['Castries', 'city', 'LC', 13.9957, -61.0061, 119],
+    ['Road Town', 'city', 'VG', 18.4167, -64.6167, 9],
+    ['Saint George\'s', 'city', 'GD', 12.0564, -61.7485, 6],
+    ['Valletta', 'city', 'MT', 35.8997, 14.5147, 44],
+    ['Saint-Pierre', 'city', 'PM', 46.7809, -56.172, 7],
+    ['Gustavia', 'city', 'BL', 17.8962, -62.8498, 6],
+    ['Marigot', 'city', 'MF', 18.0667, -63.0833, 12],
+    ['Vaduz', 'city', 'LI', 47.1415, 9.5215, 465],
+    ['San Marino', 'city', 'SM', 43.9367, 12.4464, 683],
+    ['Funafuti', 'city', 'TV', -8.5243, 179.1942, 7],
+    ['Cockburn Town', 'city', 'TC', 21.4612, -71.1419, 7],
+    ['Kralendijk', 'city', 'BQ', 12.15, -68.2667, 4],
+    ['Stanley', 'city', 'FK', -51.7, -57.85, 43],
+    ['Longyearbyen', 'city', 'SJ', 78.2186, 15.6401, 6],
+    ['The Valley', 'city', 'AI', 18.217, -63.0578, 7],
+    ['Philipsburg', 'city', 'SX', 18.026, -63.0458, 0],
+    ['Mata-Utu', 'city', 'WF', -13.2816, -176.1745, 15],
+    ['Hagåtña', 'city', 'GU', 13.4757, 144.7489, 3],
+    ['Hamilton', 'city', 'BM', 32.2915, -64.778, 0],
+    ['Kingston', 'city', 'NF', -29.0546, 167.9663, 71],
+    ['Vatican City', 'city', 'VA', 41.9024, 12.4533, 55],
+    ['Jamestown', 'city', 'SH', -15.9387, -5.7168, 10],
+    ['Alofi', 'city', 'NU', -19.0595, -169.9187, 67],
+    ['Flying Fish Cove', 'city', 'CX', -10.4217, 105.6791, 135],
+    ['West Island', 'city', 'CC', -12.1568, 96.8225, 12],
+    ['Adamstown', 'city', 'PN', -25.066, -130.1015, 67],
+    ['Port-aux-Français', 'city', 'TF', -49.35, 70.2167, 7],
+    ['Grytviken', 'city', 'GS', -54.2811, -36.5092, 4],
+    ['Palikir - National Government Center', 'city', 'FM', 6.9248, 158.1611, 90],
+    ['Plymouth', 'city', 'MS', 16.7055, -62.2129, 77],
+    ['Melekeok', 'city', 'PW', 7.5004, 134.6235, 70]
+];